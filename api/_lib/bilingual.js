@@ -0,0 +1,188 @@
+/**
+ * Двуязычный результат для проверки перевода: исходный абзац и перевод рядом
+ * - txt: абзацы чередуются, каждый помечен кодом языка
+ * - html, docx: таблица из двух столбцов, по строке на абзац
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { writeZip } from './zip.js';
+import { escapeXml } from './xml.js';
+import { getLanguageName, isRtlLanguage } from './languages.js';
+import { toLocaleCode } from './messages.js';
+import { DOCX_MIME_TYPE } from './formats/docx.js';
+
+// Метки разметки и подстановок (⟪0⟫), которые форматы оставляют в сегментах
+const TOKEN_PATTERN = /⟪\s*\d+\s*⟫/g;
+
+// Ширина текста страницы A4 с полями 2 см / 1.5 см в twips
+const DOCX_TEXT_WIDTH = 9922;
+
+export const BILINGUAL_FORMATS = {
+  txt: { mimeType: 'text/plain; charset=utf-8', extension: '.txt', render: renderText },
+  html: { mimeType: 'text/html; charset=utf-8', extension: '.html', render: renderHtml },
+  docx: { mimeType: DOCX_MIME_TYPE, extension: '.docx', render: renderDocx }
+};
+
+/**
+ * Сопоставляет абзацы исходного текста и перевода
+ * Перевод целого текста обычно сохраняет абзацы; если их число разошлось, пробуем строки,
+ * иначе весь текст остается одной парой
+ * @returns {Array<{source: string, target: string}>}
+ */
+export function alignParagraphs(source, target) {
+  for (const separator of [/\n\s*\n/, /\n/]) {
+    const sources = splitParagraphs(source, separator);
+    const targets = splitParagraphs(target, separator);
+    if (sources.length > 0 && sources.length === targets.length) {
+      return sources.map((text, index) => ({ source: text, target: targets[index] }));
+    }
+  }
+  return [{ source: source.trim(), target: target.trim() }];
+}
+
+/**
+ * Собирает двуязычный файл
+ * @param {Array<{source: string, target: string}>} pairs - абзацы исходного текста и перевода
+ * @param {'txt'|'html'|'docx'} format
+ * @param {{title: string, sourceLang: string, targetLang: string}} options
+ * @returns {string|Buffer}
+ */
+export function renderBilingual(pairs, format, options) {
+  const rows = pairs
+    .map(pair => ({ source: cleanText(pair.source), target: cleanText(pair.target) }))
+    .filter(pair => pair.source || pair.target);
+  return BILINGUAL_FORMATS[format].render(rows, options);
+}
+
+function renderText(rows, { sourceLang, targetLang }) {
+  const sourceLabel = `[${getSourceCode(sourceLang)}]`;
+  const targetLabel = `[${targetLang}]`;
+  return rows.map(row => `${sourceLabel} ${row.source}\n${targetLabel} ${row.target}`).join('\n\n') + '\n';
+}
+
+function renderHtml(rows, { title, sourceLang, targetLang }) {
+  const cell = (text, langCode) => {
+    const lang = langCode === 'AUTO' ? '' : ` lang="${toLocaleCode(langCode)}"`;
+    const dir = isRtlLanguage(langCode) ? ' dir="rtl"' : '';
+    return `<td${lang}${dir}>${escapeXml(text)}</td>`;
+  };
+
+  const body = rows.map((row, index) =>
+    `      <tr><td class="number">${index + 1}</td>${cell(row.source, sourceLang)}${cell(row.target, targetLang)}</tr>`
+  ).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeXml(title)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; }
+    table { border-collapse: collapse; width: 100%; table-layout: fixed; }
+    th, td { border: 1px solid #ccc; padding: 6px 8px; vertical-align: top; text-align: start; white-space: pre-wrap; }
+    th { background: #f3f3f3; }
+    .number { width: 3em; color: #888; }
+  </style>
+</head>
+<body>
+  <h1>${escapeXml(title)}</h1>
+  <table>
+    <thead>
+      <tr><th class="number">#</th><th>${escapeXml(getSourceName(sourceLang))}</th><th>${escapeXml(getLanguageName(targetLang))}</th></tr>
+    </thead>
+    <tbody>
+${body}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+function renderDocx(rows, { title, sourceLang, targetLang }) {
+  const border = name => `<w:${name} w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/>`;
+  const column = Math.floor(DOCX_TEXT_WIDTH / 2);
+
+  const header = `<w:tr><w:trPr><w:tblHeader/></w:trPr>${
+    docxCell(getSourceName(sourceLang), sourceLang, column, true)}${
+    docxCell(getLanguageName(targetLang), targetLang, column, true)}</w:tr>`;
+  const body = rows.map(row =>
+    `<w:tr><w:trPr><w:cantSplit/></w:trPr>${docxCell(row.source, sourceLang, column)}${docxCell(row.target, targetLang, column)}</w:tr>`
+  ).join('');
+
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>` +
+    `<w:p><w:pPr><w:spacing w:after="240"/></w:pPr>${docxRun(title, '<w:b/><w:sz w:val="28"/>')}</w:p>` +
+    `<w:tbl><w:tblPr><w:tblW w:w="5000" w:type="pct"/><w:tblBorders>${
+      ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')
+    }</w:tblBorders><w:tblLayout w:type="fixed"/>` +
+    '<w:tblCellMar><w:top w:w="57" w:type="dxa"/><w:left w:w="108" w:type="dxa"/>' +
+    '<w:bottom w:w="57" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr>' +
+    `<w:tblGrid><w:gridCol w:w="${column}"/><w:gridCol w:w="${column}"/></w:tblGrid>${header}${body}</w:tbl>` +
+    // Word ожидает абзац после таблицы в конце документа
+    '<w:p/><w:sectPr><w:pgSz w:w="11906" w:h="16838"/>' +
+    '<w:pgMar w:top="1134" w:right="850" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/>' +
+    '</w:sectPr></w:body></w:document>';
+
+  return writeZip([
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+        '</Relationships>'
+    },
+    { name: 'word/document.xml', data: document }
+  ]);
+}
+
+/**
+ * Ячейка таблицы DOCX: строки текста - отдельные абзацы
+ */
+function docxCell(text, langCode, width, bold = false) {
+  const rtl = isRtlLanguage(langCode);
+  const lang = langCode === 'AUTO' ? '' : `<w:lang w:val="${toLocaleCode(langCode)}"/>`;
+  const properties = `${bold ? '<w:b/>' : ''}${rtl ? '<w:rtl/>' : ''}${lang}`;
+  const paragraphs = text.split('\n').map(line =>
+    `<w:p>${rtl ? '<w:pPr><w:bidi/></w:pPr>' : ''}${docxRun(line, properties)}</w:p>`
+  );
+  return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/></w:tcPr>${paragraphs.join('')}</w:tc>`;
+}
+
+function docxRun(text, properties = '') {
+  const content = text.split('\t').map(part => `<w:t xml:space="preserve">${escapeXml(part)}</w:t>`).join('<w:tab/>');
+  return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}${content}</w:r>`;
+}
+
+function splitParagraphs(text, separator) {
+  return text.split(separator).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+function cleanText(text) {
+  return String(text ?? '')
+    .replace(TOKEN_PATTERN, '')
+    .replace(/ {2,}/g, ' ')
+    .replace(/\r\n?/g, '\n')
+    // Управляющие символы недопустимы в XML
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .trim();
+}
+
+function getSourceCode(sourceLang) {
+  return !sourceLang || sourceLang === 'AUTO' ? 'SRC' : sourceLang;
+}
+
+function getSourceName(sourceLang) {
+  return !sourceLang || sourceLang === 'AUTO' ? 'Source' : getLanguageName(sourceLang);
+}
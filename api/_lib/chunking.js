@@ -0,0 +1,92 @@
+/**
+ * Разделение больших текстов на части для перевода
+ * Части собираются из целых предложений (см. segmenter.js), а их позиции в исходном
+ * тексте позволяют собрать перевод с теми же абзацами и переводами строк между частями
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { splitIntoSentences, findProtectedSpans } from './segmenter.js';
+
+// Где резать предложение длиннее части, в порядке приоритета
+const CLAUSE_SEPARATORS = ['; ', ': ', ', ', '；', '：', '，', '、', ' — ', ' – ', ' '];
+
+/**
+ * Делит текст на части до chunkSize символов, не разрывая предложения
+ * Предложение длиннее chunkSize режется по знакам препинания внутри него
+ * @param {string} text - исходный текст
+ * @param {number} chunkSize - максимальная длина части
+ * @param {string|null} [lang] - код исходного языка для правил сегментации, null - автоопределение
+ * @returns {Array<{text: string, start: number, end: number}>} start/end - позиция части в text
+ */
+export function splitTextIntoChunks(text, chunkSize, lang = null) {
+  const spans = findProtectedSpans(text);
+  const pieces = splitIntoSentences(text, lang).flatMap(sentence =>
+    sentence.text.length > chunkSize ? splitLongSentence(text, sentence, chunkSize, spans) : [sentence]
+  );
+
+  // Набираем в часть столько предложений, сколько помещается вместе с разделителями между ними
+  const chunks = [];
+  let current = null;
+
+  for (const piece of pieces) {
+    if (current && piece.end - current.start <= chunkSize) {
+      current.end = piece.end;
+      continue;
+    }
+    if (current) chunks.push(current);
+    current = { start: piece.start, end: piece.end };
+  }
+  if (current) chunks.push(current);
+
+  return chunks.map(chunk => ({ text: text.substring(chunk.start, chunk.end), start: chunk.start, end: chunk.end }));
+}
+
+/**
+ * Режет слишком длинное предложение по запятым и пробелам, не заходя внутрь URL и кода
+ */
+function splitLongSentence(text, sentence, chunkSize, spans) {
+  const pieces = [];
+  let start = sentence.start;
+
+  while (sentence.end - start > chunkSize) {
+    const limit = start + chunkSize;
+    const searchStart = start + Math.floor(chunkSize / 2);
+    const searchText = text.substring(searchStart, limit);
+    // Без знаков препинания (китайский, японский) режем по длине
+    let cut = limit;
+
+    for (const separator of CLAUSE_SEPARATORS) {
+      const index = searchText.lastIndexOf(separator);
+      if (index !== -1) {
+        cut = searchStart + index + separator.length;
+        break;
+      }
+    }
+
+    const span = spans.find(([spanStart, spanEnd]) => spanStart < cut && cut < spanEnd);
+    if (span) {
+      cut = span[0] > start ? span[0] : span[1];
+    }
+
+    // Не разрываем суррогатную пару (эмодзи, редкие иероглифы)
+    if (/[\uDC00-\uDFFF]/.test(text[cut])) cut--;
+
+    pushTrimmed(pieces, text, start, cut);
+    start = cut;
+  }
+
+  pushTrimmed(pieces, text, start, sentence.end);
+  return pieces;
+}
+
+// Пробелы по краям не отправляем на перевод, они останутся между частями
+function pushTrimmed(pieces, text, start, end) {
+  const raw = text.substring(start, end);
+  const core = raw.trim();
+  if (!core) return;
+
+  const coreStart = start + raw.indexOf(core);
+  pieces.push({ text: core, start: coreStart, end: coreStart + core.length });
+}
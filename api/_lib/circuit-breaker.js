@@ -0,0 +1,90 @@
+/**
+ * Учет состояния upstream сервисов перевода (circuit breaker)
+ *
+ * После FAILURE_THRESHOLD ошибок подряд endpoint исключается из ротации на время COOLDOWN.
+ * По истечении паузы он снова получает один пробный запрос: успех возвращает его в ротацию,
+ * ошибка сразу снова выключает. Пока пробный запрос не завершен, остальные запросы к endpoint
+ * не отправляются; зависшая проба (ни успеха, ни ошибки) освобождается через COOLDOWN.
+ * Состояние хранится в памяти экземпляра функции, поэтому передавать сюда можно только настроенные endpoints, а не адреса из запросов.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+export class CircuitBreaker {
+  constructor({ failureThreshold = 3, cooldown = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldown = cooldown;
+    this.states = new Map();
+  }
+
+  getState(endpoint) {
+    if (!this.states.has(endpoint)) {
+      this.states.set(endpoint, { failures: 0, openedUntil: 0, probeUntil: 0 });
+    }
+    return this.states.get(endpoint);
+  }
+
+  // Пауза закончилась, но endpoint еще не подтвердил работу пробным запросом
+  isHalfOpen(state, now = Date.now()) {
+    return state.failures >= this.failureThreshold && state.openedUntil <= now;
+  }
+
+  isAvailable(endpoint) {
+    const state = this.getState(endpoint);
+    const now = Date.now();
+    if (state.openedUntil > now) return false;
+    return !(this.isHalfOpen(state, now) && state.probeUntil > now);
+  }
+
+  /**
+   * Вызывается перед отправкой запроса. Для endpoint после паузы запрос становится пробным
+   * @returns {boolean} false - пробный запрос к endpoint уже выполняется
+   */
+  acquire(endpoint) {
+    const state = this.getState(endpoint);
+    const now = Date.now();
+    if (!this.isHalfOpen(state, now)) return true;
+    if (state.probeUntil > now) return false;
+
+    state.probeUntil = now + this.cooldown;
+    return true;
+  }
+
+  recordSuccess(endpoint) {
+    const state = this.getState(endpoint);
+    if (state.failures >= this.failureThreshold) {
+      console.log(`🟢 Endpoint снова доступен: ${endpoint}`);
+    }
+    state.failures = 0;
+    state.openedUntil = 0;
+    state.probeUntil = 0;
+  }
+
+  recordFailure(endpoint) {
+    const state = this.getState(endpoint);
+    state.failures++;
+    state.probeUntil = 0;
+
+    if (state.failures >= this.failureThreshold) {
+      state.openedUntil = Date.now() + this.cooldown;
+      console.log(`🔴 Endpoint отключен на ${this.cooldown / 1000}с после ${state.failures} ошибок подряд: ${endpoint}`);
+    }
+  }
+
+  /**
+   * Оставляет доступные endpoints в исходном порядке.
+   * Если недоступны все, возвращает тот, чья пауза закончится раньше, - лучше попробовать, чем сразу отказать
+   */
+  selectEndpoints(endpoints) {
+    const available = endpoints.filter(endpoint => this.isAvailable(endpoint));
+    if (available.length > 0 || endpoints.length === 0) {
+      return available;
+    }
+
+    const soonest = endpoints.reduce((best, endpoint) =>
+      this.getState(endpoint).openedUntil < this.getState(best).openedUntil ? endpoint : best
+    );
+    return [soonest];
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Извлечение текста из загруженных документов
+ * Выбирает обработчик по типу файла (txt, rtf, docx, doc, pdf) или файла локализации
+ * (json, yaml, po, xliff, android - ресурсы Android, strings - ресурсы iOS), субтитров (srt, vtt),
+ * таблиц (csv, tsv, xlsx), книг (epub) и других XML документов (xml)
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { extractTxtText } from './formats/txt.js';
+import { extractRtfText } from './formats/rtf.js';
+import { extractDocxText } from './formats/docx.js';
+import { extractDocText } from './formats/doc.js';
+import { extractPdfText } from './formats/pdf.js';
+import { extractJsonText } from './formats/json.js';
+import { extractYamlText } from './formats/yaml.js';
+import { extractPoText } from './formats/po.js';
+import { extractXliffText } from './formats/xliff.js';
+import { extractAndroidStringsText } from './formats/android-strings.js';
+import { extractIosStringsText } from './formats/ios-strings.js';
+import { extractXmlText } from './formats/xml.js';
+import { extractSubtitleText } from './formats/subtitles.js';
+import { extractCsvText } from './formats/csv.js';
+import { extractXlsxText } from './formats/xlsx.js';
+import { extractEpubText } from './formats/epub.js';
+import { decodeText } from './formats/txt.js';
+import { getRootElement } from './xml.js';
+
+const EXTRACTORS = {
+  txt: extractTxtText,
+  rtf: extractRtfText,
+  docx: extractDocxText,
+  doc: extractDocText,
+  pdf: extractPdfText,
+  json: extractJsonText,
+  yaml: extractYamlText,
+  po: extractPoText,
+  xliff: extractXliffText,
+  android: extractAndroidStringsText,
+  strings: extractIosStringsText,
+  srt: extractSubtitleText,
+  vtt: extractSubtitleText,
+  csv: extractCsvText,
+  tsv: extractCsvText,
+  xlsx: extractXlsxText,
+  epub: extractEpubText,
+  xml: extractXmlText
+};
+
+// Другие расширения тех же форматов
+const EXTENSION_ALIASES = {
+  arb: 'json',
+  yml: 'yaml',
+  pot: 'po',
+  xlf: 'xliff'
+};
+
+// Корневой элемент XML файла -> тип документа, остальной XML переводится как разметка
+const XML_ROOT_TYPES = {
+  resources: 'android',
+  xliff: 'xliff'
+};
+
+/**
+ * Определяет тип документа по MIME типу и расширению имени файла,
+ * XML файл (.xml, application/xml) - по корневому элементу
+ * @param {Buffer} [buffer] - содержимое файла
+ * @returns {string|null} ключ EXTRACTORS (txt, docx, po ...) или null
+ */
+export function detectDocumentType(fileName, mimeType, supportedTypes, buffer) {
+  const name = (fileName || '').split('.').pop().toLowerCase();
+  const extension = EXTENSION_ALIASES[name] || name;
+  const type = EXTRACTORS[extension] ? extension : supportedTypes[mimeType] || null;
+
+  if (type === 'xml' && buffer) {
+    return XML_ROOT_TYPES[getRootElement(decodeText(buffer))] || 'xml';
+  }
+
+  return type;
+}
+
+/**
+ * Извлекает текст документа заданного типа
+ */
+export function extractText(buffer, type) {
+  const extractor = EXTRACTORS[type];
+
+  if (!extractor) {
+    throw new Error(`Неподдерживаемый тип документа: ${type}`);
+  }
+
+  return extractor(buffer);
+}
@@ -0,0 +1,196 @@
+/**
+ * Чтение и перевод ресурсов Android (res/values/strings.xml)
+ * Переводятся <string>, элементы <string-array> и <plurals>. Ресурсы с translatable="false"
+ * и строки с CDATA не меняются. Набор <item quantity> в <plurals> строится по правилам
+ * целевого языка, экранирование Android (\', \", \n, \@) восстанавливается после перевода.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { decodeText } from './txt.js';
+import { decodeXmlEntities } from '../xml.js';
+import { translateMessages, toLocaleCode } from '../messages.js';
+import { getPluralRules } from '../plurals.js';
+
+export const ANDROID_STRINGS_MIME_TYPE = 'application/xml';
+
+// Комментарий, пустой ресурс <string/> или ресурс с содержимым
+// После имени тега - пробел, > или /: иначе <string-array> читался бы как <string>
+const RESOURCE_PATTERN = /<!--[\s\S]*?-->|<(?:string|string-array|plurals)(?=[\s>\/])[^>]*\/>|<(string|string-array|plurals)(?=[\s>\/])([^>]*)>([\s\S]*?)<\/\1>/g;
+const ITEM_PATTERN = /<item\b([^>]*)>([\s\S]*?)<\/item>/g;
+const TAG_PATTERN = /(<[^>]*>|&(?:#\d+|#x[0-9a-fA-F]+|[a-zA-Z]\w*);)/;
+
+/**
+ * Извлекает переводимые строки ресурсов
+ */
+export function extractAndroidStringsText(buffer) {
+  return locateValues(readResources(buffer))
+    .map(value => decodeXmlEntities(value.message.replace(/<[^>]*>/g, '')))
+    .join('\n');
+}
+
+/**
+ * Переводит файл strings.xml
+ * @param {Buffer} buffer - исходный файл
+ * @param {function(string[]): Promise<string[]>} translateSegments - переводит массив сегментов
+ * @param {{targetLang: string}} options
+ * @returns {Promise<{buffer: Buffer, translatedText: string}>}
+ */
+export async function translateAndroidStrings(buffer, translateSegments, { targetLang }) {
+  const xml = readResources(buffer);
+  const values = locateValues(xml);
+  const translations = await translateMessages(values.map(value => value.message), translateSegments, { targetLang });
+  values.forEach((value, index) => {
+    value.translation = encodeAndroid(translations[index], value.quoted);
+  });
+
+  const categories = getPluralRules(targetLang).categories;
+  let result = '';
+  let position = 0;
+
+  for (const resource of groupResources(values)) {
+    result += xml.substring(position, resource.start);
+
+    if (resource.plurals) {
+      // Формы целевого языка: та же категория исходника или other
+      const items = new Map(resource.values.map(value => [value.quantity, value.translation]));
+      const fallback = items.get('other') ?? resource.values[resource.values.length - 1].translation;
+      result += categories
+        .map(category => `${resource.indent}<item quantity="${category}">${items.get(category) ?? fallback}</item>`)
+        .join('') + resource.closing;
+    } else {
+      let inner = resource.start;
+      for (const value of resource.values) {
+        result += xml.substring(inner, value.start) + value.translation;
+        inner = value.end;
+      }
+      result += xml.substring(inner, resource.end);
+    }
+    position = resource.end;
+  }
+  result += xml.substring(position);
+
+  result = result.replace(/<resources\b[^>]*>/, tag =>
+    tag.replace(/(\stools:locale\s*=\s*)(["'])[^"']*\2/, `$1"${toLocaleCode(targetLang)}"`)
+  );
+
+  return {
+    buffer: Buffer.from(result, 'utf8'),
+    translatedText: translations.join('\n')
+  };
+}
+
+function readResources(buffer) {
+  const xml = decodeText(buffer);
+  if (!/<resources\b/.test(xml)) {
+    throw new Error('Файл не является ресурсами Android: отсутствует элемент <resources>');
+  }
+  return xml;
+}
+
+/**
+ * Находит значения для перевода с позициями в тексте
+ * resource - границы ресурса, для <plurals> значения заменяются вместе с содержимым
+ */
+function locateValues(xml) {
+  const values = [];
+  let match;
+
+  RESOURCE_PATTERN.lastIndex = 0;
+  while ((match = RESOURCE_PATTERN.exec(xml)) !== null) {
+    const [whole, type, attributes, content] = match;
+    if (!type || /\stranslatable\s*=\s*["']false["']/.test(attributes)) continue;
+
+    const contentStart = match.index + whole.indexOf('>') + 1;
+    const resource = { start: match.index, end: RESOURCE_PATTERN.lastIndex };
+
+    if (type === 'string') {
+      addValue(values, resource, contentStart, content);
+      continue;
+    }
+
+    if (type === 'plurals') {
+      const firstItem = content.search(/<item\b/);
+      if (firstItem === -1) continue;
+      Object.assign(resource, {
+        plurals: true,
+        start: contentStart,
+        end: contentStart + content.length,
+        indent: content.slice(0, firstItem).match(/\s*$/)[0],
+        closing: content.match(/\s*$/)[0]
+      });
+    }
+
+    let item;
+    ITEM_PATTERN.lastIndex = 0;
+    while ((item = ITEM_PATTERN.exec(content)) !== null) {
+      const itemStart = contentStart + item.index + item[0].indexOf('>') + 1;
+      const quantity = item[1].match(/\squantity\s*=\s*["']([^"']*)["']/)?.[1];
+      addValue(values, resource, itemStart, item[2], quantity);
+    }
+  }
+
+  return values;
+}
+
+function addValue(values, resource, start, content, quantity) {
+  // CDATA оставляем как есть
+  if (content.includes('<![CDATA[')) return;
+
+  const quoted = content.length >= 2 && content.startsWith('"') && content.endsWith('"');
+  values.push({
+    resource,
+    start,
+    end: start + content.length,
+    message: decodeAndroid(quoted ? content.slice(1, -1) : content),
+    quoted,
+    quantity
+  });
+}
+
+/**
+ * Значения по ресурсам в порядке следования
+ */
+function groupResources(values) {
+  const resources = [];
+  for (const value of values) {
+    if (resources[resources.length - 1]?.source !== value.resource) {
+      resources.push({ ...value.resource, source: value.resource, values: [] });
+    }
+    resources[resources.length - 1].values.push(value);
+  }
+  return resources;
+}
+
+/**
+ * Снимает экранирование Android: \' \" \@ \? \\ \n \t \uXXXX
+ * Теги и XML сущности остаются в строке и при переводе заменяются метками
+ */
+function decodeAndroid(text) {
+  const escapes = { n: '\n', t: '\t' };
+  return text.replace(/\\(?:u([0-9a-fA-F]{4})|(.))/g, (match, code, char) =>
+    code ? String.fromCharCode(parseInt(code, 16)) : escapes[char] ?? char
+  );
+}
+
+/**
+ * Экранирует перевод для strings.xml, не трогая теги и сущности
+ */
+function encodeAndroid(text, quoted) {
+  const encoded = text.split(TAG_PATTERN).map((part, index) => {
+    if (index % 2 === 1) return part;
+    return part
+      .replace(/\\/g, '\\\\')
+      .replace(/'/g, "\\'")
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n')
+      .replace(/\t/g, '\\t')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;');
+  }).join('');
+
+  if (quoted) return `"${encoded}"`;
+  // @ и ? в начале строки Android читает как ссылку на ресурс
+  return encoded.replace(/^[@?]/, '\\$&');
+}
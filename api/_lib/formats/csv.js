@@ -0,0 +1,169 @@
+/**
+ * Чтение и перевод таблиц CSV и TSV
+ * Разделитель (запятая, точка с запятой, табуляция) определяется по первой строке.
+ * Ячейки, которые не переводятся, записываются в исходном виде, вместе с кавычками.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { decodeText } from './txt.js';
+import { translateMessages } from '../messages.js';
+import { describeColumns, selectColumns, translatedColumnName } from '../spreadsheet.js';
+
+export const CSV_MIME_TYPE = 'text/csv';
+export const TSV_MIME_TYPE = 'text/tab-separated-values';
+
+const DELIMITERS = ['\t', ';', ','];
+
+/**
+ * Извлекает текст текстовых столбцов
+ */
+export function extractCsvText(buffer) {
+  const table = parseTable(buffer);
+  const values = table.rows.map(row => row.map(field => field.value));
+  const indexes = selectColumns(describeColumns(values), null);
+  return values.flatMap(row => indexes.map(index => row[index]).filter(Boolean)).join('\n');
+}
+
+/**
+ * Описание столбцов для выбора пользователем (см. describeColumns)
+ */
+export function describeCsv(buffer) {
+  return describeColumns(parseTable(buffer).rows.map(row => row.map(field => field.value)));
+}
+
+/**
+ * Переводит выбранные столбцы таблицы
+ * @param {Buffer} buffer - исходный файл
+ * @param {function(string[]): Promise<string[]>} translateSegments - переводит массив сегментов
+ * @param {{targetLang: string, spreadsheet?: {columns: string[]|null, layout: string}}} options
+ *   layout sheets для CSV невозможен и работает как file
+ * @returns {Promise<{buffer: Buffer, translatedText: string}>}
+ */
+export async function translateCsv(buffer, translateSegments, { targetLang, spreadsheet }) {
+  const { columns = null, layout = 'columns' } = spreadsheet || {};
+  const table = parseTable(buffer);
+  const values = table.rows.map(row => row.map(field => field.value));
+  const indexes = selectColumns(describeColumns(values), columns);
+
+  if (indexes.length === 0) {
+    throw new Error('Не выбраны столбцы для перевода');
+  }
+
+  const [header, ...data] = table.rows;
+  const cells = data.flatMap(row => indexes.map(index => row[index]?.value ?? ''));
+  const translations = await translateMessages(cells, translateSegments);
+  const width = values.reduce((max, row) => Math.max(max, row.length), 0);
+  const format = value => formatField(value, table.delimiter);
+
+  const lines = table.rows.map((row, rowIndex) => {
+    const fields = row.map(field => field.raw);
+    const empty = row.length === 1 && row[0].raw === '';
+
+    if (rowIndex === 0) {
+      if (layout === 'columns') {
+        fields.push(...Array(width - fields.length).fill(''), ...indexes.map(index =>
+          format(translatedColumnName(header[index]?.value || '', targetLang))
+        ));
+      }
+      return fields.join(table.delimiter);
+    }
+
+    // Пустые строки оставляем пустыми
+    if (empty) return '';
+
+    const rowTranslations = translations.slice((rowIndex - 1) * indexes.length, rowIndex * indexes.length);
+    if (layout === 'columns') {
+      fields.push(...Array(width - fields.length).fill(''), ...rowTranslations.map(format));
+    } else {
+      indexes.forEach((index, position) => {
+        if (index < fields.length && row[index].value !== rowTranslations[position]) {
+          fields[index] = format(rowTranslations[position]);
+        }
+      });
+    }
+    return fields.join(table.delimiter);
+  });
+
+  const text = lines.join(table.newline) + (table.trailingNewline ? table.newline : '');
+
+  return {
+    buffer: Buffer.concat([table.bom ? Buffer.from([0xef, 0xbb, 0xbf]) : Buffer.alloc(0), Buffer.from(text, 'utf8')]),
+    translatedText: translations.filter(Boolean).join('\n')
+  };
+}
+
+/**
+ * Разбирает таблицу: для каждой ячейки исходный текст (raw) и значение (value)
+ */
+function parseTable(buffer) {
+  const text = decodeText(buffer);
+  const newline = text.includes('\r\n') ? '\r\n' : '\n';
+  const source = text.replace(/\r\n?/g, '\n');
+  const trailingNewline = source.endsWith('\n');
+  const body = trailingNewline ? source.slice(0, -1) : source;
+  const delimiter = detectDelimiter(body);
+
+  const rows = [];
+  let row = [];
+  let position = 0;
+
+  while (position <= body.length) {
+    const start = position;
+    let value;
+
+    if (body[position] === '"') {
+      // Ячейка в кавычках: "" внутри - кавычка, может содержать переводы строк
+      value = '';
+      position++;
+      while (position < body.length) {
+        if (body[position] === '"') {
+          if (body[position + 1] === '"') {
+            value += '"';
+            position += 2;
+            continue;
+          }
+          position++;
+          break;
+        }
+        value += body[position++];
+      }
+      // Текст после закрывающей кавычки до разделителя - часть значения
+      while (position < body.length && body[position] !== delimiter && body[position] !== '\n') {
+        value += body[position++];
+      }
+    } else {
+      while (position < body.length && body[position] !== delimiter && body[position] !== '\n') position++;
+      value = body.slice(start, position);
+    }
+
+    row.push({ raw: body.slice(start, position), value });
+
+    if (body[position] === delimiter) {
+      position++;
+      continue;
+    }
+    rows.push(row);
+    row = [];
+    position++;
+  }
+
+  return { rows, delimiter, newline, trailingNewline, bom: buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf };
+}
+
+/**
+ * Разделитель, который чаще всего встречается в первой строке вне кавычек
+ */
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, 65536).replace(/"(?:[^"]|"")*"/g, '').split('\n')[0];
+  const counts = DELIMITERS.map(delimiter => firstLine.split(delimiter).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+  return counts[best] > 0 ? DELIMITERS[best] : ',';
+}
+
+function formatField(value, delimiter) {
+  return value.includes(delimiter) || /["\r\n]/.test(value) || /^\s|\s$/.test(value)
+    ? `"${value.replace(/"/g, '""')}"`
+    : value;
+}
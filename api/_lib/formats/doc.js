@@ -0,0 +1,235 @@
+/**
+ * Чтение документов Word 97-2003 (.doc)
+ * Документ хранится в составном файле OLE (CFB), текст собирается по таблице фрагментов
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+const CFB_SIGNATURE = 'd0cf11e0a1b11ae1';
+const END_OF_CHAIN = 0xfffffffe;
+const FREE_SECTOR = 0xffffffff;
+const WORD_IDENTIFIER = 0xa5ec;
+
+const windows1252 = new TextDecoder('windows-1252');
+
+/**
+ * Читает потоки составного файла OLE
+ * @returns {Map<string, Buffer>} имя потока -> содержимое
+ */
+function readCompoundFile(buffer) {
+  if (buffer.length < 512 || buffer.toString('hex', 0, 8) !== CFB_SIGNATURE) {
+    throw new Error('Файл не является документом Word 97-2003');
+  }
+
+  const sectorSize = 1 << buffer.readUInt16LE(0x1e);
+  const miniSectorSize = 1 << buffer.readUInt16LE(0x20);
+  const directoryStart = buffer.readUInt32LE(0x30);
+  const miniStreamCutoff = buffer.readUInt32LE(0x38);
+  const miniFatStart = buffer.readUInt32LE(0x3c);
+  let difatSector = buffer.readUInt32LE(0x44);
+  const difatCount = buffer.readUInt32LE(0x48);
+
+  const sectorOffset = sector => (sector + 1) * sectorSize;
+
+  // Собираем список секторов FAT из заголовка и цепочки DIFAT
+  const fatSectors = [];
+  for (let i = 0; i < 109; i++) {
+    const sector = buffer.readUInt32LE(0x4c + i * 4);
+    if (sector !== FREE_SECTOR) fatSectors.push(sector);
+  }
+  for (let i = 0; i < difatCount && difatSector !== END_OF_CHAIN && difatSector !== FREE_SECTOR; i++) {
+    const offset = sectorOffset(difatSector);
+    const perSector = sectorSize / 4 - 1;
+    for (let j = 0; j < perSector; j++) {
+      const sector = buffer.readUInt32LE(offset + j * 4);
+      if (sector !== FREE_SECTOR) fatSectors.push(sector);
+    }
+    difatSector = buffer.readUInt32LE(offset + perSector * 4);
+  }
+
+  const fat = [];
+  for (const sector of fatSectors) {
+    const offset = sectorOffset(sector);
+    for (let i = 0; i < sectorSize / 4 && offset + i * 4 + 4 <= buffer.length; i++) {
+      fat.push(buffer.readUInt32LE(offset + i * 4));
+    }
+  }
+
+  const readChain = (start, table, readSector) => {
+    const parts = [];
+    const seen = new Set();
+    for (let sector = start; sector !== END_OF_CHAIN && sector < table.length && !seen.has(sector); sector = table[sector]) {
+      seen.add(sector);
+      parts.push(readSector(sector));
+    }
+    return Buffer.concat(parts);
+  };
+
+  const readSector = sector => buffer.subarray(sectorOffset(sector), sectorOffset(sector) + sectorSize);
+  const directory = readChain(directoryStart, fat, readSector);
+
+  const entries = [];
+  for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+    const nameLength = directory.readUInt16LE(offset + 0x40);
+    entries.push({
+      name: directory.toString('utf16le', offset, offset + Math.max(0, nameLength - 2)),
+      type: directory[offset + 0x42],
+      start: directory.readUInt32LE(offset + 0x74),
+      size: directory.readUInt32LE(offset + 0x78)
+    });
+  }
+
+  const root = entries[0];
+  const miniStream = root ? readChain(root.start, fat, readSector) : Buffer.alloc(0);
+  const miniFatBuffer = readChain(miniFatStart, fat, readSector);
+  const miniFat = [];
+  for (let i = 0; i + 4 <= miniFatBuffer.length; i += 4) {
+    miniFat.push(miniFatBuffer.readUInt32LE(i));
+  }
+  const readMiniSector = sector => miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize);
+
+  const streams = new Map();
+  for (const entry of entries) {
+    // Тип 2 - поток
+    if (entry.type !== 2) continue;
+    const data = entry.size < miniStreamCutoff
+      ? readChain(entry.start, miniFat, readMiniSector)
+      : readChain(entry.start, fat, readSector);
+    streams.set(entry.name, data.subarray(0, entry.size));
+  }
+
+  return streams;
+}
+
+/**
+ * Извлекает основной текст документа Word 97-2003
+ */
+export function extractDocText(buffer) {
+  const streams = readCompoundFile(buffer);
+  const wordDocument = streams.get('WordDocument');
+
+  if (!wordDocument || wordDocument.readUInt16LE(0) !== WORD_IDENTIFIER) {
+    throw new Error('Поток WordDocument не найден или поврежден');
+  }
+
+  const flags = wordDocument.readUInt16LE(0x0a);
+  if (flags & 0x0100) {
+    throw new Error('Зашифрованные документы Word не поддерживаются');
+  }
+
+  const tableStream = streams.get(flags & 0x0200 ? '1Table' : '0Table');
+  if (!tableStream) {
+    throw new Error('Таблица документа Word не найдена');
+  }
+
+  // ccpText - количество символов основного текста (без колонтитулов и сносок)
+  const mainTextLength = wordDocument.readUInt32LE(0x4c);
+  const clxOffset = wordDocument.readUInt32LE(0x1a2);
+  const clxLength = wordDocument.readUInt32LE(0x1a6);
+  const clx = tableStream.subarray(clxOffset, clxOffset + clxLength);
+
+  const pieces = readPieceTable(clx);
+  let text = '';
+
+  for (const piece of pieces) {
+    if (piece.cpStart >= mainTextLength) break;
+    const length = Math.min(piece.cpEnd, mainTextLength) - piece.cpStart;
+
+    if (piece.compressed) {
+      text += windows1252.decode(wordDocument.subarray(piece.fc, piece.fc + length));
+    } else {
+      text += wordDocument.toString('utf16le', piece.fc, piece.fc + length * 2);
+    }
+  }
+
+  return cleanWordText(text);
+}
+
+function readPieceTable(clx) {
+  let offset = 0;
+
+  // Пропускаем Prc блоки с форматированием
+  while (offset < clx.length && clx[offset] === 0x01) {
+    offset += 3 + clx.readUInt16LE(offset + 1);
+  }
+
+  if (clx[offset] !== 0x02) {
+    throw new Error('Таблица фрагментов документа Word не найдена');
+  }
+
+  const plcLength = clx.readUInt32LE(offset + 1);
+  const plc = clx.subarray(offset + 5, offset + 5 + plcLength);
+  // PlcPcd: (n + 1) позиций CP по 4 байта и n описателей PCD по 8 байт
+  const count = (plc.length - 4) / 12;
+  const pieces = [];
+
+  for (let i = 0; i < count; i++) {
+    const cpStart = plc.readUInt32LE(i * 4);
+    const cpEnd = plc.readUInt32LE((i + 1) * 4);
+    const fcValue = plc.readUInt32LE((count + 1) * 4 + i * 8 + 2);
+    const compressed = (fcValue & 0x40000000) !== 0;
+    const fc = fcValue & 0x3fffffff;
+
+    pieces.push({
+      cpStart,
+      cpEnd,
+      compressed,
+      fc: compressed ? fc / 2 : fc
+    });
+  }
+
+  return pieces;
+}
+
+/**
+ * Заменяет служебные символы Word на обычные разрывы и убирает коды полей
+ */
+function cleanWordText(text) {
+  let result = '';
+  // Стек полей: true - идет код поля (до разделителя 0x14)
+  const fields = [];
+
+  for (const char of text) {
+    switch (char) {
+      case '\x13':
+        fields.push(true);
+        continue;
+      case '\x14':
+        if (fields.length) fields[fields.length - 1] = false;
+        continue;
+      case '\x15':
+        fields.pop();
+        continue;
+    }
+
+    if (fields.includes(true)) continue;
+
+    switch (char) {
+      case '\r':
+      case '\x0b':
+      case '\x0c':
+        result += '\n';
+        break;
+      case '\x07':
+        // Конец ячейки таблицы
+        result += '\t';
+        break;
+      case '\x1e':
+        result += '-';
+        break;
+      case '\x1f':
+        break;
+      default:
+        if (char >= ' ' || char === '\t' || char === '\n') {
+          result += char;
+        }
+    }
+  }
+
+  return result
+    .replace(/\t+\n/g, '\n')
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
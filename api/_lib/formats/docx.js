@@ -0,0 +1,228 @@
+/**
+ * Чтение и перевод документов Word (.docx)
+ * Перевод заменяет только текстовые узлы w:t, сохраняя стили, таблицы и колонтитулы
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { readZip, writeZip, getZipEntry } from '../zip.js';
+import { decodeXmlEntities, escapeXml } from '../xml.js';
+
+export const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Части документа с переводимым текстом: тело, колонтитулы и сноски
+const TRANSLATABLE_PARTS = /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/;
+
+const TAG_PATTERN = /<(\/?)(w:p|w:t|w:tab|w:br|w:cr)(\s[^>]*?)?(\/?)>/g;
+
+/**
+ * Извлекает абзацы из XML части документа (document.xml, header1.xml ...)
+ */
+export function extractParagraphs(xml) {
+  const paragraphs = [];
+  const stack = [];
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+
+  while ((match = TAG_PATTERN.exec(xml)) !== null) {
+    const [, closing, tag, , selfClosing] = match;
+    const current = stack[stack.length - 1];
+
+    switch (tag) {
+      case 'w:p':
+        if (selfClosing) {
+          paragraphs.push('');
+        } else if (closing) {
+          paragraphs.push(stack.pop() ?? '');
+        } else {
+          stack.push('');
+        }
+        break;
+      case 'w:t':
+        if (!closing && !selfClosing && current !== undefined) {
+          const end = xml.indexOf('</w:t>', TAG_PATTERN.lastIndex);
+          if (end === -1) break;
+          stack[stack.length - 1] += decodeXmlEntities(xml.substring(TAG_PATTERN.lastIndex, end));
+          TAG_PATTERN.lastIndex = end + 6;
+        }
+        break;
+      case 'w:tab':
+        if (!closing && current !== undefined) stack[stack.length - 1] += '\t';
+        break;
+      case 'w:br':
+      case 'w:cr':
+        if (!closing && current !== undefined) stack[stack.length - 1] += '\n';
+        break;
+    }
+  }
+
+  return paragraphs;
+}
+
+/**
+ * Извлекает текст основной части документа .docx
+ */
+export function extractDocxText(buffer) {
+  const entries = readZip(buffer);
+  const documentXml = getZipEntry(entries, 'word/document.xml');
+
+  if (!documentXml) {
+    throw new Error('Файл не является документом DOCX: отсутствует word/document.xml');
+  }
+
+  return extractParagraphs(documentXml.toString('utf8'))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Находит абзацы и их текстовые узлы w:t с позициями в XML
+ */
+function locateParagraphs(xml) {
+  const pattern = /<(\/?)(w:p|w:t)(\s[^>]*?)?(\/?)>/g;
+  const paragraphs = [];
+  const stack = [];
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    const [tag, closing, name, , selfClosing] = match;
+
+    if (name === 'w:p') {
+      if (closing) {
+        const paragraph = stack.pop();
+        if (paragraph) paragraphs.push(paragraph);
+      } else if (!selfClosing) {
+        stack.push({ nodes: [] });
+      }
+      continue;
+    }
+
+    if (closing || selfClosing || stack.length === 0) continue;
+
+    const contentStart = match.index + tag.length;
+    const contentEnd = xml.indexOf('</w:t>', contentStart);
+    if (contentEnd === -1) break;
+
+    stack[stack.length - 1].nodes.push({
+      tagStart: match.index,
+      contentStart,
+      contentEnd,
+      text: decodeXmlEntities(xml.substring(contentStart, contentEnd))
+    });
+    pattern.lastIndex = contentEnd + 6;
+  }
+
+  return paragraphs
+    .map(paragraph => ({ ...paragraph, text: paragraph.nodes.map(node => node.text).join('') }))
+    .filter(paragraph => paragraph.text.trim());
+}
+
+/**
+ * Делит переведенный текст абзаца между узлами пропорционально исходной длине,
+ * стараясь резать по границам слов
+ */
+function splitByWeights(text, weights) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const lastWeighted = weights.reduce((last, weight, index) => (weight > 0 ? index : last), weights.length - 1);
+  const pieces = [];
+  let start = 0;
+  let cumulative = 0;
+
+  weights.forEach((weight, index) => {
+    if (index === lastWeighted) {
+      pieces.push(text.slice(start));
+      start = text.length;
+      return;
+    }
+    if (weight === 0 || index > lastWeighted) {
+      pieces.push('');
+      return;
+    }
+
+    cumulative += weight;
+    const end = findBreak(text, Math.round((text.length * cumulative) / total), start);
+    pieces.push(text.slice(start, end));
+    start = end;
+  });
+
+  return pieces;
+}
+
+function findBreak(text, target, min) {
+  if (target <= min) return min;
+  if (target >= text.length) return text.length;
+
+  // Ищем ближайшую границу слова, чтобы не разрывать слово между прогонами
+  for (let distance = 0; distance <= 20; distance++) {
+    if (target + distance < text.length && isWordBoundary(text, target + distance)) return target + distance;
+    if (target - distance > min && isWordBoundary(text, target - distance)) return target - distance;
+  }
+  return target;
+}
+
+function isWordBoundary(text, position) {
+  return /\s/.test(text[position - 1]) || /\s/.test(text[position]) || /[.,;:!?)\]»”]/.test(text[position - 1]);
+}
+
+function buildTextTag(xml, node) {
+  const openTag = xml.substring(node.tagStart, node.contentStart);
+  // Пробелы на границах прогонов должны сохраниться
+  return openTag.includes('xml:space=') ? openTag : openTag.replace(/^<w:t/, '<w:t xml:space="preserve"');
+}
+
+/**
+ * Переводит документ .docx, сохраняя форматирование
+ * @param {Buffer} buffer - исходный документ
+ * @param {function(string[]): Promise<string[]>} translateSegments - переводит массив абзацев
+ * @returns {Promise<{buffer: Buffer, translatedText: string}>}
+ */
+export async function translateDocx(buffer, translateSegments) {
+  const entries = readZip(buffer);
+  const parts = entries
+    .filter(entry => TRANSLATABLE_PARTS.test(entry.name))
+    .map(entry => {
+      const xml = entry.data.toString('utf8');
+      return { entry, xml, paragraphs: locateParagraphs(xml) };
+    });
+
+  if (!parts.some(part => part.entry.name === 'word/document.xml')) {
+    throw new Error('Файл не является документом DOCX: отсутствует word/document.xml');
+  }
+
+  const sourceTexts = parts.flatMap(part => part.paragraphs.map(paragraph => paragraph.text));
+  const translations = await translateSegments(sourceTexts);
+  let index = 0;
+
+  for (const part of parts) {
+    const replacements = [];
+
+    for (const paragraph of part.paragraphs) {
+      const translation = translations[index++] ?? paragraph.text;
+      const pieces = splitByWeights(translation, paragraph.nodes.map(node => node.text.length));
+      paragraph.nodes.forEach((node, nodeIndex) => {
+        replacements.push({ node, text: pieces[nodeIndex] });
+      });
+    }
+
+    // Вложенные абзацы (надписи) закрываются раньше внешних - восстанавливаем порядок в XML
+    replacements.sort((a, b) => a.node.tagStart - b.node.tagStart);
+
+    let xml = '';
+    let position = 0;
+    for (const { node, text } of replacements) {
+      xml += part.xml.substring(position, node.tagStart) + buildTextTag(part.xml, node) + escapeXml(text);
+      position = node.contentEnd;
+    }
+    xml += part.xml.substring(position);
+
+    part.entry.data = Buffer.from(xml, 'utf8');
+  }
+
+  return {
+    buffer: writeZip(entries),
+    translatedText: translations.join('\n')
+  };
+}
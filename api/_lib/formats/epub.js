@@ -0,0 +1,181 @@
+/**
+ * Чтение и перевод электронных книг EPUB 2 и 3
+ * Переводятся XHTML документы из spine (главы) и оглавление: документ навигации nav (EPUB 3)
+ * и метки toc.ncx (EPUB 2). Манифест, стили, изображения, шрифты и разметка глав не меняются,
+ * в метаданных dc:language и атрибутах lang документов указывается целевой язык.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import { readZip, writeZip, getZipEntry } from '../zip.js';
+import { decodeXmlEntities, getTagAttribute, setTagAttribute } from '../xml.js';
+import { parseMarkup, renderSegments, restoreSegment } from '../markup.js';
+import { toLocaleCode } from '../messages.js';
+import { isRtlLanguage } from '../languages.js';
+import { decodeText } from './txt.js';
+
+export const EPUB_MIME_TYPE = 'application/epub+zip';
+
+const XHTML_TYPES = ['application/xhtml+xml', 'text/html'];
+const NCX_TYPE = 'application/x-dtbncx+xml';
+
+// Метка пункта оглавления NCX: <navLabel><text>Глава 1</text></navLabel>
+const NCX_LABEL_PATTERN = /<navLabel\b[^>]*>\s*<text\b[^>]*>([\s\S]*?)<\/text>/g;
+
+/**
+ * Извлекает текст глав в порядке чтения
+ */
+export function extractEpubText(buffer) {
+  return readBook(buffer).documents
+    .filter(document => document.spine)
+    .map(document => document.segments.map(segment => toPlainText(segment.text, segment)).join('\n'))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Переводит книгу EPUB, сохраняя структуру архива
+ * @param {Buffer} buffer - исходная книга
+ * @param {function(string[]): Promise<string[]>} translateSegments - переводит массив сегментов
+ * @param {{targetLang: string}} options
+ * @returns {Promise<{buffer: Buffer, translatedText: string}>}
+ */
+export async function translateEpub(buffer, translateSegments, { targetLang }) {
+  const book = readBook(buffer);
+  const locale = toLocaleCode(targetLang);
+  const rtl = isRtlLanguage(targetLang);
+
+  const texts = book.documents.flatMap(document => document.segments.map(segment => segment.text));
+  const translations = texts.length > 0 ? await translateSegments(texts) : [];
+  const chapters = [];
+
+  let index = 0;
+  for (const document of book.documents) {
+    const documentTranslations = translations.slice(index, index + document.segments.length);
+    index += document.segments.length;
+
+    let text = renderSegments(document.text, document.segments, documentTranslations);
+    if (document.type !== 'ncx') {
+      text = text.replace(/<html\b[^>]*>/, tag => setDirection(
+        setTagAttribute(setTagAttribute(tag, 'xml:lang', locale), 'lang', locale), 'dir', rtl
+      ));
+    }
+    document.entry.data = Buffer.from(text, 'utf8');
+
+    if (document.spine) {
+      chapters.push(document.segments.map((segment, i) => toPlainText(documentTranslations[i], segment)).join('\n'));
+    }
+  }
+
+  // Язык книги и направление листания
+  const opf = book.opf.text
+    .replace(/(<dc:language\b[^>]*>)[\s\S]*?(<\/dc:language>)/, `$1${locale}$2`)
+    .replace(/<package\b[^>]*>/, tag => getTagAttribute(tag, 'xml:lang') !== null ? setTagAttribute(tag, 'xml:lang', locale) : tag)
+    .replace(/<spine\b[^>]*>/, tag => setDirection(tag, 'page-progression-direction', rtl));
+  book.opf.entry.data = Buffer.from(opf, 'utf8');
+
+  return {
+    buffer: writeZip(book.entries),
+    translatedText: chapters.filter(Boolean).join('\n\n')
+  };
+}
+
+/**
+ * Читает архив: файл пакета (.opf) и документы для перевода в порядке spine,
+ * затем оглавление, если его нет в spine
+ */
+function readBook(buffer) {
+  const entries = readZip(buffer);
+  const container = getZipEntry(entries, 'META-INF/container.xml')?.toString('utf8');
+
+  if (!container) {
+    throw new Error('Файл не является книгой EPUB: отсутствует META-INF/container.xml');
+  }
+
+  const rootfile = container.match(/<rootfile\b[^>]*>/)?.[0];
+  const opfPath = rootfile && decodeXmlEntities(getTagAttribute(rootfile, 'full-path') || '');
+  const opfEntry = entries.find(entry => entry.name === opfPath);
+
+  if (!opfEntry) {
+    throw new Error('Некорректная книга EPUB: не найден файл пакета (.opf)');
+  }
+
+  const opfText = decodeText(opfEntry.data);
+  const baseDir = path.posix.dirname(opfPath);
+
+  const manifest = new Map([...opfText.matchAll(/<item\b[^>]*>/g)].map(([tag]) => {
+    const href = decodeXmlEntities(getTagAttribute(tag, 'href') || '');
+    return [getTagAttribute(tag, 'id'), {
+      path: resolveHref(baseDir, href),
+      mediaType: getTagAttribute(tag, 'media-type'),
+      properties: (getTagAttribute(tag, 'properties') || '').split(/\s+/)
+    }];
+  }));
+
+  const spine = [...opfText.matchAll(/<itemref\b[^>]*>/g)]
+    .map(([tag]) => manifest.get(getTagAttribute(tag, 'idref')))
+    .filter(item => item && XHTML_TYPES.includes(item.mediaType));
+  const nav = [...manifest.values()].find(item => item.properties.includes('nav'));
+  const spineTag = opfText.match(/<spine\b[^>]*>/)?.[0] || '';
+  const ncx = manifest.get(getTagAttribute(spineTag, 'toc')) || [...manifest.values()].find(item => item.mediaType === NCX_TYPE);
+
+  const items = [
+    ...spine.map(item => ({ item, type: 'html', spine: true })),
+    ...(nav ? [{ item: nav, type: 'html', spine: false }] : []),
+    ...(ncx ? [{ item: ncx, type: 'ncx', spine: false }] : [])
+  ];
+
+  const seen = new Set();
+  const documents = items.flatMap(({ item, type, spine: inSpine }) => {
+    const entry = entries.find(candidate => candidate.name === item.path);
+    if (!entry || seen.has(item.path)) return [];
+    seen.add(item.path);
+
+    const text = decodeText(entry.data);
+    const segments = type === 'ncx' ? parseNcxLabels(text) : parseMarkup(text, 'html');
+    return [{ entry, text, type, spine: inSpine, segments }];
+  });
+
+  return { entries, opf: { entry: opfEntry, text: opfText }, documents };
+}
+
+/**
+ * Сегменты меток оглавления NCX с позициями во всем файле
+ */
+function parseNcxLabels(text) {
+  return [...text.matchAll(NCX_LABEL_PATTERN)].flatMap(match => {
+    const offset = match.index + match[0].length - '</text>'.length - match[1].length;
+    return parseMarkup(match[1], 'xml').map(segment => ({
+      ...segment,
+      start: segment.start + offset,
+      end: segment.end + offset
+    }));
+  });
+}
+
+/**
+ * Путь записи архива по ссылке из манифеста (относительно файла пакета)
+ */
+function resolveHref(baseDir, href) {
+  let decoded = href.split('#')[0];
+  try {
+    decoded = decodeURIComponent(decoded);
+  } catch {
+    // Некорректная %-последовательность - используем ссылку как есть
+  }
+  return path.posix.normalize(path.posix.join(baseDir, decoded)).replace(/^\.\//, '');
+}
+
+/**
+ * Направление текста: rtl для арабского и иврита; ltr, только если атрибут уже был задан
+ */
+function setDirection(tag, name, rtl) {
+  if (!rtl && getTagAttribute(tag, name) === null) return tag;
+  return setTagAttribute(tag, name, rtl ? 'rtl' : 'ltr');
+}
+
+function toPlainText(text, segment) {
+  return decodeXmlEntities(restoreSegment(text, segment).replace(/<[^>]*>/g, ''));
+}
@@ -0,0 +1,107 @@
+/**
+ * Чтение и перевод файлов локализации iOS/macOS (Localizable.strings)
+ * Формат: "ключ" = "значение"; с комментариями /* ... *\/ и //.
+ * Переводятся только значения, ключи и комментарии для переводчика сохраняются.
+ * Файлы в UTF-16 (как их сохраняет Xcode) записываются обратно в UTF-16.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { decodeText } from './txt.js';
+import { translateMessages } from '../messages.js';
+
+export const IOS_STRINGS_MIME_TYPE = 'text/plain';
+
+const TOKEN_PATTERN = /\s+|\/\*[\s\S]*?\*\/|\/\/[^\n]*|"((?:[^"\\]|\\.)*)"|[=;]|[^\s"=;]+/y;
+
+/**
+ * Извлекает значения файла .strings
+ */
+export function extractIosStringsText(buffer) {
+  return locateValues(readStrings(buffer).text)
+    .map(value => value.message)
+    .join('\n');
+}
+
+/**
+ * Переводит файл .strings, заменяя значения в исходном тексте
+ * @param {Buffer} buffer - исходный файл
+ * @param {function(string[]): Promise<string[]>} translateSegments - переводит массив сегментов
+ * @param {{targetLang: string}} options
+ * @returns {Promise<{buffer: Buffer, translatedText: string}>}
+ */
+export async function translateIosStrings(buffer, translateSegments, { targetLang }) {
+  const { text, utf16 } = readStrings(buffer);
+  const values = locateValues(text);
+  const translations = await translateMessages(values.map(value => value.message), translateSegments, { targetLang });
+
+  let result = '';
+  let position = 0;
+  values.forEach((value, index) => {
+    result += text.substring(position, value.start) + `"${escapeStrings(translations[index])}"`;
+    position = value.end;
+  });
+  result += text.substring(position);
+
+  return {
+    buffer: utf16 ? Buffer.from('\uFEFF' + result, 'utf16le') : Buffer.from(result, 'utf8'),
+    translatedText: translations.join('\n')
+  };
+}
+
+function readStrings(buffer) {
+  // UTF-16 LE с BOM - кодировка Xcode по умолчанию для старых проектов
+  if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return { text: buffer.subarray(2).toString('utf16le'), utf16: true };
+  }
+  return { text: decodeText(buffer), utf16: false };
+}
+
+/**
+ * Находит значения пар "ключ" = "значение"; с позициями в тексте
+ */
+function locateValues(text) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < text.length) {
+    TOKEN_PATTERN.lastIndex = position;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      throw new Error(`Некорректный файл .strings: незакрытая строка или комментарий (позиция ${position})`);
+    }
+    const value = match[0];
+    if (!/^\s/.test(value) && !value.startsWith('/*') && !value.startsWith('//')) {
+      tokens.push({ value, start: position, end: position + value.length, string: match[1] });
+    }
+    position += value.length;
+  }
+
+  const values = [];
+  for (let i = 0; i + 3 < tokens.length; i++) {
+    const [key, equals, value, semicolon] = tokens.slice(i, i + 4);
+    if (equals.value === '=' && semicolon.value === ';' && value.string !== undefined && key.value !== ';') {
+      values.push({ start: value.start, end: value.end, message: unescapeStrings(value.string) });
+      i += 3;
+    }
+  }
+
+  return values;
+}
+
+function unescapeStrings(text) {
+  const escapes = { n: '\n', t: '\t', r: '\r' };
+  return text.replace(/\\(?:U([0-9a-fA-F]{4})|(.))/gs, (match, code, char) =>
+    code ? String.fromCharCode(parseInt(code, 16)) : escapes[char] ?? char
+  );
+}
+
+function escapeStrings(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+}
@@ -0,0 +1,148 @@
+/**
+ * Чтение и перевод файлов локализации JSON (i18next, vue-i18n, ICU, Flutter .arb)
+ * Переводятся только строковые значения: ключи, числа, порядок и отступы файла не меняются
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { decodeText } from './txt.js';
+import { translateMessages, isLocaleKey, toLocaleCode } from '../messages.js';
+
+export const JSON_MIME_TYPE = 'application/json';
+
+const STRING_PATTERN = /"(?:[^"\\\u0000-\u001f]|\\.)*"/y;
+const LITERAL_PATTERN = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+
+/**
+ * Извлекает переводимые строки файла JSON
+ */
+export function extractJsonText(buffer) {
+  return locateStrings(parseSource(buffer))
+    .filter(node => node.translatable)
+    .map(node => node.value)
+    .join('\n');
+}
+
+/**
+ * Переводит файл JSON, заменяя строковые значения в исходном тексте
+ * @param {Buffer} buffer - исходный файл
+ * @param {function(string[]): Promise<string[]>} translateSegments - переводит массив сегментов
+ * @param {{targetLang: string}} options
+ * @returns {Promise<{buffer: Buffer, translatedText: string}>}
+ */
+export async function translateJson(buffer, translateSegments, { targetLang }) {
+  const source = parseSource(buffer);
+  const nodes = locateStrings(source);
+  const translatable = nodes.filter(node => node.translatable);
+  const translations = await translateMessages(translatable.map(node => node.value), translateSegments, { targetLang });
+  const replacements = new Map(translatable.map((node, index) => [node, translations[index]]));
+
+  let result = '';
+  let position = 0;
+
+  for (const node of nodes) {
+    // Код языка файла: "@@locale" в .arb и единственный корневой ключ { "en": { ... } }
+    const value = node.locale ? toLocaleCode(targetLang) : replacements.get(node);
+    result += source.substring(position, node.start) + JSON.stringify(value);
+    position = node.end;
+  }
+  result += source.substring(position);
+
+  // Проверяем, что результат остался корректным JSON
+  JSON.parse(result);
+
+  return {
+    buffer: Buffer.from(result, 'utf8'),
+    translatedText: translations.join('\n')
+  };
+}
+
+function parseSource(buffer) {
+  const source = decodeText(buffer);
+
+  try {
+    JSON.parse(source);
+  } catch (error) {
+    throw new Error(`Некорректный JSON: ${error.message}`);
+  }
+
+  return source;
+}
+
+/**
+ * Находит строки JSON с их позициями в тексте
+ * translatable - строковое значение для перевода (метаданные "@key" файлов .arb пропускаются),
+ * locale - код языка файла (значение "@@locale" или корневой ключ)
+ */
+function locateStrings(source) {
+  const nodes = [];
+  let position = 0;
+
+  const skipWhitespace = () => {
+    while (/\s/.test(source[position])) position++;
+  };
+
+  const readString = () => {
+    STRING_PATTERN.lastIndex = position;
+    const match = STRING_PATTERN.exec(source);
+    const node = { start: position, end: position + match[0].length, value: JSON.parse(match[0]) };
+    position = node.end;
+    return node;
+  };
+
+  const readValue = (path, depth) => {
+    skipWhitespace();
+    const char = source[position];
+
+    if (char === '{') {
+      position++;
+      const members = [];
+      for (skipWhitespace(); source[position] !== '}'; skipWhitespace()) {
+        const key = readString();
+        skipWhitespace();
+        position++; // :
+        members.push(key);
+        readValue([...path, key.value], depth + 1);
+        skipWhitespace();
+        if (source[position] === ',') position++;
+        skipWhitespace();
+      }
+      position++;
+
+      // Корневой объект из одного ключа-языка: { "en": { ... } }
+      if (depth === 0 && members.length === 1 && isLocaleKey(members[0].value)) {
+        nodes.push({ ...members[0], locale: true });
+      }
+      return;
+    }
+
+    if (char === '[') {
+      position++;
+      for (let index = 0; (skipWhitespace(), source[position] !== ']'); index++) {
+        readValue([...path, index], depth + 1);
+        skipWhitespace();
+        if (source[position] === ',') position++;
+      }
+      position++;
+      return;
+    }
+
+    if (char === '"') {
+      const node = readString();
+      const metadata = path.some(key => typeof key === 'string' && key.startsWith('@'));
+      if (path.length === 1 && path[0] === '@@locale') {
+        nodes.push({ ...node, locale: true });
+      } else if (!metadata) {
+        nodes.push({ ...node, translatable: true });
+      }
+      return;
+    }
+
+    LITERAL_PATTERN.lastIndex = position;
+    position += LITERAL_PATTERN.exec(source)[0].length;
+  };
+
+  readValue([], 0);
+  return nodes.sort((a, b) => a.start - b.start);
+}
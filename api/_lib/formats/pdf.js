@@ -0,0 +1,1096 @@
+/**
+ * Чтение и перевод PDF документов
+ * Извлекает текст страниц вместе с позициями абзацев. Перевод собирается в новый PDF:
+ * каждая исходная страница начинается с новой страницы того же размера, абзацы
+ * переносятся по ширине, крупный текст оформляется заголовками.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { inflateSync, constants as zlibConstants } from 'zlib';
+import { PdfWriter } from '../pdf-writer.js';
+import { shapeArabic, isRtlText, toVisualOrder } from '../text-shaping.js';
+import { toLocaleCode } from '../messages.js';
+
+export const PDF_MIME_TYPE = 'application/pdf';
+
+// Вёрстка переведенного PDF: межстрочный интервал и отступ после абзаца в долях кегля
+const LINE_HEIGHT = 1.35;
+const PARAGRAPH_SPACING = 0.6;
+// Абзац считается заголовком, если его кегль больше основного текста
+const HEADING_RATIO = 1.15;
+const HEADING_MAX_LENGTH = 200;
+// Знаки, с которых не начинается строка (китайский, японский)
+const NO_LINE_START = /[、。，．！？）」』】〕：；,.!?)\]}%]/;
+
+class PdfRef {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+class PdfString {
+  constructor(bytes) {
+    // Байты строки храним как latin1 строку: один символ - один байт
+    this.bytes = bytes;
+  }
+}
+
+class PdfStream {
+  constructor(dict, raw) {
+    this.dict = dict;
+    this.raw = raw;
+  }
+}
+
+class PdfOperator {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set('()<>[]{}/%'.split('').map(c => c.charCodeAt(0)));
+
+/**
+ * Лексический разбор PDF объектов и потоков содержимого
+ */
+class PdfLexer {
+  constructor(source, position = 0) {
+    this.source = source;
+    this.pos = position;
+  }
+
+  skipWhitespace() {
+    const s = this.source;
+    while (this.pos < s.length) {
+      const code = s.charCodeAt(this.pos);
+      if (WHITESPACE.has(code)) {
+        this.pos++;
+      } else if (code === 0x25) { // % комментарий до конца строки
+        while (this.pos < s.length && s[this.pos] !== '\n' && s[this.pos] !== '\r') {
+          this.pos++;
+        }
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Читает следующее значение; ключевые слова возвращаются как PdfOperator
+   */
+  readValue() {
+    this.skipWhitespace();
+    const s = this.source;
+    if (this.pos >= s.length) return undefined;
+
+    const char = s[this.pos];
+
+    if (char === '<' && s[this.pos + 1] === '<') {
+      this.pos += 2;
+      return this.readDictionary();
+    }
+    if (char === '<') return this.readHexString();
+    if (char === '(') return this.readLiteralString();
+    if (char === '/') return this.readName();
+    if (char === '[') {
+      this.pos++;
+      return this.readArray();
+    }
+    if (char === '>' && s[this.pos + 1] === '>') {
+      this.pos += 2;
+      return new PdfOperator('>>');
+    }
+    if (char === ']' || char === '>' || char === ')' || char === '{' || char === '}') {
+      this.pos++;
+      return new PdfOperator(char);
+    }
+
+    const token = this.readRegularToken();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      const number = parseFloat(token);
+      // Ссылка на объект вида "12 0 R"
+      if (/^\d+$/.test(token)) {
+        const saved = this.pos;
+        this.skipWhitespace();
+        const generation = this.readRegularToken();
+        if (/^\d+$/.test(generation)) {
+          this.skipWhitespace();
+          if (this.source[this.pos] === 'R' && this.isTokenEnd(this.pos + 1)) {
+            this.pos++;
+            return new PdfRef(number, parseInt(generation, 10));
+          }
+        }
+        this.pos = saved;
+      }
+      return number;
+    }
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (token === 'null') return null;
+    return new PdfOperator(token);
+  }
+
+  isTokenEnd(position) {
+    if (position >= this.source.length) return true;
+    const code = this.source.charCodeAt(position);
+    return WHITESPACE.has(code) || DELIMITERS.has(code);
+  }
+
+  readRegularToken() {
+    const start = this.pos;
+    while (!this.isTokenEnd(this.pos)) {
+      this.pos++;
+    }
+    // Защита от зацикливания на неожиданном разделителе
+    if (this.pos === start) this.pos++;
+    return this.source.substring(start, this.pos);
+  }
+
+  readDictionary() {
+    const dict = Object.create(null);
+    for (;;) {
+      const key = this.readValue();
+      if (key === undefined || (key instanceof PdfOperator && key.name === '>>')) {
+        return dict;
+      }
+      if (typeof key !== 'string') continue;
+      const value = this.readValue();
+      if (value instanceof PdfOperator && value.name === '>>') {
+        return dict;
+      }
+      dict[key] = value;
+    }
+  }
+
+  readArray() {
+    const array = [];
+    for (;;) {
+      const value = this.readValue();
+      if (value === undefined || (value instanceof PdfOperator && value.name === ']')) {
+        return array;
+      }
+      array.push(value);
+    }
+  }
+
+  readName() {
+    this.pos++;
+    const raw = this.readRegularTokenAllowEmpty();
+    return raw.replace(/#([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  readRegularTokenAllowEmpty() {
+    const start = this.pos;
+    while (!this.isTokenEnd(this.pos)) {
+      this.pos++;
+    }
+    return this.source.substring(start, this.pos);
+  }
+
+  readHexString() {
+    const end = this.source.indexOf('>', this.pos);
+    const hex = this.source.substring(this.pos + 1, end === -1 ? this.source.length : end).replace(/[^0-9A-Fa-f]/g, '');
+    this.pos = end === -1 ? this.source.length : end + 1;
+
+    let bytes = '';
+    const padded = hex.length % 2 ? hex + '0' : hex;
+    for (let i = 0; i < padded.length; i += 2) {
+      bytes += String.fromCharCode(parseInt(padded.substr(i, 2), 16));
+    }
+    return new PdfString(bytes);
+  }
+
+  readLiteralString() {
+    const s = this.source;
+    let depth = 1;
+    let bytes = '';
+    this.pos++;
+
+    while (this.pos < s.length) {
+      const char = s[this.pos++];
+
+      if (char === '\\') {
+        const next = s[this.pos++];
+        switch (next) {
+          case 'n': bytes += '\n'; break;
+          case 'r': bytes += '\r'; break;
+          case 't': bytes += '\t'; break;
+          case 'b': bytes += '\b'; break;
+          case 'f': bytes += '\f'; break;
+          case '\r':
+            if (s[this.pos] === '\n') this.pos++;
+            break;
+          case '\n':
+            break;
+          default:
+            if (next >= '0' && next <= '7') {
+              let octal = next;
+              while (octal.length < 3 && s[this.pos] >= '0' && s[this.pos] <= '7') {
+                octal += s[this.pos++];
+              }
+              bytes += String.fromCharCode(parseInt(octal, 8) & 0xff);
+            } else if (next !== undefined) {
+              bytes += next;
+            }
+        }
+      } else if (char === '(') {
+        depth++;
+        bytes += char;
+      } else if (char === ')') {
+        depth--;
+        if (depth === 0) break;
+        bytes += char;
+      } else {
+        bytes += char;
+      }
+    }
+
+    return new PdfString(bytes);
+  }
+}
+
+/**
+ * PDF документ с ленивой загрузкой объектов
+ */
+class PdfDocument {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.source = buffer.toString('latin1');
+    this.offsets = new Map();
+    this.cache = new Map();
+    this.indexObjects();
+    this.indexObjectStreams();
+  }
+
+  indexObjects() {
+    const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+    while ((match = pattern.exec(this.source)) !== null) {
+      // Более поздние версии объекта (инкрементальные обновления) перекрывают ранние
+      this.offsets.set(parseInt(match[1], 10), { position: match.index + match[0].length });
+    }
+  }
+
+  indexObjectStreams() {
+    for (const num of [...this.offsets.keys()]) {
+      const object = this.getObject(num);
+      if (!(object instanceof PdfStream) || object.dict.Type !== 'ObjStm') continue;
+
+      try {
+        const data = decodeStream(this, object).toString('latin1');
+        const count = this.resolve(object.dict.N) || 0;
+        const first = this.resolve(object.dict.First) || 0;
+        const header = new PdfLexer(data.substring(0, first));
+
+        for (let i = 0; i < count; i++) {
+          const objectNumber = header.readValue();
+          const offset = header.readValue();
+          if (typeof objectNumber !== 'number' || typeof offset !== 'number') break;
+          if (this.offsets.has(objectNumber)) continue;
+
+          const value = new PdfLexer(data, first + offset).readValue();
+          this.offsets.set(objectNumber, { embedded: true });
+          this.cache.set(objectNumber, value);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Не удалось разобрать поток объектов ${num}:`, error.message);
+      }
+    }
+  }
+
+  getObject(num) {
+    if (this.cache.has(num)) return this.cache.get(num);
+
+    const entry = this.offsets.get(num);
+    if (!entry || entry.embedded) return null;
+
+    // Помечаем объект заранее, чтобы не зациклиться на Length-ссылке на себя
+    this.cache.set(num, null);
+
+    const lexer = new PdfLexer(this.source, entry.position);
+    let value = lexer.readValue();
+
+    lexer.skipWhitespace();
+    if (value && typeof value === 'object' && this.source.startsWith('stream', lexer.pos)) {
+      value = new PdfStream(value, this.readStreamData(value, lexer.pos + 6));
+    }
+
+    this.cache.set(num, value);
+    return value;
+  }
+
+  readStreamData(dict, position) {
+    let start = position;
+    if (this.source[start] === '\r') start++;
+    if (this.source[start] === '\n') start++;
+
+    const length = this.resolve(dict.Length);
+    if (typeof length === 'number' && length >= 0) {
+      const tail = this.source.substring(start + length, start + length + 32);
+      if (/^\s*endstream/.test(tail)) {
+        return this.buffer.subarray(start, start + length);
+      }
+    }
+
+    // Длина некорректна - ищем ближайший endstream
+    let end = this.source.indexOf('endstream', start);
+    if (end === -1) end = this.source.length;
+    if (this.source[end - 1] === '\n') end--;
+    if (this.source[end - 1] === '\r') end--;
+    return this.buffer.subarray(start, end);
+  }
+
+  resolve(value) {
+    let current = value;
+    // Ограничиваем глубину цепочек ссылок
+    for (let depth = 0; current instanceof PdfRef && depth < 16; depth++) {
+      current = this.getObject(current.num);
+    }
+    return current instanceof PdfRef ? null : current;
+  }
+
+  isEncrypted() {
+    return /\/Encrypt\s*(\d+\s+\d+\s+R|<<)/.test(this.source);
+  }
+
+  /**
+   * Возвращает страницы в порядке документа с унаследованными атрибутами
+   */
+  getPages() {
+    const pages = [];
+    const visited = new Set();
+
+    const walk = (node, inherited) => {
+      const dict = this.resolve(node);
+      if (!dict || typeof dict !== 'object' || visited.has(dict)) return;
+      visited.add(dict);
+
+      const attributes = {
+        Resources: dict.Resources || inherited.Resources,
+        MediaBox: dict.MediaBox || inherited.MediaBox
+      };
+
+      if (dict.Type === 'Pages' || Array.isArray(this.resolve(dict.Kids))) {
+        for (const kid of this.resolve(dict.Kids) || []) {
+          walk(kid, attributes);
+        }
+      } else if (dict.Type === 'Page' || dict.Contents) {
+        pages.push({ dict, resources: this.resolve(attributes.Resources), mediaBox: this.resolve(attributes.MediaBox) });
+      }
+    };
+
+    const catalog = this.findCatalog();
+    if (catalog) {
+      walk(catalog.Pages, {});
+    }
+
+    // Каталог не найден или поврежден - собираем страницы по номерам объектов
+    if (pages.length === 0) {
+      for (const num of [...this.offsets.keys()].sort((a, b) => a - b)) {
+        const object = this.getObject(num);
+        if (object && !(object instanceof PdfStream) && typeof object === 'object' && object.Type === 'Page') {
+          pages.push({ dict: object, resources: this.resolve(object.Resources), mediaBox: this.resolve(object.MediaBox) });
+        }
+      }
+    }
+
+    return pages;
+  }
+
+  findCatalog() {
+    const rootMatch = this.source.match(/\/Root\s+(\d+)\s+\d+\s+R/g);
+    if (rootMatch) {
+      const last = rootMatch[rootMatch.length - 1].match(/(\d+)\s+\d+\s+R/);
+      const catalog = this.getObject(parseInt(last[1], 10));
+      if (catalog && catalog.Pages) return catalog;
+    }
+
+    for (const num of this.offsets.keys()) {
+      const object = this.getObject(num);
+      if (object && typeof object === 'object' && object.Type === 'Catalog') {
+        return object;
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Декодирует содержимое потока с учетом фильтров
+ */
+function decodeStream(doc, stream) {
+  let data = stream.raw;
+  const filter = doc.resolve(stream.dict.Filter);
+  const filters = Array.isArray(filter) ? filter.map(f => doc.resolve(f)) : filter ? [filter] : [];
+
+  for (const name of filters) {
+    switch (name) {
+      case 'FlateDecode':
+      case 'Fl':
+        data = inflate(data);
+        break;
+      case 'ASCIIHexDecode':
+      case 'AHx':
+        data = decodeAsciiHex(data);
+        break;
+      case 'ASCII85Decode':
+      case 'A85':
+        data = decodeAscii85(data);
+        break;
+      default:
+        throw new Error(`Неподдерживаемый фильтр PDF: ${name}`);
+    }
+  }
+
+  return data;
+}
+
+function inflate(data) {
+  try {
+    return inflateSync(data);
+  } catch {
+    // Часть генераторов пишет потоки без корректного завершения
+    return inflateSync(data, { finishFlush: zlibConstants.Z_SYNC_FLUSH });
+  }
+}
+
+function decodeAsciiHex(data) {
+  const hex = data.toString('latin1').split('>')[0].replace(/[^0-9A-Fa-f]/g, '');
+  return Buffer.from(hex.length % 2 ? hex + '0' : hex, 'hex');
+}
+
+function decodeAscii85(data) {
+  const source = data.toString('latin1').replace(/\s/g, '').replace(/^<~/, '').split('~>')[0];
+  const output = [];
+  let group = [];
+
+  const flush = (length) => {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+      value = value * 85 + (i < group.length ? group[i] : 84);
+    }
+    const bytes = [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    output.push(...bytes.slice(0, length));
+    group = [];
+  };
+
+  for (const char of source) {
+    if (char === 'z' && group.length === 0) {
+      output.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(char.charCodeAt(0) - 33);
+    if (group.length === 5) flush(4);
+  }
+  if (group.length > 0) flush(group.length - 1);
+
+  return Buffer.from(output);
+}
+
+/**
+ * Имена глифов, встречающиеся в /Differences, и их Unicode значения
+ */
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(',
+  parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7',
+  eight: '8', nine: '9', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>',
+  question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']',
+  underscore: '_', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+  bullet: '•', endash: '–', emdash: '—', ellipsis: '…',
+  quotedblleft: '“', quotedblright: '”', quotedblbase: '„',
+  quotesinglbase: '‚', guillemotleft: '«', guillemotright: '»',
+  fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', degree: '°',
+  copyright: '©', registered: '®', trademark: '™', section: '§',
+  nbspace: ' ', minus: '−', multiply: '×', divide: '÷', Euro: '€'
+};
+
+function glyphNameToUnicode(name) {
+  if (GLYPH_NAMES[name]) return GLYPH_NAMES[name];
+  if (/^[A-Za-z]$/.test(name)) return name;
+
+  let match = name.match(/^uni([0-9A-Fa-f]{4,})$/);
+  if (match) {
+    return match[1].match(/.{4}/g).map(hex => String.fromCharCode(parseInt(hex, 16))).join('');
+  }
+  match = name.match(/^u([0-9A-Fa-f]{4,6})$/);
+  if (match) return String.fromCodePoint(parseInt(match[1], 16));
+
+  // Кириллица в шрифтах Adobe: afii10017 (А) ... afii10097 (я)
+  match = name.match(/^afii(\d{5})$/);
+  if (match) {
+    const code = parseInt(match[1], 10);
+    if (code === 10023) return 'Ё';
+    if (code === 10071) return 'ё';
+    if (code >= 10017 && code <= 10048) return String.fromCharCode(0x0410 + code - 10017);
+    if (code >= 10065 && code <= 10096) return String.fromCharCode(0x0430 + code - 10065);
+  }
+
+  return '';
+}
+
+const windows1252 = new TextDecoder('windows-1252');
+const macRoman = new TextDecoder('macintosh');
+
+/**
+ * Создает декодер строк для шрифта страницы
+ */
+function createFontDecoder(doc, fontDict) {
+  const font = doc.resolve(fontDict) || {};
+  const isComposite = font.Subtype === 'Type0';
+  const toUnicode = doc.resolve(font.ToUnicode);
+  const cmap = toUnicode instanceof PdfStream ? parseToUnicodeCMap(decodeStream(doc, toUnicode).toString('latin1')) : null;
+  const codeLength = isComposite ? 2 : (cmap?.codeLength || 1);
+
+  // Простые шрифты: базовая кодировка плюс /Differences
+  let differences = {};
+  let baseDecoder = windows1252;
+  const encoding = doc.resolve(font.Encoding);
+  const encodingName = typeof encoding === 'string' ? encoding : encoding?.BaseEncoding;
+  if (encodingName === 'MacRomanEncoding') baseDecoder = macRoman;
+
+  if (encoding && typeof encoding === 'object' && Array.isArray(doc.resolve(encoding.Differences))) {
+    let code = 0;
+    for (const item of doc.resolve(encoding.Differences)) {
+      if (typeof item === 'number') {
+        code = item;
+      } else if (typeof item === 'string') {
+        differences[code++] = glyphNameToUnicode(item);
+      }
+    }
+  }
+
+  const widths = getFontWidths(doc, font, isComposite);
+
+  return {
+    codeLength,
+    decode(bytes) {
+      const codes = [];
+      for (let i = 0; i < bytes.length; i += codeLength) {
+        let code = 0;
+        for (let j = 0; j < codeLength; j++) {
+          code = (code << 8) | (bytes.charCodeAt(i + j) || 0);
+        }
+        codes.push(code);
+      }
+
+      let text = '';
+      for (const code of codes) {
+        if (cmap && cmap.map.has(code)) {
+          text += cmap.map.get(code);
+        } else if (!isComposite) {
+          text += differences[code] !== undefined
+            ? differences[code]
+            : baseDecoder.decode(Uint8Array.of(code));
+        }
+      }
+
+      return { text, codes };
+    },
+    width(code) {
+      return widths(code);
+    }
+  };
+}
+
+function getFontWidths(doc, font, isComposite) {
+  if (isComposite) {
+    const descendant = doc.resolve((doc.resolve(font.DescendantFonts) || [])[0]) || {};
+    const defaultWidth = doc.resolve(descendant.DW) ?? 1000;
+    const table = new Map();
+    const w = doc.resolve(descendant.W) || [];
+
+    for (let i = 0; i < w.length;) {
+      const first = doc.resolve(w[i]);
+      const next = doc.resolve(w[i + 1]);
+      if (Array.isArray(next)) {
+        next.forEach((width, index) => table.set(first + index, doc.resolve(width)));
+        i += 2;
+      } else {
+        const width = doc.resolve(w[i + 2]);
+        for (let code = first; code <= next; code++) table.set(code, width);
+        i += 3;
+      }
+    }
+
+    return code => (table.get(code) ?? defaultWidth) / 1000;
+  }
+
+  const firstChar = doc.resolve(font.FirstChar) || 0;
+  const widths = doc.resolve(font.Widths);
+  if (Array.isArray(widths)) {
+    return code => (doc.resolve(widths[code - firstChar]) || 500) / 1000;
+  }
+  return () => 0.5;
+}
+
+function parseToUnicodeCMap(source) {
+  const map = new Map();
+  let codeLength = 1;
+
+  const codespace = source.match(/begincodespacerange\s*<([0-9A-Fa-f]+)>/);
+  if (codespace) {
+    codeLength = Math.max(1, codespace[1].length / 2);
+  }
+
+  const hexToString = hex => {
+    let result = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) {
+      result += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+    }
+    if (hex.length === 2) result = String.fromCharCode(parseInt(hex, 16));
+    return result;
+  };
+
+  for (const block of source.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const pair of block[1].matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]*)>/g)) {
+      map.set(parseInt(pair[1], 16), hexToString(pair[2]));
+    }
+  }
+
+  for (const block of source.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    const rangePattern = /<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*(?:<([0-9A-Fa-f]*)>|\[([^\]]*)\])/g;
+    for (const range of block[1].matchAll(rangePattern)) {
+      const low = parseInt(range[1], 16);
+      const high = parseInt(range[2], 16);
+
+      if (range[3] !== undefined) {
+        const base = hexToString(range[3]);
+        const lastCode = base.charCodeAt(base.length - 1);
+        for (let code = low; code <= high && code - low < 0x10000; code++) {
+          map.set(code, base.slice(0, -1) + String.fromCharCode(lastCode + code - low));
+        }
+      } else {
+        const targets = [...range[4].matchAll(/<([0-9A-Fa-f]*)>/g)].map(m => hexToString(m[1]));
+        targets.forEach((target, index) => map.set(low + index, target));
+      }
+    }
+  }
+
+  return { map, codeLength };
+}
+
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Выполняет поток содержимого страницы и собирает фрагменты текста с координатами
+ */
+function collectTextItems(doc, page) {
+  const items = [];
+  const fonts = doc.resolve(page.resources?.Font) || {};
+  const decoders = new Map();
+  const getDecoder = name => {
+    if (!decoders.has(name)) {
+      decoders.set(name, createFontDecoder(doc, fonts[name]));
+    }
+    return decoders.get(name);
+  };
+
+  const contents = doc.resolve(page.dict.Contents);
+  const streams = (Array.isArray(contents) ? contents.map(c => doc.resolve(c)) : [contents])
+    .filter(s => s instanceof PdfStream);
+  const source = streams.map(stream => {
+    try {
+      return decodeStream(doc, stream).toString('latin1');
+    } catch (error) {
+      console.warn('⚠️ Пропускаем поток содержимого PDF:', error.message);
+      return '';
+    }
+  }).join('\n');
+
+  const state = {
+    ctm: IDENTITY,
+    font: null,
+    fontSize: 12,
+    charSpacing: 0,
+    wordSpacing: 0,
+    scale: 1,
+    leading: 0,
+    rise: 0
+  };
+  const stack = [];
+  let textMatrix = IDENTITY;
+  let lineMatrix = IDENTITY;
+
+  const showText = (string) => {
+    if (!state.font || !(string instanceof PdfString)) return;
+
+    const { text, codes } = state.font.decode(string.bytes);
+    const matrix = multiply(multiply([state.fontSize * state.scale, 0, 0, state.fontSize, 0, state.rise], textMatrix), state.ctm);
+
+    let advance = 0;
+    for (const code of codes) {
+      advance += state.font.width(code) * state.fontSize + state.charSpacing;
+      if (code === 32 && state.font.codeLength === 1) advance += state.wordSpacing;
+    }
+    advance *= state.scale;
+
+    const fontSize = Math.hypot(matrix[2], matrix[3]);
+    const xScale = Math.hypot(state.ctm[0], state.ctm[1]) * Math.hypot(textMatrix[0], textMatrix[1]) || 1;
+
+    if (text) {
+      items.push({ text, x: matrix[4], y: matrix[5], width: advance * xScale, fontSize });
+    }
+
+    textMatrix = multiply([1, 0, 0, 1, advance, 0], textMatrix);
+  };
+
+  const lexer = new PdfLexer(source);
+  let operands = [];
+
+  for (;;) {
+    const value = lexer.readValue();
+    if (value === undefined) break;
+    if (!(value instanceof PdfOperator)) {
+      operands.push(value);
+      continue;
+    }
+
+    const args = operands;
+    operands = [];
+
+    switch (value.name) {
+      case 'q':
+        stack.push({ ...state });
+        break;
+      case 'Q':
+        if (stack.length) Object.assign(state, stack.pop());
+        break;
+      case 'cm':
+        if (args.length === 6) state.ctm = multiply(args, state.ctm);
+        break;
+      case 'BT':
+        textMatrix = IDENTITY;
+        lineMatrix = IDENTITY;
+        break;
+      case 'Tf':
+        state.font = getDecoder(args[0]);
+        state.fontSize = typeof args[1] === 'number' ? args[1] : state.fontSize;
+        break;
+      case 'Tc':
+        state.charSpacing = args[0] || 0;
+        break;
+      case 'Tw':
+        state.wordSpacing = args[0] || 0;
+        break;
+      case 'Tz':
+        state.scale = (args[0] ?? 100) / 100;
+        break;
+      case 'TL':
+        state.leading = args[0] || 0;
+        break;
+      case 'Ts':
+        state.rise = args[0] || 0;
+        break;
+      case 'Td':
+      case 'TD':
+        if (value.name === 'TD') state.leading = -(args[1] || 0);
+        lineMatrix = multiply([1, 0, 0, 1, args[0] || 0, args[1] || 0], lineMatrix);
+        textMatrix = lineMatrix;
+        break;
+      case 'Tm':
+        if (args.length === 6) {
+          lineMatrix = args;
+          textMatrix = args;
+        }
+        break;
+      case 'T*':
+        lineMatrix = multiply([1, 0, 0, 1, 0, -state.leading], lineMatrix);
+        textMatrix = lineMatrix;
+        break;
+      case 'Tj':
+        showText(args[0]);
+        break;
+      case "'":
+        lineMatrix = multiply([1, 0, 0, 1, 0, -state.leading], lineMatrix);
+        textMatrix = lineMatrix;
+        showText(args[0]);
+        break;
+      case '"':
+        state.wordSpacing = args[0] || 0;
+        state.charSpacing = args[1] || 0;
+        lineMatrix = multiply([1, 0, 0, 1, 0, -state.leading], lineMatrix);
+        textMatrix = lineMatrix;
+        showText(args[2]);
+        break;
+      case 'TJ':
+        for (const part of Array.isArray(args[0]) ? args[0] : []) {
+          if (typeof part === 'number') {
+            textMatrix = multiply([1, 0, 0, 1, (-part / 1000) * state.fontSize * state.scale, 0], textMatrix);
+          } else {
+            showText(part);
+          }
+        }
+        break;
+      case 'ID': {
+        // Встроенное изображение: пропускаем двоичные данные до EI
+        const end = source.slice(lexer.pos).search(/\sEI(\s|$)/);
+        lexer.pos = end === -1 ? source.length : lexer.pos + end + 3;
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return items;
+}
+
+const CJK_PATTERN = /[　-ヿ㐀-鿿가-힯＀-￯]/;
+
+/**
+ * Группирует фрагменты текста в строки, а строки - в абзацы
+ */
+function buildParagraphs(items) {
+  const lines = [];
+
+  for (const item of items) {
+    const line = lines[lines.length - 1];
+    const sameLine = line && Math.abs(item.y - line.y) < Math.max(item.fontSize, line.fontSize) * 0.5;
+
+    if (!sameLine) {
+      lines.push({ text: item.text, x: item.x, y: item.y, end: item.x + item.width, fontSize: item.fontSize });
+      continue;
+    }
+
+    const gap = item.x - line.end;
+    const needsSpace = gap > item.fontSize * 0.15 && !/\s$/.test(line.text) && !/^\s/.test(item.text);
+    line.text += (needsSpace ? ' ' : '') + item.text;
+    line.x = Math.min(line.x, item.x);
+    line.end = Math.max(line.end, item.x + item.width);
+    line.fontSize = Math.max(line.fontSize, item.fontSize);
+  }
+
+  const paragraphs = [];
+
+  for (const line of lines) {
+    const text = line.text.replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+
+    const paragraph = paragraphs[paragraphs.length - 1];
+    const previous = paragraph?.lines[paragraph.lines.length - 1];
+    const gap = previous ? previous.y - line.y : Infinity;
+    const sizeChanged = previous && Math.abs(previous.fontSize - line.fontSize) > previous.fontSize * 0.2;
+
+    if (!paragraph || gap < 0 || gap > previous.fontSize * 1.8 || sizeChanged) {
+      paragraphs.push({
+        text,
+        x: line.x,
+        y: line.y,
+        width: line.end - line.x,
+        fontSize: line.fontSize,
+        lines: [{ ...line, text }]
+      });
+      continue;
+    }
+
+    paragraph.text = joinLines(paragraph.text, text);
+    paragraph.x = Math.min(paragraph.x, line.x);
+    paragraph.width = Math.max(paragraph.x + paragraph.width, line.end) - paragraph.x;
+    paragraph.lines.push({ ...line, text });
+  }
+
+  return paragraphs.map(({ lines: paragraphLines, ...paragraph }) => ({
+    ...paragraph,
+    lineCount: paragraphLines.length,
+    height: paragraphLines[0].y - paragraphLines[paragraphLines.length - 1].y + paragraphLines[paragraphLines.length - 1].fontSize
+  }));
+}
+
+function joinLines(previous, next) {
+  // Перенос слова через дефис в конце строки
+  if (/\p{L}-$/u.test(previous) && /^\p{Ll}/u.test(next)) {
+    return previous.slice(0, -1) + next;
+  }
+  if (CJK_PATTERN.test(previous.slice(-1)) || CJK_PATTERN.test(next[0])) {
+    return previous + next;
+  }
+  return `${previous} ${next}`;
+}
+
+/**
+ * Разбирает PDF и возвращает страницы с абзацами и их координатами
+ * @returns {Array<{number, width, height, paragraphs: Array<{text, x, y, width, height, fontSize, lineCount}>}>}
+ */
+export function parsePdfPages(buffer) {
+  const doc = new PdfDocument(buffer);
+
+  if (doc.isEncrypted()) {
+    throw new Error('Зашифрованные PDF документы не поддерживаются');
+  }
+
+  return doc.getPages().map((page, index) => {
+    const mediaBox = (page.mediaBox || [0, 0, 595, 842]).map(value => doc.resolve(value));
+    return {
+      number: index + 1,
+      width: mediaBox[2] - mediaBox[0],
+      height: mediaBox[3] - mediaBox[1],
+      paragraphs: buildParagraphs(collectTextItems(doc, page))
+    };
+  });
+}
+
+/**
+ * Извлекает текст PDF: абзацы разделены пустой строкой
+ */
+export function extractPdfText(buffer) {
+  return parsePdfPages(buffer)
+    .map(page => page.paragraphs.map(paragraph => paragraph.text).join('\n\n'))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Переводит PDF и собирает переведенный документ
+ * @param {Buffer} buffer - исходный документ
+ * @param {function(string[]): Promise<string[]>} translateSegments - переводит массив абзацев
+ * @param {{targetLang: string}} options
+ * @returns {Promise<{buffer: Buffer, translatedText: string}>}
+ */
+export async function translatePdf(buffer, translateSegments, { targetLang }) {
+  const pages = parsePdfPages(buffer);
+  const paragraphs = pages.flatMap(page => page.paragraphs);
+  const translations = paragraphs.length > 0 ? await translateSegments(paragraphs.map(paragraph => paragraph.text)) : [];
+
+  return {
+    buffer: layoutPdf(pages, translations.map(translation => shapeArabic(translation)), targetLang),
+    translatedText: translations.join('\n\n')
+  };
+}
+
+/**
+ * Раскладывает переведенные абзацы по страницам исходного размера
+ */
+function layoutPdf(pages, translations, targetLang) {
+  const writer = new PdfWriter({ text: translations.join(' '), lang: toLocaleCode(targetLang) });
+  const bodySize = findBodySize(pages.flatMap(page => page.paragraphs));
+  let index = 0;
+
+  for (const source of pages) {
+    const width = source.width > 0 ? source.width : 595;
+    const height = source.height > 0 ? source.height : 842;
+    // Поля - по самому левому абзацу исходной страницы
+    const left = source.paragraphs.reduce((min, paragraph) => Math.min(min, paragraph.x), Infinity);
+    const margin = Math.min(Math.max(Number.isFinite(left) ? left : 56, 36), width / 5);
+    const textWidth = width - margin * 2;
+
+    let page = writer.addPage(width, height);
+    let y = height - margin;
+
+    for (const paragraph of source.paragraphs) {
+      const text = (translations[index++] ?? paragraph.text).trim();
+      if (!text) continue;
+
+      const heading = paragraph.fontSize >= bodySize * HEADING_RATIO && paragraph.lineCount <= 3 && text.length <= HEADING_MAX_LENGTH;
+      const size = Math.min(Math.max(paragraph.fontSize || bodySize, 6), bodySize * 2.5);
+      const rtl = isRtlText(text);
+      const indent = rtl ? 0 : Math.min(Math.max(paragraph.x - margin, 0), textWidth / 3);
+      const lines = wrapText(writer, text, size, textWidth - indent);
+
+      // Перед заголовком не на верху страницы - дополнительный отступ
+      if (heading && y < height - margin) y -= size * 0.5;
+
+      for (const line of lines) {
+        if (y - size < margin) {
+          page = writer.addPage(width, height);
+          y = height - margin;
+        }
+        const visual = toVisualOrder(line, rtl);
+        const x = rtl ? width - margin - writer.measure(visual, size) : margin + indent;
+        writer.drawText(page, visual, x, y - size, size, { bold: heading });
+        y -= size * LINE_HEIGHT;
+      }
+      y -= size * PARAGRAPH_SPACING;
+    }
+  }
+
+  return writer.finish();
+}
+
+/**
+ * Кегль основного текста: размер, которым набрано больше всего символов
+ */
+function findBodySize(paragraphs) {
+  const totals = new Map();
+  for (const paragraph of paragraphs) {
+    const size = Math.round(paragraph.fontSize * 2) / 2;
+    totals.set(size, (totals.get(size) || 0) + paragraph.text.length);
+  }
+  let best = 11;
+  let bestTotal = 0;
+  for (const [size, total] of totals) {
+    if (size > 0 && total > bestTotal) {
+      best = size;
+      bestTotal = total;
+    }
+  }
+  return best;
+}
+
+/**
+ * Переносит текст по словам; китайский и японский текст переносится между символами
+ */
+function wrapText(writer, text, size, maxWidth) {
+  const chars = [...text.replace(/\s+/g, ' ')];
+  const units = [];
+  let unit = '';
+
+  chars.forEach((char, i) => {
+    unit += char;
+    const next = chars[i + 1];
+    if (next === undefined || next === ' ') return;
+    const breakAfter = char === ' ' ||
+      ((CJK_PATTERN.test(char) || CJK_PATTERN.test(next)) && !NO_LINE_START.test(next));
+    if (breakAfter) {
+      units.push(unit);
+      unit = '';
+    }
+  });
+  if (unit) units.push(unit);
+
+  const lines = [];
+  let line = '';
+  let lineWidth = 0;
+
+  for (const part of units) {
+    const partWidth = writer.measure(part, size);
+    if (line && lineWidth + writer.measure(part.trimEnd(), size) > maxWidth) {
+      lines.push(line.trimEnd());
+      line = '';
+      lineWidth = 0;
+    }
+    line += part;
+    lineWidth += partWidth;
+
+    // Слово длиннее строки делится по символам
+    while (lineWidth > maxWidth && [...line.trimEnd()].length > 1) {
+      let head = '';
+      for (const char of line) {
+        if (head && writer.measure(head + char, size) > maxWidth) break;
+        head += char;
+      }
+      lines.push(head);
+      line = line.slice(head.length);
+      lineWidth = writer.measure(line, size);
+    }
+  }
+  if (line.trim()) lines.push(line.trimEnd());
+
+  return lines;
+}
@@ -0,0 +1,195 @@
+/**
+ * Чтение и перевод файлов gettext (.po, .pot)
+ * Переводится msgid (и msgid_plural) каждой записи, результат пишется в msgstr.
+ * Комментарии, контекст, флаги и ссылки на исходный код сохраняются. В заголовке
+ * обновляются Language и Plural-Forms, число форм msgstr[n] - по правилам целевого языка.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { decodeText } from './txt.js';
+import { translateMessages, toLocaleCode } from '../messages.js';
+import { getPluralRules, getPluralCount } from '../plurals.js';
+
+export const PO_MIME_TYPE = 'text/x-gettext-translation';
+
+const KEYWORD_PATTERN = /^(msgctxt|msgid_plural|msgid|msgstr(?:\[\d+\])?)\s+"((?:[^"\\]|\\.)*)"\s*$/;
+const CONTINUATION_PATTERN = /^\s*"((?:[^"\\]|\\.)*)"\s*$/;
+
+/**
+ * Извлекает исходные строки (msgid) файла gettext
+ */
+export function extractPoText(buffer) {
+  return parseEntries(readLines(buffer))
+    .filter(entry => !entry.header)
+    .flatMap(entry => [entry.fields.msgid, entry.fields.msgid_plural].filter(Boolean))
+    .join('\n');
+}
+
+/**
+ * Переводит файл gettext
+ * @param {Buffer} buffer - исходный файл
+ * @param {function(string[]): Promise<string[]>} translateSegments - переводит массив сегментов
+ * @param {{targetLang: string}} options
+ * @returns {Promise<{buffer: Buffer, translatedText: string}>}
+ */
+export async function translatePo(buffer, translateSegments, { targetLang }) {
+  const lines = readLines(buffer);
+  const entries = parseEntries(lines);
+  const messages = entries.filter(entry => !entry.header).flatMap(entry =>
+    entry.fields.msgid_plural !== undefined ? [entry.fields.msgid, entry.fields.msgid_plural] : [entry.fields.msgid]
+  );
+  const translations = await translateMessages(messages, translateSegments, { targetLang });
+  const pluralCount = getPluralCount(targetLang);
+  let index = 0;
+
+  for (const entry of entries) {
+    if (entry.header) {
+      entry.output = [['msgstr', updateHeader(entry.fields.msgstr || '', targetLang)]];
+      continue;
+    }
+
+    const singular = translations[index++];
+    if (entry.fields.msgid_plural === undefined) {
+      entry.output = [['msgstr', singular]];
+      continue;
+    }
+
+    // Первая форма - единственное число, остальные - множественное (в японском одна форма)
+    const plural = translations[index++];
+    entry.output = Array.from({ length: pluralCount }, (_, form) =>
+      [`msgstr[${form}]`, form === 0 && pluralCount > 1 ? singular : plural]
+    );
+  }
+
+  const result = [];
+  let position = 0;
+  for (const entry of entries) {
+    result.push(...lines.slice(position, entry.msgstrStart));
+    result.push(...entry.output.flatMap(([keyword, value]) => formatField(keyword, value)));
+    position = entry.msgstrEnd;
+  }
+  result.push(...lines.slice(position));
+
+  return {
+    buffer: Buffer.from(result.join('\n'), 'utf8'),
+    translatedText: translations.join('\n')
+  };
+}
+
+function readLines(buffer) {
+  return decodeText(buffer).replace(/\r\n?/g, '\n').split('\n');
+}
+
+/**
+ * Записи файла: поля msgctxt/msgid/msgid_plural/msgstr и строки, занятые msgstr
+ * Устаревшие записи (#~) - комментарии и не переводятся
+ */
+function parseEntries(lines) {
+  const entries = [];
+  let entry = null;
+  let field = null;
+
+  const finish = () => {
+    if (entry && entry.fields.msgid !== undefined) {
+      entry.header = entry.fields.msgid === '' && entry.fields.msgctxt === undefined;
+      // Запись без msgstr (редко в .pot) - msgstr добавляется после последнего поля
+      entry.msgstrStart ??= entry.lastLine + 1;
+      entry.msgstrEnd ??= entry.lastLine + 1;
+      entries.push(entry);
+    }
+    entry = null;
+    field = null;
+  };
+
+  lines.forEach((line, lineIndex) => {
+    if (!line.trim()) {
+      finish();
+      return;
+    }
+    if (line.startsWith('#')) {
+      // Комментарий после полей начинает новую запись
+      if (field) finish();
+      return;
+    }
+
+    const keyword = line.match(KEYWORD_PATTERN);
+    if (keyword) {
+      entry ??= { fields: {} };
+      field = keyword[1].replace(/\[\d+\]$/, '');
+      const name = keyword[1].startsWith('msgstr') ? 'msgstr' : field;
+
+      if (name === 'msgstr') {
+        entry.msgstrStart ??= lineIndex;
+        entry.msgstrEnd = lineIndex + 1;
+        // Для заголовка нужен msgstr, для записей с формами - только первая форма
+        if (entry.fields.msgstr === undefined) entry.fields.msgstr = unescapePo(keyword[2]);
+        field = keyword[1] === 'msgstr' || keyword[1] === 'msgstr[0]' ? 'msgstr' : 'msgstr-form';
+      } else {
+        entry.fields[name] = unescapePo(keyword[2]);
+      }
+      entry.lastLine = lineIndex;
+      return;
+    }
+
+    const continuation = line.match(CONTINUATION_PATTERN);
+    if (continuation && entry && field) {
+      if (field !== 'msgstr-form') entry.fields[field] += unescapePo(continuation[1]);
+      if (field.startsWith('msgstr')) entry.msgstrEnd = lineIndex + 1;
+      entry.lastLine = lineIndex;
+    }
+  });
+  finish();
+
+  return entries;
+}
+
+/**
+ * Обновляет заголовок: язык, формы множественного числа и кодировка UTF-8
+ */
+function updateHeader(header, targetLang) {
+  const fields = {
+    'Language': toLocaleCode(targetLang),
+    'Plural-Forms': getPluralRules(targetLang).gettext,
+    'Content-Type': 'text/plain; charset=UTF-8'
+  };
+
+  let result = header;
+  for (const [name, value] of Object.entries(fields)) {
+    const pattern = new RegExp(`^${name}:.*$`, 'm');
+    result = pattern.test(result)
+      ? result.replace(pattern, `${name}: ${value}`)
+      : `${result}${result && !result.endsWith('\n') ? '\n' : ''}${name}: ${value}\n`;
+  }
+  return result;
+}
+
+/**
+ * Строки поля в формате gettext: длинный текст с переводами строк - по строке на \n
+ */
+function formatField(keyword, value) {
+  const parts = value.split(/(?<=\n)/);
+  if (parts.length <= 1) {
+    return [`${keyword} "${escapePo(value)}"`];
+  }
+  return [`${keyword} ""`, ...parts.map(part => `"${escapePo(part)}"`)];
+}
+
+function unescapePo(text) {
+  const escapes = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', f: '\f', v: '\v' };
+  return text.replace(/\\(?:([0-7]{1,3})|x([0-9a-fA-F]+)|(.))/g, (match, octal, hex, char) => {
+    if (octal) return String.fromCharCode(parseInt(octal, 8));
+    if (hex) return String.fromCharCode(parseInt(hex, 16));
+    return escapes[char] ?? char;
+  });
+}
+
+function escapePo(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+}
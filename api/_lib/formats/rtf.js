@@ -0,0 +1,164 @@
+/**
+ * Чтение RTF документов
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+// Группы, содержимое которых не является текстом документа
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata',
+  'colorschememapping', 'datastore', 'latentstyles', 'listtable', 'listoverridetable',
+  'rsidtbl', 'generator', 'xmlnstbl', 'mmathPr', 'filetbl', 'revtbl', 'fldinst',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf',
+  'footnote', 'annotation', 'bkmkstart', 'bkmkend'
+]);
+
+/**
+ * Извлекает текст из RTF документа
+ */
+export function extractRtfText(buffer) {
+  const source = buffer.toString('latin1');
+
+  if (!source.startsWith('{\\rtf')) {
+    throw new Error('Файл не является RTF документом');
+  }
+
+  let codePage = 1252;
+  const codePageMatch = source.match(/\\ansicpg(\d+)/);
+  if (codePageMatch) codePage = parseInt(codePageMatch[1], 10);
+  const decoder = createDecoder(codePage);
+
+  let output = '';
+  let pendingBytes = [];
+  const stack = [];
+  let state = { skip: false, unicodeSkip: 1 };
+  let skipCount = 0;
+
+  const flushBytes = () => {
+    if (pendingBytes.length) {
+      output += decoder.decode(Uint8Array.from(pendingBytes));
+      pendingBytes = [];
+    }
+  };
+
+  const emit = text => {
+    if (state.skip) return;
+    flushBytes();
+    output += text;
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '{') {
+      flushBytes();
+      stack.push(state);
+      state = { ...state };
+      // Группа "{\*\destination ...}" - неизвестное назначение, пропускаем
+      if (source.startsWith('\\*', i + 1)) state.skip = true;
+      continue;
+    }
+
+    if (char === '}') {
+      flushBytes();
+      state = stack.pop() || state;
+      continue;
+    }
+
+    if (char === '\\') {
+      const next = source[i + 1];
+
+      if (next === '\\' || next === '{' || next === '}') {
+        if (skipCount > 0) { skipCount--; } else { emit(next); }
+        i++;
+        continue;
+      }
+
+      if (next === "'") {
+        const byte = parseInt(source.substr(i + 2, 2), 16);
+        i += 3;
+        if (skipCount > 0) { skipCount--; continue; }
+        if (!state.skip && !Number.isNaN(byte)) pendingBytes.push(byte);
+        continue;
+      }
+
+      if (next === '~') { emit(' '); i++; continue; }
+      if (next === '_') { emit('‑'); i++; continue; }
+      if (next === '-') { i++; continue; }
+      if (next === '\n' || next === '\r') { emit('\n'); i++; continue; }
+
+      const match = source.slice(i + 1, i + 64).match(/^([a-zA-Z]+)(-?\d+)? ?/);
+      if (!match) {
+        i++;
+        continue;
+      }
+
+      i += match[0].length;
+      const word = match[1];
+      const param = match[2] !== undefined ? parseInt(match[2], 10) : null;
+
+      if (SKIPPED_DESTINATIONS.has(word)) {
+        state.skip = true;
+        continue;
+      }
+
+      switch (word) {
+        case 'par':
+        case 'line':
+        case 'sect':
+        case 'page':
+        case 'row':
+          emit('\n');
+          break;
+        case 'cell':
+        case 'tab':
+          emit('\t');
+          break;
+        case 'emdash': emit('—'); break;
+        case 'endash': emit('–'); break;
+        case 'bullet': emit('•'); break;
+        case 'lquote': emit('‘'); break;
+        case 'rquote': emit('’'); break;
+        case 'ldblquote': emit('“'); break;
+        case 'rdblquote': emit('”'); break;
+        case 'uc':
+          state.unicodeSkip = param ?? 1;
+          break;
+        case 'u': {
+          const code = param < 0 ? param + 65536 : param;
+          emit(String.fromCharCode(code));
+          skipCount = state.unicodeSkip;
+          break;
+        }
+        default:
+          break;
+      }
+      continue;
+    }
+
+    if (char === '\r' || char === '\n') continue;
+
+    if (skipCount > 0) {
+      skipCount--;
+      continue;
+    }
+
+    emit(char);
+  }
+
+  flushBytes();
+
+  return output
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function createDecoder(codePage) {
+  try {
+    return new TextDecoder(`windows-${codePage}`);
+  } catch {
+    return new TextDecoder('windows-1252');
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * Чтение и перевод субтитров SRT и WebVTT
+ * Номера реплик, тайминги, заголовок WEBVTT, блоки NOTE/STYLE/REGION и теги оформления
+ * (<i>, <font>, <c.class>, <v Имя>, {\an8}) не меняются, переводится только текст реплик.
+ *
+ * Реплики, в которых предложение продолжается в следующей, можно переводить вместе
+ * (mergeCues): так у переводчика есть контекст всей фразы, а перевод затем делится
+ * между репликами пропорционально длине исходного текста.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { decodeText } from './txt.js';
+import { translateMessages } from '../messages.js';
+
+export const SRT_MIME_TYPE = 'application/x-subrip';
+export const VTT_MIME_TYPE = 'text/vtt';
+
+const TIMING_PATTERN = /((?:\d+:)?\d{1,2}:\d{2}[,.]\d{3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{3})/;
+// Конец предложения: реплика с ним не объединяется со следующей
+const SENTENCE_END = /[.!?…。！？♪"»”)\]]\s*$/;
+
+// Ограничения объединения реплик: число реплик, длина текста и пауза между ними
+const MERGE_MAX_CUES = 4;
+const MERGE_MAX_LENGTH = 400;
+const MERGE_MAX_GAP = 1.5; // секунды
+
+/**
+ * Извлекает текст реплик
+ */
+export function extractSubtitleText(buffer) {
+  const { source } = readSubtitles(buffer);
+  return locateCues(source)
+    .map(cue => cue.lines.join('\n'))
+    .join('\n\n');
+}
+
+/**
+ * Переводит файл субтитров, заменяя только текст реплик
+ * @param {Buffer} buffer - исходный файл .srt или .vtt
+ * @param {function(string[]): Promise<string[]>} translateSegments - переводит массив сегментов
+ * @param {{mergeCues?: boolean}} options - mergeCues: переводить незаконченные фразы вместе со следующими репликами
+ * @returns {Promise<{buffer: Buffer, translatedText: string}>}
+ */
+export async function translateSubtitles(buffer, translateSegments, { mergeCues = true } = {}) {
+  const { source, crlf } = readSubtitles(buffer);
+  const cues = locateCues(source);
+  const groups = mergeCues ? groupCues(cues) : cues.map(cue => [cue]);
+
+  const translations = await translateMessages(
+    groups.map(group => group.map(cue => cue.message).join(' ')),
+    translateSegments
+  );
+
+  groups.forEach((group, index) => {
+    const parts = group.length > 1
+      ? splitText(translations[index], group.map(cue => cue.message.length), true)
+      : [translations[index]];
+    group.forEach((cue, cueIndex) => {
+      // Пустая строка внутри реплики разорвала бы блок
+      const text = parts[cueIndex].replace(/\n\s*\n/g, '\n');
+      cue.translation = cue.dialogue ? text : wrapLines(text, cue.lines.length);
+    });
+  });
+
+  let result = '';
+  let position = 0;
+  for (const cue of cues) {
+    result += source.substring(position, cue.start) + cue.translation;
+    position = cue.end;
+  }
+  result += source.substring(position);
+
+  return {
+    buffer: Buffer.from(crlf ? result.replace(/\n/g, '\r\n') : result, 'utf8'),
+    translatedText: cues.map(cue => cue.translation).join('\n\n')
+  };
+}
+
+function readSubtitles(buffer) {
+  const text = decodeText(buffer);
+  return { source: text.replace(/\r\n?/g, '\n'), crlf: text.includes('\r\n') };
+}
+
+/**
+ * Находит реплики: блоки со строкой тайминга "-->" и текстом после нее
+ * Блоки без тайминга (WEBVTT, NOTE, STYLE, REGION) пропускаются
+ */
+function locateCues(source) {
+  const lines = [];
+  for (let start = 0; start <= source.length;) {
+    const newline = source.indexOf('\n', start);
+    const end = newline === -1 ? source.length : newline;
+    lines.push({ start, end, text: source.slice(start, end) });
+    if (newline === -1) break;
+    start = newline + 1;
+  }
+
+  const cues = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    if (!lines[index].text.trim()) {
+      index++;
+      continue;
+    }
+
+    const block = [];
+    while (index < lines.length && lines[index].text.trim()) {
+      block.push(lines[index++]);
+    }
+
+    const timingIndex = block.findIndex(line => TIMING_PATTERN.test(line.text));
+    const textLines = block.slice(timingIndex + 1);
+    if (timingIndex === -1 || textLines.length === 0 || block[0].text.startsWith('NOTE')) continue;
+
+    const timing = block[timingIndex].text.match(TIMING_PATTERN);
+    const texts = textLines.map(line => line.text);
+    // Диалог: реплики разных персонажей на отдельных строках "- ..."
+    const dialogue = texts.length > 1 && texts.slice(1).some(text => /^\s*-/.test(text));
+
+    cues.push({
+      start: textLines[0].start,
+      end: textLines[textLines.length - 1].end,
+      startTime: parseTime(timing[1]),
+      endTime: parseTime(timing[2]),
+      lines: texts,
+      dialogue,
+      // Перенос строк внутри реплики - оформление, переводим текст одной строкой
+      message: dialogue ? texts.join('\n') : texts.map(text => text.trim()).join(' ')
+    });
+  }
+
+  return cues;
+}
+
+/**
+ * Объединяет незаконченные фразы со следующими репликами
+ * Реплики с тегами оформления и диалоги переводятся отдельно
+ */
+function groupCues(cues) {
+  const groups = [];
+  let group = [];
+  let length = 0;
+
+  const mergeable = cue => !cue.dialogue && !/[<{]/.test(cue.message);
+
+  for (const cue of cues) {
+    const previous = group[group.length - 1];
+    const continues = previous &&
+      mergeable(previous) && mergeable(cue) &&
+      !SENTENCE_END.test(previous.message) &&
+      group.length < MERGE_MAX_CUES &&
+      length + cue.message.length <= MERGE_MAX_LENGTH &&
+      cue.startTime - previous.endTime <= MERGE_MAX_GAP;
+
+    if (!continues && group.length > 0) {
+      groups.push(group);
+      group = [];
+      length = 0;
+    }
+    group.push(cue);
+    length += cue.message.length;
+  }
+  if (group.length > 0) groups.push(group);
+
+  return groups;
+}
+
+/**
+ * Делит текст на части пропорционально весам по пробелам вне тегов
+ * @param {boolean} allowCharacters - если пробелов не хватает (китайский, японский), делить между символами
+ * @returns {string[]} по части на каждый вес
+ */
+function splitText(text, weights, allowCharacters) {
+  let breaks = findBreaks(text, ' ');
+  if (breaks.length < weights.length - 1 && allowCharacters) {
+    breaks = findBreaks(text, null);
+  }
+
+  const total = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+  const parts = [];
+  let position = 0;
+  let accumulated = 0;
+  let candidate = 0;
+
+  for (let index = 0; index < weights.length - 1; index++) {
+    accumulated += weights[index];
+    const target = text.length * accumulated / total;
+    // Лучший разрыв ближе к цели, оставляющий разрывы для следующих частей
+    const last = breaks.length - (weights.length - 1 - index);
+    let best = -1;
+    for (let i = candidate; i <= last; i++) {
+      if (best === -1 || Math.abs(breaks[i] - target) < Math.abs(breaks[best] - target)) best = i;
+    }
+    if (best === -1) break;
+
+    parts.push(text.slice(position, breaks[best]).trim());
+    position = breaks[best];
+    candidate = best + 1;
+  }
+  parts.push(text.slice(position).trim());
+
+  // Частей меньше, чем реплик - оставшиеся получают последнюю часть целиком
+  while (parts.length < weights.length) parts.push(parts[parts.length - 1]);
+  return parts;
+}
+
+/**
+ * Переносит перевод на то же число строк, что и в исходной реплике
+ */
+function wrapLines(text, count) {
+  if (count <= 1 || text.includes('\n')) return text;
+  const breaks = findBreaks(text, ' ').length;
+  if (breaks === 0) return text;
+  const lines = Math.min(count, breaks + 1);
+  return splitText(text, Array(lines).fill(1), false).slice(0, lines).join('\n');
+}
+
+/**
+ * Позиции возможных разрывов вне тегов <...> и {...}: пробелы или (separator = null) любые символы
+ */
+function findBreaks(text, separator) {
+  const breaks = [];
+  let depth = 0;
+  for (let i = 1; i < text.length; i++) {
+    const char = text[i - 1];
+    if (char === '<' || char === '{') depth++;
+    if ((char === '>' || char === '}') && depth > 0) depth--;
+    if (depth > 0) continue;
+    if (/\s/.test(char)) continue;
+    if (separator === null ? !/\s/.test(text[i]) : text[i] === separator) {
+      breaks.push(i);
+    }
+  }
+  return breaks;
+}
+
+function parseTime(timestamp) {
+  const parts = timestamp.replace(',', '.').split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
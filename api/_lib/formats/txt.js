@@ -0,0 +1,35 @@
+/**
+ * Чтение текстовых файлов с определением кодировки
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+/**
+ * Декодирует текстовый файл: BOM (UTF-8/UTF-16), затем UTF-8, затем Windows-1251
+ */
+export function decodeText(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return buffer.toString('utf8', 3);
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.toString('utf16le', 2);
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  }
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    // Не UTF-8 - чаще всего это старые русскоязычные файлы в cp1251
+    return new TextDecoder('windows-1251').decode(buffer);
+  }
+}
+
+/**
+ * Извлекает текст из .txt файла
+ */
+export function extractTxtText(buffer) {
+  return decodeText(buffer).replace(/\r\n?/g, '\n').trim();
+}
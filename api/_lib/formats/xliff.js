@@ -0,0 +1,136 @@
+/**
+ * Чтение и перевод файлов XLIFF 1.2 и 2.0 (.xlf, .xliff)
+ * Перевод <source> каждого <trans-unit> (1.2) или <segment> (2.0) записывается в <target>,
+ * встроенные элементы (<g>, <x/>, <ph>, <pc> ...) остаются на своих местах.
+ * Единицы с translate="no" и варианты <alt-trans> не переводятся.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { decodeText } from './txt.js';
+import { decodeXmlEntities, setTagAttribute, setAttribute } from '../xml.js';
+import { parseMarkup, renderSegments } from '../markup.js';
+import { toLocaleCode } from '../messages.js';
+
+export const XLIFF_MIME_TYPE = 'application/xliff+xml';
+
+const TARGET_PATTERN = /^(\s*)<target(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/target>)/;
+
+/**
+ * Извлекает исходный текст всех единиц перевода
+ */
+export function extractXliffText(buffer) {
+  const xml = readXliff(buffer);
+  return locateSources(xml)
+    .map(source => decodeXmlEntities(source.content.replace(/<[^>]*>/g, '')))
+    .join('\n');
+}
+
+/**
+ * Переводит файл XLIFF
+ * @param {Buffer} buffer - исходный файл
+ * @param {function(string[]): Promise<string[]>} translateSegments - переводит массив сегментов
+ * @param {{targetLang: string}} options
+ * @returns {Promise<{buffer: Buffer, translatedText: string}>}
+ */
+export async function translateXliff(buffer, translateSegments, { targetLang }) {
+  const xml = readXliff(buffer);
+  const version2 = /<xliff\b[^>]*\bversion\s*=\s*["']2/.test(xml);
+  const sources = locateSources(xml);
+
+  const parsed = sources.map(source => parseMarkup(source.content, 'xml'));
+  const texts = parsed.flatMap(segments => segments.map(segment => segment.text));
+  const translations = texts.length > 0 ? await translateSegments(texts) : [];
+
+  let index = 0;
+  const targets = sources.map((source, sourceIndex) => {
+    const segments = parsed[sourceIndex];
+    const target = renderSegments(source.content, segments, translations.slice(index, index + segments.length));
+    index += segments.length;
+    return target;
+  });
+
+  let result = '';
+  let position = 0;
+
+  sources.forEach((source, sourceIndex) => {
+    // Сегмент XLIFF 2.0 с переводом получает state="translated"
+    if (source.segment && source.segment.start >= position) {
+      result += xml.substring(position, source.segment.start) +
+        setTagAttribute(xml.substring(source.segment.start, source.segment.end), 'state', 'translated');
+      position = source.segment.end;
+    }
+    result += xml.substring(position, source.end);
+    position = source.end;
+
+    const existing = xml.substring(source.end).match(TARGET_PATTERN);
+    if (existing) {
+      const attributes = version2 ? existing[2] || '' : setAttribute(existing[2] || '', 'state', 'translated');
+      result += `${existing[1]}<target${attributes}>${targets[sourceIndex]}</target>`;
+      position += existing[0].length;
+    } else {
+      const attributes = version2 ? '' : ' state="translated"';
+      result += `${source.separator}<target${attributes}>${targets[sourceIndex]}</target>`;
+    }
+  });
+  result += xml.substring(position);
+
+  // Целевой язык: target-language у <file> (1.2) или trgLang у <xliff> (2.0)
+  const locale = toLocaleCode(targetLang);
+  result = version2
+    ? result.replace(/<xliff\b[^>]*>/, tag => setTagAttribute(tag, 'trgLang', locale))
+    : result.replace(/<file\b[^>]*>/g, tag => setTagAttribute(tag, 'target-language', locale));
+
+  return {
+    buffer: Buffer.from(result, 'utf8'),
+    translatedText: targets.map(target => decodeXmlEntities(target.replace(/<[^>]*>/g, ''))).join('\n')
+  };
+}
+
+function readXliff(buffer) {
+  const xml = decodeText(buffer);
+  if (!/<xliff\b/.test(xml)) {
+    throw new Error('Файл не является XLIFF: отсутствует элемент <xliff>');
+  }
+  return xml;
+}
+
+/**
+ * Находит <source> единиц перевода, кроме <alt-trans> и единиц с translate="no"
+ * segment - открывающий тег <segment> (XLIFF 2.0), в нем отмечается состояние перевода
+ */
+function locateSources(xml) {
+  const pattern = /<alt-trans\b|<\/alt-trans>|<(?:trans-unit|unit)\b[^>]*>|<segment\b[^>]*>|<source(?:\s[^>]*)?>([\s\S]*?)<\/source>/g;
+  const sources = [];
+  let inAltTrans = false;
+  let skipUnit = false;
+  let segment = null;
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    const tag = match[0];
+
+    if (tag.startsWith('<alt-trans')) {
+      inAltTrans = true;
+    } else if (tag === '</alt-trans>') {
+      inAltTrans = false;
+    } else if (tag.startsWith('<segment')) {
+      segment = { start: match.index, end: pattern.lastIndex };
+    } else if (!tag.startsWith('<source')) {
+      skipUnit = /\stranslate\s*=\s*["']no["']/.test(tag);
+      segment = null;
+    } else if (!inAltTrans && !skipUnit) {
+      const linePrefix = xml.substring(xml.lastIndexOf('\n', match.index) + 1, match.index);
+      sources.push({
+        end: pattern.lastIndex,
+        content: match[1],
+        // Перед <target> - перевод строки с отступом <source>, если он на отдельной строке
+        separator: /^\s*$/.test(linePrefix) ? '\n' + linePrefix : '',
+        segment
+      });
+    }
+  }
+
+  return sources;
+}
@@ -0,0 +1,305 @@
+/**
+ * Чтение и перевод книг Excel (.xlsx)
+ * Переводятся строковые ячейки выбранных столбцов. Числа, формулы, стили, объединения
+ * ячеек и остальные листы не меняются. Переведенные ячейки записываются как inline строки
+ * со стилем исходной ячейки, общая таблица строк (sharedStrings.xml) не изменяется.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { readZip, writeZip, getZipEntry } from '../zip.js';
+import { decodeXmlEntities, escapeXml, getTagAttribute } from '../xml.js';
+import { translateMessages } from '../messages.js';
+import { describeColumns, selectColumns, columnLetter, columnIndex, translatedColumnName } from '../spreadsheet.js';
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const WORKSHEET_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet';
+const WORKSHEET_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml';
+
+// Элементы листа со ссылками на связанные части (рисунки, таблицы, примечания) -
+// в копии листа без своих связей они бы ссылались на несуществующие r:id
+const LINKED_ELEMENTS = /<(drawing|legacyDrawing|legacyDrawingHF|picture|tableParts|hyperlinks|oleObjects|controls)\b[^>]*?(?:\/>|>[\s\S]*?<\/\1>)/g;
+
+/**
+ * Извлекает текст текстовых столбцов всех листов
+ */
+export function extractXlsxText(buffer) {
+  return readWorkbook(buffer).sheets
+    .flatMap(sheet => {
+      const indexes = selectColumns(describeColumns(sheet.grid, sheet.name), null);
+      return sheet.grid.flatMap(row => indexes.map(index => row[index]).filter(Boolean));
+    })
+    .join('\n');
+}
+
+/**
+ * Описание столбцов всех листов для выбора пользователем (см. describeColumns)
+ */
+export function describeXlsx(buffer) {
+  return readWorkbook(buffer).sheets.flatMap(sheet => describeColumns(sheet.grid, sheet.name));
+}
+
+/**
+ * Переводит выбранные столбцы книги
+ * @param {Buffer} buffer - исходная книга
+ * @param {function(string[]): Promise<string[]>} translateSegments - переводит массив сегментов
+ * @param {{targetLang: string, spreadsheet?: {columns: string[]|null, layout: string}}} options
+ * @returns {Promise<{buffer: Buffer, translatedText: string}>}
+ */
+export async function translateXlsx(buffer, translateSegments, { targetLang, spreadsheet }) {
+  const { columns = null, layout = 'columns' } = spreadsheet || {};
+  const workbook = readWorkbook(buffer);
+
+  const jobs = workbook.sheets
+    .map(sheet => ({ sheet, indexes: selectColumns(describeColumns(sheet.grid, sheet.name), columns) }))
+    .filter(job => job.indexes.length > 0);
+
+  if (jobs.length === 0) {
+    throw new Error('Не выбраны столбцы для перевода');
+  }
+
+  // Ячейки для перевода: строки после заголовка, по выбранным столбцам
+  const cells = jobs.flatMap(({ sheet, indexes }) =>
+    sheet.rows.slice(1).flatMap(row => indexes.map(index => ({ sheet, row, index, value: row.values[index] })))
+  );
+  const translations = await translateMessages(cells.map(cell => cell.value || ''), translateSegments);
+  cells.forEach((cell, position) => {
+    cell.translation = translations[position];
+  });
+
+  for (const job of jobs) {
+    const sheetCells = cells.filter(cell => cell.sheet === job.sheet);
+
+    if (layout === 'columns') {
+      job.sheet.entry.data = Buffer.from(appendColumns(job.sheet, job.indexes, sheetCells, targetLang), 'utf8');
+    } else if (layout === 'file') {
+      job.sheet.entry.data = Buffer.from(replaceCells(job.sheet, sheetCells), 'utf8');
+    } else {
+      addSheetCopy(workbook, job.sheet, replaceCells(job.sheet, sheetCells), targetLang);
+    }
+  }
+
+  return {
+    buffer: writeZip(workbook.entries),
+    translatedText: translations.filter(Boolean).join('\n')
+  };
+}
+
+/**
+ * Читает книгу: листы с XML, строками, ячейками и значениями
+ */
+function readWorkbook(buffer) {
+  const entries = readZip(buffer);
+  const workbookXml = getZipEntry(entries, 'xl/workbook.xml')?.toString('utf8');
+
+  if (!workbookXml) {
+    throw new Error('Файл не является книгой XLSX: отсутствует xl/workbook.xml');
+  }
+
+  const relsXml = getZipEntry(entries, 'xl/_rels/workbook.xml.rels')?.toString('utf8') || '';
+  const targets = new Map(
+    [...relsXml.matchAll(/<Relationship\b[^>]*>/g)].map(([tag]) => [getTagAttribute(tag, 'Id'), getTagAttribute(tag, 'Target')])
+  );
+  const sharedStrings = readSharedStrings(getZipEntry(entries, 'xl/sharedStrings.xml')?.toString('utf8') || '');
+
+  const sheets = [...workbookXml.matchAll(/<sheet\b[^>]*>/g)].flatMap(([tag]) => {
+    const relationId = tag.match(/\s([\w]+:)?id\s*=\s*"([^"]*)"/)?.[2];
+    const target = targets.get(relationId);
+    if (!target) return [];
+
+    const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    const entry = entries.find(item => item.name === path);
+    if (!entry) return [];
+
+    const xml = entry.data.toString('utf8');
+    const rows = parseRows(xml, sharedStrings);
+    return [{
+      name: decodeXmlEntities(getTagAttribute(tag, 'name') || ''),
+      entry,
+      xml,
+      rows,
+      grid: rows.map(row => row.values),
+      width: rows.reduce((max, row) => Math.max(max, ...row.cells.map(cell => cell.index + 1)), 0)
+    }];
+  });
+
+  return { entries, workbookXml, relsXml, sheets };
+}
+
+function readSharedStrings(xml) {
+  return [...xml.matchAll(/<si\b[^>]*?(?:\/>|>([\s\S]*?)<\/si>)/g)].map(([, content = '']) => readText(content));
+}
+
+/**
+ * Текст строки: все <t>, кроме фонетических подсказок <rPh>
+ */
+function readText(content) {
+  return [...content.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t\b[^>]*?(?:\/>|>([\s\S]*?)<\/t>)/g)]
+    .map(([, text = '']) => decodeXmlEntities(text))
+    .join('');
+}
+
+/**
+ * Строки листа: позиции в XML, ячейки и их текстовые значения (null - число, формула, пусто)
+ */
+function parseRows(xml, sharedStrings) {
+  const rows = [];
+
+  for (const match of xml.matchAll(/<row\b([^>]*?)(\/>|>([\s\S]*?)<\/row>)/g)) {
+    const [whole, attributes, , content = ''] = match;
+    const contentStart = match.index + whole.length - (match[2] === '/>' ? 0 : content.length + '</row>'.length);
+    const cells = [];
+    const values = [];
+    let previous = -1;
+
+    for (const cellMatch of content.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const [cellXml, cellAttributes, cellContent = ''] = cellMatch;
+      const reference = getTagAttribute(`<c${cellAttributes}>`, 'r');
+      const index = reference ? columnIndex(reference.replace(/\d+$/, '')) : previous + 1;
+      const type = getTagAttribute(`<c${cellAttributes}>`, 't');
+      previous = index;
+
+      let value = null;
+      if (!/<f\b/.test(cellContent)) {
+        if (type === 's') {
+          value = sharedStrings[Number(cellContent.match(/<v>([^<]*)<\/v>/)?.[1])] ?? null;
+        } else if (type === 'inlineStr') {
+          value = readText(cellContent.match(/<is>([\s\S]*?)<\/is>/)?.[1] || '');
+        }
+      }
+
+      cells.push({
+        index,
+        start: contentStart + cellMatch.index,
+        end: contentStart + cellMatch.index + cellXml.length,
+        style: getTagAttribute(`<c${cellAttributes}>`, 's')
+      });
+      values[index] = value;
+    }
+
+    rows.push({
+      number: Number(getTagAttribute(`<row${attributes}>`, 'r')) || rows.length + 1,
+      start: match.index,
+      end: match.index + whole.length,
+      openTag: `<row${attributes}>`.replace(/\/>$/, '>'),
+      selfClosing: match[2] === '/>',
+      contentEnd: match.index + whole.length - (match[2] === '/>' ? 0 : '</row>'.length),
+      cells,
+      values: Array.from(values, value => value ?? null)
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Добавляет переведенные столбцы справа от последнего столбца листа
+ */
+function appendColumns(sheet, indexes, cells, targetLang) {
+  const [header, ...data] = sheet.rows;
+  const additions = new Map();
+
+  const addCell = (row, position, text, sourceIndex) => {
+    if (!text) return;
+    const style = row.cells.find(cell => cell.index === sourceIndex)?.style;
+    const cellXml = buildCell(`${columnLetter(sheet.width + position)}${row.number}`, style, text);
+    additions.set(row, (additions.get(row) || '') + cellXml);
+  };
+
+  indexes.forEach((index, position) => {
+    addCell(header, position, translatedColumnName(header.values[index] || columnLetter(index), targetLang), index);
+  });
+  cells.forEach(cell => addCell(cell.row, indexes.indexOf(cell.index), cell.translation, cell.index));
+
+  let xml = '';
+  let position = 0;
+  for (const row of [header, ...data]) {
+    const added = additions.get(row);
+    if (!added) continue;
+
+    // spans - необязательная подсказка Excel, после добавления столбцов она неверна
+    const openTag = row.openTag.replace(/\sspans\s*=\s*"[^"]*"/, '');
+    if (row.selfClosing) {
+      xml += sheet.xml.substring(position, row.start) + openTag + added + '</row>';
+    } else {
+      xml += sheet.xml.substring(position, row.start) + openTag +
+        sheet.xml.substring(row.start + row.openTag.length, row.contentEnd) + added + '</row>';
+    }
+    position = row.end;
+  }
+  xml += sheet.xml.substring(position);
+
+  // Диапазон листа расширяется на новые столбцы
+  const lastColumn = columnLetter(sheet.width + indexes.length - 1);
+  return xml.replace(/(<dimension\s+ref=")([A-Z]+\d+)(?::[A-Z]+(\d+))?"/, (match, start, first, lastRow) =>
+    `${start}${first}:${lastColumn}${lastRow || first.replace(/^[A-Z]+/, '')}"`
+  );
+}
+
+/**
+ * Заменяет текст ячеек переводом, сохраняя стиль ячейки
+ */
+function replaceCells(sheet, cells) {
+  const replacements = cells
+    .filter(cell => cell.value && cell.translation !== cell.value)
+    .map(cell => {
+      const source = cell.row.cells.find(item => item.index === cell.index);
+      return {
+        start: source.start,
+        end: source.end,
+        xml: buildCell(`${columnLetter(cell.index)}${cell.row.number}`, source.style, cell.translation)
+      };
+    })
+    .sort((a, b) => a.start - b.start);
+
+  let xml = '';
+  let position = 0;
+  for (const replacement of replacements) {
+    xml += sheet.xml.substring(position, replacement.start) + replacement.xml;
+    position = replacement.end;
+  }
+  return xml + sheet.xml.substring(position);
+}
+
+/**
+ * Добавляет в конец книги переведенную копию листа "Имя (DE)"
+ */
+function addSheetCopy(workbook, sheet, xml, targetLang) {
+  const copy = xml
+    .replace(LINKED_ELEMENTS, '')
+    .replace(/\stabSelected\s*=\s*"(?:1|true)"/, '');
+
+  let number = 1;
+  while (workbook.entries.some(entry => entry.name === `xl/worksheets/sheet${number}.xml`)) number++;
+  const path = `worksheets/sheet${number}.xml`;
+  const relationId = `rIdTranslated${number}`;
+  const sheetIds = [...workbook.workbookXml.matchAll(/<sheet\b[^>]*\ssheetId\s*=\s*"(\d+)"/g)].map(match => Number(match[1]));
+  const suffix = ` (${targetLang})`;
+  // Имя листа Excel - до 31 символа, без []:*?/\
+  const name = sheet.name.replace(/[[\]:*?/\\]/g, '').slice(0, 31 - suffix.length) + suffix;
+  const prefix = workbook.workbookXml.match(/<sheet\b[^>]*\s([\w]+):id\s*=/)?.[1] || 'r';
+
+  workbook.workbookXml = workbook.workbookXml.replace('</sheets>',
+    `<sheet name="${escapeXml(name)}" sheetId="${Math.max(0, ...sheetIds) + 1}" ${prefix}:id="${relationId}"/></sheets>`);
+  workbook.relsXml = workbook.relsXml.replace('</Relationships>',
+    `<Relationship Id="${relationId}" Type="${WORKSHEET_TYPE}" Target="${path}"/></Relationships>`);
+
+  setEntry(workbook.entries, 'xl/workbook.xml', workbook.workbookXml);
+  setEntry(workbook.entries, 'xl/_rels/workbook.xml.rels', workbook.relsXml);
+  workbook.entries.push({ name: `xl/${path}`, data: Buffer.from(copy, 'utf8'), method: 8 });
+
+  const contentTypes = getZipEntry(workbook.entries, '[Content_Types].xml').toString('utf8');
+  setEntry(workbook.entries, '[Content_Types].xml', contentTypes.replace('</Types>',
+    `<Override PartName="/xl/${path}" ContentType="${WORKSHEET_CONTENT_TYPE}"/></Types>`));
+}
+
+function buildCell(reference, style, text) {
+  const styleAttribute = style ? ` s="${style}"` : '';
+  return `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+function setEntry(entries, name, text) {
+  entries.find(entry => entry.name === name).data = Buffer.from(text, 'utf8');
+}
@@ -0,0 +1,47 @@
+/**
+ * Чтение и перевод XML документов, которые не являются ресурсами Android или XLIFF
+ * Текст элементов переводится по сегментам markup.js: теги, атрибуты, комментарии и CDATA
+ * остаются как в исходном файле.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { decodeText } from './txt.js';
+import { decodeXmlEntities } from '../xml.js';
+import { parseMarkup, renderSegments, restoreSegment } from '../markup.js';
+
+export const XML_MIME_TYPE = 'application/xml';
+
+/**
+ * Извлекает текст элементов документа
+ */
+export function extractXmlText(buffer) {
+  const xml = decodeText(buffer);
+  return parseMarkup(xml, 'xml')
+    .map(segment => toPlainText(xml.substring(segment.start, segment.end)))
+    .join('\n');
+}
+
+/**
+ * Переводит XML документ
+ * @param {Buffer} buffer - исходный файл
+ * @param {function(string[]): Promise<string[]>} translateSegments - переводит массив сегментов
+ * @returns {Promise<{buffer: Buffer, translatedText: string}>}
+ */
+export async function translateXml(buffer, translateSegments) {
+  const xml = decodeText(buffer);
+  const segments = parseMarkup(xml, 'xml');
+  const translations = segments.length > 0 ? await translateSegments(segments.map(segment => segment.text)) : [];
+
+  return {
+    buffer: Buffer.from(renderSegments(xml, segments, translations), 'utf8'),
+    translatedText: segments
+      .map((segment, index) => toPlainText(restoreSegment(translations[index], segment)))
+      .join('\n')
+  };
+}
+
+function toPlainText(fragment) {
+  return decodeXmlEntities(fragment.replace(/<[^>]*>/g, ''));
+}
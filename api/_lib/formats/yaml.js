@@ -0,0 +1,216 @@
+/**
+ * Чтение и перевод файлов локализации YAML (Rails i18n, Symfony, Hugo)
+ * Разбор по строкам: переводятся скалярные значения ключей и элементов списков,
+ * включая блоки | и >. Ключи, комментарии, якоря и отступы не меняются.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { decodeText } from './txt.js';
+import { translateMessages, isLocaleKey, toLocaleCode } from '../messages.js';
+
+export const YAML_MIME_TYPE = 'application/x-yaml';
+
+// Отступ, маркеры списка "- ", ключ с двоеточием и остаток строки
+const ENTRY_PATTERN = /^([ \t]*(?:-[ \t]+)*)(?:("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"\-?:,[\]{}&*!|>%@`][^#]*?|-[^\s#][^#]*?)[ \t]*:(?=[ \t]|$))?[ \t]*(.*)$/;
+const BLOCK_SCALAR = /^[|>][+-]?\d*[ \t]*(?:#.*)?$/;
+// Значения, которые YAML читает не как строку
+const RESERVED_PLAIN = /^(?:true|false|yes|no|on|off|null|y|n|~)$/i;
+
+/**
+ * Извлекает переводимые строки файла YAML
+ */
+export function extractYamlText(buffer) {
+  return locateScalars(decodeText(buffer).replace(/\r\n?/g, '\n'))
+    .filter(scalar => !scalar.locale)
+    .map(scalar => scalar.value)
+    .join('\n');
+}
+
+/**
+ * Переводит файл YAML, заменяя значения в исходном тексте
+ * @param {Buffer} buffer - исходный файл
+ * @param {function(string[]): Promise<string[]>} translateSegments - переводит массив сегментов
+ * @param {{targetLang: string}} options
+ * @returns {Promise<{buffer: Buffer, translatedText: string}>}
+ */
+export async function translateYaml(buffer, translateSegments, { targetLang }) {
+  const source = decodeText(buffer).replace(/\r\n?/g, '\n');
+  const scalars = locateScalars(source);
+  const translatable = scalars.filter(scalar => !scalar.locale);
+  const translations = await translateMessages(translatable.map(scalar => scalar.value), translateSegments, { targetLang });
+  const replacements = new Map(translatable.map((scalar, index) => [scalar, translations[index]]));
+
+  let result = '';
+  let position = 0;
+
+  for (const scalar of scalars) {
+    // Корневой ключ Rails (en:) становится кодом целевого языка
+    const text = scalar.locale ? toLocaleCode(targetLang) : formatScalar(replacements.get(scalar), scalar);
+    result += source.substring(position, scalar.start) + text;
+    position = scalar.end;
+  }
+  result += source.substring(position);
+
+  return {
+    buffer: Buffer.from(result, 'utf8'),
+    translatedText: translations.join('\n')
+  };
+}
+
+/**
+ * Находит скалярные значения с позициями в тексте
+ * style - plain, single, double или block (| и >), для block - отступ содержимого
+ */
+function locateScalars(source) {
+  const lines = [];
+  for (let start = 0; start <= source.length;) {
+    const newline = source.indexOf('\n', start);
+    const end = newline === -1 ? source.length : newline;
+    lines.push({ start, end, text: source.slice(start, end) });
+    if (newline === -1) break;
+    start = newline + 1;
+  }
+
+  const scalars = [];
+  const rootKeys = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    if (!line.text.trim() || /^[ \t]*#/.test(line.text) || /^(?:---|\.\.\.)(?:\s|$)/.test(line.text)) continue;
+
+    const match = line.text.match(ENTRY_PATTERN);
+    if (!match) continue;
+
+    const [, prefix, key, rest] = match;
+    const indent = prefix.length;
+    const valueStart = line.start + line.text.length - rest.length;
+
+    if (key && indent === 0) {
+      rootKeys.push({ start: line.start, end: line.start + key.length, key });
+    }
+
+    if (!rest || rest.startsWith('#')) continue;
+
+    // Блок | или >: строки с большим отступом
+    if (BLOCK_SCALAR.test(rest)) {
+      let last = index;
+      let contentIndent = null;
+      for (let next = index + 1; next < lines.length; next++) {
+        const text = lines[next].text;
+        if (!text.trim()) continue;
+        const lineIndent = text.length - text.trimStart().length;
+        if (lineIndent <= indent) break;
+        contentIndent ??= lineIndent;
+        last = next;
+      }
+      if (last === index) continue;
+
+      const start = lines[index + 1].start;
+      const end = lines[last].end;
+      const value = source.slice(start, end).split('\n').map(text => text.slice(contentIndent)).join('\n');
+      scalars.push({ start, end, value: value.replace(/^\n+/, ''), style: 'block', indent: contentIndent, leading: value.match(/^\n*/)[0] });
+      index = last;
+      continue;
+    }
+
+    if (rest.startsWith('"') || rest.startsWith("'")) {
+      const quoted = readQuoted(rest);
+      // Строка в кавычках на нескольких строках файла - оставляем как есть
+      if (!quoted) {
+        const quote = rest[0];
+        while (index + 1 < lines.length && !closesQuote(lines[index + 1].text, quote)) index++;
+        index++;
+        continue;
+      }
+      if (quoted.value !== null) {
+        scalars.push({ start: valueStart, end: valueStart + quoted.length, value: quoted.value, style: quoteStyle(rest) });
+      }
+      continue;
+    }
+
+    // Якоря, ссылки, теги и inline коллекции не переводим
+    if (/^[&*!{[|>%@`]/.test(rest)) continue;
+
+    const plain = rest.replace(/[ \t]+#.*$/, '').trimEnd();
+    let end = valueStart + plain.length;
+    let value = plain;
+
+    // Продолжение значения без кавычек на следующих строках с большим отступом
+    while (index + 1 < lines.length) {
+      const next = lines[index + 1].text;
+      const nextIndent = next.length - next.trimStart().length;
+      if (!next.trim() || nextIndent <= indent || /^[ \t]*#/.test(next) || ENTRY_PATTERN.exec(next)?.[2]) break;
+      value += ' ' + next.trim();
+      end = lines[index + 1].start + next.trimEnd().length;
+      index++;
+    }
+
+    if (RESERVED_PLAIN.test(value) || !isNaN(Number(value))) continue;
+    scalars.push({ start: valueStart, end, value, style: 'plain' });
+  }
+
+  // Файл Rails: единственный корневой ключ - код языка
+  if (rootKeys.length === 1 && isLocaleKey(rootKeys[0].key)) {
+    scalars.push({ start: rootKeys[0].start, end: rootKeys[0].end, value: rootKeys[0].key, locale: true });
+  }
+
+  return scalars.sort((a, b) => a.start - b.start);
+}
+
+function quoteStyle(rest) {
+  return rest[0] === '"' ? 'double' : 'single';
+}
+
+/**
+ * Значение в кавычках в начале rest: длина в исходном тексте и значение (null - не удалось разобрать)
+ * Возвращает null, если кавычка не закрыта на этой строке
+ */
+function readQuoted(rest) {
+  if (rest[0] === "'") {
+    const match = rest.match(/^'((?:[^']|'')*)'/);
+    return match && { length: match[0].length, value: match[1].replace(/''/g, "'") };
+  }
+
+  const match = rest.match(/^"((?:[^"\\]|\\.)*)"/);
+  if (!match) return null;
+
+  try {
+    return { length: match[0].length, value: JSON.parse(match[0]) };
+  } catch {
+    // Экранирование YAML, которого нет в JSON (\x41, \e) - значение не трогаем
+    return { length: match[0].length, value: null };
+  }
+}
+
+function closesQuote(line, quote) {
+  return quote === '"' ? /(?:^|[^\\])(?:\\\\)*"/.test(line) : line.replace(/''/g, '').includes("'");
+}
+
+/**
+ * Записывает переведенное значение в стиле исходного
+ */
+function formatScalar(value, scalar) {
+  switch (scalar.style) {
+    case 'block': {
+      const indent = ' '.repeat(scalar.indent);
+      return scalar.leading + value.split('\n').map(line => (line ? indent + line : line)).join('\n');
+    }
+    case 'single':
+      return value.includes('\n') ? JSON.stringify(value) : `'${value.replace(/'/g, "''")}'`;
+    case 'double':
+      return JSON.stringify(value);
+    default:
+      return isSafePlain(value) ? value : JSON.stringify(value);
+  }
+}
+
+// Перевод без кавычек, если YAML прочитает его той же строкой
+function isSafePlain(value) {
+  return value === value.trim() &&
+    !/^[-?:,[\]{}#&*!|>'"%@`]/.test(value) &&
+    !/:(?:\s|$)|\s#|\n/.test(value) &&
+    !RESERVED_PLAIN.test(value) &&
+    isNaN(Number(value));
+}
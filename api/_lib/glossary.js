@@ -0,0 +1,149 @@
+/**
+ * Глоссарий терминов для пары языков
+ *
+ * Перед отправкой в сервис перевода термины заменяются метками ⟦0⟧, ⟦1⟧ ...,
+ * после перевода метки заменяются целевым термином (или исходным текстом
+ * для списка "не переводить"). Метка, потерянная сервисом, считается нарушением глоссария.
+ *
+ * Формат глоссария в запросе:
+ *   { "terms": [{ "source": "Sign in", "target": "Войти" }], "doNotTranslate": ["TranslateAI"] }
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+const MAX_ENTRIES = 2000;
+const MAX_TERM_LENGTH = 200;
+
+const PLACEHOLDER_PATTERN = /⟦\s*(\d+)\s*⟧/g;
+
+// Границы слова проверяем только для алфавитных письменностей: в китайском и японском пробелов нет
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u;
+
+/**
+ * Проверяет глоссарий из запроса и готовит его к поиску терминов
+ * @param {object|null|undefined} input - глоссарий в формате запроса
+ * @returns {{entries: Array<{source: string, target: string|null}>, pattern: RegExp, lookup: Map}|null}
+ *   null, если глоссарий не передан или пуст
+ * @throws {Error} если формат глоссария неверный
+ */
+export function createGlossary(input) {
+  if (input === undefined || input === null) return null;
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Поле "glossary" должно быть объектом { terms, doNotTranslate }');
+  }
+
+  const { terms = [], doNotTranslate = [] } = input;
+
+  if (!Array.isArray(terms) || !Array.isArray(doNotTranslate)) {
+    throw new Error('Поля "glossary.terms" и "glossary.doNotTranslate" должны быть массивами');
+  }
+
+  if (terms.length + doNotTranslate.length > MAX_ENTRIES) {
+    throw new Error(`Глоссарий слишком большой: максимум ${MAX_ENTRIES} терминов`);
+  }
+
+  const entries = [];
+
+  for (const term of terms) {
+    if (!term || typeof term.source !== 'string' || (term.target !== undefined && typeof term.target !== 'string')) {
+      throw new Error('Термин глоссария должен иметь вид { "source": "...", "target": "..." }');
+    }
+    // Термин без перевода остается как есть
+    entries.push({ source: term.source.trim(), target: term.target?.trim() || null });
+  }
+
+  for (const term of doNotTranslate) {
+    if (typeof term !== 'string') {
+      throw new Error('Список "glossary.doNotTranslate" должен содержать строки');
+    }
+    entries.push({ source: term.trim(), target: null });
+  }
+
+  const valid = entries.filter(entry => entry.source && entry.source.length <= MAX_TERM_LENGTH);
+  if (valid.length === 0) return null;
+
+  // Первым совпадает самый длинный термин: "Sign in page" раньше "Sign in"
+  valid.sort((a, b) => b.source.length - a.source.length);
+
+  const lookup = new Map();
+  for (const entry of valid) {
+    const key = entry.source.toLowerCase();
+    if (!lookup.has(key)) lookup.set(key, entry);
+  }
+
+  const alternatives = [...lookup.values()].map(entry => termPattern(entry.source));
+
+  return {
+    entries: [...lookup.values()],
+    pattern: new RegExp(alternatives.join('|'), 'giu'),
+    lookup
+  };
+}
+
+function termPattern(term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const first = term[0];
+  const last = term[term.length - 1];
+  const before = WORD_CHAR.test(first) && !UNSPACED_SCRIPT.test(first) ? '(?<![\\p{L}\\p{N}])' : '';
+  const after = WORD_CHAR.test(last) && !UNSPACED_SCRIPT.test(last) ? '(?![\\p{L}\\p{N}])' : '';
+  return `${before}${escaped}${after}`;
+}
+
+/**
+ * Заменяет термины глоссария метками
+ * @returns {{text: string, placeholders: Array<{source: string, target: string}>}}
+ */
+export function protectTerms(text, glossary) {
+  if (!glossary) return { text, placeholders: [] };
+
+  const placeholders = [];
+  const protectedText = text.replace(glossary.pattern, match => {
+    const entry = glossary.lookup.get(match.toLowerCase());
+    placeholders.push({ source: match, target: entry?.target ?? match });
+    return `⟦${placeholders.length - 1}⟧`;
+  });
+
+  return { text: protectedText, placeholders };
+}
+
+/**
+ * Возвращает термины на место меток и находит потерянные при переводе
+ * @returns {{text: string, violations: Array<{source: string, target: string}>}}
+ */
+export function restoreTerms(text, placeholders) {
+  if (placeholders.length === 0) return { text, violations: [] };
+
+  const restored = new Set();
+  const restoredText = text.replace(PLACEHOLDER_PATTERN, (match, index) => {
+    const placeholder = placeholders[Number(index)];
+    if (!placeholder) return match;
+    restored.add(Number(index));
+    return placeholder.target;
+  });
+
+  const violations = [];
+  const seen = new Set();
+  placeholders.forEach((placeholder, index) => {
+    const key = `${placeholder.source}\u0000${placeholder.target}`;
+    if (restored.has(index) || seen.has(key)) return;
+    seen.add(key);
+    violations.push({ source: placeholder.source, target: placeholder.target });
+  });
+
+  return { text: restoredText, violations };
+}
+
+/**
+ * Объединяет нарушения нескольких сегментов без повторов
+ */
+export function mergeViolations(target, violations) {
+  for (const violation of violations) {
+    if (!target.some(item => item.source === violation.source && item.target === violation.target)) {
+      target.push(violation);
+    }
+  }
+  return target;
+}
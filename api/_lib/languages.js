@@ -0,0 +1,34 @@
+/**
+ * Названия поддерживаемых языков по кодам DeepL
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+export const LANGUAGE_NAMES = {
+  'AR': 'Arabic', 'BG': 'Bulgarian', 'CS': 'Czech', 'DA': 'Danish',
+  'DE': 'German', 'EL': 'Greek', 'EN': 'English', 'ES': 'Spanish',
+  'ET': 'Estonian', 'FI': 'Finnish', 'FR': 'French', 'HU': 'Hungarian',
+  'ID': 'Indonesian', 'IT': 'Italian', 'JA': 'Japanese', 'KO': 'Korean',
+  'LT': 'Lithuanian', 'LV': 'Latvian', 'NB': 'Norwegian', 'NL': 'Dutch',
+  'PL': 'Polish', 'PT': 'Portuguese', 'RO': 'Romanian', 'RU': 'Russian',
+  'SK': 'Slovak', 'SL': 'Slovenian', 'SV': 'Swedish', 'TR': 'Turkish',
+  'UK': 'Ukrainian', 'ZH': 'Chinese'
+};
+
+/**
+ * Возвращает название языка по коду
+ */
+export function getLanguageName(langCode) {
+  return LANGUAGE_NAMES[langCode] || langCode;
+}
+
+// Языки с письмом справа налево
+const RTL_LANGUAGES = new Set(['AR', 'HE', 'FA', 'UR']);
+
+/**
+ * Пишется ли язык справа налево (AR, HE ...)
+ */
+export function isRtlLanguage(langCode) {
+  return RTL_LANGUAGES.has(String(langCode).toUpperCase().split('-')[0]);
+}
@@ -0,0 +1,501 @@
+/**
+ * Перевод текста с разметкой: HTML, Markdown и XML (XLIFF и похожие форматы)
+ *
+ * Текст делится на сегменты - блоки читаемого текста (абзац, заголовок, ячейка таблицы).
+ * Встроенная разметка внутри блока (<b>, [ссылка](url), `код`), URL, email и подстановки
+ * вида {name}, {{count}}, %s, %1$d заменяются метками ⟪0⟫, ⟪1⟫ ... и после перевода
+ * возвращаются на место без изменений. Все, что между сегментами (теги блоков, блоки кода,
+ * скрипты, атрибуты), остается как в исходном тексте.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { decodeXmlEntities } from './xml.js';
+import { findProtectedSpans } from './segmenter.js';
+
+export const MARKUP_FORMATS = ['html', 'markdown', 'xml'];
+
+const TOKEN_PATTERN = /⟪\s*(\d+)\s*⟫/g;
+
+// Подстановки строк интерфейса: {name}, {{count}}, ${value}, %s, %1$d, %ld, %@, %(name)s
+export const PLACEHOLDER_PATTERN = /\{\{[^{}\n]*\}\}|\$?\{[\w.-]*\}|%(?:\d+\$)?[-+0#]*\d*(?:\.\d+)?(?:hh|h|ll|l|q|z|t|j|L)?[sdfiuxXoeEgGcp@]|%\(\w+\)[sdf]|%%/g;
+const ENTITY_PATTERN = /&(?:#x[0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);/g;
+
+// Теги, комментарии, CDATA, инструкции обработки
+const TAG_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/?([a-zA-Z][\w:.-]*)(?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>"']+))?)*\s*\/?>/g;
+
+const HTML_INLINE = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'font', 'i', 'img', 'input',
+  'ins', 'kbd', 'label', 'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var', 'wbr'
+]);
+// Содержимое не переводится: код, скрипты, стили, формулы
+const HTML_VERBATIM = new Set(['script', 'style', 'pre', 'code', 'kbd', 'samp', 'var', 'textarea', 'svg', 'math']);
+const HTML_VOID = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// Встроенные элементы XLIFF 1.2 и 2.0
+const XML_INLINE = new Set(['g', 'x', 'bx', 'ex', 'ph', 'bpt', 'ept', 'it', 'mrk', 'pc', 'sc', 'ec', 'sub']);
+
+// Встроенная разметка Markdown: код, ссылки и картинки, HTML теги, выделение, экранирование
+const MARKDOWN_INLINE_PATTERN = new RegExp([
+  '(`+)[^`][\\s\\S]*?\\1',
+  '!?\\[(?=[^\\]\\n]*\\][(\\[])',
+  '\\]\\([^)\\s]*(?:\\s+"[^"]*")?\\)',
+  '\\]\\[[^\\]\\n]*\\]',
+  '<(?:https?:|mailto:)[^>\\s]+>',
+  '<\\/?[a-zA-Z][^>\\n]*>',
+  '\\*\\*|__|~~',
+  '\\\\[\\\\`*_{}\\[\\]()#+\\-.!|<>]',
+  '(?<![\\p{L}\\p{N}*])\\*(?=\\S)|(?<=\\S)\\*(?![\\p{L}\\p{N}*])',
+  '(?<![\\p{L}\\p{N}_])_(?=\\S)|(?<=\\S)_(?![\\p{L}\\p{N}_])'
+].join('|'), 'gu');
+
+const MARKDOWN_FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const MARKDOWN_HEADING = /^ {0,3}#{1,6}(?:[ \t]+|$)/;
+const MARKDOWN_RULE = /^ {0,3}([-*_=])(?:[ \t]*\1){2,}[ \t]*$/;
+const MARKDOWN_TABLE_SEPARATOR = /^[ \t]*\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const MARKDOWN_REFERENCE = /^ {0,3}\[[^\]]+\]:[ \t]*\S+(?:[ \t]+["'(].*)?$/;
+const MARKDOWN_PREFIX = /^[ \t]*(?:>[ \t]?)*(?:(?:[-*+]|\d{1,9}[.)])[ \t]+(?:\[[ xX]\][ \t]+)?)?/;
+const MARKDOWN_LIST_ITEM = /(?:[-*+]|\d{1,9}[.)])[ \t]+(?:\[[ xX]\][ \t]+)?$/;
+
+/**
+ * Делит текст с разметкой на сегменты для перевода
+ * @param {string} text - исходный текст
+ * @param {string} format - html, markdown или xml
+ * @returns {Array<{start: number, end: number, text: string, tokens: string[], escape: boolean}>}
+ *   start/end - позиция сегмента в text, text - текст для перевода с метками ⟪n⟫ вместо tokens
+ */
+export function parseMarkup(text, format) {
+  const builder = createBuilder(format);
+
+  if (format === 'markdown') {
+    parseMarkdown(text, builder);
+  } else {
+    parseTagged(text, format, builder);
+  }
+
+  builder.close();
+  return builder.segments;
+}
+
+/**
+ * Возвращает метки разметки в переведенный сегмент
+ * Метки, потерянные сервисом перевода, добавляются в конец, чтобы теги остались парными
+ */
+export function restoreSegment(translation, segment) {
+  const used = new Set();
+  const parts = [];
+  let position = 0;
+
+  for (const match of translation.matchAll(TOKEN_PATTERN)) {
+    const index = Number(match[1]);
+    parts.push(escapeText(translation.slice(position, match.index), segment.escape));
+    if (index < segment.tokens.length && !used.has(index)) {
+      used.add(index);
+      parts.push(segment.tokens[index]);
+    }
+    position = match.index + match[0].length;
+  }
+  parts.push(escapeText(translation.slice(position), segment.escape));
+
+  segment.tokens.forEach((token, index) => {
+    if (!used.has(index)) parts.push(token);
+  });
+
+  return parts.join('');
+}
+
+/**
+ * Собирает текст из переведенных сегментов и исходной разметки между ними
+ * @param {string} text - исходный текст
+ * @param {Array} segments - сегменты из parseMarkup
+ * @param {string[]} translations - переводы сегментов
+ * @param {number} [from] - начало собираемого фрагмента text
+ * @param {number} [to] - конец собираемого фрагмента text
+ */
+export function renderSegments(text, segments, translations, from = 0, to = text.length) {
+  let result = '';
+  let position = from;
+
+  segments.forEach((segment, index) => {
+    result += text.slice(position, segment.start) + restoreSegment(translations[index], segment);
+    position = segment.end;
+  });
+
+  return result + text.slice(position, to);
+}
+
+/**
+ * Объединяет соседние сегменты в части до maxLength символов текста для перевода
+ * @returns {Array<{start: number, end: number, segments: Array}>}
+ */
+export function groupSegments(segments, maxLength) {
+  const groups = [];
+  let current = null;
+  let length = 0;
+
+  for (const segment of segments) {
+    if (current && length + segment.text.length <= maxLength) {
+      current.segments.push(segment);
+      current.end = segment.end;
+      length += segment.text.length;
+      continue;
+    }
+    current = { start: segment.start, end: segment.end, segments: [segment] };
+    length = segment.text.length;
+    groups.push(current);
+  }
+
+  return groups;
+}
+
+/**
+ * Переводит текст с разметкой целиком
+ * @param {function(string[]): Promise<string[]>} translateSegments - переводит тексты сегментов
+ * @returns {Promise<{text: string, segments: number}>}
+ */
+export async function translateMarkup(text, format, translateSegments) {
+  const segments = parseMarkup(text, format);
+  const translations = segments.length > 0 ? await translateSegments(segments.map(segment => segment.text)) : [];
+  return { text: renderSegments(text, segments, translations), segments: segments.length };
+}
+
+/**
+ * Собирает сегменты по мере разбора: текст и метки разметки с позициями в исходном тексте
+ */
+function createBuilder(format) {
+  const escape = format !== 'markdown';
+  const segments = [];
+  let current = null;
+
+  const open = start => {
+    current = { start, end: start, pieces: [] };
+  };
+
+  return {
+    segments,
+
+    // Текст добавляется без пробелов по краям сегмента
+    addText(raw, offset) {
+      if (!current) {
+        const leading = raw.length - raw.trimStart().length;
+        if (leading === raw.length) return;
+        raw = raw.slice(leading);
+        offset += leading;
+        open(offset);
+      }
+
+      current.pieces.push(...tokenizeText(raw, format));
+      const trimmed = raw.trimEnd().length;
+      if (trimmed > 0) current.end = offset + trimmed;
+    },
+
+    addToken(raw, start) {
+      if (!current) open(start);
+      current.pieces.push({ token: raw });
+      current.end = start + raw.length;
+    },
+
+    // Пробелы внутри сегмента и перевод строки с префиксом строки ("> ") внутри абзаца
+    addSeparator(raw, start) {
+      if (current) current.pieces.push({ token: raw });
+      if (current) current.end = start + raw.length;
+    },
+
+    get open() {
+      return current !== null;
+    },
+
+    close() {
+      if (!current) return;
+      const segment = finishSegment(current, escape);
+      if (segment) segments.push(segment);
+      current = null;
+    }
+  };
+}
+
+function finishSegment(current, escape) {
+  // Хвостовые пробелы не входят в сегмент - они остаются между сегментами
+  const pieces = [...current.pieces];
+  while (pieces.length > 0 && pieces[pieces.length - 1].text !== undefined && !pieces[pieces.length - 1].text.trim()) {
+    pieces.pop();
+  }
+
+  const readable = pieces.some(piece => piece.text !== undefined && /\p{L}/u.test(piece.text));
+  if (!readable) return null;
+
+  const tokens = [];
+  let text = '';
+  for (const piece of pieces) {
+    if (piece.token !== undefined) {
+      text += `⟪${tokens.length}⟫`;
+      tokens.push(piece.token);
+    } else {
+      text += piece.text;
+    }
+  }
+
+  return { start: current.start, end: current.end, text: text.trimEnd(), tokens, escape };
+}
+
+/**
+ * Делит текст внутри сегмента на читаемый текст и метки (URL, подстановки, встроенная разметка)
+ */
+function tokenizeText(raw, format) {
+  const matches = [
+    ...findProtectedSpans(raw).map(([start, end]) => ({ start, end })),
+    ...[...raw.matchAll(PLACEHOLDER_PATTERN)].map(toRange),
+    ...[...raw.matchAll(ENTITY_PATTERN)].map(match => ({ ...toRange(match), entity: true })),
+    ...(format === 'markdown' ? [...raw.matchAll(MARKDOWN_INLINE_PATTERN)].map(toRange) : [])
+  ].sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const pieces = [];
+  let position = 0;
+
+  const pushText = value => {
+    if (!value) return;
+    // В HTML переводы строк и отступы внутри абзаца - просто пробелы
+    pieces.push({ text: format === 'html' ? value.replace(/\s+/g, ' ') : value });
+  };
+
+  for (const match of matches) {
+    if (match.start < position) continue;
+    pushText(raw.slice(position, match.start));
+
+    const value = raw.slice(match.start, match.end);
+    const decoded = match.entity && format !== 'markdown' ? decodeEntity(value) : null;
+    if (decoded !== null) {
+      pushText(decoded);
+    } else {
+      pieces.push({ token: value });
+    }
+    position = match.end;
+  }
+  pushText(raw.slice(position));
+
+  return pieces;
+}
+
+function toRange(match) {
+  return { start: match.index, end: match.index + match[0].length };
+}
+
+// Сущность, которую можно заменить символом; остальные (&copy; ...) остаются метками
+function decodeEntity(entity) {
+  if (entity === '&nbsp;') return ' ';
+  const decoded = decodeXmlEntities(entity);
+  return decoded === entity ? null : decoded;
+}
+
+function escapeText(text, escape) {
+  return escape ? text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;') : text;
+}
+
+/**
+ * HTML и XML: блочные теги разделяют сегменты, встроенные становятся метками внутри сегмента
+ */
+function parseTagged(text, format, builder) {
+  const pattern = new RegExp(TAG_PATTERN.source, 'g');
+  let position = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    builder.addText(text.slice(position, match.index), position);
+
+    const raw = match[0];
+    const name = match[1] ? (format === 'html' ? match[1].toLowerCase() : match[1]) : null;
+    let end = pattern.lastIndex;
+
+    if (!name) {
+      // Комментарий или CDATA внутри абзаца не разрывает его
+      if (builder.open && (raw.startsWith('<!--') || raw.startsWith('<![CDATA['))) {
+        builder.addToken(raw, match.index);
+      } else {
+        builder.close();
+      }
+    } else {
+      const closing = raw[1] === '/';
+      const selfClosing = raw.endsWith('/>') || (format === 'html' && HTML_VOID.has(name));
+
+      // Непереводимый элемент пропускаем вместе с содержимым
+      if (!closing && !selfClosing && isVerbatim(name, raw, format)) {
+        end = findClosingTag(text, name, end, format);
+      }
+
+      const markup = text.slice(match.index, end);
+      const inline = format === 'html' ? HTML_INLINE.has(name) : XML_INLINE.has(name);
+      if (inline) {
+        builder.addToken(markup, match.index);
+      } else {
+        builder.close();
+      }
+    }
+
+    position = end;
+    pattern.lastIndex = end;
+  }
+
+  builder.addText(text.slice(position), position);
+}
+
+function isVerbatim(name, tag, format) {
+  if (format === 'html' && HTML_VERBATIM.has(name)) return true;
+  return /\stranslate\s*=\s*["']no["']/i.test(tag) || (format === 'html' && /\sclass\s*=\s*["'][^"']*\bnotranslate\b/i.test(tag));
+}
+
+/**
+ * Позиция после закрывающего тега с учетом вложенных элементов с тем же именем
+ */
+function findClosingTag(text, name, from, format) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`<(/?)${escaped}(?=[\\s/>])[^>]*?(/?)>`, format === 'html' ? 'gi' : 'g');
+  pattern.lastIndex = from;
+  let depth = 1;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[1]) {
+      depth--;
+    } else if (!match[2]) {
+      depth++;
+    }
+    if (depth === 0) return pattern.lastIndex;
+  }
+
+  return text.length;
+}
+
+/**
+ * Markdown: разбор по строкам. Блоки кода, таблицы-разделители, линии и ссылки-определения
+ * остаются как есть, префиксы строк (#, >, -, 1.) не переводятся
+ */
+function parseMarkdown(text, builder) {
+  const lines = [];
+  for (let start = 0; start <= text.length;) {
+    const newline = text.indexOf('\n', start);
+    const end = newline === -1 ? text.length : newline;
+    lines.push({ start, end, line: text.slice(start, end).replace(/\r$/, '') });
+    if (newline === -1) break;
+    start = newline + 1;
+  }
+
+  let fence = null;
+  let previousBlank = true;
+  let inList = false;
+  let inTable = false;
+  let quoteDepth = 0;
+  let index = 0;
+
+  // Front matter (--- ... ---) в начале файла - метаданные, не переводим
+  if (lines[0]?.line === '---') {
+    const closing = lines.findIndex((item, i) => i > 0 && (item.line === '---' || item.line === '...'));
+    if (closing !== -1) index = closing + 1;
+  }
+
+  for (; index < lines.length; index++) {
+    const { start, line } = lines[index];
+
+    if (fence) {
+      if (line.trimStart().startsWith(fence)) fence = null;
+      continue;
+    }
+
+    const fenceMatch = line.match(MARKDOWN_FENCE);
+    if (fenceMatch) {
+      builder.close();
+      fence = fenceMatch[1];
+      continue;
+    }
+
+    if (!line.trim()) {
+      builder.close();
+      previousBlank = true;
+      inTable = false;
+      continue;
+    }
+
+    const wasBlank = previousBlank;
+    previousBlank = false;
+
+    // Блок кода с отступом
+    if (wasBlank && !inList && /^(?: {4}|\t)/.test(line)) {
+      builder.close();
+      continue;
+    }
+
+    if (MARKDOWN_RULE.test(line) || MARKDOWN_REFERENCE.test(line)) {
+      builder.close();
+      continue;
+    }
+
+    // Таблица: строка-разделитель под заголовком или строки, начинающиеся с |
+    const nextLine = lines[index + 1]?.line || '';
+    if (MARKDOWN_TABLE_SEPARATOR.test(line) && line.includes('-') && (inTable || line.includes('|'))) {
+      builder.close();
+      inTable = true;
+      continue;
+    }
+    if (inTable || /^[ \t]*\|/.test(line) || (line.includes('|') && MARKDOWN_TABLE_SEPARATOR.test(nextLine) && nextLine.includes('-'))) {
+      builder.close();
+      inTable = true;
+      for (const cell of splitTableCells(line)) {
+        builder.addText(cell.text, start + cell.start);
+        builder.close();
+      }
+      continue;
+    }
+
+    const heading = line.match(MARKDOWN_HEADING);
+    if (heading) {
+      builder.close();
+      // Закрывающие # заголовка тоже разметка
+      const content = line.slice(heading[0].length).replace(/[ \t]+#+[ \t]*$/, '');
+      builder.addText(content, start + heading[0].length);
+      builder.close();
+      inList = false;
+      continue;
+    }
+
+    const prefix = line.match(MARKDOWN_PREFIX)[0];
+    const listItem = MARKDOWN_LIST_ITEM.test(prefix);
+    const content = line.slice(prefix.length);
+    // Начало или конец цитаты разрывает абзац
+    const depth = (prefix.match(/>/g) || []).length;
+    const quoteChanged = depth !== quoteDepth;
+    quoteDepth = depth;
+
+    if (listItem || quoteChanged) {
+      builder.close();
+      inList = listItem;
+    } else if (wasBlank && !/^[ \t]/.test(line)) {
+      inList = false;
+    }
+
+    if (builder.open) {
+      // Продолжение абзаца: перевод строки и префикс (> или отступ) сохраняем как есть
+      builder.addSeparator(text.slice(lines[index - 1].end, start + prefix.length), lines[index - 1].end);
+    }
+    builder.addText(content, start + prefix.length);
+  }
+}
+
+/**
+ * Ячейки строки таблицы Markdown: разделитель | вне `кода` и не экранированный
+ */
+function splitTableCells(line) {
+  const cells = [];
+  let cellStart = 0;
+  let inCode = false;
+
+  for (let i = 0; i <= line.length; i++) {
+    const char = line[i];
+    if (char === '`') inCode = !inCode;
+    if (i < line.length && (char !== '|' || inCode || line[i - 1] === '\\')) continue;
+
+    cells.push({ text: line.slice(cellStart, i), start: cellStart });
+    cellStart = i + 1;
+  }
+
+  return cells;
+}
@@ -0,0 +1,239 @@
+/**
+ * Строки интерфейса из файлов локализации (JSON, YAML, PO, XLIFF, strings.xml, .strings)
+ *
+ * Строка делится на сегменты для перевода: ветви ICU {count, plural, one {...} other {...}}
+ * переводятся по отдельности, а набор ветвей plural после перевода строится по правилам
+ * целевого языка (как <plurals> в Android и msgstr[n] в PO). Подстановки ({name}, {{count}}, %1$s, %@, # в plural),
+ * HTML теги и переводы строк заменяются метками ⟪n⟫ и возвращаются без изменений.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { findProtectedSpans } from './segmenter.js';
+import { PLACEHOLDER_PATTERN, renderSegments } from './markup.js';
+import { getPluralRules } from './plurals.js';
+
+// Простой аргумент ICU ({count, number}), подстановка Rails %{name}, непереводимый фрагмент
+// Android <xliff:g>, тег, метка времени WebVTT <00:01.000>, XML сущность, перевод строки
+// или табуляция, вложенный ключ i18next $t(key)
+const INLINE_PATTERN = /%?\{[^{}\n]*\}|<xliff:g\b[^>]*>[\s\S]*?<\/xliff:g>|<\/?[a-zA-Z][^<>]*>|<\d[\d:.]*>|&(?:#\d+|#x[0-9a-fA-F]+|[a-zA-Z]\w*);|\r?\n|\t|\$t\([^()\n]*\)/g;
+
+// Код языка как ключ верхнего уровня файла локализации: en, pt-BR, zh_Hans
+const LOCALE_KEY_PATTERN = /^[a-z]{2,3}(?:[-_][A-Za-z]{2,4})?$/;
+
+// Начало сложного аргумента ICU: {name, plural|selectordinal|select, ...}
+const ICU_COMPLEX_HEADER = /^\s*[\p{L}\p{N}_.-]+\s*,\s*(plural|selectordinal|select)\s*,/u;
+const ICU_BRANCH_KEY = /\s*(offset:\s*\d+\s*)?(=?[\p{L}\p{N}_-]+)\s*\{/uy;
+
+/**
+ * Делит строку на сегменты для перевода
+ * @param {string} message - исходная строка
+ * @returns {Array<{start: number, end: number, text: string, tokens: string[], escape: boolean}>}
+ *   в формате сегментов markup.js - собирается обратно через renderSegments
+ */
+export function parseMessage(message) {
+  const segments = [];
+  parseRange(message, 0, message.length, false, segments);
+  return segments;
+}
+
+/**
+ * Переводит строки файла локализации одним вызовом translateSegments
+ * @param {string[]} messages - исходные строки
+ * @param {function(string[]): Promise<string[]>} translateSegments - переводит тексты сегментов
+ * @param {{targetLang?: string}} [options] - targetLang: ветви ICU plural по формам целевого языка
+ * @returns {Promise<string[]>} переведенные строки в том же порядке
+ */
+export async function translateMessages(messages, translateSegments, { targetLang } = {}) {
+  const parsed = messages.map(parseMessage);
+  const texts = parsed.flatMap(segments => segments.map(segment => segment.text));
+  const translations = texts.length > 0 ? await translateSegments(texts) : [];
+  let index = 0;
+
+  return messages.map((message, messageIndex) => {
+    const segments = parsed[messageIndex];
+    const result = renderSegments(message, segments, translations.slice(index, index + segments.length));
+    index += segments.length;
+    return targetLang ? adaptPlurals(result, getPluralRules(targetLang).categories) : result;
+  });
+}
+
+/**
+ * Перестраивает ветви ICU plural под категории целевого языка: для каждой категории берется
+ * ветвь исходника с той же категорией или other, лишние категории удаляются, =N остаются.
+ * Аргумент, у которого набор категорий уже совпадает, не меняется
+ * @param {string} message - переведенная строка
+ * @param {string[]} categories - категории CLDR целевого языка
+ */
+function adaptPlurals(message, categories, from = 0, to = message.length) {
+  let result = '';
+  let copied = from;
+  let position = from;
+
+  while (position < to) {
+    const open = message.indexOf('{', position);
+    if (open === -1 || open >= to) break;
+
+    const close = findClosingBrace(message, open, to);
+    if (close === -1) break;
+
+    const argument = parseComplexArgument(message, open, close);
+    if (argument) {
+      result += message.slice(copied, open) + renderArgument(message, open, close, argument, categories);
+      copied = close + 1;
+    }
+    position = close + 1;
+  }
+
+  return result + message.slice(copied, to);
+}
+
+function renderArgument(message, open, close, argument, categories) {
+  const branches = argument.branches.map(branch => ({
+    ...branch,
+    content: adaptPlurals(message, categories, branch.start, branch.end)
+  }));
+
+  const keys = branches.filter(branch => !branch.key.startsWith('=')).map(branch => branch.key);
+  const matches = keys.length === categories.length && categories.every(category => keys.includes(category));
+
+  if (argument.type !== 'plural' || matches) {
+    // Ветви на месте, меняется только содержимое вложенных аргументов
+    let result = '';
+    let copied = open;
+    for (const branch of branches) {
+      result += message.slice(copied, branch.start) + branch.content;
+      copied = branch.end;
+    }
+    return result + message.slice(copied, close + 1);
+  }
+
+  const byKey = new Map(branches.map(branch => [branch.key, branch.content]));
+  const fallback = byKey.get('other') ?? branches.filter(branch => !branch.key.startsWith('=')).at(-1)?.content ?? '';
+  const rendered = [
+    ...branches.filter(branch => branch.key.startsWith('=')).map(branch => `${branch.key} {${branch.content}}`),
+    ...categories.map(category => `${category} {${byKey.get(category) ?? fallback}}`)
+  ];
+
+  return `{${message.slice(open + 1, argument.bodyStart).trimEnd()}${argument.offset ? ` ${argument.offset}` : ''} ${rendered.join(' ')}}`;
+}
+
+/**
+ * Похож ли ключ на код языка (корневой ключ en: в YAML файлах Rails и JSON)
+ */
+export function isLocaleKey(key) {
+  return LOCALE_KEY_PATTERN.test(key);
+}
+
+/**
+ * Код целевого языка для файла локализации: DE -> de
+ */
+export function toLocaleCode(langCode) {
+  return String(langCode).toLowerCase();
+}
+
+/**
+ * Разбирает часть строки: сложные аргументы ICU разрывают сегмент, их ветви разбираются рекурсивно
+ */
+function parseRange(message, from, to, inPlural, segments) {
+  let segmentStart = from;
+  let position = from;
+
+  while (position < to) {
+    const open = message.indexOf('{', position);
+    if (open === -1 || open >= to) break;
+
+    const close = findClosingBrace(message, open, to);
+    if (close === -1) break;
+
+    const argument = parseComplexArgument(message, open, close);
+    if (argument) {
+      pushSegment(message, segmentStart, open, inPlural, segments);
+      for (const branch of argument.branches) {
+        parseRange(message, branch.start, branch.end, argument.plural, segments);
+      }
+      segmentStart = close + 1;
+    }
+    position = close + 1;
+  }
+
+  pushSegment(message, segmentStart, to, inPlural, segments);
+}
+
+function findClosingBrace(message, open, to) {
+  let depth = 0;
+  for (let i = open; i < to; i++) {
+    if (message[i] === '{') depth++;
+    if (message[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Ветви сложного аргумента ICU (plural, selectordinal, select) или null для простого аргумента
+ */
+function parseComplexArgument(message, open, close) {
+  const header = message.slice(open + 1, close).match(ICU_COMPLEX_HEADER);
+  if (!header) return null;
+
+  const branches = [];
+  const bodyStart = open + 1 + header[0].length;
+  let position = bodyStart;
+  let offset = null;
+
+  while (position < close) {
+    ICU_BRANCH_KEY.lastIndex = position;
+    const key = ICU_BRANCH_KEY.exec(message);
+    if (!key) break;
+
+    const branchOpen = position + key[0].length - 1;
+    const branchClose = findClosingBrace(message, branchOpen, close);
+    if (branchClose === -1) break;
+
+    if (key[1]) offset = key[1].trim();
+    branches.push({ key: key[2], start: branchOpen + 1, end: branchClose });
+    position = branchClose + 1;
+  }
+
+  return { type: header[1], plural: header[1] !== 'select', bodyStart, offset, branches };
+}
+
+/**
+ * Сегмент из части строки: пробелы по краям остаются вне сегмента, подстановки - метками
+ */
+function pushSegment(message, from, to, inPlural, segments) {
+  const raw = message.slice(from, to);
+  const leading = raw.length - raw.trimStart().length;
+  const content = raw.trim();
+  if (!/\p{L}/u.test(content)) return;
+
+  const matches = [
+    ...findProtectedSpans(content).map(([start, end]) => ({ start, end })),
+    ...[...content.matchAll(PLACEHOLDER_PATTERN)].map(toRange),
+    ...[...content.matchAll(INLINE_PATTERN)].map(toRange),
+    // # в ветви plural - само число
+    ...(inPlural ? [...content.matchAll(/#/g)].map(toRange) : [])
+  ].sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const tokens = [];
+  let text = '';
+  let position = 0;
+
+  for (const match of matches) {
+    if (match.start < position) continue;
+    text += content.slice(position, match.start) + `⟪${tokens.length}⟫`;
+    tokens.push(content.slice(match.start, match.end));
+    position = match.end;
+  }
+  text += content.slice(position);
+
+  // Строка из одних подстановок ("%1$s: %2$s") не переводится
+  if (!/\p{L}/u.test(text.replace(/⟪\d+⟫/g, ''))) return;
+
+  segments.push({ start: from + leading, end: from + leading + content.length, text, tokens, escape: false });
+}
+
+function toRange(match) {
+  return { start: match.index, end: match.index + match[0].length };
+}
@@ -0,0 +1,133 @@
+/**
+ * Разбор multipart/form-data запросов
+ * Используется API документов для приема загружаемых файлов
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+/**
+ * Читает тело запроса целиком в Buffer
+ */
+export async function readRequestBody(req, maxBytes = Infinity) {
+  // Среда выполнения могла уже прочитать тело запроса
+  if (Buffer.isBuffer(req.body)) {
+    return req.body;
+  }
+
+  const chunks = [];
+  let total = 0;
+
+  for await (const chunk of req) {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    total += buffer.length;
+
+    if (total > maxBytes) {
+      const error = new Error('Request body too large');
+      error.code = 'BODY_TOO_LARGE';
+      throw error;
+    }
+
+    chunks.push(buffer);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Извлекает boundary из заголовка Content-Type
+ */
+export function getMultipartBoundary(contentType) {
+  if (!contentType || !/^multipart\/form-data/i.test(contentType)) {
+    return null;
+  }
+
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+/**
+ * Разбирает multipart/form-data тело на поля и файлы
+ * @returns {{fields: Object, files: Array<{field, fileName, contentType, data}>}}
+ */
+export function parseMultipart(body, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let position = body.indexOf(delimiter);
+
+  while (position !== -1) {
+    position += delimiter.length;
+
+    // Закрывающий разделитель "--boundary--"
+    if (body[position] === 0x2d && body[position + 1] === 0x2d) {
+      break;
+    }
+
+    // Пропускаем CRLF после разделителя
+    if (body[position] === 0x0d && body[position + 1] === 0x0a) {
+      position += 2;
+    }
+
+    const headersEnd = body.indexOf('\r\n\r\n', position);
+    if (headersEnd === -1) break;
+
+    const nextDelimiter = body.indexOf(delimiter, headersEnd + 4);
+    if (nextDelimiter === -1) break;
+
+    const headers = parsePartHeaders(body.toString('utf8', position, headersEnd));
+    // Содержимое части заканчивается CRLF перед следующим разделителем
+    const data = body.subarray(headersEnd + 4, nextDelimiter - 2);
+
+    const disposition = headers['content-disposition'] || '';
+    const name = getDispositionParam(disposition, 'name');
+    const fileName = getDispositionParam(disposition, 'filename');
+
+    if (fileName !== null) {
+      files.push({
+        field: name,
+        fileName,
+        contentType: headers['content-type'] || 'application/octet-stream',
+        data
+      });
+    } else if (name !== null) {
+      fields[name] = data.toString('utf8');
+    }
+
+    position = nextDelimiter;
+  }
+
+  return { fields, files };
+}
+
+function parsePartHeaders(rawHeaders) {
+  const headers = {};
+
+  for (const line of rawHeaders.split('\r\n')) {
+    const separatorIndex = line.indexOf(':');
+    if (separatorIndex === -1) continue;
+
+    const key = line.substring(0, separatorIndex).trim().toLowerCase();
+    headers[key] = line.substring(separatorIndex + 1).trim();
+  }
+
+  return headers;
+}
+
+function getDispositionParam(disposition, param) {
+  // filename*=UTF-8''... имеет приоритет над обычным filename
+  const extended = disposition.match(new RegExp(`;\\s*${param}\\*=([^']*)'[^']*'([^;]+)`, 'i'));
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[2].trim());
+    } catch {
+      return extended[2].trim();
+    }
+  }
+
+  const match = disposition.match(new RegExp(`;\\s*${param}=(?:"((?:\\\\.|[^"])*)"|([^;]*))`, 'i'));
+  if (!match) return null;
+
+  return match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2].trim();
+}
@@ -0,0 +1,563 @@
+/**
+ * Создание PDF документов с текстом
+ *
+ * Шрифты подбираются по символам документа:
+ * - текст только из символов WinAnsi (латиница) - стандартный Helvetica без встраивания
+ * - остальные письменности (кириллица, греческий, арабский, иврит, китайский, японский, корейский ...) -
+ *   встроенное подмножество шрифта TrueType из PDF_FONT_DIR, папки fonts/ проекта (DejaVu Sans,
+ *   Noto Sans SC для китайского и японского, Noto Sans KR для корейского; попадают в функцию
+ *   через includeFiles в vercel.json) или системных папок шрифтов
+ * - иероглифы, для которых не нашлось TrueType (папка fonts/ не попала в сборку), - стандартные
+ *   CID шрифты Adobe (STSong, HeiseiMin, HYSMyeongJo). Они не встраиваются: глифы берет программа
+ *   просмотра, и без пакета азиатских шрифтов (Adobe Reader) или замены (pdf.js, Preview) текст не виден
+ * Буквы, для которых не нашлось ни одного шрифта, - ошибка: документ из "?" хуже, чем отказ
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { deflateSync } from 'zlib';
+import { parseTrueType } from './truetype.js';
+
+// Сколько файлов шрифтов можно прочитать в поисках недостающих символов
+const MAX_LOADED_FONTS = 40;
+const MAX_FONT_FILE_SIZE = 40 * 1024 * 1024;
+// Между документами в памяти остаются только шрифты, попавшие в PDF, и не больше этого объема
+const MAX_CACHED_FONT_BYTES = 48 * 1024 * 1024;
+
+// Предпочтительные шрифты: обычное начертание шрифтов без засечек с широким покрытием
+const PREFERRED_FONTS = /noto ?sans|dejavu ?sans|liberation ?sans|arial|freesans|roboto|open ?sans|droid ?sans|wqy|ipag|nanum/i;
+const AVOIDED_FONTS = /mono|bold|italic|oblique|light|thin|black|condensed|symbol|emoji|awesome|icon|math/i;
+
+// Ширины Helvetica (AFM) для символов 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_SPECIAL_WIDTHS = { '—': 1000, '…': 1000, '™': 1000, '‰': 1000, '•': 350, '‘': 222, '’': 222, '‚': 222, '“': 333, '”': 333, '„': 333, '°': 400, '©': 737, '®': 737, 'ß': 611, 'æ': 889, 'Æ': 1000, 'œ': 944, 'Œ': 1000 };
+
+// Символ -> байт кодировки WinAnsi (Windows-1252)
+const WIN_ANSI = new Map(
+  [...new TextDecoder('windows-1252').decode(Uint8Array.from({ length: 256 }, (_, byte) => byte))]
+    .map((char, byte) => [char.codePointAt(0), byte])
+    .filter(([codePoint, byte]) => byte >= 0x20 && byte !== 0x7f && !(codePoint >= 0x80 && codePoint < 0xa0))
+);
+
+const CJK_PATTERN = /[\u1100-\u11FF\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF\uFF00-\uFFEF]/;
+
+// Стандартные CID шрифты Adobe для китайского, японского и корейского
+const CJK_FONTS = {
+  ZH: { name: 'STSong-Light', encoding: 'UniGB-UCS2-H', ordering: 'GB1', supplement: 2 },
+  JA: { name: 'HeiseiMin-W3', encoding: 'UniJIS-UCS2-H', ordering: 'Japan1', supplement: 2 },
+  KO: { name: 'HYSMyeongJo-Medium', encoding: 'UniKS-UCS2-H', ordering: 'Korea1', supplement: 1 }
+};
+
+// Шрифты проекта: путь от модуля, а не от рабочего каталога процесса
+const PROJECT_FONT_DIR = fileURLToPath(new URL('../../fonts', import.meta.url));
+
+// Иероглифы одного документа берутся из шрифта его языка: китайский шрифт покрывает и японский,
+// корейский идет первым только для корейского текста
+const PROJECT_CJK_FONTS = {
+  ZH: path.join(PROJECT_FONT_DIR, 'NotoSansSC-Regular.ttf'),
+  KO: path.join(PROJECT_FONT_DIR, 'NotoSansKR-Regular.ttf')
+};
+
+let fontFiles = null;
+// Разобранные шрифты, использованные в документах, и файлы, которые не удалось прочитать
+const cachedFonts = new Map();
+const skippedFonts = new Set();
+let cachedFontBytes = 0;
+
+/**
+ * Документ PDF: страницы с текстом, собирается методом finish()
+ */
+export class PdfWriter {
+  /**
+   * @param {{text: string, lang?: string}} options - text: весь текст документа для подбора шрифтов,
+   *   lang: язык документа (de, ar, zh)
+   */
+  constructor({ text, lang = null }) {
+    this.lang = lang;
+    this.pages = [];
+    this.faces = createFaces(text, lang);
+  }
+
+  addPage(width, height) {
+    const page = { width, height, operations: [] };
+    this.pages.push(page);
+    return page;
+  }
+
+  /**
+   * Ширина строки в пунктах
+   */
+  measure(text, size) {
+    let width = 0;
+    for (const { face, text: part } of this.splitRuns(text)) {
+      for (const char of part) width += face.width(char.codePointAt(0));
+    }
+    return width * size / 1000;
+  }
+
+  /**
+   * Выводит строку, уже переставленную в порядок слева направо
+   * @param {{bold?: boolean}} options - bold: имитация полужирного обводкой контура
+   */
+  drawText(page, text, x, y, size, { bold = false } = {}) {
+    let position = x;
+    // Режим вывода текста сохраняется после ET, поэтому задается в каждом блоке
+    const style = bold ? `2 Tr ${formatNumber(size * 0.03)} w` : '0 Tr';
+
+    for (const { face, text: part } of this.splitRuns(text)) {
+      page.operations.push(
+        `BT ${style} /${face.resourceName} ${formatNumber(size)} Tf ${formatNumber(position)} ${formatNumber(y)} Td <${face.encode(part)}> Tj ET`
+      );
+      position += this.measure(part, size);
+    }
+  }
+
+  /**
+   * Делит строку на части, выводимые одним шрифтом
+   */
+  splitRuns(text) {
+    const runs = [];
+    for (const char of text) {
+      // Контекстные формы арабских букв без глифа в шрифтах - выводим исходную букву
+      const chars = this.findFace(char) ? [char] : [...char.normalize('NFKC')];
+      for (const item of chars) {
+        const face = this.findFace(item) || this.faces[0];
+        const run = runs[runs.length - 1];
+        if (run && run.face === face) run.text += item;
+        else runs.push({ face, text: item });
+      }
+    }
+    return runs;
+  }
+
+  findFace(char) {
+    const codePoint = char.codePointAt(0);
+    return this.faces.find(face => face.has(codePoint)) || null;
+  }
+
+  /**
+   * Собирает файл PDF
+   * @returns {Buffer}
+   */
+  finish() {
+    const objects = [];
+    const add = body => {
+      objects.push(body);
+      return objects.length;
+    };
+    const reserve = () => add(null);
+
+    const catalogId = reserve();
+    const pagesId = reserve();
+
+    const fontEntries = this.faces
+      .filter(face => face.used)
+      .map(face => `/${face.resourceName} ${face.write(add)} 0 R`);
+    const resourcesId = add(`<< /Font << ${fontEntries.join(' ')} >> >>`);
+
+    const pageIds = this.pages.map(page => {
+      const content = Buffer.from(page.operations.join('\n'), 'latin1');
+      const contentId = add(stream('', content));
+      return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(page.width)} ${formatNumber(page.height)}] /Resources ${resourcesId} 0 R /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R${this.lang ? ` /Lang ${pdfString(this.lang)}` : ''} >>`;
+
+    const parts = [Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = parts[0].length;
+
+    objects.forEach((body, index) => {
+      const data = Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1');
+      const part = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`, 'latin1'), data, Buffer.from('\nendobj\n', 'latin1')]);
+      offsets.push(length);
+      parts.push(part);
+      length += part.length;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF',
+      ''
+    ].join('\n');
+
+    return Buffer.concat([...parts, Buffer.from(xref, 'latin1')]);
+  }
+}
+
+/**
+ * Встроенный шрифт TrueType: коды - номера глифов (Identity-H)
+ */
+class EmbeddedFace {
+  constructor(font, resourceName) {
+    this.font = font;
+    this.resourceName = resourceName;
+    this.used = false;
+    this.glyphs = new Map(); // номер глифа -> символы для ToUnicode
+  }
+
+  has(codePoint) {
+    return this.font.glyphIndex(codePoint) !== 0;
+  }
+
+  width(codePoint) {
+    return this.font.advanceWidth(this.font.glyphIndex(codePoint));
+  }
+
+  encode(text) {
+    this.used = true;
+    return [...text].map(char => {
+      const glyph = this.font.glyphIndex(char.codePointAt(0));
+      if (glyph !== 0 && !this.glyphs.has(glyph)) {
+        // Контекстная форма (ﻼ) при копировании текста превращается в исходные буквы (لا)
+        this.glyphs.set(glyph, char.normalize('NFKC'));
+      }
+      return toHex(glyph);
+    }).join('');
+  }
+
+  write(add) {
+    const font = this.font;
+    const glyphs = [...this.glyphs.keys()].sort((a, b) => a - b);
+    const data = font.subset(glyphs);
+    const tag = [...createHash('md5').update(glyphs.join(',')).digest()]
+      .slice(0, 6)
+      .map(byte => String.fromCharCode(65 + byte % 26))
+      .join('');
+    const baseFont = `${tag}+${font.postScriptName.replace(/[^A-Za-z0-9-]/g, '') || 'Font'}`;
+
+    const fileId = add(stream(`/Length1 ${data.length}`, data));
+    const descriptorId = add(
+      `<< /Type /FontDescriptor /FontName /${baseFont} /Flags 32 /FontBBox [${font.bbox.join(' ')}] ` +
+      `/ItalicAngle ${formatNumber(font.italicAngle)} /Ascent ${font.ascent} /Descent ${font.descent} ` +
+      `/CapHeight ${font.capHeight} /StemV 80 /FontFile2 ${fileId} 0 R >>`
+    );
+    const widths = glyphs.map(glyph => `${glyph} [${font.advanceWidth(glyph)}]`).join(' ');
+    const cidFontId = add(
+      `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${baseFont} ` +
+      '/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> ' +
+      `/FontDescriptor ${descriptorId} 0 R /DW ${font.advanceWidth(0)} /W [${widths}] /CIDToGIDMap /Identity >>`
+    );
+    const mappings = [...this.glyphs.entries()].sort((a, b) => a[0] - b[0]).map(([glyph, text]) =>
+      `<${toHex(glyph)}> <${Buffer.from(text, 'utf16le').swap16().toString('hex')}>`
+    );
+    const toUnicodeId = add(stream('', Buffer.from(buildToUnicode('bfchar', mappings), 'latin1')));
+
+    return add(
+      `<< /Type /Font /Subtype /Type0 /BaseFont /${baseFont} /Encoding /Identity-H ` +
+      `/DescendantFonts [${cidFontId} 0 R] /ToUnicode ${toUnicodeId} 0 R >>`
+    );
+  }
+}
+
+/**
+ * Стандартный Helvetica в кодировке WinAnsi
+ */
+class StandardFace {
+  constructor(resourceName) {
+    this.resourceName = resourceName;
+    this.used = false;
+  }
+
+  has(codePoint) {
+    return WIN_ANSI.has(codePoint);
+  }
+
+  width(codePoint) {
+    if (codePoint >= 32 && codePoint <= 126) return HELVETICA_WIDTHS[codePoint - 32];
+    const char = String.fromCodePoint(codePoint);
+    if (HELVETICA_SPECIAL_WIDTHS[char]) return HELVETICA_SPECIAL_WIDTHS[char];
+    // Буквы с диакритикой - по ширине базовой буквы
+    const base = char.normalize('NFD').codePointAt(0);
+    return base >= 32 && base <= 126 ? HELVETICA_WIDTHS[base - 32] : 556;
+  }
+
+  encode(text) {
+    this.used = true;
+    return [...text]
+      .map(char => (WIN_ANSI.get(char.codePointAt(0)) ?? 0x3f).toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  write(add) {
+    return add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  }
+}
+
+/**
+ * Стандартный CID шрифт Adobe без встраивания, коды - UCS-2
+ */
+class CjkFace {
+  constructor(cjkFont, resourceName) {
+    this.cjkFont = cjkFont;
+    this.resourceName = resourceName;
+    this.used = false;
+  }
+
+  has(codePoint) {
+    return codePoint <= 0xffff && CJK_PATTERN.test(String.fromCodePoint(codePoint));
+  }
+
+  width(codePoint) {
+    return this.has(codePoint) && codePoint < 0xff61 ? 1000 : 500;
+  }
+
+  encode(text) {
+    this.used = true;
+    return [...text].map(char => toHex(Math.min(char.codePointAt(0), 0xffff))).join('');
+  }
+
+  write(add) {
+    const { name, encoding, ordering, supplement } = this.cjkFont;
+    const descriptorId = add(
+      `<< /Type /FontDescriptor /FontName /${name} /Flags 6 /FontBBox [-25 -254 1000 880] ` +
+      '/ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 880 /StemV 93 >>'
+    );
+    const cidFontId = add(
+      `<< /Type /Font /Subtype /CIDFontType0 /BaseFont /${name} ` +
+      `/CIDSystemInfo << /Registry (Adobe) /Ordering (${ordering}) /Supplement ${supplement} >> ` +
+      `/FontDescriptor ${descriptorId} 0 R /DW 1000 >>`
+    );
+    // Коды UCS-2 совпадают с Unicode: диапазоны по 256 кодов отображаются сами в себя
+    const ranges = Array.from({ length: 256 }, (_, high) => {
+      const start = toHex(high * 256);
+      return `<${start}> <${toHex(high * 256 + 255)}> <${start}>`;
+    });
+    const toUnicodeId = add(stream('', Buffer.from(buildToUnicode('bfrange', ranges), 'latin1')));
+    return add(
+      `<< /Type /Font /Subtype /Type0 /BaseFont /${name} /Encoding /${encoding} ` +
+      `/DescendantFonts [${cidFontId} 0 R] /ToUnicode ${toUnicodeId} 0 R >>`
+    );
+  }
+}
+
+/**
+ * Подбирает шрифты, покрывающие символы текста
+ */
+function createFaces(text, lang) {
+  const needed = [...new Set([...text].map(char => char.codePointAt(0)))].filter(codePoint => codePoint > 0x20);
+  const faces = [];
+  const nextName = () => `F${faces.length + 1}`;
+
+  if (needed.every(codePoint => WIN_ANSI.has(codePoint))) {
+    return [new StandardFace(nextName())];
+  }
+
+  let remaining = needed;
+  let loaded = 0;
+
+  const korean = isKorean(needed, lang);
+
+  for (const file of orderCjkFonts(listFontFiles(), korean)) {
+    if (remaining.length === 0 || loaded >= MAX_LOADED_FONTS) break;
+    const font = loadFont(file);
+    if (!font) continue;
+    loaded++;
+
+    if (!font.embeddable || !remaining.some(codePoint => font.glyphIndex(codePoint) !== 0)) continue;
+    cacheFont(file, font);
+    faces.push(new EmbeddedFace(font, nextName()));
+    remaining = remaining.filter(codePoint => font.glyphIndex(codePoint) === 0);
+    console.log(`🔤 Шрифт для PDF: ${path.basename(file)}`);
+  }
+
+  if (faces.length === 0 || remaining.some(codePoint => WIN_ANSI.has(codePoint))) {
+    faces.push(new StandardFace(nextName()));
+    remaining = remaining.filter(codePoint => !WIN_ANSI.has(codePoint));
+  }
+
+  const cjk = remaining.filter(codePoint => CJK_PATTERN.test(String.fromCodePoint(codePoint)));
+  if (cjk.length > 0) {
+    faces.push(new CjkFace(selectCjkFont(cjk, lang), nextName()));
+    remaining = remaining.filter(codePoint => !cjk.includes(codePoint));
+  }
+
+  // Контекстные формы арабских букв заменяются исходными буквами, если их нет в шрифтах
+  remaining = remaining.filter(codePoint => codePoint < 0xfb50 || codePoint > 0xfeff);
+
+  // Без шрифта для букв текст превратился бы в "?"; знаки и эмодзи без шрифта только предупреждают
+  const letters = remaining.filter(codePoint => /\p{L}/u.test(String.fromCodePoint(codePoint)));
+  if (letters.length > 0) {
+    throw new Error(`Нет шрифта для ${letters.length} букв PDF (${String.fromCodePoint(...letters.slice(0, 10))}): положите шрифт TrueType в fonts/ или задайте PDF_FONT_DIR`);
+  }
+  if (remaining.length > 0) {
+    console.warn(`⚠️ Нет шрифта для ${remaining.length} символов PDF (${String.fromCodePoint(...remaining.slice(0, 10))}): задайте PDF_FONT_DIR`);
+  }
+
+  return faces;
+}
+
+function isKorean(codePoints, lang) {
+  const code = String(lang || '').toUpperCase().split('-')[0];
+  return code ? code === 'KO' : codePoints.some(codePoint => codePoint >= 0xac00 && codePoint <= 0xd7af);
+}
+
+/**
+ * Меняет местами китайский и корейский шрифты проекта, если первым должен идти другой
+ */
+function orderCjkFonts(files, korean) {
+  const first = files.indexOf(korean ? PROJECT_CJK_FONTS.KO : PROJECT_CJK_FONTS.ZH);
+  const second = files.indexOf(korean ? PROJECT_CJK_FONTS.ZH : PROJECT_CJK_FONTS.KO);
+  if (first < 0 || second < 0 || first < second) return files;
+
+  const ordered = [...files];
+  [ordered[first], ordered[second]] = [ordered[second], ordered[first]];
+  return ordered;
+}
+
+function selectCjkFont(codePoints, lang) {
+  const code = String(lang || '').toUpperCase().split('-')[0];
+  if (CJK_FONTS[code]) return CJK_FONTS[code];
+
+  const text = String.fromCodePoint(...codePoints.slice(0, 200));
+  if (/[\u3040-\u30FF]/.test(text)) return CJK_FONTS.JA;
+  if (/[\uAC00-\uD7AF]/.test(text)) return CJK_FONTS.KO;
+  return CJK_FONTS.ZH;
+}
+
+/**
+ * Файлы шрифтов TrueType: сначала из PDF_FONT_DIR и папки fonts/, затем системные
+ */
+function listFontFiles() {
+  if (fontFiles) return fontFiles;
+
+  const configured = [
+    ...(process.env.PDF_FONT_DIR || '').split(path.delimiter).filter(Boolean),
+    PROJECT_FONT_DIR
+  ];
+  const system = [
+    '/usr/share/fonts',
+    '/usr/local/share/fonts',
+    path.join(os.homedir(), '.fonts'),
+    '/Library/Fonts',
+    '/System/Library/Fonts',
+    'C:\\Windows\\Fonts'
+  ];
+
+  const score = file => {
+    const name = path.basename(file);
+    return (PREFERRED_FONTS.test(name) ? 0 : 1) + (AVOIDED_FONTS.test(name) ? 2 : 0);
+  };
+
+  fontFiles = [...new Set([
+    ...configured.flatMap(directory => findFontFiles(directory, 4)),
+    ...system.flatMap(directory => findFontFiles(directory, 4)).sort((a, b) => score(a) - score(b))
+  ])];
+  return fontFiles;
+}
+
+function findFontFiles(directory, depth) {
+  let entries;
+  try {
+    entries = fs.readdirSync(directory, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  return entries
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const file = path.join(directory, entry.name);
+      if (entry.isDirectory()) return depth > 0 ? findFontFiles(file, depth - 1) : [];
+      return /\.(ttf|ttc)$/i.test(entry.name) ? [file] : [];
+    });
+}
+
+/**
+ * Читает шрифт из кэша или файла. Шрифт, не попавший в документ, в памяти не остается
+ */
+function loadFont(file) {
+  if (cachedFonts.has(file)) return cachedFonts.get(file);
+  if (skippedFonts.has(file)) return null;
+
+  try {
+    if (fs.statSync(file).size <= MAX_FONT_FILE_SIZE) {
+      return parseTrueType(fs.readFileSync(file));
+    }
+  } catch (error) {
+    console.warn(`⚠️ Пропускаем шрифт ${path.basename(file)}: ${error.message}`);
+  }
+  skippedFonts.add(file);
+  return null;
+}
+
+function cacheFont(file, font) {
+  if (cachedFonts.has(file)) return;
+
+  const size = fs.statSync(file).size;
+  if (cachedFontBytes + size > MAX_CACHED_FONT_BYTES) return;
+  cachedFonts.set(file, font);
+  cachedFontBytes += size;
+}
+
+/**
+ * CMap ToUnicode для копирования и поиска текста
+ * @param {string} operator - bfchar (код -> текст) или bfrange (диапазон кодов -> начало диапазона Unicode)
+ * @param {string[]} entries - строки "<код> <текст>" или "<начало> <конец> <текст>"
+ */
+function buildToUnicode(operator, entries) {
+  const blocks = [];
+  for (let i = 0; i < entries.length; i += 100) {
+    const block = entries.slice(i, i + 100);
+    blocks.push(`${block.length} begin${operator}\n${block.join('\n')}\nend${operator}`);
+  }
+
+  return [
+    '/CIDInit /ProcSet findresource begin',
+    '12 dict begin',
+    'begincmap',
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+    '/CMapName /Adobe-Identity-UCS def',
+    '/CMapType 2 def',
+    '1 begincodespacerange',
+    '<0000> <FFFF>',
+    'endcodespacerange',
+    ...blocks,
+    'endcmap',
+    'CMapName currentdict /CMap defineresource pop',
+    'end',
+    'end'
+  ].join('\n');
+}
+
+function stream(entries, data) {
+  const compressed = deflateSync(data);
+  return Buffer.concat([
+    Buffer.from(`<< ${entries ? `${entries} ` : ''}/Filter /FlateDecode /Length ${compressed.length} >>\nstream\n`, 'latin1'),
+    compressed,
+    Buffer.from('\nendstream', 'latin1')
+  ]);
+}
+
+function toHex(code) {
+  return code.toString(16).padStart(4, '0');
+}
+
+function pdfString(text) {
+  return `(${String(text).replace(/[\\()]/g, '\\$&')})`;
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
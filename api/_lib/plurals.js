@@ -0,0 +1,97 @@
+/**
+ * Формы множественного числа поддерживаемых языков
+ * categories - категории CLDR (Android <plurals>), gettext - заголовок Plural-Forms для .po
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+const ONE_OTHER = {
+  categories: ['one', 'other'],
+  gettext: 'nplurals=2; plural=(n != 1);'
+};
+
+const OTHER_ONLY = {
+  categories: ['other'],
+  gettext: 'nplurals=1; plural=0;'
+};
+
+const EAST_SLAVIC = {
+  categories: ['one', 'few', 'many', 'other'],
+  gettext: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);'
+};
+
+const WEST_SLAVIC = {
+  categories: ['one', 'few', 'many', 'other'],
+  gettext: 'nplurals=3; plural=(n==1) ? 0 : (n>=2 && n<=4) ? 1 : 2;'
+};
+
+const ROMANCE = {
+  categories: ['one', 'many', 'other'],
+  gettext: 'nplurals=2; plural=(n != 1);'
+};
+
+export const PLURAL_RULES = {
+  'AR': {
+    categories: ['zero', 'one', 'two', 'few', 'many', 'other'],
+    gettext: 'nplurals=6; plural=(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n%100>=3 && n%100<=10 ? 3 : n%100>=11 ? 4 : 5);'
+  },
+  'BG': ONE_OTHER,
+  'CS': WEST_SLAVIC,
+  'DA': ONE_OTHER,
+  'DE': ONE_OTHER,
+  'EL': ONE_OTHER,
+  'EN': ONE_OTHER,
+  'ES': ROMANCE,
+  'ET': ONE_OTHER,
+  'FI': ONE_OTHER,
+  'FR': { categories: ['one', 'many', 'other'], gettext: 'nplurals=2; plural=(n > 1);' },
+  'HU': ONE_OTHER,
+  'ID': OTHER_ONLY,
+  'IT': ROMANCE,
+  'JA': OTHER_ONLY,
+  'KO': OTHER_ONLY,
+  'LT': {
+    categories: ['one', 'few', 'many', 'other'],
+    gettext: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && (n%100<10 || n%100>=20) ? 1 : 2);'
+  },
+  'LV': {
+    categories: ['zero', 'one', 'other'],
+    gettext: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n != 0 ? 1 : 2);'
+  },
+  'NB': ONE_OTHER,
+  'NL': ONE_OTHER,
+  'PL': {
+    categories: ['one', 'few', 'many', 'other'],
+    gettext: 'nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);'
+  },
+  'PT': ROMANCE,
+  'RO': {
+    categories: ['one', 'few', 'other'],
+    gettext: 'nplurals=3; plural=(n==1 ? 0 : (n==0 || (n%100 > 0 && n%100 < 20)) ? 1 : 2);'
+  },
+  'RU': EAST_SLAVIC,
+  'SK': WEST_SLAVIC,
+  'SL': {
+    categories: ['one', 'two', 'few', 'other'],
+    gettext: 'nplurals=4; plural=(n%100==1 ? 0 : n%100==2 ? 1 : n%100==3 || n%100==4 ? 2 : 3);'
+  },
+  'SV': ONE_OTHER,
+  'TR': ONE_OTHER,
+  'UK': EAST_SLAVIC,
+  'ZH': OTHER_ONLY
+};
+
+/**
+ * Возвращает правила множественного числа языка (для неизвестного - как в английском)
+ */
+export function getPluralRules(langCode) {
+  return PLURAL_RULES[String(langCode).toUpperCase()] || ONE_OTHER;
+}
+
+/**
+ * Число форм gettext (nplurals) языка
+ */
+export function getPluralCount(langCode) {
+  return Number(getPluralRules(langCode).gettext.match(/nplurals=(\d+)/)[1]);
+}
@@ -0,0 +1,48 @@
+/**
+ * Адаптер официального DeepL API (v2)
+ * Ключи бесплатного тарифа оканчиваются на ":fx" и работают только с api-free.deepl.com
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { endpointsFromEnv } from './endpoints.js';
+
+const FREE_URL = 'https://api-free.deepl.com/v2/translate';
+const PRO_URL = 'https://api.deepl.com/v2/translate';
+
+export default {
+  id: 'deepl',
+  name: 'DeepL API',
+  requiresKey: true,
+  apiKeyEnv: 'DEEPL_AUTH_KEY',
+
+  endpoints(apiKey = '') {
+    return endpointsFromEnv('DEEPL_API_URL', [apiKey.endsWith(':fx') ? FREE_URL : PRO_URL]);
+  },
+
+  buildRequest({ text, sourceLang, targetLang, endpoint, apiKey }) {
+    const body = {
+      text: [text],
+      target_lang: targetLang
+    };
+
+    if (sourceLang) {
+      body.source_lang = sourceLang;
+    }
+
+    return {
+      url: endpoint,
+      headers: { 'Authorization': `DeepL-Auth-Key ${apiKey}` },
+      body
+    };
+  },
+
+  parseResponse(result) {
+    const translation = result.translations?.[0];
+    if (translation && typeof translation.text === 'string') {
+      return { text: translation.text, sourceLang: translation.detected_source_language || null };
+    }
+    throw new Error(result.message || 'DeepL API не вернул перевод');
+  }
+};
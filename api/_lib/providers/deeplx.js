@@ -0,0 +1,39 @@
+/**
+ * Адаптер DeepLX - неофициального прокси DeepL с протоколом {code, data}
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { endpointsFromEnv } from './endpoints.js';
+
+export default {
+  id: 'deeplx',
+  name: 'DeepLX',
+  requiresKey: false,
+  apiKeyEnv: null,
+
+  endpoints() {
+    return endpointsFromEnv('DEEPLX_API_URL', ['https://dplx.xi-xu.me/translate']);
+  },
+
+  buildRequest({ text, sourceLang, targetLang, endpoint }) {
+    const body = {
+      text,
+      target_lang: targetLang
+    };
+
+    if (sourceLang) {
+      body.source_lang = sourceLang;
+    }
+
+    return { url: endpoint, headers: {}, body };
+  },
+
+  parseResponse(result) {
+    if (result.code === 200 && result.data) {
+      return { text: result.data, sourceLang: result.source_lang || null };
+    }
+    throw new Error(result.message || 'Не удалось выполнить перевод');
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Список upstream endpoints провайдера из переменной окружения
+ * Несколько адресов перечисляются через запятую в порядке приоритета
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+export function endpointsFromEnv(name, fallback) {
+  const urls = (process.env[name] || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+
+  return urls.length > 0 ? urls : fallback;
+}
@@ -0,0 +1,37 @@
+/**
+ * Реестр провайдеров перевода
+ *
+ * Каждый адаптер описывает:
+ *   id, name         - идентификатор для поля provider и название для интерфейса
+ *   requiresKey      - нужен ли API ключ
+ *   apiKeyEnv        - переменная окружения с ключом по умолчанию
+ *   endpoints()      - адреса сервиса в порядке приоритета (для переключения при сбоях)
+ *   buildRequest()   - URL, заголовки и тело запроса к указанному endpoint
+ *   parseResponse()  - приводит ответ к { text, sourceLang } или выбрасывает ошибку
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import deeplx from './deeplx.js';
+import deepl from './deepl.js';
+import libretranslate from './libretranslate.js';
+import openai from './openai.js';
+
+export const DEFAULT_PROVIDER = 'deeplx';
+
+const PROVIDERS = { deeplx, deepl, libretranslate, openai };
+
+/**
+ * Возвращает адаптер по идентификатору или null для неизвестного провайдера
+ */
+export function getProvider(id) {
+  return PROVIDERS[id || DEFAULT_PROVIDER] || null;
+}
+
+/**
+ * Список идентификаторов провайдеров
+ */
+export function listProviders() {
+  return Object.keys(PROVIDERS);
+}
@@ -0,0 +1,43 @@
+/**
+ * Адаптер LibreTranslate
+ * Коды языков в нижнем регистре, автоопределение задается как "auto"
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { endpointsFromEnv } from './endpoints.js';
+
+export default {
+  id: 'libretranslate',
+  name: 'LibreTranslate',
+  requiresKey: false,
+  apiKeyEnv: 'LIBRETRANSLATE_API_KEY',
+
+  endpoints() {
+    return endpointsFromEnv('LIBRETRANSLATE_API_URL', ['https://libretranslate.com/translate']);
+  },
+
+  buildRequest({ text, sourceLang, targetLang, endpoint, apiKey }) {
+    const body = {
+      q: text,
+      source: sourceLang ? sourceLang.toLowerCase() : 'auto',
+      target: targetLang.toLowerCase(),
+      format: 'text'
+    };
+
+    if (apiKey) {
+      body.api_key = apiKey;
+    }
+
+    return { url: endpoint, headers: {}, body };
+  },
+
+  parseResponse(result) {
+    if (typeof result.translatedText === 'string') {
+      const detected = result.detectedLanguage?.language;
+      return { text: result.translatedText, sourceLang: detected ? detected.toUpperCase() : null };
+    }
+    throw new Error(result.error || 'LibreTranslate не вернул перевод');
+  }
+};
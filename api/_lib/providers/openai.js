@@ -0,0 +1,49 @@
+/**
+ * Адаптер OpenAI-совместимого API (chat completions)
+ * Подходит для OpenAI, OpenRouter, локальных серверов с тем же протоколом
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { getLanguageName } from '../languages.js';
+import { endpointsFromEnv } from './endpoints.js';
+
+export default {
+  id: 'openai',
+  name: 'OpenAI-compatible',
+  requiresKey: true,
+  apiKeyEnv: 'OPENAI_API_KEY',
+
+  endpoints() {
+    return endpointsFromEnv('OPENAI_API_URL', ['https://api.openai.com/v1/chat/completions']);
+  },
+
+  buildRequest({ text, sourceLang, targetLang, endpoint, apiKey }) {
+    const from = sourceLang ? ` from ${getLanguageName(sourceLang)}` : '';
+    const instructions =
+      `Translate the user's text${from} to ${getLanguageName(targetLang)}. ` +
+      'Reply with the translation only, keep line breaks and formatting, do not add comments.';
+
+    return {
+      url: endpoint,
+      headers: { 'Authorization': `Bearer ${apiKey}` },
+      body: {
+        model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        temperature: 0,
+        messages: [
+          { role: 'system', content: instructions },
+          { role: 'user', content: text }
+        ]
+      }
+    };
+  },
+
+  parseResponse(result) {
+    const content = result.choices?.[0]?.message?.content;
+    if (typeof content === 'string' && content.trim()) {
+      return { text: content.trim(), sourceLang: null };
+    }
+    throw new Error(result.error?.message || 'Модель не вернула перевод');
+  }
+};
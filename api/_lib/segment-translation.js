@@ -0,0 +1,109 @@
+/**
+ * Перевод набора сегментов (абзацев документа, текстовых узлов разметки)
+ *
+ * Сегменты из памяти переводов в сервис не отправляются, остальные объединяются
+ * в пакеты через перевод строки: один запрос на пакет вместо запроса на каждый сегмент.
+ * Если перевод пакета вернул другое число строк, сегменты пакета переводятся по одному.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { lookupTranslation, storeTranslation } from './translation-memory.js';
+import { protectTerms, restoreTerms, mergeViolations } from './glossary.js';
+import { splitTextIntoChunks } from './chunking.js';
+
+/**
+ * Переводит сегменты с глоссарием и памятью переводов
+ * @param {string[]} sourceSegments - исходные сегменты
+ * @param {object} options
+ * @param {string|null} options.sourceLang - исходный язык, null - автоопределение
+ * @param {string} options.targetLang - целевой язык
+ * @param {string} options.provider - id провайдера, часть ключа памяти переводов
+ * @param {object|null} [options.glossary] - глоссарий из createGlossary
+ * @param {number} options.batchSize - максимальная длина пакета (и одного запроса)
+ * @param {function(string): Promise<string>} options.translate - переводит текст одним запросом
+ * @param {boolean} [options.useMemory] - false - не брать переводы из памяти (повторный перевод)
+ * @param {boolean} [options.memorize] - false - не сохранять переводы в память (пользовательский api_url)
+ * @returns {Promise<{translations: string[], hits: number, violations: Array<{source: string, target: string}>}>}
+ */
+export async function translateSegments(sourceSegments, { sourceLang, targetLang, provider, glossary = null, batchSize, translate, useMemory = true, memorize = true }) {
+  // Дальше работаем с сегментами, в которых термины глоссария заменены метками
+  const prepared = sourceSegments.map(segment => protectTerms(segment, glossary));
+  const segments = prepared.map(segment => segment.text);
+  const translations = new Array(segments.length);
+  const batches = [];
+  let batch = [];
+  let batchLength = 0;
+  let hits = 0;
+  const remember = async (index, translation) => {
+    if (memorize) await storeTranslation(provider, segments[index], sourceLang, targetLang, translation);
+  };
+
+  for (const [index, segment] of segments.entries()) {
+    if (!useMemory) break;
+    const cached = await lookupTranslation(provider, segment, sourceLang, targetLang);
+    if (cached !== null) {
+      translations[index] = cached;
+      hits++;
+    }
+  }
+
+  segments.forEach((segment, index) => {
+    if (translations[index] !== undefined) return;
+
+    if (batch.length > 0 && batchLength + segment.length > batchSize) {
+      batches.push(batch);
+      batch = [];
+      batchLength = 0;
+    }
+    batch.push(index);
+    batchLength += segment.length + 1;
+  });
+  if (batch.length > 0) batches.push(batch);
+
+  // Сегмент длиннее пакета переводим частями по предложениям
+  const translateSegment = async segment => {
+    if (segment.length <= batchSize) return translate(segment);
+
+    const chunks = splitTextIntoChunks(segment, batchSize, sourceLang);
+    let result = segment.substring(0, chunks[0]?.start ?? segment.length);
+    for (const [index, chunk] of chunks.entries()) {
+      const next = index + 1 < chunks.length ? chunks[index + 1].start : segment.length;
+      result += await translate(chunk.text) + segment.substring(chunk.end, next);
+    }
+    return result;
+  };
+
+  for (const indexes of batches) {
+    if (indexes.length > 1) {
+      // Переводы строк внутри сегмента заменяем пробелами, чтобы разделитель был однозначным
+      const joined = indexes.map(i => segments[i].replace(/\n/g, ' ')).join('\n');
+      const lines = (await translate(joined)).split('\n');
+
+      if (lines.length === indexes.length) {
+        for (const [i, segmentIndex] of indexes.entries()) {
+          translations[segmentIndex] = lines[i];
+          await remember(segmentIndex, lines[i]);
+        }
+        continue;
+      }
+
+      console.log(`⚠️ Пакет из ${indexes.length} сегментов вернул ${lines.length} строк, переводим по одному`);
+    }
+
+    for (const segmentIndex of indexes) {
+      translations[segmentIndex] = await translateSegment(segments[segmentIndex]);
+      await remember(segmentIndex, translations[segmentIndex]);
+    }
+  }
+
+  const violations = [];
+  const restored = translations.map((translation, index) => {
+    const result = restoreTerms(translation, prepared[index].placeholders);
+    mergeViolations(violations, result.violations);
+    return result.text;
+  });
+
+  return { translations: restored, hits, violations };
+}
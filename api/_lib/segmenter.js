@@ -0,0 +1,248 @@
+/**
+ * Разбиение текста на предложения с правилами для каждого языка
+ *
+ * Конец предложения - . ! ? … (и ; в греческом), за которыми идут пробел или конец текста,
+ * а также китайские и японские 。！？, после которых пробела нет.
+ * Предложение не заканчивается:
+ *   - на сокращении языка ("e.g.", "z.B.", "т.е.") и инициале ("J. K. Rowling")
+ *   - на порядковом числе перед месяцем в языках, где его пишут с точкой ("am 3. Mai")
+ *   - перед строчной буквой ("Wait... what?", "\"Stop!\" he said")
+ *   - внутри скобок, URL, email и фрагментов кода (`code`, ```блок```)
+ * Закрывающие кавычки и скобки после знака остаются в предложении.
+ * Пустая строка всегда разделяет предложения, перевод строки - если следующая
+ * строка не продолжает предложение со строчной буквы.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+// Сокращения, после которых предложение обычно продолжается.
+// "etc.", "usw." и подобные сюда не входят: ими часто заканчивают предложение
+const ABBREVIATIONS = {
+  AR: [],
+  BG: ['напр.', 'проф.', 'ул.', 'бул.', 'стр.', 'гр.', 'т.е.', 'т.нар.', 'вж.', 'св.'],
+  CS: ['např.', 'tzv.', 'tj.', 'dr.', 'prof.', 'ing.', 'mgr.', 'ul.', 'č.', 'str.', 'resp.', 'popř.'],
+  DA: ['f.eks.', 'bl.a.', 'dvs.', 'ca.', 'nr.', 'hr.', 'fr.', 'jf.', 'mht.', 'pga.'],
+  DE: ['z.b.', 'd.h.', 'bzw.', 'ca.', 'nr.', 'str.', 'vgl.', 'evtl.', 'ggf.', 'inkl.', 'zzgl.', 'bspw.', 'dr.', 'prof.', 'hr.', 'fr.', 'u.u.', 'sog.'],
+  EL: ['π.χ.', 'κ.', 'κα.', 'δρ.', 'σελ.', 'αρ.', 'βλ.'],
+  EN: ['mr.', 'mrs.', 'ms.', 'dr.', 'prof.', 'sr.', 'jr.', 'st.', 'mt.', 'vs.', 'e.g.', 'i.e.', 'cf.', 'fig.', 'no.', 'vol.', 'approx.', 'dept.', 'ave.', 'jan.', 'feb.', 'apr.', 'aug.', 'sept.', 'oct.', 'nov.', 'dec.'],
+  ES: ['sr.', 'sra.', 'srta.', 'dr.', 'dra.', 'ud.', 'uds.', 'p.ej.', 'pág.', 'núm.', 'art.', 'aprox.', 'av.'],
+  ET: ['nt.', 'lk.', 'nr.', 'hr.', 'pr.', 'dr.', 'vt.', 'u.', 'jm.'],
+  FI: ['esim.', 'ks.', 'mm.', 'n.', 'prof.', 'nro.', 'tri.', 'ns.', 'vrt.'],
+  FR: ['m.', 'mme.', 'mlle.', 'dr.', 'pr.', 'p.ex.', 'cf.', 'env.', 'art.', 'av.', 'bd.', 'p.'],
+  HU: ['pl.', 'dr.', 'prof.', 'ún.', 'kb.', 'ill.', 'sz.', 'vö.', 'id.'],
+  ID: ['dr.', 'prof.', 'ir.', 'no.', 'hlm.', 'yth.', 'bpk.', 'jl.', 'sdr.'],
+  IT: ['sig.', 'dott.', 'prof.', 'ing.', 'avv.', 'p.es.', 'pag.', 'art.', 'n.'],
+  JA: [],
+  KO: [],
+  LT: ['pvz.', 'p.', 'dr.', 'prof.', 'nr.', 'psl.', 'g.', 'pan.', 'žr.'],
+  LV: ['piem.', 'pr.', 'nr.', 'lpp.', 'prof.', 'dr.', 'sk.'],
+  NB: ['f.eks.', 'bl.a.', 'dvs.', 'ca.', 'nr.', 'hr.', 'jf.', 'pga.', 'ifm.'],
+  NL: ['dhr.', 'mevr.', 'dr.', 'prof.', 'bijv.', 'o.a.', 'm.b.t.', 'ca.', 'nr.', 'blz.', 'zgn.'],
+  PL: ['np.', 'tzn.', 'tj.', 'dr.', 'prof.', 'inż.', 'mgr.', 'ul.', 'nr.', 'str.', 'godz.', 'ok.', 'tzw.', 'ks.'],
+  PT: ['sr.', 'sra.', 'dr.', 'dra.', 'prof.', 'p.ex.', 'pág.', 'núm.', 'art.', 'av.'],
+  RO: ['dl.', 'dna.', 'dr.', 'prof.', 'ex.', 'nr.', 'pag.', 'str.', 'cca.'],
+  RU: ['т.е.', 'т.к.', 'т.н.', 'напр.', 'см.', 'ул.', 'д.', 'стр.', 'им.', 'проф.', 'рис.'],
+  SK: ['napr.', 'tzv.', 't.j.', 'tj.', 'dr.', 'prof.', 'ing.', 'mgr.', 'ul.', 'č.', 'str.'],
+  SL: ['npr.', 't.i.', 'dr.', 'prof.', 'št.', 'str.', 'ul.', 'oz.'],
+  SV: ['t.ex.', 'bl.a.', 'dvs.', 'ca.', 'nr.', 's.k.', 'd.v.s.', 'jfr.', 'fr.o.m.'],
+  TR: ['dr.', 'prof.', 'doç.', 'örn.', 'bkz.', 'sn.', 'no.', 'av.'],
+  UK: ['напр.', 'див.', 'вул.', 'проф.', 'ім.', 'с.', 'т.зв.', 'рис.'],
+  ZH: []
+};
+
+// Языки, где порядковое число пишется с точкой: "am 3. Mai", "3. května"
+const ORDINAL_LANGUAGES = new Set(['CS', 'DA', 'DE', 'ET', 'FI', 'HU', 'LV', 'NB', 'PL', 'SK', 'SL', 'TR']);
+
+// Месяцы, которые пишутся с заглавной буквы. В остальных языках из ORDINAL_LANGUAGES месяц пишется
+// со строчной ("3. května"), и предложение продолжается по общему правилу строчной буквы
+const CAPITALIZED_MONTHS = {
+  DE: ['januar', 'jänner', 'februar', 'märz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember'],
+  TR: ['ocak', 'şubat', 'mart', 'nisan', 'mayıs', 'haziran', 'temmuz', 'ağustos', 'eylül', 'ekim', 'kasım', 'aralık']
+};
+
+// Без языка (автоопределение) используем сокращения всех языков
+const ALL_ABBREVIATIONS = new Set(Object.values(ABBREVIATIONS).flat());
+
+const TERMINATORS = new Set(['.', '!', '?', '…', '‼', '⁇', '؟']);
+// После этих знаков пробела нет: предложение заканчивается сразу
+const CJK_TERMINATORS = new Set(['。', '！', '？']);
+// Японские кавычки: после 「…。」 предложение обычно продолжается
+const CJK_QUOTES = new Set(['」', '』']);
+// Греческий вопросительный знак пишется как ";" (или U+037E)
+const GREEK_TERMINATORS = new Set([';', '\u037E']);
+
+const CLOSING_PUNCTUATION = /["'“”‘’»«›‹」』）)\]】〕》〉}]/u;
+const OPENING_BRACKETS = { '(': ')', '[': ']', '{': '}', '（': '）', '「': '」', '『': '』', '【': '】', '《': '》' };
+const CLOSING_BRACKETS = new Set(Object.values(OPENING_BRACKETS));
+
+// Иероглифы, кана и CJK пунктуация: в китайском и японском текст идет сразу после URL и email без пробела
+const CJK = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\u3000-\\u303F\\uFF00-\\uFFEF';
+const EMAIL_CHAR = `(?![${CJK}])[\\p{L}\\p{N}`;
+
+// Фрагменты, внутри которых не режем: блоки и строки кода, URL, email
+const PROTECTED_PATTERN = new RegExp([
+  '```[\\s\\S]*?```',
+  '`[^`\\n]+`',
+  `\\b(?:https?|ftp):\\/\\/[^\\s<>"'${CJK}]*[^\\s<>"'.,;:!?)\\]}»”’${CJK}]`,
+  `\\bwww\\.[^\\s<>"'${CJK}]*[^\\s<>"'.,;:!?)\\]}»”’${CJK}]`,
+  `(?:${EMAIL_CHAR}._%+-]){1,64}@(?:${EMAIL_CHAR}-])+(?:\\.(?:${EMAIL_CHAR}-])+)+`
+].join('|'), 'gu');
+
+const PARAGRAPH_BREAK = /\n[ \t\r]*\n/y;
+
+/**
+ * Находит фрагменты текста, которые нельзя разрезать
+ * @returns {Array<[number, number]>} позиции [start, end) по возрастанию
+ */
+export function findProtectedSpans(text) {
+  return [...text.matchAll(PROTECTED_PATTERN)].map(match => [match.index, match.index + match[0].length]);
+}
+
+/**
+ * Делит текст на предложения
+ * @param {string} text - исходный текст
+ * @param {string|null} [lang] - код исходного языка (EN, DE, JA ...), null - автоопределение
+ * @returns {Array<{text: string, start: number, end: number}>} предложения без пробелов по краям,
+ *   start/end - позиция предложения в text
+ */
+export function splitIntoSentences(text, lang = null) {
+  const code = lang ? lang.toUpperCase() : null;
+  const rules = {
+    abbreviations: code && ABBREVIATIONS[code] ? new Set(ABBREVIATIONS[code]) : ALL_ABBREVIATIONS,
+    ordinals: ORDINAL_LANGUAGES.has(code),
+    months: new Set(CAPITALIZED_MONTHS[code] || []),
+    greek: code === 'EL'
+  };
+
+  const spans = findProtectedSpans(text);
+  const boundaries = [];
+  let spanIndex = 0;
+  let depth = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    // Фрагмент кода или ссылку пропускаем целиком
+    while (spanIndex < spans.length && spans[spanIndex][1] <= i) spanIndex++;
+    if (spanIndex < spans.length && spans[spanIndex][0] <= i) {
+      i = spans[spanIndex][1] - 1;
+      continue;
+    }
+
+    const char = text[i];
+
+    if (char === '\n') {
+      const breakEnd = lineBreakEnd(text, i, depth);
+      if (breakEnd !== null) {
+        boundaries.push(i);
+        depth = 0; // незакрытая скобка не тянется через абзац
+        i = breakEnd - 1;
+      }
+      continue;
+    }
+
+    if (OPENING_BRACKETS[char]) {
+      depth++;
+      continue;
+    }
+
+    // Внутри скобок предложение не заканчивается: "(см. выше. Или ниже.)" и 「はい。」 - одно целое
+    let terminator = i;
+    if (CLOSING_BRACKETS.has(char)) {
+      depth = Math.max(0, depth - 1);
+      // Скобка закрыта сразу после конца предложения: "(Yes.) Next" - проверяем знак перед ней
+      if (depth > 0 || !isTerminator(text[i - 1], rules)) continue;
+      terminator = i - 1;
+    } else if (!isTerminator(char, rules) || depth > 0) {
+      continue;
+    }
+
+    // Подряд идущие знаки ("?!", "...") и закрывающие кавычки/скобки - часть предложения
+    let end = i + 1;
+    while (end < text.length && isTerminator(text[end], rules)) end++;
+    while (end < text.length && CLOSING_PUNCTUATION.test(text[end])) end++;
+
+    // После 。 пробел не нужен, но после 「…。」 японская речь продолжается: 」と言った.
+    // Скобка （…。） закрывает предложение так же, как и сам знак
+    const cjk = CJK_TERMINATORS.has(text[terminator]) && (terminator === i || !CJK_QUOTES.has(char));
+    if (end < text.length && !/\s/.test(text[end]) && !cjk) continue;
+    if (text[terminator] === '.' && !endsSentenceAtDot(text, terminator, rules)) continue;
+
+    const next = nextVisibleChar(text, end);
+    if (next && /\p{Ll}/u.test(next)) continue;
+
+    boundaries.push(end);
+    i = end - 1;
+  }
+
+  return collectSegments(text, boundaries);
+}
+
+function isTerminator(char, rules) {
+  return TERMINATORS.has(char) || CJK_TERMINATORS.has(char) || (rules.greek && GREEK_TERMINATORS.has(char));
+}
+
+/**
+ * Конец перевода строки, если он разделяет предложения, иначе null.
+ * Одиночный перевод строки внутри предложения (текст с жесткими переносами) не разделяет
+ */
+function lineBreakEnd(text, index, depth) {
+  PARAGRAPH_BREAK.lastIndex = index;
+  if (PARAGRAPH_BREAK.test(text)) {
+    let end = PARAGRAPH_BREAK.lastIndex;
+    while (end < text.length && /\s/.test(text[end])) end++;
+    return end;
+  }
+
+  let before = index - 1;
+  while (before >= 0 && /\s/.test(text[before])) before--;
+  const next = nextVisibleChar(text, index + 1);
+  const continues = depth > 0 || (next && /\p{Ll}/u.test(next) && /[\p{L}\p{N},;:]/u.test(text[before] || ''));
+  return continues ? null : index + 1;
+}
+
+/**
+ * Проверяет, что точка заканчивает предложение, а не сокращение или порядковое число
+ */
+function endsSentenceAtDot(text, index, rules) {
+  const word = text.slice(Math.max(0, index - 20), index).match(/[\p{L}\p{N}][\p{L}\p{N}.]*$/u);
+  if (!word) return true;
+
+  const token = word[0];
+  if (rules.abbreviations.has(`${token.toLowerCase()}.`)) return false;
+
+  // Инициал: одна заглавная буква ("J. K. Rowling")
+  if (/^\p{Lu}$/u.test(token)) return false;
+
+  // Порядковое число перед месяцем: "am 3. Mai". Перед другим словом с заглавной буквы
+  // это конец предложения: "Er wohnt in Nr. 5. Das ist gut."
+  if (rules.ordinals && /^\d{1,3}$/.test(token)) {
+    const next = text.slice(index + 1, index + 30).match(/^\s+(\p{L}+)/u);
+    if (next && rules.months.has(next[1].toLowerCase())) return false;
+  }
+
+  return true;
+}
+
+function nextVisibleChar(text, index) {
+  for (let i = index; i < text.length; i++) {
+    if (!/\s/.test(text[i])) return text[i];
+  }
+  return null;
+}
+
+function collectSegments(text, boundaries) {
+  const segments = [];
+  let start = 0;
+
+  for (const boundary of [...boundaries, text.length]) {
+    const raw = text.slice(start, boundary);
+    const core = raw.trim();
+    if (core) {
+      const segmentStart = start + raw.indexOf(core);
+      segments.push({ text: core, start: segmentStart, end: segmentStart + core.length });
+    }
+    start = boundary;
+  }
+
+  return segments;
+}
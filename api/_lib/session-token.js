@@ -0,0 +1,111 @@
+/**
+ * Подписанные токены сессии
+ * Выдаются api/auth.js после одобрения администратором и проверяются
+ * в API перевода и документов (serverless функции не делят память, поэтому токен самодостаточный).
+ * Отзыв доступа администратором проверяется отдельно по хранилищу user-access
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { isTokenRevoked, recordUserActivity } from './user-access.js';
+
+function getSecret() {
+  const secret = process.env.SESSION_TOKEN_SECRET || process.env.TELEGRAM_BOT_TOKEN;
+
+  if (!secret) {
+    throw new Error('SESSION_TOKEN_SECRET не настроен');
+  }
+
+  return secret;
+}
+
+function sign(payload) {
+  return createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Создает токен сессии
+ * @param {{sid: string, uid: number|null, iat: number, exp: number}} claims - iat и exp в миллисекундах
+ */
+export function createSessionToken(claims) {
+  const payload = Buffer.from(JSON.stringify(claims), 'utf8').toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Проверяет подпись и срок действия токена
+ * @returns {{valid: boolean, claims?: object, reason?: string}}
+ */
+export function verifySessionToken(token) {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [payload, signature] = token.split('.');
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature || '');
+
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return { valid: false, reason: 'signature' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  if (!claims.exp || claims.exp <= Date.now()) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  return { valid: true, claims };
+}
+
+/**
+ * Извлекает токен из заголовка Authorization: Bearer <token>
+ */
+export function getBearerToken(req) {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Проверяет авторизацию запроса и отзыв доступа. При ошибке отправляет 401 и возвращает null
+ */
+export async function requireSession(req, res) {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Требуется авторизация через Telegram'
+    });
+    return null;
+  }
+
+  const { valid, claims, reason } = verifySessionToken(token);
+
+  if (!valid) {
+    res.status(401).json({
+      error: reason === 'expired' ? 'Session expired' : 'Unauthorized',
+      message: reason === 'expired' ? 'Сессия истекла, авторизуйтесь заново' : 'Недействительный токен авторизации'
+    });
+    return null;
+  }
+
+  if (await isTokenRevoked(claims)) {
+    res.status(401).json({
+      error: 'Access revoked',
+      message: 'Доступ отозван администратором'
+    });
+    return null;
+  }
+
+  await recordUserActivity(claims.uid);
+  return claims;
+}
@@ -0,0 +1,115 @@
+/**
+ * Общие функции перевода таблиц (CSV, TSV, XLSX)
+ *
+ * Пользователь выбирает столбцы для перевода, первая строка считается заголовком.
+ * Результат для каждого целевого языка:
+ * - columns: переведенные столбцы добавляются справа ("Описание (DE)")
+ * - sheets: рядом с листом создается переведенная копия (только XLSX)
+ * - file: отдельный файл, в котором выбранные столбцы заменены переводом
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+export const SPREADSHEET_LAYOUTS = ['columns', 'sheets', 'file'];
+
+// Сколько строк просматривать, чтобы определить текстовые столбцы
+const SAMPLE_ROWS = 50;
+
+/**
+ * Проверяет параметры перевода таблицы из запроса
+ * @param {*} options - { columns?: string[], layout?: string }
+ * @returns {{columns: string[]|null, layout: string}} columns = null - все текстовые столбцы
+ */
+export function normalizeSpreadsheetOptions(options) {
+  if (options === undefined || options === null) {
+    return { columns: null, layout: 'columns' };
+  }
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Поле "spreadsheet" должно быть объектом { columns, layout }');
+  }
+
+  const { columns, layout = 'columns' } = options;
+  if (columns !== undefined && (!Array.isArray(columns) || columns.some(column => typeof column !== 'string'))) {
+    throw new Error('Поле "spreadsheet.columns" должно быть массивом идентификаторов столбцов');
+  }
+  if (!SPREADSHEET_LAYOUTS.includes(layout)) {
+    throw new Error(`Поле "spreadsheet.layout" должно быть одним из: ${SPREADSHEET_LAYOUTS.join(', ')}`);
+  }
+
+  return { columns: columns ?? null, layout };
+}
+
+/**
+ * Описание столбцов таблицы для выбора пользователем
+ * @param {Array<Array<string|null>>} rows - значения ячеек (null - не текст: число, формула)
+ * @param {string} [sheet] - имя листа XLSX, для CSV не задается
+ * @returns {Array<{id: string, sheet: string|null, column: string, name: string, textual: boolean}>}
+ */
+export function describeColumns(rows, sheet = null) {
+  const [header = [], ...data] = rows;
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  const sample = data.slice(0, SAMPLE_ROWS);
+
+  return Array.from({ length: width }, (_, index) => {
+    const column = columnLetter(index);
+    return {
+      id: sheet === null ? column : `${sheet}!${column}`,
+      sheet,
+      column,
+      name: String(header[index] ?? '').trim() || column,
+      textual: isTextColumn(sample.map(row => row[index]))
+    };
+  });
+}
+
+/**
+ * Индексы выбранных столбцов листа
+ * @param {Array<{id: string, column: string, sheet: string|null, textual: boolean}>} columns - describeColumns
+ * @param {string[]|null} selected - идентификаторы столбцов; null - все текстовые
+ */
+export function selectColumns(columns, selected) {
+  return columns
+    .filter(column => (selected ? selected.includes(column.id) : column.textual))
+    .map(column => columnIndex(column.column));
+}
+
+/**
+ * Номер столбца (с нуля) -> буква: 0 -> A, 26 -> AA
+ */
+export function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+  }
+  return letter;
+}
+
+/**
+ * Буква столбца -> номер (с нуля): A -> 0, AA -> 26
+ */
+export function columnIndex(letter) {
+  return [...letter.toUpperCase()].reduce((index, char) => index * 26 + char.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Заголовок добавленного столбца с переводом: "Описание (DE)"
+ */
+export function translatedColumnName(name, targetLang) {
+  return `${name} (${targetLang})`;
+}
+
+/**
+ * Столбец текстовый, если в большинстве непустых ячеек есть слова, а не коды (SKU-100), числа и ссылки
+ */
+function isTextColumn(values) {
+  const filled = values.filter(value => typeof value === 'string' && value.trim());
+  if (filled.length === 0) return false;
+
+  const textual = filled.filter(value =>
+    /\p{L}{2,}/u.test(value) &&
+    /\s|\p{Ll}/u.test(value.trim()) &&
+    !/^(?:https?:\/\/|www\.)\S+$|^\S+@\S+\.\S+$/i.test(value.trim())
+  );
+  return textual.length * 2 >= filled.length;
+}
@@ -0,0 +1,352 @@
+/**
+ * Хранилище состояния serverless функций
+ * Сессии авторизации и задачи обработки документов должны переживать
+ * холодный старт и быть видны всем экземплярам функции
+ *
+ * Драйвер выбирается переменной STORAGE_DRIVER (обязательна):
+ *   redis  - Redis с REST API (Upstash, Vercel KV): REDIS_REST_URL и REDIS_REST_TOKEN
+ *            (или KV_REST_API_URL и KV_REST_API_TOKEN, которые задает Vercel KV)
+ *   file   - JSON файлы в STORAGE_DIR (обязательна); общее состояние - только на общем томе
+ *   memory - Map в памяти процесса (для локальной разработки и тестов)
+ * Временный каталог по умолчанию не используется: на Vercel он свой у каждого экземпляра
+ * и пропадает при холодном старте.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { promises as fs } from 'fs';
+import { randomBytes } from 'crypto';
+import path from 'path';
+
+// Префикс ключей Redis: в одной базе могут храниться данные других приложений
+const REDIS_KEY_PREFIX = 'translateai:';
+// Ключей за один SCAN / MGET
+const REDIS_BATCH_SIZE = 100;
+// Файл блокировки старше этого считается оставшимся от упавшего процесса
+const FILE_LOCK_TIMEOUT = 5000;
+const FILE_LOCK_RETRY_DELAY = 5;
+
+/**
+ * Хранилище в памяти процесса
+ * Данные теряются при перезапуске экземпляра
+ */
+export class MemoryStore {
+  constructor() {
+    this.items = new Map();
+  }
+
+  async get(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  async set(key, value) {
+    this.items.set(key, value);
+    return value;
+  }
+
+  /**
+   * Записывает значение, только если ключа еще нет
+   * @returns {Promise<boolean>} true, если запись создана
+   */
+  async setIfAbsent(key, value) {
+    if (this.items.has(key)) return false;
+    this.items.set(key, value);
+    return true;
+  }
+
+  /**
+   * Увеличивает числовое значение ключа (отсутствующий ключ - 0)
+   * @returns {Promise<number>} новое значение
+   */
+  async increment(key, delta = 1) {
+    const value = (this.items.get(key) || 0) + delta;
+    this.items.set(key, value);
+    return value;
+  }
+
+  async delete(key) {
+    return this.items.delete(key);
+  }
+
+  async entries() {
+    return [...this.items.entries()];
+  }
+
+  async clear() {
+    this.items.clear();
+  }
+}
+
+/**
+ * Файловое хранилище: каждая запись - отдельный JSON файл,
+ * поэтому экземпляры не перезаписывают чужие изменения целым файлом
+ */
+export class FileStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  filePath(key) {
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  async get(key) {
+    try {
+      return deserialize(await fs.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async set(key, value) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Пишем во временный файл и переименовываем, чтобы читатель не увидел запись наполовину
+    const target = this.filePath(key);
+    const temporary = `${target}.${randomBytes(8).toString('hex')}.tmp`;
+    await fs.writeFile(temporary, serialize(value), 'utf8');
+    await fs.rename(temporary, target);
+    return value;
+  }
+
+  /**
+   * Записывает значение, только если ключа еще нет: жесткая ссылка на готовый временный файл
+   * не создается поверх существующего, поэтому из двух одновременных вызовов успешен только один
+   * @returns {Promise<boolean>} true, если запись создана
+   */
+  async setIfAbsent(key, value) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const target = this.filePath(key);
+    const temporary = `${target}.${randomBytes(8).toString('hex')}.tmp`;
+    await fs.writeFile(temporary, serialize(value), 'utf8');
+
+    try {
+      await fs.link(temporary, target);
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    } finally {
+      await fs.unlink(temporary);
+    }
+  }
+
+  /**
+   * Увеличивает числовое значение под файлом блокировки: одновременные вызовы не теряют приращения
+   * @returns {Promise<number>} новое значение
+   */
+  async increment(key, delta = 1) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const lock = `${this.filePath(key)}.lock`;
+    await acquireFileLock(lock);
+    try {
+      const value = ((await this.get(key)) || 0) + delta;
+      await this.set(key, value);
+      return value;
+    } finally {
+      await fs.unlink(lock).catch(() => {});
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.filePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async entries() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      const key = decodeURIComponent(file.slice(0, -5));
+      const value = await this.get(key);
+      if (value !== null) entries.push([key, value]);
+    }
+    return entries;
+  }
+
+  async clear() {
+    await fs.rm(this.directory, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Redis через REST API (Upstash, Vercel KV): общее состояние для всех экземпляров функции
+ * Запрос - JSON массив команды, ответ - { result } или { error }
+ */
+export class RedisStore {
+  constructor(namespace, { url, token }) {
+    this.prefix = `${REDIS_KEY_PREFIX}${namespace}:`;
+    this.url = url.replace(/\/+$/, '');
+    this.token = token;
+  }
+
+  async command(...args) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${this.token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args)
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || result.error) {
+      throw new Error(`Ошибка Redis (${args[0]}): ${result.error || `HTTP ${response.status}`}`);
+    }
+    return result.result;
+  }
+
+  async get(key) {
+    const value = await this.command('GET', this.prefix + key);
+    return value === null || value === undefined ? null : deserialize(value);
+  }
+
+  async set(key, value) {
+    await this.command('SET', this.prefix + key, serialize(value));
+    return value;
+  }
+
+  async setIfAbsent(key, value) {
+    return (await this.command('SET', this.prefix + key, serialize(value), 'NX')) === 'OK';
+  }
+
+  async increment(key, delta = 1) {
+    return Number(await this.command('INCRBY', this.prefix + key, delta));
+  }
+
+  async delete(key) {
+    return (await this.command('DEL', this.prefix + key)) > 0;
+  }
+
+  async keys() {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.command('SCAN', cursor, 'MATCH', `${escapeRedisPattern(this.prefix)}*`, 'COUNT', REDIS_BATCH_SIZE);
+      cursor = String(next);
+      keys.push(...batch);
+    } while (cursor !== '0');
+    return [...new Set(keys)];
+  }
+
+  async entries() {
+    const keys = await this.keys();
+    const entries = [];
+
+    for (let i = 0; i < keys.length; i += REDIS_BATCH_SIZE) {
+      const batch = keys.slice(i, i + REDIS_BATCH_SIZE);
+      const values = await this.command('MGET', ...batch);
+      batch.forEach((key, index) => {
+        if (values[index] !== null) {
+          entries.push([key.slice(this.prefix.length), deserialize(values[index])]);
+        }
+      });
+    }
+    return entries;
+  }
+
+  async clear() {
+    const keys = await this.keys();
+    for (let i = 0; i < keys.length; i += REDIS_BATCH_SIZE) {
+      await this.command('DEL', ...keys.slice(i, i + REDIS_BATCH_SIZE));
+    }
+  }
+}
+
+/**
+ * Создает файл блокировки; занятый файл ждет, зависший дольше FILE_LOCK_TIMEOUT удаляет
+ */
+async function acquireFileLock(lock) {
+  for (;;) {
+    try {
+      await fs.writeFile(lock, String(process.pid), { flag: 'wx' });
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const stat = await fs.stat(lock).catch(() => null);
+    if (stat && Date.now() - stat.mtimeMs > FILE_LOCK_TIMEOUT) {
+      await fs.unlink(lock).catch(() => {});
+      continue;
+    }
+    await new Promise(resolve => setTimeout(resolve, FILE_LOCK_RETRY_DELAY));
+  }
+}
+
+function escapeRedisPattern(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+// Buffer в JSON сохраняем как base64, а не как массив байт
+function serialize(value) {
+  return JSON.stringify(value, function (key, item) {
+    const original = this[key];
+    return Buffer.isBuffer(original) ? { __buffer: original.toString('base64') } : item;
+  });
+}
+
+function deserialize(text) {
+  return JSON.parse(text, (key, item) =>
+    item && typeof item === 'object' && typeof item.__buffer === 'string'
+      ? Buffer.from(item.__buffer, 'base64')
+      : item
+  );
+}
+
+const memoryStores = new Map();
+
+/**
+ * Возвращает хранилище для пространства имен (sessions, tasks, files ...)
+ * @param {string} namespace - имя набора записей
+ * @param {{driver?: string, directory?: string}} [options] - переопределяют переменные окружения
+ */
+export function createStore(namespace, options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER;
+
+  switch (driver) {
+    case 'redis': {
+      const url = process.env.REDIS_REST_URL || process.env.KV_REST_API_URL;
+      const token = process.env.REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN;
+      if (!url || !token) {
+        throw new Error('STORAGE_DRIVER=redis: не заданы REDIS_REST_URL и REDIS_REST_TOKEN (или KV_REST_API_URL и KV_REST_API_TOKEN)');
+      }
+      return new RedisStore(namespace, { url, token });
+    }
+    case 'memory':
+      // Одно пространство имен в памяти - один общий Map на процесс
+      if (!memoryStores.has(namespace)) {
+        memoryStores.set(namespace, new MemoryStore());
+      }
+      return memoryStores.get(namespace);
+    case 'file': {
+      const root = options.directory || process.env.STORAGE_DIR;
+      if (!root) {
+        throw new Error('STORAGE_DRIVER=file: не задан STORAGE_DIR (каталог на общем томе)');
+      }
+      return new FileStore(path.join(root, namespace));
+    }
+    case undefined:
+    case '':
+      // Без общего хранилища сессии и задачи теряются между экземплярами - не подставляем временный каталог молча
+      throw new Error('STORAGE_DRIVER не настроен: укажите redis (Upstash, Vercel KV), file с STORAGE_DIR на общем томе или memory для локальной разработки');
+    default:
+      throw new Error(`Неизвестный драйвер хранилища: ${driver}`);
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Проверка данных Telegram Login Widget
+ * Виджет передает поля пользователя и hash - HMAC-SHA256 строки проверки,
+ * ключ - SHA-256 токена бота (https://core.telegram.org/widgets/login#checking-authorization)
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+
+// Допустимое расхождение часов: auth_date немного в будущем не считается подделкой
+const CLOCK_SKEW = 5 * 60;
+
+/**
+ * Проверяет подпись и свежесть данных виджета
+ * @param {object} payload - { id, first_name, last_name?, username?, photo_url?, auth_date, hash }
+ * @param {string} botToken
+ * @param {number} maxAge - максимальный возраст auth_date в секундах
+ * @returns {{valid: boolean, user?: object, reason?: string}}
+ */
+export function verifyTelegramLogin(payload, botToken, maxAge) {
+  if (!payload || typeof payload !== 'object' || typeof payload.hash !== 'string') {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  // Строка проверки: все поля, кроме hash, "key=value" в алфавитном порядке через \n
+  const dataCheckString = Object.keys(payload)
+    .filter(key => key !== 'hash' && payload[key] !== undefined && payload[key] !== null)
+    .sort()
+    .map(key => `${key}=${payload[key]}`)
+    .join('\n');
+
+  const secret = createHash('sha256').update(botToken).digest();
+  const expected = Buffer.from(createHmac('sha256', secret).update(dataCheckString).digest('hex'));
+  const actual = Buffer.from(payload.hash.toLowerCase());
+
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return { valid: false, reason: 'signature' };
+  }
+
+  const authDate = Number(payload.auth_date);
+  const now = Math.floor(Date.now() / 1000);
+  if (!Number.isFinite(authDate) || authDate > now + CLOCK_SKEW) {
+    return { valid: false, reason: 'malformed' };
+  }
+  if (now - authDate > maxAge) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  const id = Number(payload.id);
+  if (!Number.isSafeInteger(id) || id <= 0) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  return {
+    valid: true,
+    user: {
+      id,
+      first_name: payload.first_name,
+      last_name: payload.last_name,
+      username: payload.username
+    }
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Подготовка текста к выводу в PDF без движка шрифтов
+ * - арабские буквы заменяются контекстными формами (Arabic Presentation Forms A/B)
+ * - строка с текстом справа налево переставляется в визуальный порядок (упрощенный bidi)
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+// Буква -> [изолированная форма, тип соединения]: D - с обеих сторон, R - только справа
+// Формы идут подряд: изолированная, конечная, начальная, срединная
+const ARABIC_FORMS = new Map([
+  [0x0622, [0xFE81, 'R']], [0x0623, [0xFE83, 'R']], [0x0624, [0xFE85, 'R']], [0x0625, [0xFE87, 'R']],
+  [0x0626, [0xFE89, 'D']], [0x0627, [0xFE8D, 'R']], [0x0628, [0xFE8F, 'D']], [0x0629, [0xFE93, 'R']],
+  [0x062A, [0xFE95, 'D']], [0x062B, [0xFE99, 'D']], [0x062C, [0xFE9D, 'D']], [0x062D, [0xFEA1, 'D']],
+  [0x062E, [0xFEA5, 'D']], [0x062F, [0xFEA9, 'R']], [0x0630, [0xFEAB, 'R']], [0x0631, [0xFEAD, 'R']],
+  [0x0632, [0xFEAF, 'R']], [0x0633, [0xFEB1, 'D']], [0x0634, [0xFEB5, 'D']], [0x0635, [0xFEB9, 'D']],
+  [0x0636, [0xFEBD, 'D']], [0x0637, [0xFEC1, 'D']], [0x0638, [0xFEC5, 'D']], [0x0639, [0xFEC9, 'D']],
+  [0x063A, [0xFECD, 'D']], [0x0641, [0xFED1, 'D']], [0x0642, [0xFED5, 'D']], [0x0643, [0xFED9, 'D']],
+  [0x0644, [0xFEDD, 'D']], [0x0645, [0xFEE1, 'D']], [0x0646, [0xFEE5, 'D']], [0x0647, [0xFEE9, 'D']],
+  [0x0648, [0xFEED, 'R']], [0x0649, [0xFEEF, 'R']], [0x064A, [0xFEF1, 'D']],
+  // Персидский и урду
+  [0x0679, [0xFB66, 'D']], [0x067E, [0xFB56, 'D']], [0x0686, [0xFB7A, 'D']], [0x0688, [0xFB88, 'R']],
+  [0x0691, [0xFB8C, 'R']], [0x0698, [0xFB8A, 'R']], [0x06A9, [0xFB8E, 'D']], [0x06AF, [0xFB92, 'D']],
+  [0x06BE, [0xFBAA, 'D']], [0x06C1, [0xFBA6, 'D']], [0x06CC, [0xFBFC, 'D']], [0x06D2, [0xFBAE, 'R']]
+]);
+
+// Лигатуры лам-алиф: алиф -> изолированная форма лигатуры (конечная - следующий код)
+const LAM_ALEF = new Map([[0x0622, 0xFEF5], [0x0623, 0xFEF7], [0x0625, 0xFEF9], [0x0627, 0xFEFB]]);
+const LAM = 0x0644;
+const TATWEEL = 0x0640;
+
+// Огласовки и другие знаки над/под буквой не разрывают соединение
+const TRANSPARENT = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06DC\u06DF-\u06E4\u06E7\u06E8\u06EA-\u06ED]/;
+
+const RTL_CHAR = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+const LTR_CHAR = /[\p{L}\p{N}]/u;
+const MIRRORED = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<', '«': '»', '»': '«' };
+
+/**
+ * Заменяет арабские буквы контекстными формами
+ */
+export function shapeArabic(text) {
+  if (!/[\u0600-\u06FF]/.test(text)) return text;
+
+  const chars = [...text].map(char => char.codePointAt(0));
+  const joinsLeft = code => code === TATWEEL || ARABIC_FORMS.get(code)?.[1] === 'D';
+  const joinsRight = code => code === TATWEEL || ARABIC_FORMS.has(code);
+
+  // Соседняя буква с учетом прозрачных знаков
+  const neighbour = (index, step) => {
+    for (let i = index + step; i >= 0 && i < chars.length; i += step) {
+      if (!TRANSPARENT.test(String.fromCodePoint(chars[i]))) return chars[i];
+    }
+    return null;
+  };
+
+  let result = '';
+  for (let i = 0; i < chars.length; i++) {
+    const code = chars[i];
+    const forms = ARABIC_FORMS.get(code);
+    if (!forms) {
+      result += String.fromCodePoint(code);
+      continue;
+    }
+
+    const previous = neighbour(i, -1);
+    const joinedPrevious = previous !== null && joinsLeft(previous);
+
+    if (code === LAM && LAM_ALEF.has(chars[i + 1])) {
+      result += String.fromCodePoint(LAM_ALEF.get(chars[i + 1]) + (joinedPrevious ? 1 : 0));
+      i++;
+      continue;
+    }
+
+    const next = neighbour(i, 1);
+    const joinedNext = forms[1] === 'D' && next !== null && joinsRight(next);
+    const [isolated] = forms;
+
+    if (joinedPrevious && joinedNext) result += String.fromCodePoint(isolated + 3);
+    else if (joinedPrevious) result += String.fromCodePoint(isolated + 1);
+    else if (joinedNext) result += String.fromCodePoint(isolated + 2);
+    else result += String.fromCodePoint(isolated);
+  }
+
+  return result;
+}
+
+/**
+ * Направление абзаца по первой букве: true - справа налево
+ */
+export function isRtlText(text) {
+  for (const char of text) {
+    if (RTL_CHAR.test(char)) return true;
+    if (LTR_CHAR.test(char)) return false;
+  }
+  return false;
+}
+
+/**
+ * Переставляет строку в порядок вывода слева направо
+ * Фрагменты RTL переворачиваются (со скобками), фрагменты LTR (латиница, числа) сохраняют порядок;
+ * в строке RTL порядок самих фрагментов обратный
+ * @param {string} line - строка в логическом порядке
+ * @param {boolean} rtl - направление абзаца
+ */
+export function toVisualOrder(line, rtl) {
+  if (!RTL_CHAR.test(line)) return line;
+
+  const chars = [...line];
+  const strong = chars.map(char => (RTL_CHAR.test(char) ? 'R' : LTR_CHAR.test(char) ? 'L' : null));
+
+  // Нейтральные символы (пробелы, знаки) получают направление соседей, если оно совпадает, иначе абзаца
+  const base = rtl ? 'R' : 'L';
+  const levels = strong.map((type, index) => {
+    if (type) return type;
+    let before = null;
+    for (let i = index - 1; i >= 0 && !before; i--) before = strong[i];
+    let after = null;
+    for (let i = index + 1; i < chars.length && !after; i++) after = strong[i];
+    return before && before === after ? before : base;
+  });
+
+  const runs = [];
+  chars.forEach((char, index) => {
+    const run = runs[runs.length - 1];
+    if (run && run.type === levels[index]) run.chars.push(char);
+    else runs.push({ type: levels[index], chars: [char] });
+  });
+
+  const ordered = rtl ? runs.reverse() : runs;
+  return ordered
+    .map(run => (run.type === 'R' ? run.chars.reverse().map(char => MIRRORED[char] || char).join('') : run.chars.join('')))
+    .join('');
+}
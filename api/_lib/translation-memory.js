@@ -0,0 +1,93 @@
+/**
+ * Память переводов (translation memory) на стороне сервера
+ * Точные совпадения сегмента для провайдера и пары языков отдаются из хранилища без запроса к сервису перевода.
+ * Переводы с пользовательского api_url не сохраняются: иначе любой пользователь мог бы
+ * подложить свои переводы в общую память
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { createHash } from 'crypto';
+import { createStore } from './storage.js';
+
+const memory = createStore('translation-memory');
+// Число сегментов ведется отдельно, чтобы не читать всю память ради статистики
+const stats = createStore('translation-memory-stats');
+const COUNT_KEY = 'count';
+
+/**
+ * Приводит сегмент к виду для сравнения: переводы строк, повторные пробелы, Unicode NFC
+ */
+export function normalizeSegment(text) {
+  return text
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+// Текст сегмента может быть длинным, поэтому ключ - хеш.
+// Провайдер входит в ключ: перевод DeepL не отдается запросу к OpenAI и наоборот
+function memoryKey(provider, text, sourceLang, targetLang) {
+  return createHash('sha256')
+    .update(`${provider}|${(sourceLang || 'AUTO').toUpperCase()}|${targetLang.toUpperCase()}|${normalizeSegment(text)}`)
+    .digest('hex');
+}
+
+/**
+ * Возвращает сохраненный перевод или null
+ * Ошибка хранилища не должна мешать переводу, поэтому она только логируется
+ * @param {string} provider - id провайдера перевода
+ */
+export async function lookupTranslation(provider, text, sourceLang, targetLang) {
+  try {
+    const entry = await memory.get(memoryKey(provider, text, sourceLang, targetLang));
+    return entry ? entry.translation : null;
+  } catch (error) {
+    console.error('❌ Ошибка чтения памяти переводов:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Сохраняет перевод сегмента
+ * @param {string} provider - id провайдера перевода
+ */
+export async function storeTranslation(provider, text, sourceLang, targetLang, translation) {
+  const key = memoryKey(provider, text, sourceLang, targetLang);
+  const entry = {
+    source: normalizeSegment(text),
+    translation,
+    provider,
+    sourceLang: sourceLang || 'AUTO',
+    targetLang,
+    createdAt: Date.now()
+  };
+
+  try {
+    // Счетчик растет только для нового сегмента, повторный перевод заменяет запись
+    if (await memory.setIfAbsent(key, entry)) {
+      await stats.increment(COUNT_KEY);
+    } else {
+      await memory.set(key, entry);
+    }
+  } catch (error) {
+    console.error('❌ Ошибка записи в память переводов:', error.message);
+  }
+}
+
+/**
+ * Количество сохраненных сегментов
+ */
+export async function countTranslations() {
+  return (await stats.get(COUNT_KEY)) || 0;
+}
+
+/**
+ * Удаляет все сохраненные переводы
+ */
+export async function purgeTranslations() {
+  await memory.clear();
+  await stats.delete(COUNT_KEY);
+}
@@ -0,0 +1,228 @@
+/**
+ * Перевод через выбранного провайдера с переключением между endpoints
+ *
+ * Endpoints перебираются по порядку: запрос уходит на следующий, если текущий
+ * недоступен, не ответил вовремя, вернул 404/408/429/5xx или ответ не в формате JSON
+ * (например, HTML страницу ошибки прокси). Ошибки самого запроса
+ * (неверный ключ, неподдерживаемый язык) возвращаются сразу - на другом endpoint они повторятся.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { CircuitBreaker } from './circuit-breaker.js';
+
+const CONFIG = {
+  TIMEOUT: 25000, // общий лимит на все попытки
+  ATTEMPT_TIMEOUT: 10000, // лимит одной попытки, чтобы осталось время на запасной endpoint
+  FAILURE_THRESHOLD: 3,
+  COOLDOWN: 30000
+};
+
+const breaker = new CircuitBreaker({
+  failureThreshold: CONFIG.FAILURE_THRESHOLD,
+  cooldown: CONFIG.COOLDOWN
+});
+
+/**
+ * Ошибка перевода с HTTP статусом для ответа клиенту
+ */
+export class TranslationError extends Error {
+  constructor(status, error, message, extra = {}) {
+    super(message);
+    this.name = 'TranslationError';
+    this.status = status;
+    this.error = error;
+    this.extra = extra;
+  }
+}
+
+/**
+ * Ключ из запроса имеет приоритет над ключом из переменных окружения
+ */
+export function resolveApiKey(provider, apiKey) {
+  return apiKey || (provider.apiKeyEnv && process.env[provider.apiKeyEnv]) || null;
+}
+
+/**
+ * Endpoint из конфигурации сервера (переменные окружения или адрес провайдера по умолчанию)
+ */
+function isConfiguredEndpoint(provider, url, apiKey = null) {
+  return provider.endpoints(resolveApiKey(provider, apiKey) || '').includes(url);
+}
+
+/**
+ * api_url из запроса, которого нет в конфигурации сервера
+ */
+export function isCustomEndpoint(provider, apiUrl) {
+  return Boolean(apiUrl) && !isConfiguredEndpoint(provider, apiUrl);
+}
+
+/**
+ * Проверяет, есть ли ключ для запроса. Ключ сервера отправляется только на endpoints из конфигурации:
+ * иначе любой пользователь мог бы указать свой api_url и получить DEEPL_AUTH_KEY или OPENAI_API_KEY
+ * @returns {string|null} сообщение об ошибке
+ */
+export function checkApiKey(provider, { apiUrl, apiKey }) {
+  if (!provider.requiresKey) return null;
+
+  if (!resolveApiKey(provider, apiKey)) {
+    return `Для провайдера ${provider.name} требуется API ключ`;
+  }
+
+  if (apiUrl && !apiKey && !isConfiguredEndpoint(provider, apiUrl)) {
+    return `Для собственного api_url провайдера ${provider.name} укажите свой api_key: ключ сервера отправляется только на настроенные endpoints`;
+  }
+
+  return null;
+}
+
+/**
+ * Переводит текст, переключаясь между endpoints провайдера при сбоях
+ * @param {object} options
+ * @param {object} options.provider - адаптер из providers/index.js
+ * @param {string} [options.apiUrl] - пользовательский endpoint, пробуется первым
+ * @param {string} [options.apiKey] - ключ из запроса; ключ сервера подставляется только для настроенных endpoints
+ * @returns {Promise<{text: string, sourceLang: string|null, endpoint: string, custom: boolean}>}
+ *   custom - перевод получен от пользовательского endpoint
+ */
+export async function translateWithFailover({ provider, text, sourceLang, targetLang, apiUrl, apiKey }) {
+  const serverKey = resolveApiKey(provider, apiKey);
+  const configured = provider.endpoints(serverKey || '');
+  const customUrl = apiUrl && !configured.includes(apiUrl) ? apiUrl : null;
+  // Состояние ведется только для настроенных endpoints: адреса клиентов не накапливаются в памяти
+  const selected = breaker.selectEndpoints([...new Set(configured)]);
+  const endpoints = customUrl ? [customUrl, ...selected] : selected;
+  const deadline = Date.now() + CONFIG.TIMEOUT;
+  let lastFailure = null;
+
+  for (const endpoint of endpoints) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) break;
+
+    // На адрес клиента уходит только ключ клиента
+    const endpointKey = endpoint === customUrl ? apiKey || null : serverKey;
+    if (provider.requiresKey && !endpointKey) continue;
+
+    // Пробный запрос к endpoint после паузы уже отправлен другим запросом
+    if (endpoint !== customUrl && !breaker.acquire(endpoint)) {
+      lastFailure = lastFailure || { unavailable: true };
+      continue;
+    }
+
+    const request = provider.buildRequest({ text, sourceLang, targetLang, endpoint, apiKey: endpointKey });
+
+    console.log('Отправка запроса:', {
+      provider: provider.id,
+      endpoint,
+      textLength: text.length,
+      targetLang
+    });
+
+    let response;
+    try {
+      response = await fetchWithTimeout(request, Math.min(remaining, CONFIG.ATTEMPT_TIMEOUT));
+    } catch (fetchError) {
+      console.error(`❌ Endpoint ${endpoint} недоступен:`, fetchError.message);
+      if (endpoint !== customUrl) breaker.recordFailure(endpoint);
+      lastFailure = { error: fetchError };
+      continue;
+    }
+
+    if (!response.ok) {
+      console.error('API error:', response.status, response.statusText);
+
+      if (isFailoverStatus(response.status)) {
+        if (endpoint !== customUrl) breaker.recordFailure(endpoint);
+        lastFailure = { status: response.status };
+        continue;
+      }
+
+      throw statusError(response.status);
+    }
+
+    let result;
+    try {
+      result = await response.json();
+    } catch (jsonError) {
+      console.error(`❌ Endpoint ${endpoint} вернул ответ не в формате JSON:`, jsonError.message);
+      if (endpoint !== customUrl) breaker.recordFailure(endpoint);
+      lastFailure = { invalidResponse: true };
+      continue;
+    }
+
+    if (endpoint !== customUrl) breaker.recordSuccess(endpoint);
+    console.log('Ответ API:', result);
+
+    try {
+      const translation = provider.parseResponse(result);
+      return { ...translation, endpoint, custom: endpoint === customUrl };
+    } catch (parseError) {
+      throw new TranslationError(400, 'Translation failed', parseError.message, { details: result });
+    }
+  }
+
+  // Все endpoints исчерпаны - сообщаем о последней ошибке
+  if (lastFailure?.status) {
+    throw statusError(lastFailure.status);
+  }
+
+  if (lastFailure?.unavailable) {
+    throw new TranslationError(503, 'Service unavailable', 'Сервис перевода временно недоступен, повторите запрос позже');
+  }
+
+  if (lastFailure?.invalidResponse) {
+    throw new TranslationError(502, 'Invalid API response', 'Сервис перевода вернул ответ не в формате JSON');
+  }
+
+  if (!lastFailure || lastFailure.error.name === 'AbortError') {
+    console.error('Таймаут запроса');
+    throw new TranslationError(408, 'Request timeout', 'Превышено время ожидания');
+  }
+
+  console.error('Ошибка запроса:', lastFailure.error);
+  throw new TranslationError(502, 'API connection error', 'Не удалось подключиться к сервису перевода', {
+    details: lastFailure.error.message
+  });
+}
+
+async function fetchWithTimeout(request, timeout) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    return await fetch(request.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'TranslateAI/2.0.0',
+        ...request.headers
+      },
+      body: JSON.stringify(request.body),
+      signal: controller.signal
+    });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function isFailoverStatus(status) {
+  return status === 404 || status === 408 || status === 429 || status >= 500;
+}
+
+function statusError(status) {
+  let errorMessage = 'Ошибка API перевода';
+  if (status === 401 || status === 403) {
+    errorMessage = 'Неверный API ключ провайдера';
+  } else if (status === 456) {
+    errorMessage = 'Исчерпана квота DeepL API';
+  } else if (status === 429) {
+    errorMessage = 'Слишком много запросов';
+  } else if (status === 500) {
+    errorMessage = 'Ошибка сервера перевода';
+  } else if (status === 404) {
+    errorMessage = 'API endpoint не найден';
+  }
+
+  return new TranslationError(status, 'Translation API Error', errorMessage, { status });
+}
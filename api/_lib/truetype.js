@@ -0,0 +1,308 @@
+/**
+ * Чтение шрифтов TrueType (.ttf, .ttc) для встраивания в PDF
+ * Поддерживаются шрифты с контурами glyf; OpenType с CFF (.otf) не встраиваются.
+ * Подмножество шрифта сохраняет номера глифов: неиспользуемые глифы становятся пустыми,
+ * поэтому в PDF можно использовать CIDToGIDMap /Identity.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+// Таблицы, нужные для вывода глифов в PDF; остальные (GSUB, GPOS, kern, name ...) не встраиваются
+const EMBEDDED_TABLES = ['head', 'hhea', 'hmtx', 'maxp', 'loca', 'glyf', 'cvt ', 'fpgm', 'prep', 'cmap', 'OS/2', 'post'];
+
+// Флаги составных глифов
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+
+/**
+ * Разбирает шрифт TrueType или первый шрифт коллекции TrueType
+ * @returns {TrueTypeFont}
+ */
+export function parseTrueType(buffer) {
+  let offset = 0;
+  if (buffer.toString('latin1', 0, 4) === 'ttcf') {
+    offset = buffer.readUInt32BE(12);
+  }
+
+  const version = buffer.toString('latin1', offset, offset + 4);
+  if (version === 'OTTO') {
+    throw new Error('Шрифты OpenType с контурами CFF не поддерживаются');
+  }
+
+  const tables = new Map();
+  const count = buffer.readUInt16BE(offset + 4);
+  for (let i = 0; i < count; i++) {
+    const record = offset + 12 + i * 16;
+    const tag = buffer.toString('latin1', record, record + 4);
+    const start = buffer.readUInt32BE(record + 8);
+    const length = buffer.readUInt32BE(record + 12);
+    tables.set(tag, buffer.subarray(start, start + length));
+  }
+
+  for (const tag of ['head', 'hhea', 'hmtx', 'maxp', 'loca', 'glyf', 'cmap']) {
+    if (!tables.has(tag)) {
+      throw new Error(`Некорректный шрифт TrueType: отсутствует таблица ${tag}`);
+    }
+  }
+
+  return new TrueTypeFont(tables);
+}
+
+class TrueTypeFont {
+  constructor(tables) {
+    this.tables = tables;
+
+    const head = tables.get('head');
+    const hhea = tables.get('hhea');
+    const os2 = tables.get('OS/2');
+    const post = tables.get('post');
+
+    this.unitsPerEm = head.readUInt16BE(18);
+    this.bbox = [36, 38, 40, 42].map(position => this.scale(head.readInt16BE(position)));
+    this.longLoca = head.readInt16BE(50) === 1;
+    this.numGlyphs = tables.get('maxp').readUInt16BE(4);
+    this.numberOfHMetrics = hhea.readUInt16BE(34);
+    this.ascent = this.scale(os2 && os2.length >= 72 ? os2.readInt16BE(68) : hhea.readInt16BE(4));
+    this.descent = this.scale(os2 && os2.length >= 72 ? os2.readInt16BE(70) : hhea.readInt16BE(6));
+    this.capHeight = os2 && os2.length >= 90 ? this.scale(os2.readInt16BE(88)) : this.ascent;
+    this.italicAngle = post ? post.readInt32BE(4) / 65536 : 0;
+    // Бит 1 fsType - лицензия запрещает встраивание
+    this.embeddable = !os2 || (os2.readUInt16BE(8) & 0x000f) !== 0x0002;
+    this.postScriptName = readName(tables.get('name'), 6) || 'Font';
+
+    this.lookup = createCmapLookup(tables.get('cmap'));
+    this.glyphCache = new Map();
+  }
+
+  /**
+   * Номер глифа символа; 0 - глифа нет
+   */
+  glyphIndex(codePoint) {
+    if (!this.glyphCache.has(codePoint)) {
+      this.glyphCache.set(codePoint, this.lookup(codePoint));
+    }
+    return this.glyphCache.get(codePoint);
+  }
+
+  /**
+   * Ширина глифа в тысячных долях кегля
+   */
+  advanceWidth(glyph) {
+    const hmtx = this.tables.get('hmtx');
+    const index = Math.min(glyph, this.numberOfHMetrics - 1);
+    return this.scale(hmtx.readUInt16BE(index * 4));
+  }
+
+  scale(value) {
+    return Math.round(value * 1000 / this.unitsPerEm);
+  }
+
+  /**
+   * Собирает шрифт только с нужными глифами (и компонентами составных глифов)
+   * @param {Iterable<number>} glyphs - номера используемых глифов
+   * @returns {Buffer}
+   */
+  subset(glyphs) {
+    const keep = new Set();
+    const pending = [0, ...glyphs];
+
+    while (pending.length > 0) {
+      const glyph = pending.pop();
+      if (keep.has(glyph) || glyph >= this.numGlyphs) continue;
+      keep.add(glyph);
+      const data = this.glyphData(glyph);
+      if (data.length > 0 && data.readInt16BE(0) < 0) {
+        pending.push(...componentGlyphs(data).filter(component => !keep.has(component)));
+      }
+    }
+
+    const parts = [];
+    const loca = Buffer.alloc((this.numGlyphs + 1) * 4);
+    let position = 0;
+
+    for (let glyph = 0; glyph < this.numGlyphs; glyph++) {
+      loca.writeUInt32BE(position, glyph * 4);
+      if (!keep.has(glyph)) continue;
+      const data = this.glyphData(glyph);
+      const padded = Buffer.alloc((data.length + 3) & ~3);
+      data.copy(padded);
+      parts.push(padded);
+      position += padded.length;
+    }
+    loca.writeUInt32BE(position, this.numGlyphs * 4);
+
+    const head = Buffer.from(this.tables.get('head'));
+    head.writeUInt32BE(0, 8); // checkSumAdjustment
+    head.writeInt16BE(1, 50); // длинный формат loca
+
+    const tables = new Map(this.tables);
+    tables.set('glyf', Buffer.concat(parts));
+    tables.set('loca', loca);
+    tables.set('head', head);
+
+    // post версии 3.0 - без имен глифов
+    const post = this.tables.get('post');
+    if (post && post.length >= 32) {
+      const header = Buffer.from(post.subarray(0, 32));
+      header.writeUInt32BE(0x00030000, 0);
+      tables.set('post', header);
+    }
+
+    return writeFont(EMBEDDED_TABLES.filter(tag => tables.has(tag)).map(tag => [tag, tables.get(tag)]));
+  }
+
+  glyphData(glyph) {
+    const loca = this.tables.get('loca');
+    const start = this.longLoca ? loca.readUInt32BE(glyph * 4) : loca.readUInt16BE(glyph * 2) * 2;
+    const end = this.longLoca ? loca.readUInt32BE(glyph * 4 + 4) : loca.readUInt16BE(glyph * 2 + 2) * 2;
+    return this.tables.get('glyf').subarray(start, Math.max(start, end));
+  }
+}
+
+/**
+ * Глифы, из которых состоит составной глиф
+ */
+function componentGlyphs(data) {
+  const components = [];
+  let position = 10;
+  let flags;
+
+  do {
+    flags = data.readUInt16BE(position);
+    components.push(data.readUInt16BE(position + 2));
+    position += 4 + (flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2);
+    if (flags & WE_HAVE_A_SCALE) position += 2;
+    else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) position += 4;
+    else if (flags & WE_HAVE_A_TWO_BY_TWO) position += 8;
+  } while (flags & MORE_COMPONENTS && position + 4 <= data.length);
+
+  return components;
+}
+
+/**
+ * Поиск глифа по таблице cmap: формат 12 (все символы Unicode) или 4 (BMP)
+ */
+function createCmapLookup(cmap) {
+  const count = cmap.readUInt16BE(2);
+  const subtables = [];
+
+  for (let i = 0; i < count; i++) {
+    const platform = cmap.readUInt16BE(4 + i * 8);
+    const encoding = cmap.readUInt16BE(6 + i * 8);
+    const offset = cmap.readUInt32BE(8 + i * 8);
+    const format = cmap.readUInt16BE(offset);
+    const unicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+    if (unicode && (format === 4 || format === 12)) {
+      subtables.push({ format, offset });
+    }
+  }
+
+  const best = subtables.find(table => table.format === 12) || subtables.find(table => table.format === 4);
+  if (!best) {
+    throw new Error('Шрифт не содержит таблицы символов Unicode');
+  }
+
+  if (best.format === 12) {
+    const groups = cmap.readUInt32BE(best.offset + 12);
+    return codePoint => {
+      let low = 0;
+      let high = groups - 1;
+      while (low <= high) {
+        const middle = (low + high) >> 1;
+        const record = best.offset + 16 + middle * 12;
+        const start = cmap.readUInt32BE(record);
+        const end = cmap.readUInt32BE(record + 4);
+        if (codePoint < start) high = middle - 1;
+        else if (codePoint > end) low = middle + 1;
+        else return cmap.readUInt32BE(record + 8) + codePoint - start;
+      }
+      return 0;
+    };
+  }
+
+  const segments = cmap.readUInt16BE(best.offset + 6) / 2;
+  const endCodes = best.offset + 14;
+  const startCodes = endCodes + segments * 2 + 2;
+  const deltas = startCodes + segments * 2;
+  const rangeOffsets = deltas + segments * 2;
+
+  return codePoint => {
+    if (codePoint > 0xffff) return 0;
+    for (let i = 0; i < segments; i++) {
+      if (codePoint > cmap.readUInt16BE(endCodes + i * 2)) continue;
+      const start = cmap.readUInt16BE(startCodes + i * 2);
+      if (codePoint < start) return 0;
+
+      const delta = cmap.readInt16BE(deltas + i * 2);
+      const rangeOffset = cmap.readUInt16BE(rangeOffsets + i * 2);
+      if (rangeOffset === 0) return (codePoint + delta) & 0xffff;
+
+      const glyph = cmap.readUInt16BE(rangeOffsets + i * 2 + rangeOffset + (codePoint - start) * 2);
+      return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Строка из таблицы name (6 - имя PostScript)
+ */
+function readName(name, nameId) {
+  if (!name) return null;
+  const count = name.readUInt16BE(2);
+  const storage = name.readUInt16BE(4);
+
+  for (let i = 0; i < count; i++) {
+    const record = 6 + i * 12;
+    if (name.readUInt16BE(record + 6) !== nameId) continue;
+    const platform = name.readUInt16BE(record);
+    const length = name.readUInt16BE(record + 8);
+    const start = storage + name.readUInt16BE(record + 10);
+    const bytes = name.subarray(start, start + length);
+    return platform === 1 ? bytes.toString('latin1') : Buffer.from(bytes).swap16().toString('utf16le');
+  }
+  return null;
+}
+
+/**
+ * Записывает файл шрифта из таблиц [тег, данные]
+ */
+function writeFont(tables) {
+  const count = tables.length;
+  const power = 2 ** Math.floor(Math.log2(count));
+  const header = Buffer.alloc(12 + count * 16);
+  header.writeUInt32BE(0x00010000, 0);
+  header.writeUInt16BE(count, 4);
+  header.writeUInt16BE(power * 16, 6);
+  header.writeUInt16BE(Math.log2(power), 8);
+  header.writeUInt16BE(count * 16 - power * 16, 10);
+
+  const bodies = [];
+  let offset = header.length;
+
+  tables.forEach(([tag, data], index) => {
+    const padded = Buffer.alloc((data.length + 3) & ~3);
+    data.copy(padded);
+    const record = 12 + index * 16;
+    header.write(tag, record, 4, 'latin1');
+    header.writeUInt32BE(checksum(padded), record + 4);
+    header.writeUInt32BE(offset, record + 8);
+    header.writeUInt32BE(data.length, record + 12);
+    bodies.push(padded);
+    offset += padded.length;
+  });
+
+  return Buffer.concat([header, ...bodies]);
+}
+
+function checksum(data) {
+  let sum = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    sum = (sum + data.readUInt32BE(i)) >>> 0;
+  }
+  return sum;
+}
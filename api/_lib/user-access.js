@@ -0,0 +1,129 @@
+/**
+ * Доступ пользователей Telegram: список автоодобрения, отзыв, блокировка и последняя активность
+ * Токен сессии самодостаточный, поэтому отзыв хранится отдельно: токены пользователя,
+ * выданные до отзыва, отклоняются в requireSession при следующем запросе.
+ * Пользователь из списка автоодобрения входит без повторного решения администратора до expiresAt
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { createStore } from './storage.js';
+
+// Отозванный доступ: userId -> { status: 'revoked'|'banned', changedAt, userInfo }
+const userAccess = createStore('user-access');
+// Последний запрос к API: userId -> { lastActivity }
+const userActivity = createStore('user-activity');
+// Одобренные пользователи: userId -> { userInfo, approvedAt, expiresAt } (expiresAt null - без срока)
+const userAllowlist = createStore('user-allowlist');
+
+// Активность пишется не чаще раза в 5 минут, чтобы не писать в хранилище на каждый запрос
+const ACTIVITY_WRITE_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Отзывает доступ пользователя; ban - запрещает и новые запросы доступа
+ */
+export async function revokeUserAccess(userId, userInfo = null, { ban = false } = {}) {
+  const record = {
+    status: ban ? 'banned' : 'revoked',
+    changedAt: Date.now(),
+    userInfo
+  };
+  await userAccess.set(String(userId), record);
+  await userAllowlist.delete(String(userId));
+  return record;
+}
+
+/**
+ * Добавляет пользователя в список автоодобрения или меняет срок
+ * @param {number|null} expiresAt - время окончания в миллисекундах, null - без срока
+ */
+export async function allowUser(userId, userInfo = null, expiresAt = null) {
+  const existing = await userAllowlist.get(String(userId));
+  const entry = {
+    userInfo: userInfo || existing?.userInfo || null,
+    approvedAt: existing?.approvedAt || Date.now(),
+    expiresAt
+  };
+  await userAllowlist.set(String(userId), entry);
+  return entry;
+}
+
+/**
+ * Действующая запись списка автоодобрения или null (нет записи или срок истек)
+ */
+export async function getAllowlistEntry(userId) {
+  const entry = await userAllowlist.get(String(userId));
+  if (!entry || (entry.expiresAt && entry.expiresAt <= Date.now())) return null;
+  return entry;
+}
+
+/**
+ * Список автоодобрения: [{ userId, userInfo, approvedAt, expiresAt, expired }]
+ */
+export async function listAllowlist() {
+  const now = Date.now();
+  return (await userAllowlist.entries()).map(([userId, entry]) => ({
+    userId,
+    ...entry,
+    expired: Boolean(entry.expiresAt && entry.expiresAt <= now)
+  }));
+}
+
+/**
+ * Снимает блокировку. Токены, выданные до блокировки, остаются недействительными
+ */
+export async function unbanUser(userId) {
+  const record = await userAccess.get(String(userId));
+  if (!record || record.status !== 'banned') return false;
+
+  await userAccess.set(String(userId), { ...record, status: 'revoked' });
+  return true;
+}
+
+export async function isUserBanned(userId) {
+  const record = await userAccess.get(String(userId));
+  return record?.status === 'banned';
+}
+
+/**
+ * Заблокированные пользователи: [{ userId, changedAt, userInfo }]
+ */
+export async function listBannedUsers() {
+  return (await userAccess.entries())
+    .filter(([, record]) => record.status === 'banned')
+    .map(([userId, record]) => ({ userId, changedAt: record.changedAt, userInfo: record.userInfo }));
+}
+
+/**
+ * Проверяет, отозван ли токен: выдан до отзыва доступа или пользователь заблокирован
+ * @param {{uid: number|null, iat?: number}} claims
+ */
+export async function isTokenRevoked(claims) {
+  if (claims.uid === null || claims.uid === undefined) return false;
+
+  const record = await userAccess.get(String(claims.uid));
+  if (!record) return false;
+
+  return record.status === 'banned' || (claims.iat || 0) <= record.changedAt;
+}
+
+/**
+ * Отмечает запрос пользователя к API
+ */
+export async function recordUserActivity(userId) {
+  if (userId === null || userId === undefined) return;
+
+  const now = Date.now();
+  const record = await userActivity.get(String(userId));
+  if (record && now - record.lastActivity < ACTIVITY_WRITE_INTERVAL) return;
+
+  await userActivity.set(String(userId), { lastActivity: now });
+}
+
+/**
+ * Время последнего запроса к API или null
+ */
+export async function getUserActivity(userId) {
+  return (await userActivity.get(String(userId)))?.lastActivity ?? null;
+}
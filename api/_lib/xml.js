@@ -0,0 +1,78 @@
+/**
+ * Вспомогательные функции для работы с XML разметкой
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+};
+
+/**
+ * Декодирует XML сущности (&amp;, &#1234;, &#x4E2D;)
+ */
+export function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (entity, body) => {
+    if (body[0] === '#') {
+      const code = body[1] === 'x' || body[1] === 'X'
+        ? parseInt(body.slice(2), 16)
+        : parseInt(body.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[body] ?? entity;
+  });
+}
+
+/**
+ * Экранирует текст для вставки в XML
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Значение атрибута открывающего тега без декодирования сущностей или null
+ */
+export function getTagAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(["'])([^"']*)\\1`));
+  return match ? match[2] : null;
+}
+
+/**
+ * Задает атрибут открывающего тега: заменяет значение существующего или добавляет новый
+ * @param {string} tag - тег целиком: <file ...> или <x .../>
+ */
+export function setTagAttribute(tag, name, value) {
+  const end = tag.endsWith('/>') ? tag.length - 2 : tag.length - 1;
+  return tag.substring(0, end).replace(/\s+$/, '').replace(/^(<[\w:.-]+)([\s\S]*)$/, (match, start, attributes) =>
+    start + setAttribute(attributes, name, value)
+  ) + tag.substring(end);
+}
+
+/**
+ * Задает атрибут в строке атрибутов тега (" id=\"1\" state=\"new\"")
+ */
+export function setAttribute(attributes, name, value) {
+  const pattern = new RegExp(`(\\s${name}\\s*=\\s*)(["'])[^"']*\\2`);
+  return pattern.test(attributes)
+    ? attributes.replace(pattern, `$1"${value}"`)
+    : `${attributes} ${name}="${value}"`;
+}
+
+/**
+ * Имя корневого элемента без префикса пространства имен ("resources", "xliff") или null.
+ * Объявление XML, комментарии, инструкции обработки и DOCTYPE перед ним пропускаются
+ */
+export function getRootElement(xml) {
+  const match = xml.match(/^(?:\s+|<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE(?:[^>[]|\[[\s\S]*?\])*>)*<([\w:.-]+)/);
+  return match ? match[1].split(':').pop() : null;
+}
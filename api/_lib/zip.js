@@ -0,0 +1,182 @@
+/**
+ * Минимальная работа с ZIP архивами
+ * Используется для форматов на основе ZIP (DOCX)
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { inflateRawSync, deflateRawSync } from 'zlib';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// Предел распакованного содержимого архива: загрузка ограничена 10 МБ, но сжатые данные
+// (ZIP-бомба) могут распаковаться в гигабайты и исчерпать память функции
+export const MAX_UNCOMPRESSED_SIZE = 100 * 1024 * 1024;
+
+// Таблица CRC-32 (полином 0xEDB88320)
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+/**
+ * Читает ZIP архив и возвращает записи в исходном порядке
+ * @param {number} maxSize - предел суммарного размера распакованных записей
+ * @returns {Array<{name, method, data: Buffer}>}
+ */
+export function readZip(buffer, maxSize = MAX_UNCOMPRESSED_SIZE) {
+  const eocdOffset = findEndOfCentralDirectory(buffer);
+  if (eocdOffset === -1) {
+    throw new Error('Некорректный ZIP архив: не найден центральный каталог');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocdOffset + 10);
+  let offset = buffer.readUInt32LE(eocdOffset + 16);
+  const entries = [];
+  let totalSize = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error('Некорректный ZIP архив: поврежден центральный каталог');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const nameEncoding = flags & 0x0800 ? 'utf8' : 'latin1';
+    const name = buffer.toString(nameEncoding, offset + 46, offset + 46 + nameLength);
+
+    const data = readLocalEntry(buffer, localOffset, method, compressedSize, maxSize - totalSize, maxSize);
+    totalSize += data.length;
+    entries.push({ name, method, data });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Возвращает содержимое записи архива по имени
+ */
+export function getZipEntry(entries, name) {
+  return entries.find(entry => entry.name === name)?.data || null;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // Запись EOCD находится в конце файла, за ней может идти комментарий до 64 КБ
+  const minOffset = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+function readLocalEntry(buffer, offset, method, compressedSize, maxOutputLength, maxSize) {
+  if (buffer.readUInt32LE(offset) !== LOCAL_SIGNATURE) {
+    throw new Error('Некорректный ZIP архив: поврежден локальный заголовок');
+  }
+
+  const nameLength = buffer.readUInt16LE(offset + 26);
+  const extraLength = buffer.readUInt16LE(offset + 28);
+  const dataStart = offset + 30 + nameLength + extraLength;
+  const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+  switch (method) {
+    case 0:
+      if (raw.length > maxOutputLength) throw createSizeError(maxSize);
+      return raw;
+    case 8:
+      try {
+        return inflateRawSync(raw, { maxOutputLength: Math.max(1, maxOutputLength) });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw createSizeError(maxSize);
+        throw error;
+      }
+    default:
+      throw new Error(`Неподдерживаемый метод сжатия ZIP: ${method}`);
+  }
+}
+
+function createSizeError(maxSize) {
+  return new Error(`ZIP архив после распаковки больше ${Math.round(maxSize / 1024 / 1024)} МБ`);
+}
+
+/**
+ * Создает ZIP архив из записей
+ * @param {Array<{name: string, data: Buffer, method?: number}>} entries - method 0 (без сжатия) или 8 (deflate)
+ */
+export function writeZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data);
+    const method = entry.method === 0 ? 0 : 8;
+    const compressed = method === 8 ? deflateRawSync(data) : data;
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_SIGNATURE, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // имена в UTF-8
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(0, 10);
+    local.writeUInt16LE(0x21, 12); // 1980-01-01
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_SIGNATURE, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(0, 12);
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(EOCD_SIGNATURE, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function crc32(data) {
+  let crc = -1;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
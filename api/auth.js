@@ -6,18 +6,64 @@
  * @version 2.0.0
  */
 
+import { randomBytes, randomInt, timingSafeEqual } from 'crypto';
+import { createSessionToken } from './_lib/session-token.js';
+import { verifyTelegramLogin } from './_lib/telegram-login.js';
+import { createStore } from './_lib/storage.js';
+import {
+  revokeUserAccess,
+  unbanUser,
+  isUserBanned,
+  listBannedUsers,
+  getUserActivity,
+  allowUser,
+  getAllowlistEntry,
+  listAllowlist
+} from './_lib/user-access.js';
+
 // Конфигурация
 const CONFIG = {
   BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN,
+  BOT_USERNAME: process.env.TELEGRAM_BOT_USERNAME || 'crosserdeepl_bot',
   ADMIN_CHAT_ID: process.env.TELEGRAM_ADMIN_CHAT_ID,
   WEBHOOK_SECRET: process.env.TELEGRAM_WEBHOOK_SECRET,
   SESSION_TIMEOUT: 7 * 24 * 60 * 60 * 1000, // 7 дней - увеличенное время для комфорта пользователей
   ACTIVITY_EXTEND_TIME: 24 * 60 * 60 * 1000, // 24 часа - продление при активности
+  LOGIN_MAX_AGE: 60 * 60, // 1 час - срок данных Telegram Login Widget (секунды)
+  AUTH_CODE_TTL: 10 * 60 * 1000, // 10 минут - срок кода авторизации (столько же сайт ждет подтверждения)
+  MAX_CODE_ATTEMPTS: 5, // неверных кодов из одного чата до блокировки
+  CODE_ATTEMPT_WINDOW: 15 * 60 * 1000, // 15 минут - окно подсчета неверных кодов
+  CODE_LOCKOUT_TIME: 30 * 60 * 1000, // 30 минут - блокировка ввода кодов
+};
+
+// Хранилище сессий: переживает холодный старт и общее для экземпляров функции
+const sessions = createStore('sessions');
+// Запросы, ожидающие решения администратора: sessionId -> { userInfo, requestedAt }
+const pendingApprovals = createStore('pending-approvals');
+// Неверные коды по чатам: chatId -> { failures, firstFailureAt, lockedUntil }
+const codeAttempts = createStore('auth-attempts');
+// Обработанные обновления Telegram: update_id -> { receivedAt }
+const processedUpdates = createStore('telegram-updates');
+
+// Команды бота, доступные только в чате администратора (TELEGRAM_ADMIN_CHAT_ID)
+const ADMIN_COMMANDS = {
+  users: '- список одобренных пользователей и их последняя активность',
+  revoke: '&lt;ID&gt; - отозвать доступ и убрать из списка автоодобрения, активные сессии перестают действовать сразу',
+  ban: '&lt;ID&gt; - отозвать доступ и запретить новые запросы',
+  unban: '&lt;ID&gt; - снять блокировку',
+  pending: '- запросы, ожидающие одобрения',
+  allowlist: '- пользователи, которые входят без повторного одобрения, и срок',
+  allow: '&lt;ID&gt; [дней | ГГГГ-ММ-ДД | навсегда] - добавить в список автоодобрения или изменить срок',
+  stats: '- статистика пользователей и сессий',
+  broadcast: '&lt;текст&gt; - сообщение всем одобренным пользователям'
 };
 
-// Хранилище сессий (в production следует использовать базу данных)
-const sessions = new Map();
-const pendingApprovals = new Map();
+// Ограничения длины ответов бота (сообщение Telegram - до 4096 символов)
+const MAX_LISTED_USERS = 50;
+const MAX_LISTED_PENDING = 10;
+
+// Сколько помнить update_id: Telegram повторяет неподтвержденное обновление до суток
+const UPDATE_DEDUP_TTL = 24 * 60 * 60 * 1000;
 
 /**
  * Основная функция обработки запросов
@@ -40,12 +86,14 @@ export default async function handler(req, res) {
         return handleAuthStart(req, res);
       case 'check':
         return handleAuthCheck(req, res);
+      case 'login':
+        return handleWidgetLogin(req, res);
       case 'webhook':
         return handleTelegramWebhook(req, res);
       default:
         return res.status(400).json({
           error: 'Invalid action',
-          message: 'Supported actions: start, check, webhook'
+          message: 'Supported actions: start, check, login, webhook'
         });
     }
   } catch (error) {
@@ -67,10 +115,10 @@ async function handleAuthStart(req, res) {
 
   // Генерируем уникальный код для сессии
   const sessionId = generateSessionId();
-  const authCode = generateAuthCode();
+  const authCode = await generateAuthCode();
   
   // Сохраняем сессию
-  sessions.set(sessionId, {
+  await sessions.set(sessionId, {
     authCode,
     status: 'pending',
     createdAt: Date.now(),
@@ -79,14 +127,15 @@ async function handleAuthStart(req, res) {
   });
 
   // Очищаем старые сессии
-  cleanupExpiredSessions();
+  await cleanupExpiredSessions();
 
   console.log(`🔑 Новая сессия авторизации: ${sessionId}, код: ${authCode}`);
 
   return res.status(200).json({
     sessionId,
     authCode,
-    botUsername: 'crosserdeepl_bot', // Замените на имя вашего бота
+    codeExpiresAt: Date.now() + CONFIG.AUTH_CODE_TTL,
+    botUsername: CONFIG.BOT_USERNAME,
     message: 'Отправьте код боту для авторизации'
   });
 }
@@ -108,7 +157,7 @@ async function handleAuthCheck(req, res) {
     });
   }
 
-  const session = sessions.get(sessionId);
+  const session = await sessions.get(sessionId);
 
   if (!session) {
     return res.status(404).json({
@@ -122,22 +171,106 @@ async function handleAuthCheck(req, res) {
   const sessionAge = now - session.createdAt;
   const timeSinceLastActivity = now - (session.lastActivity || session.createdAt);
   
-  if (sessionAge > CONFIG.SESSION_TIMEOUT) {
-    sessions.delete(sessionId);
+  // Код, не отправленный боту вовремя, больше не принимается
+  if (sessionAge > CONFIG.SESSION_TIMEOUT || isAuthCodeExpired(session, now)) {
+    await sessions.delete(sessionId);
     return res.status(410).json({
       error: 'Session expired',
-      message: 'Сессия истекла'
+      message: session.status === 'pending' ? 'Код авторизации истек' : 'Сессия истекла'
     });
   }
   
   // Обновляем lastActivity при каждой проверке статуса
   session.lastActivity = now;
+  await sessions.set(sessionId, session);
 
-  return res.status(200).json({
+  return res.status(200).json(buildSessionResponse(sessionId, session));
+}
+
+/**
+ * Вход через Telegram Login Widget
+ * GET - имя бота для виджета, POST - данные виджета: сессия создается сразу,
+ * без кода; неизвестный пользователь по-прежнему ждет одобрения администратора
+ */
+async function handleWidgetLogin(req, res) {
+  if (req.method === 'GET') {
+    return res.status(200).json({
+      enabled: Boolean(CONFIG.BOT_TOKEN),
+      botUsername: CONFIG.BOT_USERNAME
+    });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!CONFIG.BOT_TOKEN) {
+    return res.status(503).json({
+      error: 'Login unavailable',
+      message: 'Вход через Telegram не настроен'
+    });
+  }
+
+  const result = verifyTelegramLogin(req.body, CONFIG.BOT_TOKEN, CONFIG.LOGIN_MAX_AGE);
+
+  if (!result.valid) {
+    console.log(`❌ Данные Telegram Login Widget отклонены: ${result.reason}`);
+    return res.status(401).json({
+      error: 'Invalid login data',
+      message: result.reason === 'expired'
+        ? 'Данные входа устарели, войдите через Telegram еще раз'
+        : 'Не удалось проверить данные входа Telegram'
+    });
+  }
+
+  const user = result.user;
+  const sessionId = generateSessionId();
+  const session = {
+    authCode: null,
+    status: 'pending',
+    createdAt: Date.now(),
+    lastActivity: Date.now(),
+    userInfo: null
+  };
+
+  await cleanupExpiredSessions();
+
+  console.log(`🔑 Вход через Telegram Login Widget: ${user.first_name || user.username} (${user.id}), сессия ${sessionId}`);
+  await confirmSessionUser(sessionId, session, user, user.id, 'widget');
+
+  if (session.status === 'banned') {
+    return res.status(403).json({
+      error: 'Access banned',
+      status: session.status,
+      message: getStatusMessage(session.status)
+    });
+  }
+
+  return res.status(200).json({ sessionId, ...buildSessionResponse(sessionId, session) });
+}
+
+/**
+ * Ответ о статусе сессии; одобренная сессия получает подписанный токен для API перевода и документов
+ */
+function buildSessionResponse(sessionId, session) {
+  const response = {
     status: session.status,
     userInfo: session.userInfo,
     message: getStatusMessage(session.status)
-  });
+  };
+
+  if (session.status === 'approved') {
+    response.expiresAt = session.createdAt + CONFIG.SESSION_TIMEOUT;
+    response.token = createSessionToken({
+      sid: sessionId,
+      uid: session.userInfo?.id ?? null,
+      // Время выдачи: токены, выданные до отзыва доступа, отклоняются
+      iat: Date.now(),
+      exp: response.expiresAt
+    });
+  }
+
+  return response;
 }
 
 /**
@@ -148,7 +281,18 @@ async function handleTelegramWebhook(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const update = req.body;
+  if (!isValidWebhookSecret(req)) {
+    console.log('⛔ Webhook отклонен: неверный заголовок X-Telegram-Bot-Api-Secret-Token');
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  const update = req.body || {};
+
+  // Telegram повторяет обновление, если не получил ответ вовремя
+  if (await isDuplicateUpdate(update.update_id)) {
+    console.log(`🔁 Обновление ${update.update_id} уже обработано, пропускаем`);
+    return res.status(200).json({ ok: true });
+  }
 
   // Обрабатываем callback queries (нажатия на inline кнопки)
   if (update.callback_query) {
@@ -194,53 +338,61 @@ async function handleTelegramWebhook(req, res) {
     await sendTelegramMessage(chatId, 
       'Привет! 👋\n\n' +
       'Отправьте мне код авторизации с сайта TranslateAI для подтверждения доступа.\n\n' +
-      'Код выглядит примерно так: ABC123'
+      'Код выглядит примерно так: ABC123' +
+      (isAdminChat(chatId) ? `\n\n${formatAdminHelp()}` : '')
     );
     return res.status(200).json({ ok: true });
   }
 
+  // Команды администратора
+  const command = parseCommand(text);
+  if (command && ADMIN_COMMANDS[command.name]) {
+    if (!isAdminChat(chatId)) {
+      console.log(`⛔ Команда /${command.name} от ${userName} (${user.id}) из чата ${chatId} отклонена`);
+      await sendTelegramMessage(chatId, '⛔ Эта команда доступна только администратору.');
+      return res.status(200).json({ ok: true });
+    }
+
+    console.log(`👮 Команда администратора: /${command.name}`);
+    await handleAdminCommand(chatId, command.name, command.args);
+    return res.status(200).json({ ok: true });
+  }
+
+  // Чат, исчерпавший попытки, не может подбирать коды: даже верный код не принимается до конца блокировки
+  const lockedUntil = await getCodeLockout(chatId);
+  if (lockedUntil) {
+    console.log(`🔒 Код от ${userName} (${user.id}) из заблокированного чата ${chatId} не проверяется`);
+    await sendCodeLockoutMessage(chatId, lockedUntil);
+    return res.status(200).json({ ok: true });
+  }
+
   // Проверяем, является ли сообщение кодом авторизации
   const authCode = text.trim().toUpperCase();
-  const session = findSessionByAuthCode(authCode);
+  const [sessionId, session] = await findSessionByAuthCode(authCode);
 
   if (session) {
-    const sessionId = [...sessions.entries()]
-      .find(([, s]) => s.authCode === authCode)?.[0];
-
-    if (sessionId) {
-      // Обновляем сессию с информацией о пользователе
-      session.userInfo = {
-        id: user.id,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        username: user.username
-      };
-      session.status = 'pending_approval';
-      session.lastActivity = Date.now();
-
-      console.log(`✅ Пользователь ${user.first_name} подтвердил код ${authCode}`);
-
-      // Отправляем сообщение пользователю
-      await sendTelegramMessage(chatId,
-        '✅ Код подтвержден!\n\n' +
-        'Ваш запрос отправлен администратору на одобрение. ' +
-        'Вы получите уведомление, когда доступ будет предоставлен.'
-      );
-
-      // Отправляем запрос админу на одобрение
-      await sendAdminApprovalRequest(sessionId, session);
-
-      return res.status(200).json({ ok: true });
-    }
+    await codeAttempts.delete(String(chatId));
+    await confirmSessionUser(sessionId, session, user, chatId, 'code', authCode);
+    return res.status(200).json({ ok: true });
   }
 
   // Если код не найден - показываем подсказку
   if (text.length >= 3 && text.length <= 10) {
     // Вероятно, это попытка ввести код
+    const attempts = await recordFailedCode(chatId);
+
+    if (attempts.lockedUntil) {
+      console.log(`🔒 Чат ${chatId} (${userName}, ${user.id}) заблокирован после ${attempts.failures} неверных кодов`);
+      await sendCodeLockoutMessage(chatId, attempts.lockedUntil);
+      return res.status(200).json({ ok: true });
+    }
+
     await sendTelegramMessage(chatId,
-      '❌ Код не найден или уже использован.\n\n' +
-      'Убедитесь, что вы правильно ввели код авторизации с сайта.\n\n' +
-      '💡 Код должен быть из 6 символов, например: ABC123'
+      '❌ Код не найден, истек или уже использован.\n\n' +
+      'Убедитесь, что вы правильно ввели код авторизации с сайта. ' +
+      `Код действует ${Math.round(CONFIG.AUTH_CODE_TTL / 60000)} минут.\n\n` +
+      '💡 Код должен быть из 6 символов, например: ABC123\n' +
+      `Осталось попыток: ${CONFIG.MAX_CODE_ATTEMPTS - attempts.failures}`
     );
   } else {
     // Обычное сообщение - показываем справку
@@ -257,13 +409,88 @@ async function handleTelegramWebhook(req, res) {
   return res.status(200).json({ ok: true });
 }
 
+/**
+ * Привязывает подтвержденного пользователя Telegram к сессии:
+ * заблокированный получает отказ, пользователь из списка автоодобрения - доступ сразу,
+ * остальные - запрос администратору. Сессия изменяется на месте
+ * @param {'code'|'widget'} method - код, отправленный боту, или Telegram Login Widget
+ */
+async function confirmSessionUser(sessionId, session, user, chatId, method, authCode = null) {
+  const userName = user.first_name || user.username || 'Неизвестный';
+  const via = method === 'code' ? `по коду ${authCode}` : 'через Telegram Login Widget';
+  session.lastActivity = Date.now();
+
+  if (await isUserBanned(user.id)) {
+    // Заблокированный пользователь: запрос администратору не отправляем
+    session.status = 'banned';
+    await sessions.set(sessionId, session);
+
+    console.log(`🚫 Заблокированный пользователь ${userName} (${user.id}) пытался войти ${via}`);
+    await sendTelegramMessage(chatId, '🚫 Ваш доступ к TranslateAI заблокирован администратором.');
+    return;
+  }
+
+  // Обновляем сессию с информацией о пользователе
+  session.userInfo = {
+    id: user.id,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    username: user.username
+  };
+
+  // Пользователь из списка автоодобрения входит без решения администратора
+  const allowed = await getAllowlistEntry(user.id);
+  if (allowed) {
+    session.status = 'approved';
+    await sessions.set(sessionId, session);
+    await allowUser(user.id, session.userInfo, allowed.expiresAt);
+
+    console.log(`✅ Пользователь ${userName} (${user.id}) одобрен автоматически, вход ${via}`);
+
+    // При входе через виджет пользователь уже на сайте, сообщение в Telegram не нужно
+    if (method === 'code') {
+      await sendTelegramMessage(chatId,
+        '🎉 <b>Доступ предоставлен!</b>\n\n' +
+        'Вы уже одобрены администратором, поэтому вход подтвержден автоматически. ' +
+        'Вернитесь на сайт, чтобы начать работу.'
+      );
+    }
+
+    if (CONFIG.ADMIN_CHAT_ID) {
+      await sendTelegramMessage(CONFIG.ADMIN_CHAT_ID,
+        `ℹ️ Автоматический вход ${method === 'code' ? 'по коду' : 'через виджет'}: ` +
+        `${formatUserName(session.userInfo)} - <code>${user.id}</code>\n` +
+        `Список автоодобрения: ${formatExpiry(allowed.expiresAt)}`
+      );
+    }
+    return;
+  }
+
+  session.status = 'pending_approval';
+  await sessions.set(sessionId, session);
+
+  console.log(`✅ Пользователь ${userName} (${user.id}) подтвердил вход ${via}`);
+
+  // Отправляем сообщение пользователю; после входа через виджет бот может писать,
+  // только если пользователь разрешил это в виджете или уже запускал бота
+  await sendTelegramMessage(chatId,
+    (method === 'code' ? '✅ Код подтвержден!\n\n' : '✅ Вход через Telegram подтвержден!\n\n') +
+    'Ваш запрос отправлен администратору на одобрение. ' +
+    'Вы получите уведомление, когда доступ будет предоставлен.'
+  );
+
+  // Отправляем запрос админу на одобрение
+  await sendAdminApprovalRequest(sessionId, session);
+}
+
 /**
  * Отправляет сообщение в Telegram
+ * @returns {Promise<boolean>} true, если сообщение доставлено
  */
 async function sendTelegramMessage(chatId, text, replyMarkup = null) {
   if (!CONFIG.BOT_TOKEN) {
     console.error('❌ TELEGRAM_BOT_TOKEN не настроен');
-    return;
+    return false;
   }
 
   try {
@@ -289,8 +516,10 @@ async function sendTelegramMessage(chatId, text, replyMarkup = null) {
     }
 
     console.log(`📤 Сообщение отправлено в чат ${chatId}`);
+    return true;
   } catch (error) {
     console.error('❌ Ошибка отправки сообщения:', error);
+    return false;
   }
 }
 
@@ -298,23 +527,31 @@ async function sendTelegramMessage(chatId, text, replyMarkup = null) {
  * Обрабатывает callback queries от inline кнопок
  */
 async function handleCallbackQuery(callbackQuery, res) {
-  const data = callbackQuery.data;
-  const chatId = callbackQuery.message.chat.id;
-  const messageId = callbackQuery.message.message_id;
+  const data = callbackQuery.data || '';
+  const chatId = callbackQuery.message?.chat?.id;
+  const messageId = callbackQuery.message?.message_id;
 
   console.log(`🔘 Получен callback: ${data} от чата ${chatId}`);
 
+  // Решения о доступе принимаются только в чате администратора
+  if (!isAdminChat(chatId)) {
+    console.log(`⛔ Callback ${data} от ${callbackQuery.from?.id} из чата ${chatId} отклонен`);
+    await answerCallbackQuery(callbackQuery.id, '⛔ Только администратор может одобрять запросы');
+    return res.status(200).json({ ok: true });
+  }
+
   try {
+    let handled = true;
     if (data.startsWith('approve_')) {
       const sessionId = data.replace('approve_', '');
-      await handleApproval(sessionId, true, chatId, messageId);
+      handled = await handleApproval(sessionId, true, chatId, messageId);
     } else if (data.startsWith('reject_')) {
       const sessionId = data.replace('reject_', '');
-      await handleApproval(sessionId, false, chatId, messageId);
+      handled = await handleApproval(sessionId, false, chatId, messageId);
     }
 
     // Подтверждаем получение callback
-    await answerCallbackQuery(callbackQuery.id);
+    await answerCallbackQuery(callbackQuery.id, handled ? '' : 'Запрос уже обработан или истек');
     
   } catch (error) {
     console.error('Ошибка обработки callback:', error);
@@ -326,16 +563,25 @@ async function handleCallbackQuery(callbackQuery, res) {
 
 /**
  * Обрабатывает одобрение или отклонение пользователя
+ * @returns {Promise<boolean>} false, если сессии нет или она не ждет решения
  */
 async function handleApproval(sessionId, approved, chatId, messageId) {
-  const session = sessions.get(sessionId);
+  const session = await sessions.get(sessionId);
   
   if (!session) {
     console.log(`❌ Сессия ${sessionId} не найдена`);
-    return;
+    return false;
+  }
+
+  // Повторное нажатие кнопки не меняет уже принятое решение, отзыв или блокировку
+  if (session.status !== 'pending_approval') {
+    console.log(`ℹ️ Сессия ${sessionId} в статусе ${session.status}, решение не требуется`);
+    return false;
   }
 
   session.status = approved ? 'approved' : 'rejected';
+  await sessions.set(sessionId, session);
+  await pendingApprovals.delete(sessionId);
   
   const user = session.userInfo;
   const statusText = approved ? '✅ ОДОБРЕН' : '❌ ОТКЛОНЕН';
@@ -353,6 +599,10 @@ async function handleApproval(sessionId, approved, chatId, messageId) {
 
   // Уведомляем пользователя
   if (approved) {
+    // В следующий раз пользователь войдет без решения администратора; срок из /allow сохраняется
+    const existing = await getAllowlistEntry(user.id);
+    await allowUser(user.id, user, existing?.expiresAt ?? null);
+
     await sendTelegramMessage(user.id,
       '🎉 <b>Доступ предоставлен!</b>\n\n' +
       'Добро пожаловать в TranslateAI! Теперь вы можете пользоваться сервисом перевода.\n\n' +
@@ -367,6 +617,8 @@ async function handleApproval(sessionId, approved, chatId, messageId) {
     );
     console.log(`❌ Пользователь ${user.firstName} (${user.id}) отклонен`);
   }
+
+  return true;
 }
 
 /**
@@ -426,7 +678,14 @@ async function sendAdminApprovalRequest(sessionId, session) {
     return;
   }
 
-  const user = session.userInfo;
+  await pendingApprovals.set(sessionId, { userInfo: session.userInfo, requestedAt: Date.now() });
+  await sendApprovalMessage(sessionId, session.userInfo);
+}
+
+/**
+ * Сообщение администратору с кнопками одобрения запроса
+ */
+async function sendApprovalMessage(sessionId, user) {
   const text = 
     `🔐 <b>Новый запрос на доступ к TranslateAI</b>\n\n` +
     `👤 <b>Пользователь:</b> ${user.firstName} ${user.lastName || ''}\n` +
@@ -446,36 +705,449 @@ async function sendAdminApprovalRequest(sessionId, session) {
   await sendTelegramMessage(CONFIG.ADMIN_CHAT_ID, text, keyboard);
 }
 
+/**
+ * Проверяет заголовок X-Telegram-Bot-Api-Secret-Token: Telegram передает в нем secret_token из setWebhook.
+ * Без настроенного TELEGRAM_WEBHOOK_SECRET вебхук не принимается, иначе любой мог бы прислать поддельное обновление
+ */
+function isValidWebhookSecret(req) {
+  if (!CONFIG.WEBHOOK_SECRET) {
+    console.error('❌ TELEGRAM_WEBHOOK_SECRET не настроен');
+    return false;
+  }
+
+  const expected = Buffer.from(CONFIG.WEBHOOK_SECRET);
+  const actual = Buffer.from(String(req.headers?.['x-telegram-bot-api-secret-token'] || ''));
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Отмечает обновление как обработанное; true, если update_id уже встречался.
+ * Отметка ставится до обработки: повтор не должен второй раз одобрить запрос или разослать сообщение.
+ * Каждый update_id - отдельная запись, создаваемая только если ее нет: из двух одновременных
+ * доставок одного обновления обрабатывается одна
+ */
+async function isDuplicateUpdate(updateId) {
+  if (!Number.isInteger(updateId)) return false;
+  return !(await processedUpdates.setIfAbsent(String(updateId), { receivedAt: Date.now() }));
+}
+
+/**
+ * Команды администратора
+ */
+function isAdminChat(chatId) {
+  return Boolean(CONFIG.ADMIN_CHAT_ID) && String(chatId) === String(CONFIG.ADMIN_CHAT_ID);
+}
+
+/**
+ * Разбирает команду бота: "/revoke@my_bot 123" -> { name: 'revoke', args: '123' }
+ */
+function parseCommand(text) {
+  const match = text.trim().match(/^\/([a-z_]+)(?:@\w+)?(?:\s+([\s\S]*))?$/i);
+  return match ? { name: match[1].toLowerCase(), args: (match[2] || '').trim() } : null;
+}
+
+function formatAdminHelp() {
+  return '👮 <b>Команды администратора:</b>\n' +
+    Object.entries(ADMIN_COMMANDS).map(([name, description]) => `/${name} ${description}`).join('\n');
+}
+
+async function handleAdminCommand(chatId, name, args) {
+  switch (name) {
+    case 'users':
+      return sendTelegramMessage(chatId, await formatUsersList());
+    case 'revoke':
+    case 'ban':
+      return handleRevokeCommand(chatId, args, name === 'ban');
+    case 'unban':
+      return handleUnbanCommand(chatId, args);
+    case 'pending':
+      return handlePendingCommand(chatId);
+    case 'allowlist':
+      return sendTelegramMessage(chatId, await formatAllowlist());
+    case 'allow':
+      return handleAllowCommand(chatId, args);
+    case 'stats':
+      return sendTelegramMessage(chatId, await formatStats());
+    case 'broadcast':
+      return handleBroadcastCommand(chatId, args);
+  }
+}
+
+/**
+ * Одобренные пользователи по Telegram ID с числом сессий и последней активностью
+ * @returns {Promise<Array<{userId: string, userInfo: object, sessions: number, lastActivity: number}>>}
+ */
+async function collectApprovedUsers() {
+  const users = new Map();
+
+  for (const [, session] of await sessions.entries()) {
+    if (session.status !== 'approved' || !session.userInfo) continue;
+
+    const userId = String(session.userInfo.id);
+    const user = users.get(userId) || { userId, userInfo: session.userInfo, sessions: 0, lastActivity: 0 };
+    user.sessions++;
+    user.lastActivity = Math.max(user.lastActivity, session.lastActivity || session.createdAt);
+    users.set(userId, user);
+  }
+
+  // Запросы к API перевода и документов отмечаются в user-access.js
+  for (const user of users.values()) {
+    user.lastActivity = Math.max(user.lastActivity, (await getUserActivity(user.userId)) || 0);
+  }
+
+  return [...users.values()].sort((a, b) => b.lastActivity - a.lastActivity);
+}
+
+async function formatUsersList() {
+  const users = await collectApprovedUsers();
+
+  if (users.length === 0) {
+    return '👥 Одобренных пользователей нет';
+  }
+
+  const allowlist = new Map((await listAllowlist()).map(entry => [entry.userId, entry]));
+  const lines = users.slice(0, MAX_LISTED_USERS).map(user => {
+    const entry = allowlist.get(user.userId);
+    const expiry = entry?.expiresAt ? `, автоодобрение ${formatExpiry(entry.expiresAt)}` : '';
+    return `• ${formatUserName(user.userInfo)} - <code>${user.userId}</code>\n` +
+      `  активность: ${formatTimeAgo(user.lastActivity)}, сессий: ${user.sessions}${expiry}`;
+  });
+  const more = users.length > MAX_LISTED_USERS ? `\n\n... и еще ${users.length - MAX_LISTED_USERS}` : '';
+
+  return `👥 <b>Одобренные пользователи (${users.length}):</b>\n\n${lines.join('\n')}${more}`;
+}
+
+/**
+ * Отзывает доступ: сессии пользователя закрываются, выданные токены отклоняются API
+ */
+async function handleRevokeCommand(chatId, args, ban) {
+  const command = ban ? 'ban' : 'revoke';
+
+  if (!/^\d+$/.test(args)) {
+    return sendTelegramMessage(chatId, `ℹ️ Использование: /${command} &lt;ID пользователя&gt;\nID можно узнать командой /users`);
+  }
+
+  let userInfo = null;
+  let closedSessions = 0;
+
+  for (const [sessionId, session] of await sessions.entries()) {
+    if (String(session.userInfo?.id) !== args) continue;
+
+    userInfo = session.userInfo;
+    if (session.status === 'approved' || session.status === 'pending_approval') {
+      session.status = ban ? 'banned' : 'revoked';
+      await sessions.set(sessionId, session);
+      await pendingApprovals.delete(sessionId);
+      closedSessions++;
+    }
+  }
+
+  // Заблокировать можно и пользователя, который еще не входил
+  if (!userInfo && !ban) {
+    return sendTelegramMessage(chatId, `❌ Пользователь <code>${args}</code> не найден`);
+  }
+
+  await revokeUserAccess(args, userInfo, { ban });
+
+  if (userInfo) {
+    await sendTelegramMessage(args, ban
+      ? '🚫 <b>Доступ заблокирован</b>\n\nАдминистратор заблокировал ваш доступ к TranslateAI.'
+      : '🔒 <b>Доступ отозван</b>\n\nАдминистратор отозвал ваш доступ к TranslateAI. Чтобы получить доступ снова, запросите новый код на сайте.'
+    );
+  }
+
+  const name = userInfo ? formatUserName(userInfo) : `<code>${args}</code>`;
+  console.log(`${ban ? '🚫' : '🔒'} Доступ пользователя ${args} ${ban ? 'заблокирован' : 'отозван'}, закрыто сессий: ${closedSessions}`);
+
+  return sendTelegramMessage(chatId,
+    `${ban ? '🚫 Заблокирован' : '🔒 Доступ отозван'}: ${name}\n` +
+    `Закрыто сессий: ${closedSessions}`
+  );
+}
+
+async function handleUnbanCommand(chatId, args) {
+  if (!/^\d+$/.test(args)) {
+    return sendTelegramMessage(chatId, 'ℹ️ Использование: /unban &lt;ID пользователя&gt;');
+  }
+
+  if (!(await unbanUser(args))) {
+    return sendTelegramMessage(chatId, `ℹ️ Пользователь <code>${args}</code> не заблокирован`);
+  }
+
+  console.log(`✅ Блокировка пользователя ${args} снята`);
+  return sendTelegramMessage(chatId, `✅ Блокировка <code>${args}</code> снята. Пользователь может запросить доступ заново.`);
+}
+
+/**
+ * Повторно отправляет запросы, ожидающие решения, с кнопками одобрения
+ */
+async function handlePendingCommand(chatId) {
+  const pending = [];
+
+  for (const [sessionId, request] of await pendingApprovals.entries()) {
+    const session = await sessions.get(sessionId);
+    if (session?.status === 'pending_approval') {
+      pending.push({ sessionId, ...request });
+    } else {
+      // Сессия истекла или решение уже принято
+      await pendingApprovals.delete(sessionId);
+    }
+  }
+
+  if (pending.length === 0) {
+    return sendTelegramMessage(chatId, '📭 Нет запросов, ожидающих одобрения');
+  }
+
+  pending.sort((a, b) => a.requestedAt - b.requestedAt);
+  const more = pending.length > MAX_LISTED_PENDING ? `, показаны первые ${MAX_LISTED_PENDING}` : '';
+  await sendTelegramMessage(chatId, `⏳ Ожидают одобрения: ${pending.length}${more}`);
+
+  for (const request of pending.slice(0, MAX_LISTED_PENDING)) {
+    await sendApprovalMessage(request.sessionId, request.userInfo);
+  }
+}
+
+async function formatAllowlist() {
+  const entries = (await listAllowlist()).sort((a, b) => b.approvedAt - a.approvedAt);
+
+  if (entries.length === 0) {
+    return '📋 Список автоодобрения пуст. Пользователь попадает в него после одобрения запроса или командой /allow';
+  }
+
+  const lines = entries.slice(0, MAX_LISTED_USERS).map(entry => {
+    const name = entry.userInfo ? `${formatUserName(entry.userInfo)} - ` : '';
+    return `• ${name}<code>${entry.userId}</code>: ${entry.expired ? '⌛ истек ' + formatDate(entry.expiresAt) : formatExpiry(entry.expiresAt)}`;
+  });
+  const more = entries.length > MAX_LISTED_USERS ? `\n\n... и еще ${entries.length - MAX_LISTED_USERS}` : '';
+
+  return `📋 <b>Список автоодобрения (${entries.length}):</b>\n\n${lines.join('\n')}${more}`;
+}
+
+/**
+ * Добавляет пользователя в список автоодобрения: /allow 123 30, /allow 123 2025-12-31, /allow 123 навсегда
+ */
+async function handleAllowCommand(chatId, args) {
+  const [userId, term = ''] = args.split(/\s+/);
+
+  if (!/^\d+$/.test(userId || '')) {
+    return sendTelegramMessage(chatId, `ℹ️ Использование: /allow ${ADMIN_COMMANDS.allow}`);
+  }
+
+  const expiresAt = parseExpiry(term);
+  if (expiresAt === undefined) {
+    return sendTelegramMessage(chatId, '❌ Срок - число дней, дата ГГГГ-ММ-ДД или «навсегда»');
+  }
+
+  if (await isUserBanned(userId)) {
+    return sendTelegramMessage(chatId, `🚫 Пользователь <code>${userId}</code> заблокирован, сначала выполните /unban ${userId}`);
+  }
+
+  const entry = await allowUser(userId, null, expiresAt);
+  const name = entry.userInfo ? formatUserName(entry.userInfo) : `<code>${userId}</code>`;
+
+  console.log(`📋 Пользователь ${userId} в списке автоодобрения: ${expiresAt ? new Date(expiresAt).toISOString() : 'без срока'}`);
+  return sendTelegramMessage(chatId, `📋 ${name} входит без одобрения: ${formatExpiry(expiresAt)}`);
+}
+
+/**
+ * Срок из команды: "" / "навсегда" - без срока (null), "30" или "30d" - дней от текущего момента,
+ * "2025-12-31" - до конца дня (UTC). Некорректный срок - undefined
+ */
+function parseExpiry(term) {
+  const value = term.trim().toLowerCase();
+
+  if (!value || value === 'навсегда' || value === 'forever') {
+    return null;
+  }
+
+  const days = value.match(/^(\d{1,4})d?$/);
+  if (days && Number(days[1]) > 0) {
+    return Date.now() + Number(days[1]) * 24 * 60 * 60 * 1000;
+  }
+
+  const date = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (date) {
+    const end = Date.UTC(Number(date[1]), Number(date[2]) - 1, Number(date[3]), 23, 59, 59, 999);
+    const valid = new Date(end).getUTCDate() === Number(date[3]);
+    return valid && end > Date.now() ? end : undefined;
+  }
+
+  return undefined;
+}
+
+function formatExpiry(expiresAt) {
+  return expiresAt ? `до ${formatDate(expiresAt)}` : 'без срока';
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString('ru-RU', { timeZone: 'UTC' });
+}
+
+async function formatStats() {
+  const now = Date.now();
+  const users = await collectApprovedUsers();
+  const banned = await listBannedUsers();
+  const allowlisted = (await listAllowlist()).filter(entry => !entry.expired).length;
+  const byStatus = {};
+
+  for (const [, session] of await sessions.entries()) {
+    byStatus[session.status] = (byStatus[session.status] || 0) + 1;
+  }
+
+  const activeWithin = period => users.filter(user => now - user.lastActivity <= period).length;
+  const sessionsTotal = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+  const sessionLines = Object.entries(byStatus).map(([status, count]) => `  ${getStatusMessage(status)}: ${count}`);
+
+  return '📊 <b>Статистика TranslateAI</b>\n\n' +
+    `👥 Одобренных пользователей: ${users.length}\n` +
+    `🟢 Активны за 24 часа: ${activeWithin(24 * 60 * 60 * 1000)}\n` +
+    `📅 Активны за 7 дней: ${activeWithin(7 * 24 * 60 * 60 * 1000)}\n` +
+    `⏳ Ожидают одобрения: ${byStatus.pending_approval || 0}\n` +
+    `📋 В списке автоодобрения: ${allowlisted}\n` +
+    `🚫 Заблокировано: ${banned.length}\n\n` +
+    `🔑 Сессий: ${sessionsTotal}` + (sessionLines.length > 0 ? `\n${sessionLines.join('\n')}` : '');
+}
+
+/**
+ * Рассылает сообщение всем одобренным пользователям
+ */
+async function handleBroadcastCommand(chatId, args) {
+  if (!args) {
+    return sendTelegramMessage(chatId, 'ℹ️ Использование: /broadcast &lt;текст сообщения&gt;');
+  }
+
+  const users = await collectApprovedUsers();
+  let delivered = 0;
+
+  for (const user of users) {
+    if (await sendTelegramMessage(user.userId, `📢 <b>Сообщение от администратора TranslateAI</b>\n\n${escapeHtml(args)}`)) {
+      delivered++;
+    }
+  }
+
+  console.log(`📢 Рассылка: доставлено ${delivered} из ${users.length}`);
+  return sendTelegramMessage(chatId, `📢 Рассылка отправлена: ${delivered} из ${users.length}`);
+}
+
+function formatUserName(user) {
+  const name = escapeHtml(`${user.firstName || ''} ${user.lastName || ''}`.trim() || 'Без имени');
+  return user.username ? `${name} (@${escapeHtml(user.username)})` : name;
+}
+
+function formatTimeAgo(timestamp) {
+  if (!timestamp) return 'нет';
+
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'только что';
+  if (minutes < 60) return `${minutes} мин назад`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} ч назад`;
+  return `${Math.floor(minutes / (24 * 60))} дн назад`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 /**
  * Вспомогательные функции
  */
 function generateSessionId() {
-  return 'sess_' + Math.random().toString(36).substr(2, 16);
+  return 'sess_' + randomBytes(16).toString('hex');
 }
 
-function generateAuthCode() {
+/**
+ * Код из 6 символов (криптографически стойкий), не совпадающий с кодами ожидающих сессий
+ */
+async function generateAuthCode() {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let result = '';
-  for (let i = 0; i < 6; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
+  let result;
+  do {
+    result = '';
+    for (let i = 0; i < 6; i++) {
+      result += chars.charAt(randomInt(chars.length));
+    }
+  } while ((await findSessionByAuthCode(result)).length > 0);
   return result;
 }
 
-function findSessionByAuthCode(authCode) {
-  for (const session of sessions.values()) {
-    if (session.authCode === authCode && session.status === 'pending') {
-      return session;
+/**
+ * Ищет ожидающую сессию по действующему коду авторизации
+ * @returns {Promise<[string, object]|[]>} [sessionId, session] или пустой массив
+ */
+async function findSessionByAuthCode(authCode) {
+  for (const [sessionId, session] of await sessions.entries()) {
+    if (session.authCode === authCode && session.status === 'pending' && !isAuthCodeExpired(session)) {
+      return [sessionId, session];
     }
   }
-  return null;
+  return [];
+}
+
+/**
+ * Код сессии, которая ждет отправки кода боту, действует AUTH_CODE_TTL
+ */
+function isAuthCodeExpired(session, now = Date.now()) {
+  return session.status === 'pending' && now - session.createdAt > CONFIG.AUTH_CODE_TTL;
+}
+
+/**
+ * Время окончания блокировки ввода кодов для чата или null
+ */
+async function getCodeLockout(chatId) {
+  const record = await codeAttempts.get(String(chatId));
+  return record?.lockedUntil && record.lockedUntil > Date.now() ? record.lockedUntil : null;
+}
+
+/**
+ * Учитывает неверный код; после MAX_CODE_ATTEMPTS за CODE_ATTEMPT_WINDOW чат блокируется
+ * @returns {Promise<{failures: number, firstFailureAt: number, lockedUntil: number|null}>}
+ */
+async function recordFailedCode(chatId) {
+  const now = Date.now();
+  const previous = await codeAttempts.get(String(chatId));
+  const inWindow = previous && !previous.lockedUntil && now - previous.firstFailureAt < CONFIG.CODE_ATTEMPT_WINDOW;
+
+  const record = {
+    failures: inWindow ? previous.failures + 1 : 1,
+    firstFailureAt: inWindow ? previous.firstFailureAt : now,
+    lockedUntil: null
+  };
+  if (record.failures >= CONFIG.MAX_CODE_ATTEMPTS) {
+    record.lockedUntil = now + CONFIG.CODE_LOCKOUT_TIME;
+  }
+
+  await codeAttempts.set(String(chatId), record);
+  return record;
 }
 
-function cleanupExpiredSessions() {
+async function sendCodeLockoutMessage(chatId, lockedUntil) {
+  const minutes = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 60000));
+  await sendTelegramMessage(chatId,
+    '🔒 <b>Слишком много неверных кодов</b>\n\n' +
+    `Ввод кодов авторизации временно заблокирован. Попробуйте снова через ${minutes} мин.\n\n` +
+    'Получите на сайте новый код и отправьте его после окончания блокировки.'
+  );
+}
+
+async function cleanupExpiredSessions() {
   const now = Date.now();
-  for (const [sessionId, session] of sessions.entries()) {
-    if (now - session.createdAt > CONFIG.SESSION_TIMEOUT) {
-      sessions.delete(sessionId);
+  for (const [sessionId, session] of await sessions.entries()) {
+    if (now - session.createdAt > CONFIG.SESSION_TIMEOUT || isAuthCodeExpired(session, now)) {
+      await sessions.delete(sessionId);
+      await pendingApprovals.delete(sessionId);
+    }
+  }
+
+  // Счетчики неверных кодов после окна подсчета и окончания блокировки не нужны
+  for (const [chatId, record] of await codeAttempts.entries()) {
+    if (now - record.firstFailureAt > CONFIG.CODE_ATTEMPT_WINDOW && (!record.lockedUntil || record.lockedUntil <= now)) {
+      await codeAttempts.delete(chatId);
+    }
+  }
+
+  for (const [updateId, record] of await processedUpdates.entries()) {
+    if (now - record.receivedAt > UPDATE_DEDUP_TTL) {
+      await processedUpdates.delete(updateId);
     }
   }
 }
@@ -509,6 +1181,10 @@ function getStatusMessage(status) {
       return 'Доступ предоставлен';
     case 'rejected':
       return 'Доступ отклонен';
+    case 'revoked':
+      return 'Доступ отозван администратором';
+    case 'banned':
+      return 'Доступ заблокирован администратором';
     default:
       return 'Неизвестный статус';
   }
@@ -6,6 +6,33 @@
  * @version 1.0.0
  */
 
+import { randomBytes } from 'crypto';
+import { readRequestBody, getMultipartBoundary, parseMultipart } from './_lib/multipart.js';
+import { detectDocumentType, extractText } from './_lib/extract-text.js';
+import { translateDocx, DOCX_MIME_TYPE } from './_lib/formats/docx.js';
+import { translatePdf, PDF_MIME_TYPE } from './_lib/formats/pdf.js';
+import { translateJson, JSON_MIME_TYPE } from './_lib/formats/json.js';
+import { translateYaml, YAML_MIME_TYPE } from './_lib/formats/yaml.js';
+import { translatePo, PO_MIME_TYPE } from './_lib/formats/po.js';
+import { translateXliff, XLIFF_MIME_TYPE } from './_lib/formats/xliff.js';
+import { translateAndroidStrings, ANDROID_STRINGS_MIME_TYPE } from './_lib/formats/android-strings.js';
+import { translateXml, XML_MIME_TYPE } from './_lib/formats/xml.js';
+import { translateIosStrings, IOS_STRINGS_MIME_TYPE } from './_lib/formats/ios-strings.js';
+import { translateSubtitles, SRT_MIME_TYPE, VTT_MIME_TYPE } from './_lib/formats/subtitles.js';
+import { translateCsv, describeCsv, CSV_MIME_TYPE, TSV_MIME_TYPE } from './_lib/formats/csv.js';
+import { translateXlsx, describeXlsx, XLSX_MIME_TYPE } from './_lib/formats/xlsx.js';
+import { translateEpub, EPUB_MIME_TYPE } from './_lib/formats/epub.js';
+import { normalizeSpreadsheetOptions } from './_lib/spreadsheet.js';
+import { requireSession } from './_lib/session-token.js';
+import { getProvider } from './_lib/providers/index.js';
+import { translateWithFailover, TranslationError } from './_lib/translation-service.js';
+import { createStore } from './_lib/storage.js';
+import { getLanguageName } from './_lib/languages.js';
+import { lookupTranslation, storeTranslation } from './_lib/translation-memory.js';
+import { createGlossary, protectTerms, restoreTerms, mergeViolations } from './_lib/glossary.js';
+import { translateSegments as translateSegmentsBatched } from './_lib/segment-translation.js';
+import { alignParagraphs, renderBilingual, BILINGUAL_FORMATS } from './_lib/bilingual.js';
+
 // Поддерживаемые типы файлов
 const SUPPORTED_TYPES = {
   'text/plain': 'txt',
@@ -13,21 +40,77 @@ const SUPPORTED_TYPES = {
   'application/msword': 'doc',
   'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
   'application/rtf': 'rtf',
-  'text/rtf': 'rtf'
+  'text/rtf': 'rtf',
+  'application/json': 'json',
+  'application/x-yaml': 'yaml',
+  'text/yaml': 'yaml',
+  'text/x-gettext-translation': 'po',
+  'text/x-po': 'po',
+  'application/x-xliff+xml': 'xliff',
+  'application/xliff+xml': 'xliff',
+  'application/xml': 'xml',
+  'text/xml': 'xml',
+  'application/x-subrip': 'srt',
+  'text/vtt': 'vtt',
+  'text/csv': 'csv',
+  'text/tab-separated-values': 'tsv',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/epub+zip': 'epub'
+};
+
+// Форматы, которые собираются обратно в исходном виде: DOCX, PDF, EPUB, файлы локализации, субтитры и таблицы
+// translate(buffer, translateSegments, { targetLang, mergeCues, spreadsheet }) -> { buffer, translatedText }
+const STRUCTURED_FORMATS = {
+  docx: { translate: translateDocx, mimeType: DOCX_MIME_TYPE },
+  pdf: { translate: translatePdf, mimeType: PDF_MIME_TYPE },
+  json: { translate: translateJson, mimeType: JSON_MIME_TYPE },
+  yaml: { translate: translateYaml, mimeType: YAML_MIME_TYPE },
+  po: { translate: translatePo, mimeType: PO_MIME_TYPE },
+  xliff: { translate: translateXliff, mimeType: XLIFF_MIME_TYPE },
+  android: { translate: translateAndroidStrings, mimeType: ANDROID_STRINGS_MIME_TYPE },
+  xml: { translate: translateXml, mimeType: XML_MIME_TYPE },
+  strings: { translate: translateIosStrings, mimeType: IOS_STRINGS_MIME_TYPE },
+  srt: { translate: translateSubtitles, mimeType: SRT_MIME_TYPE },
+  vtt: { translate: translateSubtitles, mimeType: VTT_MIME_TYPE },
+  csv: { translate: translateCsv, mimeType: CSV_MIME_TYPE },
+  tsv: { translate: translateCsv, mimeType: TSV_MIME_TYPE },
+  xlsx: { translate: translateXlsx, mimeType: XLSX_MIME_TYPE },
+  epub: { translate: translateEpub, mimeType: EPUB_MIME_TYPE }
+};
+
+// Таблицы: столбцы возвращаются при загрузке, чтобы пользователь выбрал переводимые
+const SPREADSHEET_COLUMNS = {
+  csv: describeCsv,
+  tsv: describeCsv,
+  xlsx: describeXlsx
 };
 
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 МБ
 
+// Максимальный размер пакета сегментов (абзацев, строк интерфейса) в одном запросе перевода
+const SEGMENT_BATCH_SIZE = 1500;
+
+// Документы переводятся через DeepLX с endpoints из DEEPLX_API_URL (requestTranslation)
+const DOCUMENT_PROVIDER = getProvider('deeplx');
+
 // Конфигурация retry для надежности
 const RETRY_CONFIG = {
   MAX_RETRIES: 5,
-  ENABLE_AGGRESSIVE_RETRY: true,
   MAX_DELAY: 16000, // 16 секунд максимум
   BASE_DELAY: 1000, // 1 секунда базовая задержка
 };
 
-// Хранилище задач обработки (в production следует использовать базу данных)
-const processingTasks = new Map();
+// Хранилище задач обработки: статус доступен любому экземпляру функции
+const processingTasks = createStore('document-tasks');
+
+// Хранилище загруженных файлов: fileId -> содержимое и метаданные
+const uploadedFiles = createStore('uploaded-files');
+
+// Переведенные документы в исходном формате: documentId -> { data, mimeType }
+const translatedDocuments = createStore('translated-documents');
+
+// Пары абзацев для двуязычного скачивания: documentId -> { segments: [{ source, target }] }
+const documentSegments = createStore('document-segments');
 
 /**
  * Основная функция обработки запросов
@@ -45,15 +128,24 @@ export default async function handler(req, res) {
   const { action } = req.query;
 
   try {
+    // Работа с документами доступна только пользователям, одобренным через Telegram
+    const claims = await requireSession(req, res);
+    if (!claims) {
+      return;
+    }
+
+    // Файлы и задачи видны только загрузившему их пользователю
+    const owner = getOwner(claims);
+
     switch (action) {
       case 'upload':
-        return handleFileUpload(req, res);
+        return handleFileUpload(req, res, owner);
       case 'process':
-        return handleDocumentProcessing(req, res);
+        return handleDocumentProcessing(req, res, owner);
       case 'status':
-        return handleTaskStatus(req, res);
+        return handleTaskStatus(req, res, owner);
       case 'download':
-        return handleDownload(req, res);
+        return handleDownload(req, res, owner);
       default:
         return res.status(400).json({
           error: 'Invalid action',
@@ -72,18 +164,94 @@ export default async function handler(req, res) {
 /**
  * Обрабатывает загрузку файлов
  */
-async function handleFileUpload(req, res) {
+async function handleFileUpload(req, res, owner) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // В реальном приложении здесь бы была обработка multipart/form-data
-  // Пока возвращаем mock данные для клиентской части
-  const mockFileId = 'file_' + Math.random().toString(36).substr(2, 16);
-  
+  const boundary = getMultipartBoundary(req.headers['content-type']);
+
+  if (!boundary) {
+    return res.status(400).json({
+      error: 'Invalid content type',
+      message: 'Ожидается multipart/form-data с полем file'
+    });
+  }
+
+  let body;
+  try {
+    // Небольшой запас на заголовки multipart сверх максимального размера файла
+    body = await readRequestBody(req, MAX_FILE_SIZE + 64 * 1024);
+  } catch (error) {
+    if (error.code === 'BODY_TOO_LARGE') {
+      return res.status(413).json({
+        error: 'File too large',
+        message: `Максимальный размер файла: ${MAX_FILE_SIZE / 1024 / 1024} МБ`
+      });
+    }
+    throw error;
+  }
+
+  const { files } = parseMultipart(body, boundary);
+  const file = files.find(f => f.field === 'file') || files[0];
+
+  if (!file || file.data.length === 0) {
+    return res.status(400).json({
+      error: 'Missing file',
+      message: 'Файл не передан или пустой'
+    });
+  }
+
+  if (file.data.length > MAX_FILE_SIZE) {
+    return res.status(413).json({
+      error: 'File too large',
+      message: `Максимальный размер файла: ${MAX_FILE_SIZE / 1024 / 1024} МБ`
+    });
+  }
+
+  const fileType = detectDocumentType(file.fileName, file.contentType, SUPPORTED_TYPES, file.data);
+
+  if (!fileType) {
+    return res.status(415).json({
+      error: 'Unsupported file type',
+      message: `Поддерживаются: ${[...new Set(Object.values(SUPPORTED_TYPES))].join(', ')}`
+    });
+  }
+
+  let columns;
+  if (SPREADSHEET_COLUMNS[fileType]) {
+    try {
+      columns = SPREADSHEET_COLUMNS[fileType](file.data);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid file',
+        message: `Не удалось прочитать таблицу: ${error.message}`
+      });
+    }
+  }
+
+  const fileId = 'file_' + generateId();
+
+  await uploadedFiles.set(fileId, {
+    id: fileId,
+    owner,
+    fileName: file.fileName,
+    mimeType: file.contentType,
+    fileType,
+    size: file.data.length,
+    data: Buffer.from(file.data),
+    uploadedAt: Date.now()
+  });
+
+  console.log(`📥 Загружен файл: ${file.fileName} (${fileType}, ${file.data.length} байт) → ${fileId}`);
+
   return res.status(200).json({
     success: true,
-    fileId: mockFileId,
+    fileId,
+    fileName: file.fileName,
+    fileSize: file.data.length,
+    fileType,
+    ...(columns && { columns }),
     message: 'File uploaded successfully'
   });
 }
@@ -91,12 +259,12 @@ async function handleFileUpload(req, res) {
 /**
  * Обрабатывает перевод документов
  */
-async function handleDocumentProcessing(req, res) {
+async function handleDocumentProcessing(req, res, owner) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { fileId, sourceLang, targetLangs, fileName, fileSize } = req.body;
+  const { fileId, sourceLang, targetLangs, fileName, fileSize, glossaries, mergeCues, spreadsheet } = req.body;
 
   if (!fileId || !targetLangs || !Array.isArray(targetLangs)) {
     return res.status(400).json({
@@ -105,25 +273,73 @@ async function handleDocumentProcessing(req, res) {
     });
   }
 
+  // Глоссарии по целевым языкам: { "DE": { terms, doNotTranslate }, ... }
+  try {
+    if (glossaries !== undefined && (typeof glossaries !== 'object' || Array.isArray(glossaries))) {
+      throw new Error('Поле "glossaries" должно быть объектом с глоссариями по целевым языкам');
+    }
+    Object.values(glossaries || {}).forEach(createGlossary);
+  } catch (glossaryError) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      message: glossaryError.message
+    });
+  }
+
+  if (mergeCues !== undefined && typeof mergeCues !== 'boolean') {
+    return res.status(400).json({
+      error: 'Invalid input',
+      message: 'Поле "mergeCues" должно быть boolean'
+    });
+  }
+
+  // Таблицы: выбранные столбцы и вид результата
+  let spreadsheetOptions;
+  try {
+    spreadsheetOptions = normalizeSpreadsheetOptions(spreadsheet);
+  } catch (spreadsheetError) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      message: spreadsheetError.message
+    });
+  }
+
+  const uploadedFile = await uploadedFiles.get(fileId);
+
+  if (!uploadedFile || uploadedFile.owner !== owner) {
+    return res.status(404).json({
+      error: 'File not found',
+      message: 'Файл не найден, загрузите его заново через action=upload'
+    });
+  }
+
   // Создаем задачу обработки
-  const taskId = 'task_' + Math.random().toString(36).substr(2, 16);
+  const taskId = 'task_' + generateId();
   const task = {
     id: taskId,
+    owner,
     fileId,
-    fileName: fileName || 'document.txt',
-    fileSize: fileSize || 0,
+    fileName: fileName || uploadedFile.fileName || 'document.txt',
+    fileSize: fileSize || uploadedFile.size,
+    fileType: uploadedFile.fileType,
     sourceLang: sourceLang || 'AUTO',
     targetLangs,
+    glossaries: glossaries || {},
+    // Субтитры: переводить незаконченные фразы вместе со следующими репликами
+    mergeCues: mergeCues !== false,
+    spreadsheet: spreadsheetOptions,
     status: 'pending',
     progress: 0,
     createdAt: Date.now(),
     results: []
   };
 
-  processingTasks.set(taskId, task);
+  await processingTasks.set(taskId, task);
 
   // Запускаем обработку асинхронно
-  processDocumentAsync(taskId);
+  processDocumentAsync(taskId).catch(error => {
+    console.error(`🚫 Не удалось запустить обработку задачи ${taskId}:`, error);
+  });
 
   console.log(`🔄 Создана задача обработки: ${taskId}`);
 
@@ -137,7 +353,7 @@ async function handleDocumentProcessing(req, res) {
 /**
  * Возвращает статус задачи обработки
  */
-async function handleTaskStatus(req, res) {
+async function handleTaskStatus(req, res, owner) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -150,9 +366,10 @@ async function handleTaskStatus(req, res) {
     });
   }
 
-  const task = processingTasks.get(taskId);
+  const task = await processingTasks.get(taskId);
 
-  if (!task) {
+  // Чужая задача неотличима от несуществующей
+  if (!task || task.owner !== owner) {
     return res.status(404).json({
       error: 'Task not found'
     });
@@ -175,12 +392,12 @@ async function handleTaskStatus(req, res) {
 /**
  * Обрабатывает скачивание переведенных документов
  */
-async function handleDownload(req, res) {
+async function handleDownload(req, res, owner) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { taskId, langCode } = req.query;
+  const { taskId, langCode, layout = 'translation', format } = req.query;
 
   if (!taskId || !langCode) {
     return res.status(400).json({
@@ -189,9 +406,24 @@ async function handleDownload(req, res) {
     });
   }
 
-  const task = processingTasks.get(taskId);
+  if (layout !== 'translation' && layout !== 'bilingual') {
+    return res.status(400).json({
+      error: 'Invalid layout',
+      message: 'layout must be "translation" or "bilingual"'
+    });
+  }
+
+  if (format !== undefined && !BILINGUAL_FORMATS[format]) {
+    return res.status(400).json({
+      error: 'Invalid format',
+      message: `Supported bilingual formats: ${Object.keys(BILINGUAL_FORMATS).join(', ')}`
+    });
+  }
 
-  if (!task) {
+  const task = await processingTasks.get(taskId);
+
+  // Чужая задача неотличима от несуществующей
+  if (!task || task.owner !== owner) {
     return res.status(404).json({
       error: 'Task not found'
     });
@@ -206,9 +438,28 @@ async function handleDownload(req, res) {
   }
 
   try {
+    if (layout === 'bilingual') {
+      return await sendBilingualDocument(res, task, result, format);
+    }
+
+    const translatedDocument = result.documentId && await translatedDocuments.get(result.documentId);
+
+    // Документ, собранный в исходном формате (например, DOCX)
+    if (translatedDocument) {
+      const fileName = generateFileName(task.fileName, langCode);
+
+      res.setHeader('Content-Type', translatedDocument.mimeType);
+      res.setHeader('Content-Disposition', buildContentDisposition(fileName));
+      res.setHeader('Cache-Control', 'no-cache');
+
+      console.log(`✅ Файл готов к скачиванию: ${fileName} (${translatedDocument.data.length} байт)`);
+      return res.status(200).send(translatedDocument.data);
+    }
+
     // Генерируем содержимое файла для скачивания
-    const fileContent = await generateDownloadContent(task, result);
-    const fileName = generateFileName(task.fileName, langCode);
+    const fileContent = generateDownloadContent(task, result);
+    // Текстовый результат всегда отдаем как .txt, чтобы расширение совпадало с содержимым
+    const fileName = generateFileName(task.fileName, langCode, '.txt');
     
     console.log(`📁 Генерируем скачивание для файла: "${task.fileName}" → "${fileName}"`);
     
@@ -236,22 +487,45 @@ async function handleDownload(req, res) {
   }
 }
 
+/**
+ * Отправляет исходный текст и перевод рядом: txt - абзацы чередуются, html и docx - таблица
+ * По умолчанию DOCX для документов Word, иначе текст
+ */
+async function sendBilingualDocument(res, task, result, format) {
+  const stored = result.documentId && await documentSegments.get(result.documentId);
+
+  if (!stored) {
+    return res.status(404).json({
+      error: 'Bilingual layout not available',
+      message: 'Исходные абзацы для этого перевода не сохранены, переведите документ заново'
+    });
+  }
+
+  const outputFormat = format || (task.fileType === 'docx' ? 'docx' : 'txt');
+  const { mimeType, extension } = BILINGUAL_FORMATS[outputFormat];
+  const fileName = generateFileName(task.fileName, `${result.langCode}_bilingual`, extension);
+  const content = renderBilingual(stored.segments, outputFormat, {
+    title: `${task.fileName}: ${task.sourceLang} → ${result.langCode}`,
+    sourceLang: task.sourceLang,
+    targetLang: result.langCode
+  });
+
+  res.setHeader('Content-Type', mimeType);
+  res.setHeader('Content-Disposition', buildContentDisposition(fileName));
+  res.setHeader('Cache-Control', 'no-cache');
+
+  console.log(`✅ Двуязычный файл готов к скачиванию: ${fileName} (${stored.segments.length} абзацев)`);
+  return res.status(200).send(content);
+}
+
 /**
  * Генерирует содержимое файла для скачивания
  */
-async function generateDownloadContent(task, result) {
+function generateDownloadContent(task, result) {
   const originalFileName = task.fileName || 'document.txt';
   const langName = getLanguageName(result.langCode);
   
-  // Получаем переведенный текст из результата или генерируем заново
-  let translatedContent = result.translatedText;
-  
-  if (!translatedContent) {
-    // Если текст не сохранен, генерируем демонстрационный контент
-    translatedContent = await generateDemoTranslatedContent(result.langCode);
-  }
-  
-  return `${translatedContent}
+  return `${result.translatedText}
 
 ---
 Информация о переводе:
@@ -263,63 +537,27 @@ ID задачи: ${task.id}
 }
 
 /**
- * Генерирует демонстрационный переведенный контент
+ * Владелец файлов и задач: пользователь Telegram из токена, для токенов без него - сессия
  */
-async function generateDemoTranslatedContent(langCode) {
-  const demoTexts = {
-    // Славянские языки
-    'BG': 'Това е пример за преведен текст за демонстриране на функционалността на системата за превод на документи. В реално приложение тук ще бъде пълното преведено съдържание на документа.',
-    'CS': 'Toto je příklad přeloženého textu pro demonstraci funkčnosti systému překladu dokumentů. V reálné aplikaci by zde byl úplný přeložený obsah dokumentu.',
-    'PL': 'To jest przykład przetłumaczonego tekstu w celu zademonstrowania funkcjonalności systemu tłumaczenia dokumentów. W rzeczywistej aplikacji znajdowałaby się tutaj pełna przetłumaczona zawartość dokumentu.',
-    'RU': 'Это пример переведенного текста для демонстрации функциональности системы перевода документов. В реальном приложении здесь был бы полный переведенный контент документа.',
-    'SK': 'Toto je príklad preloženého textu na demonštráciu funkčnosti systému prekladu dokumentov. V skutočnej aplikácii by tu bol úplný preložený obsah dokumentu.',
-    'SL': 'To je primer prevedenega besedila za predstavitev funkcionalnosti sistema za prevajanje dokumentov. V pravi aplikaciji bi bila tukaj celotna prevedena vsebina dokumenta.',
-    'UK': 'Це приклад перекладеного тексту для демонстрації функціональності системи перекладу документів. У реальній програмі тут був би повний перекладений вміст документа.',
-    
-    // Германские языки
-    'DE': 'Dies ist ein Beispiel für übersetzten Text zur Demonstration der Funktionalität des Dokumentenübersetzungssystems. In einer echten Anwendung wäre hier der vollständige übersetzte Inhalt des Dokuments.',
-    'EN': 'This is an example of translated text to demonstrate the functionality of the document translation system. In a real application, the complete translated content of the document would be here.',
-    'NL': 'Dit is een voorbeeld van vertaalde tekst ter demonstratie van de functionaliteit van het documentvertaalsysteem. In een echte applicatie zou hier de volledige vertaalde inhoud van het document staan.',
-    'SV': 'Detta är ett exempel på översatt text för att demonstrera funktionaliteten hos dokumentöversättningssystemet. I en riktig applikation skulle det fullständiga översatta innehållet i dokumentet finnas här.',
-    'DA': 'Dette er et eksempel på oversat tekst for at demonstrere funktionaliteten af dokumentoversættelsessystemet. I en rigtig applikation ville det komplette oversatte indhold af dokumentet være her.',
-    'NB': 'Dette er et eksempel på oversatt tekst for å demonstrere funksjonaliteten til dokumentoversettelsessystemet. I en ekte applikasjon ville det fullstendige oversatte innholdet i dokumentet være her.',
-    
-    // Романские языки
-    'FR': 'Ceci est un exemple de texte traduit pour démontrer la fonctionnalité du système de traduction de documents. Dans une vraie application, le contenu traduit complet du document serait ici.',
-    'ES': 'Este es un ejemplo de texto traducido para demostrar la funcionalidad del sistema de traducción de documentos. En una aplicación real, aquí estaría el contenido traducido completo del documento.',
-    'IT': 'Questo è un esempio di testo tradotto per dimostrare la funzionalità del sistema di traduzione dei documenti. In una vera applicazione, qui ci sarebbe il contenuto tradotto completo del documento.',
-    'PT': 'Este é um exemplo de texto traduzido para demonstrar a funcionalidade do sistema de tradução de documentos. Em uma aplicação real, o conteúdo traduzido completo do documento estaria aqui.',
-    'RO': 'Acesta este un exemplu de text tradus pentru a demonstra funcționalitatea sistemului de traducere a documentelor. Într-o aplicație reală, conținutul tradus complet al documentului ar fi aici.',
-    
-    // Другие европейские языки
-    'EL': 'Αυτό είναι ένα παράδειγμα μεταφρασμένου κειμένου για την επίδειξη της λειτουργικότητας του συστήματος μετάφρασης εγγράφων. Σε μια πραγματική εφαρμογή, το πλήρες μεταφρασμένο περιεχόμενο του εγγράφου θα ήταν εδώ.',
-    'HU': 'Ez egy példa lefordított szövegre a dokumentumfordító rendszer funkcionalitásának bemutatására. Egy valódi alkalmazásban a dokumentum teljes lefordított tartalma lenne itt.',
-    'FI': 'Tämä on esimerkki käännetystä tekstistä dokumenttien käännösjärjestelmän toiminnallisuuden esittelemiseksi. Todellisessa sovelluksessa tässä olisi asiakirjan täydellinen käännetty sisältö.',
-    'ET': 'See on näide tõlgitud tekstist, et näidata dokumentide tõlkesüsteemi funktsionaalsust. Tegelikus rakenduses oleks siin dokumendi täielik tõlgitud sisu.',
-    'LT': 'Tai yra išversto teksto pavyzdys, skirtas pademonstruoti dokumentų vertimo sistemos funkcionalumą. Tikroje programoje čia būtų visas išverstas dokumento turinys.',
-    'LV': 'Šis ir tulkota teksta piemērs, lai demonstrētu dokumentu tulkošanas sistēmas funkcionalitāti. Īstā lietojumprogrammā šeit būtu pilns tulkotais dokumenta saturs.',
-    
-    // Азиатские языки
-    'ZH': '这是翻译文本的示例，用于演示文档翻译系统的功能。在真正的应用程序中，这里将是文档的完整翻译内容。',
-    'JA': 'これは、文書翻訳システムの機能を実証するための翻訳されたテキストの例です。実際のアプリケーションでは、ここに文書の完全な翻訳内容があります。',
-    'KO': '이것은 문서 번역 시스템의 기능을 보여주기 위한 번역된 텍스트의 예입니다. 실제 애플리케이션에서는 여기에 문서의 완전한 번역된 내용이 있을 것입니다.',
-    
-    // Другие языки
-    'AR': 'هذا مثال على النص المترجم لتوضيح وظائف نظام ترجمة المستندات. في التطبيق الحقيقي، سيكون المحتوى المترجم الكامل للمستند هنا.',
-    'TR': 'Bu, belge çeviri sisteminin işlevselliğini göstermek için çevrilmiş metnin bir örneğidir. Gerçek bir uygulamada, belgenin tam çevrilmiş içeriği burada olacaktır.',
-    'ID': 'Ini adalah contoh teks yang diterjemahkan untuk mendemonstrasikan fungsionalitas sistem terjemahan dokumen. Dalam aplikasi nyata, konten dokumen yang diterjemahkan lengkap akan berada di sini.'
-  };
-  
-  return demoTexts[langCode] || demoTexts['EN'];
+function getOwner(claims) {
+  return String(claims.uid ?? claims.sid);
+}
+
+/**
+ * Непредсказуемый идентификатор файла, задачи или документа: по нему скачивается перевод
+ */
+function generateId() {
+  return randomBytes(16).toString('hex');
 }
 
 /**
  * Генерирует имя файла для скачивания
+ * @param {string} [forcedExtension] - расширение результата, если формат отличается от исходного
  */
-function generateFileName(originalFileName, langCode) {
+function generateFileName(originalFileName, langCode, forcedExtension = null) {
   const nameWithoutExt = originalFileName.replace(/\.[^/.]+$/, "");
-  const extension = originalFileName.includes('.') ? 
-    originalFileName.substring(originalFileName.lastIndexOf('.')) : '.txt';
+  const extension = forcedExtension || (originalFileName.includes('.') ? 
+    originalFileName.substring(originalFileName.lastIndexOf('.')) : '.txt');
   
   const baseName = nameWithoutExt || 'translated_document';
   return `${baseName}_${langCode}${extension}`;
@@ -357,43 +595,28 @@ function sanitizeFileName(fileName) {
   return sanitized || 'document';
 }
 
-/**
- * Возвращает название языка по коду
- */
-function getLanguageName(langCode) {
-  const languageNames = {
-    'AR': 'Arabic', 'BG': 'Bulgarian', 'CS': 'Czech', 'DA': 'Danish',
-    'DE': 'German', 'EL': 'Greek', 'EN': 'English', 'ES': 'Spanish',
-    'ET': 'Estonian', 'FI': 'Finnish', 'FR': 'French', 'HU': 'Hungarian',
-    'ID': 'Indonesian', 'IT': 'Italian', 'JA': 'Japanese', 'KO': 'Korean',
-    'LT': 'Lithuanian', 'LV': 'Latvian', 'NB': 'Norwegian', 'NL': 'Dutch',
-    'PL': 'Polish', 'PT': 'Portuguese', 'RO': 'Romanian', 'RU': 'Russian',
-    'SK': 'Slovak', 'SL': 'Slovenian', 'SV': 'Swedish', 'TR': 'Turkish',
-    'UK': 'Ukrainian', 'ZH': 'Chinese'
-  };
-  
-  return languageNames[langCode] || langCode;
-}
-
 /**
  * Асинхронная обработка документа
  */
 async function processDocumentAsync(taskId) {
-  const task = processingTasks.get(taskId);
+  const task = await processingTasks.get(taskId);
   if (!task) return;
 
+  // Каждое изменение задачи сохраняем, чтобы статус видели другие экземпляры
+  const saveTask = () => processingTasks.set(taskId, task);
+
   try {
     console.log(`📄 Начинаем обработку документа: ${task.fileName}`);
     
     // Обновляем статус
     task.status = 'processing';
     task.progress = 10;
+    await saveTask();
 
-    // Симулируем извлечение текста из документа
-    await delay(1000);
     const extractedText = await extractTextFromDocument(task.fileId);
     
     task.progress = 20;
+    await saveTask();
     console.log(`📝 Извлечен текст: ${extractedText.length} символов`);
 
     // Переводим на каждый целевой язык
@@ -405,21 +628,54 @@ async function processDocumentAsync(taskId) {
       console.log(`🔄 Переводим на ${langCode}...`);
       
       try {
-        // Вызываем API перевода с настройками retry
-        console.log(`📝 Переводим ${extractedText.length} символов на ${langCode}`);
-        const translatedText = await translateText(
-          extractedText, 
-          task.sourceLang, 
-          langCode,
-          RETRY_CONFIG.MAX_RETRIES
-        );
+        let translatedText;
+        let translatedDocument = null;
+        // Глоссарий языка, статистика памяти переводов и потерянные термины
+        const job = {
+          glossary: createGlossary(task.glossaries?.[langCode]),
+          memory: { segments: 0, hits: 0 },
+          violations: [],
+          segments: []
+        };
+
+        const structured = STRUCTURED_FORMATS[task.fileType];
+
+        if (structured) {
+          // DOCX, PDF и главы EPUB переводим по абзацам, файлы локализации - по строкам, субтитры - по репликам,
+          // таблицы - по ячейкам выбранных столбцов; результат собирается в исходном формате
+          const file = await uploadedFiles.get(task.fileId);
+          const translated = await structured.translate(file.data, segments =>
+            translateSegments(segments, task.sourceLang, langCode, job),
+            {
+              sourceLang: task.sourceLang,
+              targetLang: langCode,
+              mergeCues: task.mergeCues !== false,
+              spreadsheet: task.spreadsheet
+            }
+          );
+          translatedText = translated.translatedText;
+          translatedDocument = { data: translated.buffer, mimeType: structured.mimeType };
+        } else {
+          // Вызываем API перевода с настройками retry
+          console.log(`📝 Переводим ${extractedText.length} символов на ${langCode}`);
+          translatedText = await translateText(
+            extractedText, 
+            task.sourceLang, 
+            langCode,
+            RETRY_CONFIG.MAX_RETRIES,
+            job
+          );
+          job.segments = alignParagraphs(extractedText, translatedText);
+        }
         console.log(`📄 Получен перевод: ${translatedText.length} символов`);
 
         // Создаем переведенный документ
         const documentId = await createTranslatedDocument(
           translatedText, 
           task.fileName, 
-          langCode
+          langCode,
+          translatedDocument,
+          job.segments
         );
 
         task.results.push({
@@ -427,61 +683,45 @@ async function processDocumentAsync(taskId) {
           status: 'completed',
           documentId,
           translatedText: translatedText,
-          downloadUrl: `mock://download/${taskId}/${langCode}`
+          downloadUrl: `mock://download/${taskId}/${langCode}`,
+          memory: job.memory,
+          glossaryViolations: job.violations
         });
 
-        console.log(`✅ Перевод на ${langCode} завершен`);
+        if (job.violations.length > 0) {
+          console.log(`⚠️ Нарушения глоссария (${langCode}): ${job.violations.map(v => v.source).join(', ')}`);
+        }
+        console.log(`✅ Перевод на ${langCode} завершен (из памяти переводов: ${job.memory.hits}/${job.memory.segments})`);
 
       } catch (error) {
+        // Непереведенный язык отмечаем ошибкой: текст-заглушка под видом перевода хуже отказа
         console.error(`❌ Ошибка перевода на ${langCode}:`, error);
-        
-        // Используем демонстрационный перевод в случае ошибки
-        try {
-          console.log(`🔄 Создаем демонстрационный перевод для ${langCode}`);
-          const fallbackText = await generateDemoTranslatedContent(langCode);
-          
-          const documentId = await createTranslatedDocument(
-            fallbackText, 
-            task.fileName, 
-            langCode
-          );
-
-          task.results.push({
-            langCode,
-            status: 'completed',
-            documentId,
-            translatedText: fallbackText,
-            downloadUrl: `mock://download/${taskId}/${langCode}`,
-            note: 'Демонстрационный перевод (ошибка в реальном переводе)'
-          });
-
-          console.log(`✅ Демонстрационный перевод на ${langCode} создан`);
-          
-        } catch (fallbackError) {
-          console.error(`❌ Ошибка создания демонстрационного перевода:`, fallbackError);
-          
-          task.results.push({
-            langCode,
-            status: 'error',
-            error: `Ошибка перевода: ${error.message}. Ошибка fallback: ${fallbackError.message}`
-          });
-        }
+        task.results.push({
+          langCode,
+          status: 'failed',
+          error: `Ошибка перевода: ${error.message}`
+        });
       }
 
       // Обновляем прогресс с учетом завершенного языка
       const progressPerLang = 80 / totalLangs;
       task.progress = 20 + (progressPerLang * (i + 1));
+      await saveTask();
       
       console.log(`📊 Прогресс обработки: ${Math.round(task.progress)}% (${i + 1}/${totalLangs} языков)`);
     }
     
-    // Завершаем обработку
-    task.status = 'completed';
-    task.progress = 100;
-    
     // Подробная статистика завершения
     const successfulLangs = task.results.filter(r => r.status === 'completed').length;
-    const totalErrors = task.results.filter(r => r.status === 'error').length;
+    const totalErrors = task.results.filter(r => r.status === 'failed').length;
+
+    // Задача без единого перевода завершается ошибкой
+    task.status = successfulLangs > 0 ? 'completed' : 'failed';
+    task.progress = 100;
+    if (successfulLangs === 0) {
+      task.error = task.results.find(r => r.error)?.error || 'Не удалось перевести документ';
+    }
+    await saveTask();
     
     console.log(`🎉 ОБРАБОТКА ДОКУМЕНТА ЗАВЕРШЕНА!`);
     console.log(`📊 Статистика:`);
@@ -494,158 +734,118 @@ async function processDocumentAsync(taskId) {
   } catch (error) {
     console.error(`🚫 КРИТИЧЕСКАЯ ОШИБКА ОБРАБОТКИ:`, error);
     
-    task.status = 'error';
+    task.status = 'failed';
     task.error = error.message;
+    await saveTask();
   }
 }
 
 /**
- * Извлекает текст из документа (mock)
+ * Извлекает текст из загруженного документа
  */
 async function extractTextFromDocument(fileId) {
-  await delay(500);
-  
-  // Mock извлечения текста
-  return `Это пример текста, извлеченного из документа ${fileId}. 
-Он содержит несколько предложений для демонстрации работы системы перевода документов. 
-В реальной системе здесь был бы текст, извлеченный из PDF, DOC, DOCX или другого формата файла.`;
+  const file = await uploadedFiles.get(fileId);
+
+  if (!file) {
+    throw new Error(`Файл ${fileId} не найден`);
+  }
+
+  const text = extractText(file.data, file.fileType);
+
+  if (!text.trim()) {
+    throw new Error('Не удалось извлечь текст из документа: файл пуст или содержит только изображения');
+  }
+
+  return text;
 }
 
 /**
  * Переводит текст используя встроенную логику DeepL API с повторными попытками
+ * Термины глоссария защищаются метками, точное совпадение берется из памяти переводов
+ * При неудаче всех попыток выбрасывает ошибку
+ * @param {{glossary: object|null, memory: object, violations: Array, segments: Array}} job - состояние перевода на язык
  */
-async function translateText(text, sourceLang, targetLang, maxRetries = 5) {
-  const originalText = text;
-  let lastError = null;
-  
-  console.log(`🔄 Начинаем перевод через DeepL API ${sourceLang} → ${targetLang} (макс. попыток: ${maxRetries})`);
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`📡 Попытка ${attempt}/${maxRetries}: перевод ${text.length} символов на ${targetLang}`);
-      
-      // Используем тот же DeepL API, что и основная функция
-      const payload = {
-        text: text,
-        source_lang: sourceLang === 'AUTO' ? undefined : sourceLang,
-        target_lang: targetLang
-      };
-
-      console.log(`Отправка запроса: {
-        endpoint: 'https://dplx.xi-xu.me/translate',
-        textLength: ${text.length},
-        targetLang: '${targetLang}'
-      }`);
-
-      const response = await fetch('https://dplx.xi-xu.me/translate', {
-        method: 'POST',
-        body: JSON.stringify(payload),
-        headers: { 
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        timeout: 30000 // 30 секунд таймаут
-      });
+async function translateText(text, sourceLang, targetLang, maxRetries = 5, job = createJob()) {
+  const { text: protectedText, placeholders } = protectTerms(text, job.glossary);
+  const restore = translated => {
+    const restored = restoreTerms(translated, placeholders);
+    mergeViolations(job.violations, restored.violations);
+    return restored.text;
+  };
 
-      if (!response.ok) {
-        const statusText = response.statusText || 'Unknown Error';
-        console.error(`API error: ${response.status} ${statusText}`);
-        
-        // Проверяем, стоит ли повторять запрос
-        if (shouldRetry(response.status) && attempt < maxRetries) {
-          const delay = calculateRetryDelay(attempt);
-          console.log(`🔄 Ошибка ${response.status}, повтор через ${delay}мс (попытка ${attempt + 1}/${maxRetries})`);
-          await sleep(delay);
-          lastError = new Error(`HTTP ${response.status}: ${statusText}`);
-          continue;
-        }
-        
-        throw new Error(`HTTP ${response.status}: ${statusText}`);
-      }
+  job.memory.segments++;
 
-      const result = await response.json();
-
-      if (result.code === 200 && result.data) {
-        console.log(`✅ Перевод через DeepL API ${sourceLang} → ${targetLang} успешен (попытка ${attempt})`);
-        return result.data;
-      } else {
-        const errorMsg = result.message || result.error || 'API вернул ошибку';
-        console.error(`API response error: ${errorMsg}`);
-        
-        if (attempt < maxRetries) {
-          const delay = calculateRetryDelay(attempt);
-          console.log(`🔄 Ошибка API, повтор через ${delay}мс (попытка ${attempt + 1}/${maxRetries})`);
-          await sleep(delay);
-          lastError = new Error(errorMsg);
-          continue;
-        }
-        
-        throw new Error(errorMsg);
-      }
-
-    } catch (error) {
-      lastError = error;
-      console.error(`❌ Попытка ${attempt} не удалась: ${error.message}`);
-      
-      if (attempt < maxRetries && shouldRetryError(error)) {
-        const delay = calculateRetryDelay(attempt);
-        console.log(`⏳ Ожидание ${delay}мс перед повтором...`);
-        await sleep(delay);
-        continue;
-      }
-      
-      // Если все попытки исчерпаны
-      break;
-    }
+  const cached = await lookupTranslation(DOCUMENT_PROVIDER.id, protectedText, sourceLang, targetLang);
+  if (cached !== null) {
+    job.memory.hits++;
+    console.log(`💾 Перевод на ${targetLang} найден в памяти переводов`);
+    return restore(cached);
   }
-  
-  // Все попытки неудачны
-  console.error(`🚫 Все ${maxRetries} попыток перевода исчерпаны для ${targetLang}`);
-  console.error(`📝 Исходный текст: "${originalText.substring(0, 100)}..."`);
-  console.error(`💥 Последняя ошибка: ${lastError?.message}`);
-  
-  // Fallback на демонстрационный текст
-  console.log(`🔄 Используем демонстрационный перевод для ${targetLang}`);
-  return await generateDemoTranslatedContent(targetLang);
+
+  const translated = await requestTranslation(protectedText, sourceLang, targetLang, maxRetries);
+  await storeTranslation(DOCUMENT_PROVIDER.id, protectedText, sourceLang, targetLang, translated);
+  return restore(translated);
 }
 
 /**
- * Определяет, стоит ли повторять запрос при данном статусе ответа
+ * Переводит набор сегментов пакетами по SEGMENT_BATCH_SIZE символов (см. segment-translation.js)
+ * @param {{glossary: object|null, memory: object, violations: Array, segments: Array}} job - состояние перевода на язык
  */
-function shouldRetry(statusCode) {
-  // Повторяем при серверных ошибках и некоторых клиентских
-  const retryableStatuses = [
-    408, // Request Timeout
-    429, // Too Many Requests
-    500, // Internal Server Error
-    502, // Bad Gateway
-    503, // Service Unavailable
-    504, // Gateway Timeout
-    520, // Unknown Error (Cloudflare)
-    521, // Web Server Is Down (Cloudflare)
-    522, // Connection Timed Out (Cloudflare)
-    523, // Origin Is Unreachable (Cloudflare)
-    524, // A Timeout Occurred (Cloudflare)
-  ];
-  
-  return retryableStatuses.includes(statusCode);
+async function translateSegments(sourceSegments, sourceLang, targetLang, job = createJob()) {
+  const result = await translateSegmentsBatched(sourceSegments, {
+    sourceLang,
+    targetLang,
+    provider: DOCUMENT_PROVIDER.id,
+    glossary: job.glossary,
+    batchSize: SEGMENT_BATCH_SIZE,
+    translate: text => requestTranslation(text, sourceLang, targetLang, RETRY_CONFIG.MAX_RETRIES)
+  });
+
+  job.memory.segments += sourceSegments.length;
+  job.memory.hits += result.hits;
+  mergeViolations(job.violations, result.violations);
+  sourceSegments.forEach((source, index) => job.segments.push({ source, target: result.translations[index] }));
+  console.log(`📦 Переведено ${sourceSegments.length} сегментов на ${targetLang} (из памяти переводов: ${result.hits})`);
+
+  return result.translations;
+}
+
+function createJob() {
+  return { glossary: null, memory: { segments: 0, hits: 0 }, violations: [], segments: [] };
 }
 
 /**
- * Определяет, стоит ли повторять запрос при данной ошибке
+ * Переводит текст через DeepLX с переключением endpoints и circuit breaker (translation-service.js)
+ * Временные ошибки (таймаут, 429, 5xx) повторяются с экспоненциальной задержкой,
+ * ошибка запроса выбрасывается сразу
  */
-function shouldRetryError(error) {
-  const retryableErrors = [
-    'ECONNRESET',
-    'ETIMEDOUT', 
-    'ENOTFOUND',
-    'EAI_AGAIN',
-    'ECONNREFUSED'
-  ];
-  
-  return retryableErrors.some(code => error.message.includes(code)) ||
-         error.message.includes('timeout') ||
-         error.message.includes('network');
+async function requestTranslation(text, sourceLang, targetLang, maxRetries = 5) {
+  console.log(`🔄 Перевод через ${DOCUMENT_PROVIDER.name} ${sourceLang} → ${targetLang} (макс. попыток: ${maxRetries})`);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const translation = await translateWithFailover({
+        provider: DOCUMENT_PROVIDER,
+        text,
+        sourceLang: sourceLang && sourceLang !== 'AUTO' ? sourceLang : null,
+        targetLang
+      });
+      console.log(`✅ Перевод ${sourceLang} → ${targetLang} через ${translation.endpoint} (попытка ${attempt})`);
+      return translation.text;
+    } catch (error) {
+      const retryable = error instanceof TranslationError &&
+        (error.status === 408 || error.status === 429 || error.status >= 500);
+
+      if (!retryable || attempt >= maxRetries) {
+        console.error(`🚫 Перевод на ${targetLang} не удался после ${attempt} попыток: ${error.message}`);
+        throw error;
+      }
+
+      const delay = calculateRetryDelay(attempt);
+      console.log(`⏳ ${error.message}, повтор через ${Math.round(delay)}мс (попытка ${attempt + 1}/${maxRetries})`);
+      await sleep(delay);
+    }
+  }
 }
 
 /**
@@ -674,37 +874,57 @@ function sleep(ms) {
 }
 
 /**
- * Создает переведенный документ (mock)
+ * Создает переведенный документ
+ * @param {{data: Buffer, mimeType: string}|null} translatedDocument - документ в исходном формате;
+ *   без него результат скачивается как текст
+ * @param {Array<{source: string, target: string}>} segments - пары абзацев для двуязычного скачивания
  */
-async function createTranslatedDocument(translatedText, originalFileName, langCode) {
-  await delay(200);
-  
-  // В реальной системе здесь была бы генерация документа в нужном формате
-  const documentId = `doc_${langCode}_${Math.random().toString(36).substr(2, 12)}`;
+async function createTranslatedDocument(translatedText, originalFileName, langCode, translatedDocument = null, segments = []) {
+  const documentId = `doc_${langCode}_${generateId()}`;
+
+  if (translatedDocument) {
+    await translatedDocuments.set(documentId, { ...translatedDocument, createdAt: Date.now() });
+  }
+
+  if (segments.length > 0) {
+    await documentSegments.set(documentId, { segments, createdAt: Date.now() });
+  }
   
-  console.log(`📄 Создан документ ${documentId} для языка ${langCode}`);
+  console.log(`📄 Создан документ ${documentId} для языка ${langCode} (${translatedDocument ? translatedDocument.mimeType : 'text/plain'})`);
   
   return documentId;
 }
 
-/**
- * Вспомогательная функция задержки
- */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Очищает старые задачи (можно вызывать периодически)
  */
-export function cleanupOldTasks() {
+export async function cleanupOldTasks() {
   const now = Date.now();
   const maxAge = 24 * 60 * 60 * 1000; // 24 часа
 
-  for (const [taskId, task] of processingTasks.entries()) {
+  for (const [taskId, task] of await processingTasks.entries()) {
     if (now - task.createdAt > maxAge) {
-      processingTasks.delete(taskId);
+      await processingTasks.delete(taskId);
       console.log(`🧹 Удалена старая задача: ${taskId}`);
     }
   }
+
+  for (const [fileId, file] of await uploadedFiles.entries()) {
+    if (now - file.uploadedAt > maxAge) {
+      await uploadedFiles.delete(fileId);
+      console.log(`🧹 Удален старый файл: ${fileId}`);
+    }
+  }
+
+  for (const [documentId, document] of await translatedDocuments.entries()) {
+    if (now - document.createdAt > maxAge) {
+      await translatedDocuments.delete(documentId);
+    }
+  }
+
+  for (const [documentId, stored] of await documentSegments.entries()) {
+    if (now - stored.createdAt > maxAge) {
+      await documentSegments.delete(documentId);
+    }
+  }
 }
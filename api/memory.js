@@ -0,0 +1,78 @@
+/**
+ * TranslateAI Translation Memory API
+ * GET    /api/memory - число сохраненных сегментов
+ * DELETE /api/memory - очистка памяти переводов (только администратор, TELEGRAM_ADMIN_CHAT_ID)
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { requireSession } from './_lib/session-token.js';
+import { countTranslations, purgeTranslations } from './_lib/translation-memory.js';
+
+/**
+ * Основная функция обработки запросов
+ */
+export default async function handler(req, res) {
+  // Устанавливаем CORS заголовки
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Обработка CORS preflight запросов
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const claims = await requireSession(req, res);
+    if (!claims) {
+      return;
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return res.status(200).json({
+          success: true,
+          entries: await countTranslations()
+        });
+      case 'DELETE': {
+        // Память общая для всех пользователей, очищать ее может только администратор
+        if (!isAdmin(claims)) {
+          return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Очистить память переводов может только администратор'
+          });
+        }
+
+        const removed = await countTranslations();
+        await purgeTranslations();
+        console.log(`🧹 Память переводов очищена: удалено ${removed} сегментов`);
+        return res.status(200).json({
+          success: true,
+          removed,
+          message: 'Память переводов очищена'
+        });
+      }
+      default:
+        return res.status(405).json({
+          error: 'Method not allowed',
+          message: 'Разрешены только GET и DELETE запросы'
+        });
+    }
+  } catch (error) {
+    console.error('❌ Ошибка памяти переводов:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Ошибка работы с памятью переводов'
+    });
+  }
+}
+
+/**
+ * Администратор - пользователь Telegram, чей личный чат указан в TELEGRAM_ADMIN_CHAT_ID
+ */
+function isAdmin(claims) {
+  const adminId = process.env.TELEGRAM_ADMIN_CHAT_ID;
+  return Boolean(adminId) && claims.uid !== undefined && String(claims.uid) === String(adminId);
+}
@@ -0,0 +1,302 @@
+/**
+ * TranslateAI Streaming API
+ * Принимает весь текст целиком, делит его на части, переводит их параллельно
+ * и отдает результаты по мере готовности в формате NDJSON (одна JSON строка на событие):
+ *
+ *   {"type":"start","total":12,"ranges":[[0,498],[500,987],...]}
+ *   {"type":"chunk","index":3,"translation":"...","endpoint":"...","cached":false,"violations":[...]}
+ *   {"type":"error","index":5,"message":"..."}
+ *   {"type":"done","translated":11,"failed":1,"cached":4}
+ *
+ * Событие error без index означает сбой всего потока: после него done не приходит.
+ *
+ * Части приходят в порядке завершения, клиент собирает текст по index.
+ * ranges - позиции частей в тексте после trim(): по ним клиент восстанавливает
+ * исходные разделители между частями и текст неудачных частей для повтора.
+ * violations есть только при переданном глоссарии - термины, потерянные сервисом перевода.
+ *
+ * С format (html, markdown, xml) части состоят из целых текстовых сегментов разметки,
+ * translation части - ее фрагмент текста с переведенными сегментами и исходной разметкой.
+ * Разметка до первой части и после последней в ranges не входит и не переводится.
+ *
+ * @author crosser.software
+ * @version 1.0.0
+ */
+
+import { requireSession } from './_lib/session-token.js';
+import { getProvider, listProviders } from './_lib/providers/index.js';
+import { translateWithFailover, checkApiKey, isCustomEndpoint, TranslationError } from './_lib/translation-service.js';
+import { splitTextIntoChunks } from './_lib/chunking.js';
+import { lookupTranslation, storeTranslation } from './_lib/translation-memory.js';
+import { createGlossary, protectTerms, restoreTerms } from './_lib/glossary.js';
+import { translateSegments } from './_lib/segment-translation.js';
+import { MARKUP_FORMATS, parseMarkup, groupSegments, renderSegments } from './_lib/markup.js';
+
+// Конфигурация API
+const CONFIG = {
+  MAX_TEXT_LENGTH: 1000000,
+  CHUNK_SIZE: 500, // как и в клиенте - безопасный размер запроса к DeepLX
+  CONCURRENCY: 6, // параллельных запросов к сервису перевода (клиент может запросить меньше)
+  MAX_RETRIES: 3
+};
+
+/**
+ * Основная функция обработки запросов
+ */
+export default async function handler(req, res) {
+  // Устанавливаем CORS заголовки
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Обработка CORS preflight запросов
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Только POST запросы разрешены'
+    });
+  }
+
+  try {
+    // Перевод доступен только пользователям, одобренным через Telegram
+    if (!(await requireSession(req, res))) {
+      return;
+    }
+
+    const {
+      text, source_lang, target_lang, api_url, api_key, provider: providerId, glossary: glossaryInput, concurrency,
+      format = 'plain'
+    } = req.body || {};
+
+    const provider = getProvider(providerId);
+
+    if (!provider) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: `Неизвестный провайдер "${providerId}". Доступны: ${listProviders().join(', ')}`
+      });
+    }
+
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'Поле "text" обязательно и должно быть строкой'
+      });
+    }
+
+    if (!target_lang || typeof target_lang !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'Поле "target_lang" обязательно'
+      });
+    }
+
+    if (source_lang !== undefined && source_lang !== null && typeof source_lang !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'Поле "source_lang" должно быть строкой'
+      });
+    }
+
+    if (format !== 'plain' && !MARKUP_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: `Неизвестный формат "${format}". Доступны: plain, ${MARKUP_FORMATS.join(', ')}`
+      });
+    }
+
+    if (text.length > CONFIG.MAX_TEXT_LENGTH) {
+      return res.status(400).json({
+        error: 'Text too long',
+        message: `Максимальная длина: ${CONFIG.MAX_TEXT_LENGTH} символов`
+      });
+    }
+
+    // Ключ из запроса; ключ сервера translateWithFailover подставляет только для настроенных endpoints
+    const apiKey = api_key || null;
+    const keyError = checkApiKey(provider, { apiUrl: api_url, apiKey });
+
+    if (keyError) {
+      return res.status(400).json({
+        error: 'Missing API key',
+        message: keyError
+      });
+    }
+
+    let glossary;
+    try {
+      glossary = createGlossary(glossaryInput);
+    } catch (glossaryError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: glossaryError.message
+      });
+    }
+
+    const options = {
+      provider,
+      sourceLang: source_lang && source_lang.toUpperCase() !== 'AUTO' ? source_lang.toUpperCase() : null,
+      targetLang: target_lang.toUpperCase(),
+      apiUrl: api_url,
+      apiKey
+    };
+    const trimmed = text.trim();
+    // Части из целых предложений по правилам исходного языка, для разметки - из целых сегментов
+    const chunks = format === 'plain'
+      ? splitTextIntoChunks(trimmed, CONFIG.CHUNK_SIZE, options.sourceLang)
+      : groupSegments(parseMarkup(trimmed, format), CONFIG.CHUNK_SIZE);
+
+    // Клиент закрыл соединение (новый перевод, уход со страницы) - новые части не запускаем
+    let aborted = false;
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        aborted = true;
+        console.log('⛔ Клиент закрыл соединение, перевод остановлен');
+      }
+    });
+
+    res.status(200);
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    // Отключаем буферизацию прокси, чтобы строки доходили сразу
+    res.setHeader('X-Accel-Buffering', 'no');
+
+    const send = event => {
+      if (!aborted) res.write(JSON.stringify(event) + '\n');
+    };
+
+    console.log(`📚 Потоковый перевод: ${text.length} символов, ${chunks.length} частей → ${options.targetLang}`);
+    send({ type: 'start', total: chunks.length, ranges: chunks.map(chunk => [chunk.start, chunk.end]) });
+
+    let nextIndex = 0;
+    let translated = 0;
+    let failed = 0;
+    let cached = 0;
+
+    const worker = async () => {
+      while (!aborted && nextIndex < chunks.length) {
+        const index = nextIndex++;
+
+        try {
+          if (format !== 'plain') {
+            const result = await translateMarkupChunk(trimmed, chunks[index], options, glossary);
+            translated++;
+            if (result.cached) cached++;
+            send({
+              type: 'chunk', index, translation: result.translation, endpoint: result.endpoint, cached: result.cached,
+              ...(glossary && { violations: result.violations })
+            });
+            continue;
+          }
+
+          const { text: chunkText, placeholders } = protectTerms(chunks[index].text, glossary);
+
+          // Точные совпадения из памяти переводов не отправляем в сервис
+          const memorized = await lookupTranslation(options.provider.id, chunkText, options.sourceLang, options.targetLang);
+          if (memorized !== null) {
+            const restored = restoreTerms(memorized, placeholders);
+            translated++;
+            cached++;
+            send({
+              type: 'chunk', index, translation: restored.text, endpoint: null, cached: true,
+              ...(glossary && { violations: restored.violations })
+            });
+            continue;
+          }
+
+          const result = await translateChunk(chunkText, options);
+          if (!result.custom) {
+            await storeTranslation(options.provider.id, chunkText, options.sourceLang, options.targetLang, result.text);
+          }
+          const restored = restoreTerms(result.text, placeholders);
+          translated++;
+          send({
+            type: 'chunk', index, translation: restored.text, endpoint: result.endpoint, cached: false,
+            ...(glossary && { violations: restored.violations })
+          });
+        } catch (error) {
+          failed++;
+          console.error(`❌ Ошибка части ${index + 1}:`, error.message);
+          send({ type: 'error', index, message: error.message });
+        }
+      }
+    };
+
+    // Клиент, переводящий сразу на несколько языков, делит свой лимит запросов между ними
+    const workers = Math.min(Math.max(parseInt(concurrency, 10) || CONFIG.CONCURRENCY, 1), CONFIG.CONCURRENCY);
+    await Promise.all(Array.from({ length: Math.min(workers, chunks.length) }, worker));
+
+    console.log(`🎉 Потоковый перевод завершен: ${translated} успешно (${cached} из памяти переводов), ${failed} с ошибками`);
+    send({ type: 'done', translated, failed, cached });
+    res.end();
+  } catch (error) {
+    console.error('Общая ошибка:', error);
+
+    // Поток еще не начат - обычный JSON ответ, иначе событие ошибки без index и конец потока
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: 'Internal server error',
+        message: 'Внутренняя ошибка сервера',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+
+    if (!res.writableEnded) {
+      res.write(JSON.stringify({ type: 'error', message: 'Внутренняя ошибка сервера' }) + '\n');
+      res.end();
+    }
+  }
+}
+
+/**
+ * Переводит сегменты части с разметкой и собирает ее фрагмент исходного текста
+ */
+async function translateMarkupChunk(text, chunk, options, glossary) {
+  let endpoint = null;
+  const result = await translateSegments(chunk.segments.map(segment => segment.text), {
+    sourceLang: options.sourceLang,
+    targetLang: options.targetLang,
+    provider: options.provider.id,
+    glossary,
+    memorize: !isCustomEndpoint(options.provider, options.apiUrl),
+    batchSize: CONFIG.CHUNK_SIZE,
+    translate: async segmentText => {
+      const translation = await translateChunk(segmentText, options);
+      endpoint = translation.endpoint;
+      return translation.text;
+    }
+  });
+
+  return {
+    translation: renderSegments(text, chunk.segments, result.translations, chunk.start, chunk.end),
+    endpoint,
+    cached: result.hits === chunk.segments.length,
+    violations: result.violations
+  };
+}
+
+/**
+ * Переводит одну часть с повторами при временных ошибках сервиса
+ */
+async function translateChunk(text, options) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await translateWithFailover({ ...options, text });
+    } catch (error) {
+      const retryable = error instanceof TranslationError &&
+        (error.status === 408 || error.status === 429 || error.status >= 500);
+
+      if (!retryable || attempt >= CONFIG.MAX_RETRIES) {
+        throw error;
+      }
+
+      const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
+      console.log(`⏳ Повтор через ${delay}мс (попытка ${attempt + 1}/${CONFIG.MAX_RETRIES})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
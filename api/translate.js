@@ -6,11 +6,19 @@
  * @version 2.0.0
  */
 
+import { requireSession } from './_lib/session-token.js';
+import { getProvider, listProviders } from './_lib/providers/index.js';
+import { translateWithFailover, checkApiKey, isCustomEndpoint, TranslationError } from './_lib/translation-service.js';
+import { lookupTranslation, storeTranslation } from './_lib/translation-memory.js';
+import { createGlossary, protectTerms, restoreTerms } from './_lib/glossary.js';
+import { translateSegments } from './_lib/segment-translation.js';
+import { MARKUP_FORMATS, translateMarkup } from './_lib/markup.js';
+
 // Конфигурация API
 const CONFIG = {
-  DEFAULT_DEEPLX_API: 'https://dplx.xi-xu.me/translate',
-  TIMEOUT: 25000,
-  MAX_TEXT_LENGTH: 1000
+  MAX_TEXT_LENGTH: 1000,
+  // Теги и атрибуты не переводятся, поэтому текст с разметкой может быть длиннее
+  MAX_MARKUP_LENGTH: 10000
 };
 
 /**
@@ -36,8 +44,25 @@ export default async function handler(req, res) {
   }
 
   try {
+    // Перевод доступен только пользователям, одобренным через Telegram
+    if (!(await requireSession(req, res))) {
+      return;
+    }
+
     // Валидация входных данных
-    const { text, source_lang, target_lang, api_url } = req.body || {};
+    const {
+      text, source_lang, target_lang, api_url, api_key, provider: providerId, glossary: glossaryInput, use_memory,
+      format = 'plain'
+    } = req.body || {};
+
+    const provider = getProvider(providerId);
+
+    if (!provider) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: `Неизвестный провайдер "${providerId}". Доступны: ${listProviders().join(', ')}`
+      });
+    }
 
     if (!text || typeof text !== 'string') {
       return res.status(400).json({
@@ -53,107 +78,112 @@ export default async function handler(req, res) {
       });
     }
 
+    if (format !== 'plain' && !MARKUP_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: `Неизвестный формат "${format}". Доступны: plain, ${MARKUP_FORMATS.join(', ')}`
+      });
+    }
+
     // Проверка длины текста
-    if (text.length > CONFIG.MAX_TEXT_LENGTH) {
+    const maxLength = format === 'plain' ? CONFIG.MAX_TEXT_LENGTH : CONFIG.MAX_MARKUP_LENGTH;
+    if (text.length > maxLength) {
       return res.status(400).json({
         error: 'Text too long',
-        message: `Максимальная длина: ${CONFIG.MAX_TEXT_LENGTH} символов`
+        message: `Максимальная длина: ${maxLength} символов`
       });
     }
 
-    // Определение API endpoint
-    const apiEndpoint = api_url || CONFIG.DEFAULT_DEEPLX_API;
-
-    // Подготовка данных для отправки
-    const payload = {
-      text: text.trim(),
-      target_lang: target_lang.toUpperCase()
-    };
+    // Ключ из запроса; ключ сервера translateWithFailover подставляет только для настроенных endpoints
+    const apiKey = api_key || null;
+    const keyError = checkApiKey(provider, { apiUrl: api_url, apiKey });
 
-    // Добавляем source_lang если указан и не AUTO
-    if (source_lang && source_lang !== 'AUTO' && source_lang !== 'auto') {
-      payload.source_lang = source_lang.toUpperCase();
+    if (keyError) {
+      return res.status(400).json({
+        error: 'Missing API key',
+        message: keyError
+      });
     }
 
-    console.log('Отправка запроса:', {
-      endpoint: apiEndpoint,
-      textLength: text.length,
-      targetLang: target_lang
-    });
+    let glossary;
+    try {
+      glossary = createGlossary(glossaryInput);
+    } catch (glossaryError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: glossaryError.message
+      });
+    }
 
-    // Создание контроллера для таймаута
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), CONFIG.TIMEOUT);
+    // source_lang передаем только если указан и не AUTO
+    const sourceLang = source_lang && source_lang.toUpperCase() !== 'AUTO' ? source_lang.toUpperCase() : null;
+    const targetLang = target_lang.toUpperCase();
 
-    try {
-      // Отправка запроса
-      const response = await fetch(apiEndpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'TranslateAI/2.0.0'
-        },
-        body: JSON.stringify(payload),
-        signal: controller.signal
+    if (format !== 'plain') {
+      return await translateMarkupText(res, {
+        text, format, provider, sourceLang, targetLang, apiUrl: api_url, apiKey, glossary, useMemory: use_memory !== false
       });
+    }
 
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        console.error('API error:', response.status, response.statusText);
-        
-        let errorMessage = 'Ошибка API перевода';
-        if (response.status === 429) {
-          errorMessage = 'Слишком много запросов';
-        } else if (response.status === 500) {
-          errorMessage = 'Ошибка сервера перевода';
-        } else if (response.status === 404) {
-          errorMessage = 'API endpoint не найден';
-        }
+    // Термины глоссария заменяем метками до памяти переводов: сохраненный перевод
+    // с метками остается верным и после изменения целевых терминов
+    const { text: protectedText, placeholders } = protectTerms(text.trim(), glossary);
 
-        return res.status(response.status).json({
-          error: 'Translation API Error',
-          message: errorMessage,
-          status: response.status
-        });
-      }
+    // Точное совпадение из памяти переводов - без запроса к сервису.
+    // use_memory: false - повторный перевод сегмента, старый перевод в памяти заменяется новым
+    const cached = use_memory === false ? null : await lookupTranslation(provider.id, protectedText, sourceLang, targetLang);
+
+    if (cached !== null) {
+      console.log(`💾 Перевод найден в памяти переводов (${text.length} символов)`);
+      const restored = restoreTerms(cached, placeholders);
+      return res.status(200).json({
+        code: 200,
+        data: restored.text,
+        source_lang: source_lang,
+        target_lang: targetLang,
+        provider: provider.id,
+        endpoint: null,
+        cached: true,
+        ...(glossary && { glossary_violations: restored.violations }),
+        message: 'Перевод взят из памяти переводов'
+      });
+    }
+
+    try {
+      const translation = await translateWithFailover({
+        provider,
+        text: protectedText,
+        sourceLang,
+        targetLang,
+        apiUrl: api_url,
+        apiKey
+      });
 
-      const result = await response.json();
-      console.log('Ответ API:', result);
-
-      if (result.code === 200 && result.data) {
-        return res.status(200).json({
-          code: 200,
-          data: result.data,
-          source_lang: result.source_lang || source_lang,
-          target_lang: target_lang.toUpperCase(),
-          message: 'Перевод выполнен успешно'
-        });
-      } else {
-        return res.status(400).json({
-          error: 'Translation failed',
-          message: result.message || 'Не удалось выполнить перевод',
-          details: result
-        });
+      // Перевод с пользовательского api_url в общую память не попадает
+      if (!translation.custom) {
+        await storeTranslation(provider.id, protectedText, sourceLang, targetLang, translation.text);
       }
 
-    } catch (fetchError) {
-      clearTimeout(timeoutId);
-      
-      if (fetchError.name === 'AbortError') {
-        console.error('Таймаут запроса');
-        return res.status(408).json({
-          error: 'Request timeout',
-          message: 'Превышено время ожидания'
-        });
+      const restored = restoreTerms(translation.text, placeholders);
+      if (restored.violations.length > 0) {
+        console.log(`⚠️ Нарушения глоссария: ${restored.violations.map(v => v.source).join(', ')}`);
       }
 
-      console.error('Ошибка запроса:', fetchError);
-      return res.status(502).json({
-        error: 'API connection error',
-        message: 'Не удалось подключиться к сервису перевода',
-        details: fetchError.message
+      // Ответ любого провайдера приводим к формату DeepLX
+      return res.status(200).json({
+        code: 200,
+        data: restored.text,
+        source_lang: translation.sourceLang || source_lang,
+        target_lang: target_lang.toUpperCase(),
+        provider: provider.id,
+        endpoint: translation.endpoint,
+        cached: false,
+        ...(glossary && { glossary_violations: restored.violations }),
+        message: 'Перевод выполнен успешно'
       });
+
+    } catch (translationError) {
+      return sendTranslationError(res, translationError);
     }
 
   } catch (error) {
@@ -165,4 +195,73 @@ export default async function handler(req, res) {
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Перевод HTML, Markdown или XML: переводятся только текстовые сегменты,
+ * разметка, код, URL и подстановки ({name}, %s) возвращаются без изменений
+ */
+async function translateMarkupText(res, { text, format, provider, sourceLang, targetLang, apiUrl, apiKey, glossary, useMemory }) {
+  let endpoint = null;
+  let detectedLang = null;
+  let hits = 0;
+  let violations = [];
+
+  try {
+    const result = await translateMarkup(text, format, async segments => {
+      const translated = await translateSegments(segments, {
+        sourceLang,
+        targetLang,
+        provider: provider.id,
+        glossary,
+        useMemory,
+        memorize: !isCustomEndpoint(provider, apiUrl),
+        batchSize: CONFIG.MAX_TEXT_LENGTH,
+        translate: async segmentText => {
+          const translation = await translateWithFailover({ provider, text: segmentText, sourceLang, targetLang, apiUrl, apiKey });
+          endpoint = translation.endpoint;
+          detectedLang = detectedLang || translation.sourceLang;
+          return translation.text;
+        }
+      });
+      hits = translated.hits;
+      violations = translated.violations;
+      return translated.translations;
+    });
+
+    const cached = result.segments > 0 && hits === result.segments;
+    console.log(`🏷️ Перевод ${format}: ${result.segments} сегментов, из памяти переводов ${hits}`);
+
+    return res.status(200).json({
+      code: 200,
+      data: result.text,
+      source_lang: detectedLang || sourceLang,
+      target_lang: targetLang,
+      provider: provider.id,
+      endpoint,
+      cached,
+      format,
+      segments: result.segments,
+      ...(glossary && { glossary_violations: violations }),
+      message: cached ? 'Перевод взят из памяти переводов' : 'Перевод выполнен успешно'
+    });
+
+  } catch (translationError) {
+    return sendTranslationError(res, translationError);
+  }
+}
+
+/**
+ * Ошибку сервиса перевода отдаем клиенту с ее статусом, остальные - в общий обработчик
+ */
+function sendTranslationError(res, translationError) {
+  if (!(translationError instanceof TranslationError)) {
+    throw translationError;
+  }
+
+  return res.status(translationError.status).json({
+    error: translationError.error,
+    message: translationError.message,
+    ...translationError.extra
+  });
+}
@@ -19,13 +19,28 @@ document.addEventListener("DOMContentLoaded", () => {
   // Configuration constants
   const CONFIG = {
     MAX_CHARS: 1000000, // Поддержка до 1 миллиона символов
-    CHUNK_SIZE: 500, // Размер части для разделения больших текстов
-    DEFAULT_API_URL: "/api/translate", // Использование serverless API Vercel
-    FALLBACK_API_URL: "https://dplx.xi-xu.me/translate", // Запасной API endpoint
+    CHUNK_SIZE: 500, // Тексты длиннее переводятся потоком, части делит сервер
+    DEFAULT_API_URL: "/api/translate", // Использование serverless API Vercel (переключение между endpoints выполняет сервер)
+    STREAM_API_URL: "/api/translate-stream", // Потоковый перевод больших текстов
+    RETRY_PARALLEL_CHUNKS: 3, // Параллельных запросов при повторе неудачных частей
+    PARALLEL_LANGUAGES: 3, // Целевых языков, переводимых одновременно в текстовом режиме
+    MAX_PARALLEL_REQUESTS: 6, // Общий лимит параллельных запросов частей на все языки
     DEFAULT_DELAY: 1000,
     MAX_HISTORY_ITEMS: 50,
     USE_SERVERLESS: true, // Флаг для использования serverless API
-    PARALLEL_CHUNKS: 3, // Количество параллельных запросов для частей
+    DEFAULT_PROVIDER: "deeplx", // Провайдер перевода по умолчанию
+    MEMORY_API_URL: "/api/memory", // Статистика и очистка памяти переводов на сервере
+    MEMORY_DB_NAME: "translateai", // База IndexedDB с памятью переводов
+    MEMORY_STORE_NAME: "translation-memory",
+    SPREADSHEET_EXTENSIONS: [".csv", ".tsv", ".xlsx"], // Таблицы: переводимые столбцы выбираются в очереди
+  };
+
+  // Провайдеры перевода: подсказка для поля API Endpoint
+  const providers = {
+    deeplx: { name: "DeepLX", urlPlaceholder: "Оставьте пустым для использования встроенного API" },
+    deepl: { name: "DeepL API", urlPlaceholder: "Определяется по ключу: api-free.deepl.com или api.deepl.com" },
+    libretranslate: { name: "LibreTranslate", urlPlaceholder: "https://libretranslate.com/translate" },
+    openai: { name: "OpenAI-compatible", urlPlaceholder: "https://api.openai.com/v1/chat/completions" },
   };
 
   // Supported languages list - DeepL API compatible language codes
@@ -68,15 +83,31 @@ document.addEventListener("DOMContentLoaded", () => {
     sourceLangSelect: document.getElementById("sourceLang"),
     targetLangSelect: document.getElementById("targetLang"),
     inputText: document.getElementById("inputText"),
+    inputFormatSelect: document.getElementById("inputFormatSelect"),
     outputText: document.getElementById("outputText"),
+    outputTabs: document.getElementById("outputTabs"),
     swapButton: document.getElementById("swapButton"),
     copyButton: document.getElementById("copyButton"),
+    segmentEditorButton: document.getElementById("segmentEditorButton"),
+    segmentEditorPanel: document.getElementById("segmentEditorPanel"),
+    segmentEditorTitle: document.getElementById("segmentEditorTitle"),
+    segmentEditorStats: document.getElementById("segmentEditorStats"),
+    segmentEditorRows: document.getElementById("segmentEditorRows"),
+    closeSegmentEditorButton: document.getElementById("closeSegmentEditorButton"),
+    exportSegmentsTxtButton: document.getElementById("exportSegmentsTxtButton"),
+    exportSegmentsCsvButton: document.getElementById("exportSegmentsCsvButton"),
+    exportBilingualTxtButton: document.getElementById("exportBilingualTxtButton"),
+    exportBilingualHtmlButton: document.getElementById("exportBilingualHtmlButton"),
+    retryFailedButton: document.getElementById("retryFailedButton"),
+    retryFailedCount: document.getElementById("retryFailedCount"),
     loadingSpinner: document.getElementById("loadingSpinner"),
     statusMessage: document.getElementById("statusMessage"),
     progressContainer: document.getElementById("progressContainer"),
     progressCircle: document.getElementById("progressCircle"),
     progressText: document.getElementById("progressText"),
     apiUrlInput: document.getElementById("apiUrlInput"),
+    providerSelect: document.getElementById("providerSelect"),
+    apiKeyInput: document.getElementById("apiKeyInput"),
     historyButton: document.getElementById("historyButton"),
     settingsButton: document.getElementById("settingsButton"),
     historyPanel: document.getElementById("historyPanel"),
@@ -88,6 +119,15 @@ document.addEventListener("DOMContentLoaded", () => {
     clearHistoryButton: document.getElementById("clearHistoryButton"),
     delayInput: document.getElementById("delayInput"),
     autoTranslateToggle: document.getElementById("autoTranslateToggle"),
+    purgeMemoryButton: document.getElementById("purgeMemoryButton"),
+    glossarySourceLang: document.getElementById("glossarySourceLang"),
+    glossaryTargetLang: document.getElementById("glossaryTargetLang"),
+    glossaryTermsInput: document.getElementById("glossaryTermsInput"),
+    glossaryDoNotTranslateInput: document.getElementById("glossaryDoNotTranslateInput"),
+    glossaryImportButton: document.getElementById("glossaryImportButton"),
+    glossaryExportCsvButton: document.getElementById("glossaryExportCsvButton"),
+    glossaryExportTsvButton: document.getElementById("glossaryExportTsvButton"),
+    glossaryFileInput: document.getElementById("glossaryFileInput"),
     charCount: document.getElementById("charCount"),
     
     // Mode switching elements
@@ -113,6 +153,7 @@ document.addEventListener("DOMContentLoaded", () => {
     startBatchButton: document.getElementById("startBatchButton"),
     pauseBatchButton: document.getElementById("pauseBatchButton"),
     clearQueueButton: document.getElementById("clearQueueButton"),
+    mergeCuesToggle: document.getElementById("mergeCuesToggle"),
     batchStatus: document.getElementById("batchStatus"),
   };
 
@@ -121,12 +162,18 @@ document.addEventListener("DOMContentLoaded", () => {
   let translationHistory = [];
   let isTranslating = false;
   let currentTranslationId = 0;
+  let translationOutputs = []; // Результаты текстового перевода: по одному на каждый целевой язык
+  let activeOutputLang = null; // Язык результата, показанного в поле вывода
+  let segmentEditorOutput = null; // Результат, открытый в редакторе сегментов
+  let memoryDbPromise = null;
+  let glossaries = {}; // Глоссарии по парам языков: "EN|DE" -> { terms, doNotTranslate }
   let isAuthenticated = false;
   let currentSessionId = null;
   let authCheckInterval = null;
   let authCheckTimeout = null;
   let authCheckStartTime = null;
   const AUTH_CHECK_TIMEOUT = 10 * 60 * 1000; // 10 минут таймаут для проверки авторизации
+  let telegramLoginWidgetLoaded = false;
   
   // Document processing state
   let currentMode = 'text'; // 'text' or 'document'
@@ -153,53 +200,483 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   /**
-   * Splits large text into smaller chunks for translation
-   * @param {string} text - Text to split
-   * @param {number} chunkSize - Size of each chunk
-   * @returns {Array<string>} Array of text chunks
+   * Checks whether translation requests go to a user's own API URL.
+   * Such translations are not stored in the translation memory, the same as on the server
+   * @param {string} customApiUrl - Custom API URL для проксирования
+   * @returns {boolean} True for a custom API URL
    */
-  function splitTextIntoChunks(text, chunkSize = CONFIG.CHUNK_SIZE) {
-    if (text.length <= chunkSize) {
-      return [text];
+  function isCustomApiUrl(customApiUrl) {
+    return Boolean(customApiUrl) && customApiUrl !== CONFIG.DEFAULT_API_URL;
+  }
+
+  /**
+   * Builds request body for translation API from text and current settings
+   * @param {string} text - Text to translate
+   * @param {string} sourceLang - Source language
+   * @param {string} targetLang - Target language
+   * @param {string} customApiUrl - Custom API URL для проксирования
+   * @returns {Object} Request payload
+   */
+  function buildTranslationPayload(text, sourceLang, targetLang, customApiUrl) {
+    const payload = {
+      text,
+      source_lang: sourceLang === "AUTO" ? undefined : sourceLang,
+      target_lang: targetLang,
+    };
+
+    // Добавляем api_url в payload для проксирования через serverless функцию
+    if (isCustomApiUrl(customApiUrl)) {
+      payload.api_url = customApiUrl;
+    }
+
+    // Провайдер и ключ из настроек
+    const provider = elements.providerSelect.value || CONFIG.DEFAULT_PROVIDER;
+    const apiKey = elements.apiKeyInput.value.trim();
+    if (provider !== CONFIG.DEFAULT_PROVIDER) {
+      payload.provider = provider;
+    }
+    if (apiKey) {
+      payload.api_key = apiKey;
     }
 
-    const chunks = [];
-    let currentIndex = 0;
+    // Термины глоссария сервер заменит метками перед отправкой провайдеру
+    const glossary = getGlossary(sourceLang, targetLang);
+    if (glossary) {
+      payload.glossary = glossary;
+    }
 
-    while (currentIndex < text.length) {
-      let endIndex = currentIndex + chunkSize;
-      
-      // Если не последний кусок, ищем ближайший разделитель
-      if (endIndex < text.length) {
-        const searchStart = Math.max(currentIndex, endIndex - 50);
-        const searchText = text.substring(searchStart, endIndex + 50);
-        
-        // Ищем разделители в порядке приоритета
-        const separators = ['\n\n', '. ', '.\n', '! ', '!\n', '? ', '?\n', '\n', ' '];
-        let bestSeparatorIndex = -1;
-        
-        for (const separator of separators) {
-          const sepIndex = searchText.lastIndexOf(separator);
-          if (sepIndex !== -1) {
-            bestSeparatorIndex = searchStart + sepIndex + separator.length;
-            break;
-          }
+    // HTML, Markdown, XML: сервер переводит только текст, разметку возвращает как есть
+    const format = elements.inputFormatSelect.value;
+    if (format !== "plain") {
+      payload.format = format;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Translation Memory Functions
+   */
+
+  /**
+   * Opens IndexedDB database with the translation memory store
+   * @returns {Promise<IDBDatabase|null>} Database or null if IndexedDB is unavailable
+   */
+  function openTranslationMemory() {
+    if (!memoryDbPromise) {
+      memoryDbPromise = new Promise((resolve) => {
+        if (!window.indexedDB) {
+          resolve(null);
+          return;
         }
-        
-        if (bestSeparatorIndex !== -1 && bestSeparatorIndex > currentIndex) {
-          endIndex = bestSeparatorIndex;
+
+        const request = indexedDB.open(CONFIG.MEMORY_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(CONFIG.MEMORY_STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          // Без IndexedDB (приватный режим) переводим без локального кэша
+          console.error("❌ Память переводов недоступна:", request.error);
+          resolve(null);
+        };
+      });
+    }
+    return memoryDbPromise;
+  }
+
+  /**
+   * Runs a single request against the translation memory store
+   * @param {string} mode - Transaction mode ("readonly" or "readwrite")
+   * @param {Function} operation - Receives the object store, returns IDBRequest
+   * @returns {Promise<*>} Request result or null on error
+   */
+  async function runMemoryRequest(mode, operation) {
+    const db = await openTranslationMemory();
+    if (!db) return null;
+
+    return new Promise((resolve) => {
+      try {
+        const store = db.transaction(CONFIG.MEMORY_STORE_NAME, mode).objectStore(CONFIG.MEMORY_STORE_NAME);
+        const request = operation(store);
+        request.onsuccess = () => resolve(request.result ?? null);
+        request.onerror = () => {
+          console.error("❌ Ошибка памяти переводов:", request.error);
+          resolve(null);
+        };
+      } catch (error) {
+        console.error("❌ Ошибка памяти переводов:", error);
+        resolve(null);
+      }
+    });
+  }
+
+  /**
+   * Builds translation memory key, normalized the same way as on the server
+   * (api/_lib/translation-memory.js): line breaks, repeated spaces, Unicode NFC.
+   * The provider, active glossary and input format are part of the key: they change the translation
+   * @param {string} text - Source segment
+   * @param {string} sourceLang - Source language
+   * @param {string} targetLang - Target language
+   * @returns {string} Memory key
+   */
+  function getMemoryKey(text, sourceLang, targetLang) {
+    const normalized = text
+      .normalize("NFC")
+      .replace(/\r\n?/g, "\n")
+      .replace(/[ \t]+/g, " ")
+      .trim();
+    const glossary = getGlossary(sourceLang, targetLang);
+    const glossaryTag = glossary ? `|${hashString(JSON.stringify(glossary))}` : "";
+    const format = elements.inputFormatSelect.value;
+    const formatTag = format !== "plain" ? `|${format}` : "";
+    const provider = elements.providerSelect.value || CONFIG.DEFAULT_PROVIDER;
+    return `${provider}|${(sourceLang || "AUTO").toUpperCase()}|${targetLang.toUpperCase()}${glossaryTag}${formatTag}|${normalized}`;
+  }
+
+  /**
+   * Computes a short FNV-1a hash of a string
+   * @param {string} value - String to hash
+   * @returns {string} Hash in base 36
+   */
+  function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  /**
+   * Returns stored translation of an exactly matching segment
+   * @returns {Promise<{translation: string, violations: Array}|null>} Memory entry or null
+   */
+  function lookupMemory(text, sourceLang, targetLang) {
+    return runMemoryRequest("readonly", store => store.get(getMemoryKey(text, sourceLang, targetLang)));
+  }
+
+  /**
+   * Stores segment translation in the translation memory
+   * @param {Array} [violations] - Glossary violations found in the translation
+   */
+  function storeMemory(text, sourceLang, targetLang, translation, violations = []) {
+    return runMemoryRequest("readwrite", store =>
+      store.put({ translation, violations, createdAt: Date.now() }, getMemoryKey(text, sourceLang, targetLang))
+    );
+  }
+
+  /**
+   * Formats translation memory hit rate for completion status
+   * @param {{lookups: number, hits: number}} stats - Memory statistics
+   * @returns {string} Status suffix or empty string
+   */
+  function formatMemoryStats(stats) {
+    if (!stats.lookups) return "";
+    const rate = Math.round((stats.hits / stats.lookups) * 100);
+    return ` · из памяти переводов: ${stats.hits}/${stats.lookups} (${rate}%)`;
+  }
+
+  /**
+   * Glossary Functions
+   */
+
+  /**
+   * Loads glossaries from localStorage
+   */
+  function loadGlossaries() {
+    try {
+      glossaries = JSON.parse(localStorage.getItem("translationGlossaries")) || {};
+    } catch (error) {
+      console.error("Failed to parse glossaries:", error);
+      glossaries = {};
+    }
+  }
+
+  /**
+   * Saves glossaries to localStorage
+   */
+  function saveGlossaries() {
+    localStorage.setItem("translationGlossaries", JSON.stringify(glossaries));
+  }
+
+  /**
+   * Returns glossary for a language pair. Glossary created for
+   * "Detect language" applies to any source language
+   * @param {string} sourceLang - Source language
+   * @param {string} targetLang - Target language
+   * @returns {{terms: Array<{source: string, target: string}>, doNotTranslate: string[]}|null}
+   */
+  function getGlossary(sourceLang, targetLang) {
+    const glossary = glossaries[`${sourceLang || "AUTO"}|${targetLang}`] || glossaries[`AUTO|${targetLang}`];
+    return glossary && (glossary.terms.length > 0 || glossary.doNotTranslate.length > 0) ? glossary : null;
+  }
+
+  /**
+   * Returns language pair key selected in the glossary editor
+   * @returns {string} Pair key like "EN|DE"
+   */
+  function getGlossaryEditorKey() {
+    return `${elements.glossarySourceLang.value}|${elements.glossaryTargetLang.value}`;
+  }
+
+  /**
+   * Fills glossary editor with the glossary of the selected language pair
+   */
+  function loadGlossaryEditor() {
+    const glossary = glossaries[getGlossaryEditorKey()] || { terms: [], doNotTranslate: [] };
+    elements.glossaryTermsInput.value = glossary.terms.map(term => `${term.source} = ${term.target}`).join("\n");
+    elements.glossaryDoNotTranslateInput.value = glossary.doNotTranslate.join("\n");
+  }
+
+  /**
+   * Saves glossary editor contents for the selected language pair
+   */
+  function saveGlossaryEditor() {
+    const terms = elements.glossaryTermsInput.value
+      .split("\n")
+      .map(line => {
+        const separator = line.indexOf("=");
+        return separator === -1
+          ? null
+          : { source: line.slice(0, separator).trim(), target: line.slice(separator + 1).trim() };
+      })
+      .filter(term => term && term.source && term.target);
+    const doNotTranslate = elements.glossaryDoNotTranslateInput.value
+      .split("\n")
+      .map(line => line.trim())
+      .filter(Boolean);
+
+    const key = getGlossaryEditorKey();
+    if (terms.length > 0 || doNotTranslate.length > 0) {
+      glossaries[key] = { terms, doNotTranslate };
+    } else {
+      delete glossaries[key];
+    }
+    saveGlossaries();
+  }
+
+  /**
+   * Parses CSV/TSV glossary file with "source,target" rows.
+   * A row with empty target goes to the do-not-translate list.
+   * Quoted CSV fields may contain delimiters, quotes and line breaks
+   * @param {string} content - File content
+   * @param {string} delimiter - Field delimiter ("," or "\t")
+   * @returns {{terms: Array<{source: string, target: string}>, doNotTranslate: string[]}}
+   */
+  function parseGlossaryFile(content, delimiter) {
+    const text = content.replace(/^\uFEFF/, "");
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
         }
+      } else if (char === '"' && field === "") {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const glossary = { terms: [], doNotTranslate: [] };
+    rows.forEach((cells, index) => {
+      const source = (cells[0] || "").trim();
+      const target = (cells[1] || "").trim();
+
+      // Пропускаем строку заголовка
+      if (index === 0 && /^(source|term|термин|исходный)$/i.test(source)) return;
+      if (!source) return;
+
+      if (target) {
+        glossary.terms.push({ source, target });
+      } else {
+        glossary.doNotTranslate.push(source);
+      }
+    });
+
+    return glossary;
+  }
+
+  /**
+   * Serializes glossary to CSV/TSV, do-not-translate terms get an empty target
+   * @param {Object} glossary - Glossary to serialize
+   * @param {string} delimiter - Field delimiter ("," or "\t")
+   * @returns {string} File content
+   */
+  function serializeGlossary(glossary, delimiter) {
+    const escapeField = (value) => {
+      if (delimiter === "\t") return value.replace(/[\t\r\n]+/g, " ");
+      return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    };
+    const rows = [
+      ["source", "target"],
+      ...glossary.terms.map(term => [term.source, term.target]),
+      ...glossary.doNotTranslate.map(term => [term, ""]),
+    ];
+    return rows.map(cells => cells.map(escapeField).join(delimiter)).join("\n") + "\n";
+  }
+
+  /**
+   * Imports CSV/TSV file into the glossary of the selected language pair.
+   * Imported terms replace existing terms with the same source
+   * @param {File} file - Selected file
+   */
+  async function importGlossaryFile(file) {
+    try {
+      const content = await file.text();
+      const delimiter = /\.tsv$/i.test(file.name) || content.split("\n")[0].includes("\t") ? "\t" : ",";
+      const imported = parseGlossaryFile(content, delimiter);
+
+      saveGlossaryEditor();
+      const key = getGlossaryEditorKey();
+      const current = glossaries[key] || { terms: [], doNotTranslate: [] };
+      const importedSources = new Set(
+        [...imported.terms.map(term => term.source), ...imported.doNotTranslate].map(term => term.toLowerCase())
+      );
+      const keep = term => !importedSources.has(term.toLowerCase());
+
+      glossaries[key] = {
+        terms: [...current.terms.filter(term => keep(term.source)), ...imported.terms],
+        doNotTranslate: [...current.doNotTranslate.filter(keep), ...imported.doNotTranslate],
+      };
+      saveGlossaries();
+      loadGlossaryEditor();
+
+      showStatus(
+        `Глоссарий импортирован: ${imported.terms.length} терминов, ${imported.doNotTranslate.length} без перевода.`,
+        "success"
+      );
+    } catch (error) {
+      showStatus(`Не удалось импортировать глоссарий: ${error.message}`);
+    }
+  }
+
+  /**
+   * Downloads glossary of the selected language pair as CSV or TSV
+   * @param {string} delimiter - Field delimiter ("," or "\t")
+   */
+  function exportGlossary(delimiter) {
+    saveGlossaryEditor();
+    const glossary = glossaries[getGlossaryEditorKey()] || { terms: [], doNotTranslate: [] };
+    const extension = delimiter === "\t" ? "tsv" : "csv";
+    downloadTextFile(
+      serializeGlossary(glossary, delimiter),
+      `glossary-${elements.glossarySourceLang.value}-${elements.glossaryTargetLang.value}.${extension}`,
+      delimiter === "\t" ? "text/tab-separated-values" : "text/csv"
+    );
+  }
+
+  /**
+   * Initializes glossary editor in the settings panel
+   */
+  function setupGlossary() {
+    loadGlossaries();
+
+    elements.glossarySourceLang.innerHTML = elements.sourceLangSelect.innerHTML;
+    Object.entries(languages)
+      .sort(([, a], [, b]) => a.localeCompare(b))
+      .forEach(([code, name]) => elements.glossaryTargetLang.add(new Option(name, code)));
+
+    elements.glossarySourceLang.addEventListener("change", loadGlossaryEditor);
+    elements.glossaryTargetLang.addEventListener("change", loadGlossaryEditor);
+    elements.glossaryTermsInput.addEventListener("input", saveGlossaryEditor);
+    elements.glossaryDoNotTranslateInput.addEventListener("input", saveGlossaryEditor);
+    elements.glossaryImportButton.addEventListener("click", () => elements.glossaryFileInput.click());
+    elements.glossaryFileInput.addEventListener("change", () => {
+      const [file] = elements.glossaryFileInput.files;
+      if (file) importGlossaryFile(file);
+      elements.glossaryFileInput.value = "";
+    });
+    elements.glossaryExportCsvButton.addEventListener("click", () => exportGlossary(","));
+    elements.glossaryExportTsvButton.addEventListener("click", () => exportGlossary("\t"));
+  }
+
+  /**
+   * Adds glossary violations to a list without duplicates
+   * @param {Array<{source: string, target: string}>} target - List to add to
+   * @param {Array<{source: string, target: string}>} violations - Violations to add
+   */
+  function addGlossaryViolations(target, violations = []) {
+    violations.forEach((violation) => {
+      if (!target.some(item => item.source === violation.source && item.target === violation.target)) {
+        target.push(violation);
       }
+    });
+  }
 
-      chunks.push(text.substring(currentIndex, endIndex).trim());
-      currentIndex = endIndex;
+  /**
+   * Formats glossary violations for completion status
+   * @param {Array<{source: string, target: string}>} violations - Glossary violations
+   * @returns {string} Status suffix or empty string
+   */
+  function formatGlossaryViolations(violations) {
+    if (violations.length === 0) return "";
+    const terms = violations
+      .slice(0, 3)
+      .map(violation => (violation.source === violation.target ? violation.source : `${violation.source} → ${violation.target}`));
+    const more = violations.length > 3 ? ` и еще ${violations.length - 3}` : "";
+    return ` · ⚠️ глоссарий не соблюден: ${terms.join(", ")}${more}`;
+  }
+
+  /**
+   * Purges translation memory in the browser and on the server
+   */
+  async function purgeTranslationMemory() {
+    if (!confirm("Очистить память переводов в браузере и на сервере?")) return;
+
+    await runMemoryRequest("readwrite", store => store.clear());
+
+    if (!isAuthenticated) {
+      showStatus("Память переводов в браузере очищена.", "success");
+      return;
     }
 
-    return chunks.filter(chunk => chunk.length > 0);
+    try {
+      const response = await authorizedFetch(CONFIG.MEMORY_API_URL, { method: "DELETE" });
+      const result = await response.json().catch(() => ({}));
+
+      // Общую память на сервере очищает только администратор
+      if (response.status === 403) {
+        showStatus("Память переводов в браузере очищена. Память на сервере может очистить только администратор.", "success");
+        return;
+      }
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || result.error || `HTTP ${response.status}`);
+      }
+
+      showStatus(`Память переводов очищена (на сервере удалено сегментов: ${result.removed}).`, "success");
+    } catch (error) {
+      showStatus(`Память в браузере очищена, ошибка сервера: ${error.message}`);
+    }
   }
 
   /**
-   * Translates a single chunk of text with retry logic
+   * Translates a single chunk of text with retry logic.
+   * Exact matches are served from the translation memory
    * @param {string} chunk - Text chunk to translate
    * @param {string} sourceLang - Source language
    * @param {string} targetLang - Target language
@@ -207,18 +684,28 @@ document.addEventListener("DOMContentLoaded", () => {
    * @param {string} customApiUrl - Custom API URL для проксирования
    * @param {number} maxRetries - Maximum number of retries
    * @param {number} chunkIndex - Index of chunk for logging
+   * @param {Object} output - Translation output collecting memory stats and glossary violations
+   * @param {boolean} skipMemory - Translate again even if the segment is in the translation memory
    * @returns {Promise<string>} Translated text
    */
-  async function translateChunk(chunk, sourceLang, targetLang, apiUrl, customApiUrl = null, maxRetries = 3, chunkIndex = 0) {
-    const payload = {
-      text: chunk,
-      source_lang: sourceLang === "AUTO" ? undefined : sourceLang,
-      target_lang: targetLang,
-    };
+  async function translateChunk(chunk, sourceLang, targetLang, apiUrl, customApiUrl = null, maxRetries = 3, chunkIndex = 0, output = createTranslationOutput(targetLang), skipMemory = false) {
+    // Переводы собственного API URL в память не попадают и из нее не берутся
+    const useMemory = !isCustomApiUrl(customApiUrl);
+
+    if (useMemory && !skipMemory) {
+      output.memoryStats.lookups++;
+      const memorized = await lookupMemory(chunk, sourceLang, targetLang);
+      if (memorized) {
+        output.memoryStats.hits++;
+        addGlossaryViolations(output.violations, memorized.violations);
+        console.log(`💾 Часть ${chunkIndex + 1} найдена в памяти переводов`);
+        return memorized.translation;
+      }
+    }
 
-    // Добавляем api_url в payload для проксирования через serverless функцию
-    if (customApiUrl && customApiUrl !== CONFIG.DEFAULT_API_URL) {
-      payload.api_url = customApiUrl;
+    const payload = buildTranslationPayload(chunk, sourceLang, targetLang, customApiUrl);
+    if (skipMemory) {
+      payload.use_memory = false;
     }
 
     console.log(`🔄 Перевод части ${chunkIndex + 1}: ${chunk.length} символов`);
@@ -227,7 +714,7 @@ document.addEventListener("DOMContentLoaded", () => {
       try {
         console.log(`📡 Попытка ${attempt}/${maxRetries} для части ${chunkIndex + 1}`);
         
-        const response = await fetch(apiUrl, {
+        const response = await authorizedFetch(apiUrl, {
           method: "POST",
           body: JSON.stringify(payload),
           headers: { 
@@ -244,7 +731,14 @@ document.addEventListener("DOMContentLoaded", () => {
         const result = await response.json();
 
         if (result.code === 200 && result.data) {
-          console.log(`✅ Часть ${chunkIndex + 1} переведена успешно (попытка ${attempt})`);
+          console.log(`✅ Часть ${chunkIndex + 1} переведена успешно (попытка ${attempt}, endpoint: ${result.endpoint || (result.cached ? 'память переводов' : 'неизвестен')})`);
+          if (result.cached) {
+            output.memoryStats.hits++;
+          }
+          addGlossaryViolations(output.violations, result.glossary_violations);
+          if (useMemory) {
+            await storeMemory(chunk, sourceLang, targetLang, result.data, result.glossary_violations);
+          }
           return result.data;
         } else {
           throw new Error(`API Error: ${result.message || result.error || "Неизвестная ошибка"}`);
@@ -253,6 +747,11 @@ document.addEventListener("DOMContentLoaded", () => {
       } catch (error) {
         console.error(`❌ Ошибка части ${chunkIndex + 1}, попытка ${attempt}:`, error.message);
         
+        // Повтор без авторизации бессмысленен
+        if (error.code === 'UNAUTHORIZED') {
+          throw error;
+        }
+        
         if (attempt === maxRetries) {
           console.error(`🚫 Все попытки исчерпаны для части ${chunkIndex + 1}`);
           throw new Error(`Не удалось перевести часть ${chunkIndex + 1} после ${maxRetries} попыток: ${error.message}`);
@@ -266,6 +765,691 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  /**
+   * Translates large text over a single streaming connection.
+   * The server splits the text, translates chunks in parallel and sends
+   * NDJSON events as chunks complete; results are stored by chunk index
+   * together with the original separators between chunks
+   * @param {string} text - Text to translate (already trimmed)
+   * @param {string} sourceLang - Source language
+   * @param {Object} output - Translation output of the target language
+   * @param {string} customApiUrl - Custom API URL для проксирования
+   * @param {number} translationId - Translation id to detect outdated runs
+   * @param {number} concurrency - Parallel chunk requests on the server
+   * @returns {Promise<Object>} Chunked translation state (see output.chunked)
+   */
+  async function translateTextStream(text, sourceLang, output, customApiUrl, translationId, concurrency) {
+    const targetLang = output.langCode;
+    const payload = buildTranslationPayload(text, sourceLang, targetLang, customApiUrl);
+    payload.concurrency = concurrency;
+
+    const controller = new AbortController();
+    const response = await authorizedFetch(CONFIG.STREAM_API_URL, {
+      method: "POST",
+      body: JSON.stringify(payload),
+      headers: { "Content-Type": "application/json" },
+      signal: controller.signal,
+    });
+
+    if (!response.ok || !response.body) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || `HTTP ${response.status}`);
+    }
+
+    const state = createChunkedState(sourceLang, targetLang, customApiUrl);
+    output.chunked = state;
+
+    let completedChunks = 0;
+    let finished = false;
+    let streamError = null;
+
+    const handleEvent = (event) => {
+      switch (event.type) {
+        case "start":
+          // Позиции частей в тексте: по ним восстанавливаем исходные части и разделители между ними.
+          // Разметка до первой и после последней части (HTML, Markdown) не переводится
+          state.prefix = event.ranges.length > 0 ? text.substring(0, event.ranges[0][0]) : text;
+          event.ranges.forEach(([start, end], index) => {
+            const nextStart = index + 1 < event.ranges.length ? event.ranges[index + 1][0] : text.length;
+            state.sources[index] = text.substring(start, end);
+            state.separators[index] = text.substring(end, nextStart);
+          });
+          updateOutput(output, { message: `Разделено на ${event.total} частей для перевода...`, messageType: "info" });
+          return;
+        case "chunk":
+          state.translations[event.index] = event.translation;
+          output.memoryStats.lookups++;
+          if (event.cached) {
+            output.memoryStats.hits++;
+          }
+          addGlossaryViolations(output.violations, event.violations);
+          if (!isCustomApiUrl(customApiUrl)) {
+            storeMemory(state.sources[event.index], sourceLang, targetLang, event.translation, event.violations);
+          }
+          break;
+        case "error":
+          // Ошибка без index - сбой всего потока, оставшиеся части уйдут в очередь повтора
+          if (event.index === undefined) {
+            streamError = event.message;
+            return;
+          }
+          state.failed.set(event.index, event.message);
+          output.memoryStats.lookups++;
+          break;
+        case "done":
+          finished = true;
+          return;
+        default:
+          return;
+      }
+
+      completedChunks++;
+
+      // Обновляем результат по мере перевода, части выводятся в исходном порядке
+      updateOutput(output, {
+        text: assembleChunkedTranslation(state),
+        progress: Math.round((completedChunks / state.sources.length) * 100),
+        message: `Переведено ${completedChunks}/${state.sources.length} частей`,
+        messageType: "info",
+      });
+    };
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true) {
+      // Начат новый перевод - закрываем соединение, сервер перестанет переводить
+      if (translationId !== currentTranslationId) {
+        controller.abort();
+        break;
+      }
+
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      lines.filter(line => line.trim()).forEach(line => handleEvent(JSON.parse(line)));
+    }
+
+    // Соединение оборвалось до конца (например, лимит времени функции) - недошедшие части в очередь повтора
+    if (!finished) {
+      state.sources.forEach((source, index) => {
+        if (state.translations[index] === undefined && !state.failed.has(index)) {
+          state.failed.set(index, streamError || "соединение прервано");
+        }
+      });
+    }
+
+    return state;
+  }
+
+  /**
+   * Creates state of a translation split into segments (chunks of the source text)
+   * @param {string} sourceLang - Source language
+   * @param {string} targetLang - Target language
+   * @param {string} customApiUrl - Custom API URL для проксирования
+   * @returns {Object} Chunked translation state
+   */
+  function createChunkedState(sourceLang, targetLang, customApiUrl) {
+    return {
+      sourceLang,
+      targetLang,
+      customApiUrl,
+      prefix: "", // Текст до первой части, который не переводится (разметка)
+      sources: [],
+      separators: [],
+      translations: [],
+      failed: new Map(), // Очередь повтора: индекс части -> текст ошибки
+      confirmed: new Set(), // Части, проверенные или исправленные в редакторе сегментов
+    };
+  }
+
+  /**
+   * Joins chunk translations in original order with original separators.
+   * Failed chunks are shown as markers until they are retried
+   * @param {Object} state - Chunked translation state
+   * @returns {string} Assembled translation
+   */
+  function assembleChunkedTranslation(state) {
+    const chunks = state.sources.map((source, index) => {
+      let chunk = state.translations[index];
+      if (state.failed.has(index)) {
+        chunk = `[❌ Ошибка части ${index + 1}: ${state.failed.get(index)}]`;
+      }
+      return chunk === undefined ? "" : chunk + state.separators[index];
+    });
+    return (state.prefix + chunks.join("")).trim();
+  }
+
+  /**
+   * Re-translates only the chunks from the retry queue of the shown translation output
+   */
+  async function retryFailedChunks() {
+    const output = getActiveOutput();
+    const state = output?.chunked;
+    if (!state || state.failed.size === 0 || isTranslating) return;
+    if (!requireAuth()) return;
+
+    isTranslating = true;
+    setLoading(true);
+
+    const queue = [...state.failed.keys()];
+    let completed = 0;
+    console.log(`🔁 Повтор ${queue.length} неудачных частей (${output.langCode})`);
+
+    try {
+      for (let i = 0; i < queue.length; i += CONFIG.RETRY_PARALLEL_CHUNKS) {
+        const batch = queue.slice(i, i + CONFIG.RETRY_PARALLEL_CHUNKS);
+
+        await Promise.all(batch.map(async (index) => {
+          try {
+            state.translations[index] = await translateChunk(
+              state.sources[index], state.sourceLang, state.targetLang,
+              CONFIG.DEFAULT_API_URL, state.customApiUrl, 3, index, output
+            );
+            state.failed.delete(index);
+          } catch (error) {
+            state.failed.set(index, error.message);
+          }
+        }));
+
+        // Пока шел повтор, мог начаться новый перевод
+        if (!translationOutputs.includes(output)) return;
+
+        completed += batch.length;
+        updateOutput(output, {
+          text: assembleChunkedTranslation(state),
+          progress: Math.round((completed / queue.length) * 100),
+          message: `Повтор: ${completed}/${queue.length} частей`,
+          messageType: "info",
+        });
+      }
+
+      const summary = formatMemoryStats(output.memoryStats) + formatGlossaryViolations(output.violations);
+      if (state.failed.size === 0) {
+        updateOutput(output, { message: `🎉 Все ${queue.length} частей переведены повторно${summary}`, messageType: "success" });
+      } else {
+        updateOutput(output, { message: `⚠️ Не удалось перевести ${state.failed.size} из ${queue.length} частей${summary}`, messageType: "warning" });
+      }
+
+      setTimeout(() => {
+        updateProgress(0, false);
+      }, 3000);
+    } finally {
+      isTranslating = false;
+      setLoading(false);
+      updateRetryButton();
+    }
+  }
+
+  /**
+   * Shows "Retry failed parts" button while the retry queue of the shown output is not empty
+   */
+  function updateRetryButton() {
+    const output = getActiveOutput();
+    const failedCount = output?.chunked ? output.chunked.failed.size : 0;
+    elements.retryFailedButton.classList.toggle("hidden", failedCount === 0);
+    elements.retryFailedCount.textContent = failedCount;
+  }
+
+  /**
+   * Translation Output Functions
+   */
+
+  /**
+   * Creates result state for one target language of text mode
+   * @param {string} langCode - Target language
+   * @returns {Object} Translation output
+   */
+  function createTranslationOutput(langCode) {
+    return {
+      langCode,
+      text: "",
+      progress: 0,
+      status: "pending", // pending, translating, done, error
+      message: "",
+      messageType: "info",
+      chunked: null, // Потоковый перевод: части, разделители и очередь повтора
+      memoryStats: { lookups: 0, hits: 0 },
+      violations: [], // Термины глоссария, потерянные при переводе
+    };
+  }
+
+  /**
+   * Returns translation output shown in the output field
+   * @returns {Object|undefined} Active translation output
+   */
+  function getActiveOutput() {
+    return translationOutputs.find(output => output.langCode === activeOutputLang);
+  }
+
+  /**
+   * Updates translation output and refreshes its tab, the output field
+   * (for the shown language) and the overall progress
+   * @param {Object} output - Translation output
+   * @param {Object} changes - Fields to update
+   */
+  function updateOutput(output, changes) {
+    Object.assign(output, changes);
+    updateOutputTab(output);
+
+    if (output.langCode === activeOutputLang) {
+      showOutput(output);
+    }
+
+    if ("progress" in changes) {
+      const total = translationOutputs.reduce((sum, item) => sum + item.progress, 0);
+      updateProgress(total / Math.max(translationOutputs.length, 1));
+    }
+  }
+
+  /**
+   * Shows translation output in the output field
+   * @param {Object} output - Translation output
+   */
+  function showOutput(output) {
+    elements.outputText.value = output.text;
+    applyTextDirection(elements.outputText, output.text);
+    showStaticStatus(output.message, output.messageType);
+  }
+
+  /**
+   * Switches the output field to another target language
+   * @param {string} langCode - Target language
+   */
+  function selectOutput(langCode) {
+    activeOutputLang = langCode;
+    elements.outputTabs.querySelectorAll(".output-tab").forEach((tab) => {
+      tab.classList.toggle("active", tab.dataset.lang === langCode);
+    });
+    showOutput(getActiveOutput());
+    updateRetryButton();
+  }
+
+  /**
+   * Renders one tab per target language; tabs are hidden for a single language
+   */
+  function renderOutputTabs() {
+    elements.outputTabs.innerHTML = "";
+    elements.outputTabs.classList.toggle("hidden", translationOutputs.length < 2);
+
+    translationOutputs.forEach((output) => {
+      const tab = document.createElement("button");
+      tab.type = "button";
+      tab.className = `tab-button output-tab${output.langCode === activeOutputLang ? " active" : ""}`;
+      tab.dataset.lang = output.langCode;
+      tab.innerHTML = `
+        <span class="flex justify-between gap-2 text-sm">
+          <span>${languages[output.langCode] || output.langCode}</span>
+          <span class="output-tab-status text-xs"></span>
+        </span>
+        <span class="queue-item-progress"><span class="queue-item-progress-bar block" style="width: 0%"></span></span>
+      `;
+      tab.addEventListener("click", () => selectOutput(output.langCode));
+      elements.outputTabs.appendChild(tab);
+      updateOutputTab(output);
+    });
+  }
+
+  /**
+   * Updates progress and status mark of a language tab
+   * @param {Object} output - Translation output
+   */
+  function updateOutputTab(output) {
+    const tab = elements.outputTabs.querySelector(`[data-lang="${output.langCode}"]`);
+    if (!tab) return;
+
+    const marks = { done: "✓", error: "✕", pending: "…" };
+    const failed = output.chunked && output.chunked.failed.size > 0;
+    tab.querySelector(".output-tab-status").textContent =
+      output.status === "done" && failed ? "⚠️" : marks[output.status] || `${Math.round(output.progress)}%`;
+    tab.querySelector(".queue-item-progress-bar").style.width = `${output.progress}%`;
+  }
+
+  /**
+   * Segment Editor Functions
+   */
+
+  /**
+   * Opens side-by-side editor for segments of the shown translation output
+   */
+  function showSegmentEditor() {
+    const output = getActiveOutput();
+    if (!output || !output.chunked || output.status !== "done") {
+      showStatus("Редактор сегментов доступен после завершения перевода", "info");
+      return;
+    }
+
+    segmentEditorOutput = output;
+    renderSegmentEditor();
+    elements.segmentEditorPanel.classList.remove("hidden");
+  }
+
+  /**
+   * Hides the segment editor panel
+   */
+  function hideSegmentEditor() {
+    elements.segmentEditorPanel.classList.add("hidden");
+    segmentEditorOutput = null;
+  }
+
+  /**
+   * Renders aligned source and translation rows of the edited output
+   */
+  function renderSegmentEditor() {
+    const state = segmentEditorOutput.chunked;
+    const sourceName = state.sourceLang === "AUTO" ? "Auto-detected" : languages[state.sourceLang] || state.sourceLang;
+    elements.segmentEditorTitle.textContent = `${sourceName} → ${languages[state.targetLang] || state.targetLang}`;
+
+    elements.segmentEditorRows.innerHTML = "";
+    state.sources.forEach((source, index) => {
+      elements.segmentEditorRows.appendChild(createSegmentRow(segmentEditorOutput, index));
+    });
+
+    updateSegmentEditorStats();
+    lucide.createIcons();
+  }
+
+  /**
+   * Creates editor row of one segment
+   * @param {Object} output - Translation output
+   * @param {number} index - Segment index
+   * @returns {HTMLElement} Row element
+   */
+  function createSegmentRow(output, index) {
+    const state = output.chunked;
+    const row = document.createElement("div");
+    row.className = "segment-row";
+    row.dataset.index = index;
+
+    row.innerHTML = `
+      <div class="segment-index">${index + 1}</div>
+      <div class="segment-source"></div>
+      <textarea class="segment-target" rows="3"></textarea>
+      <div class="segment-actions">
+        <button class="segment-confirm action-btn p-1 rounded bg-gray-700 text-gray-400 hover:text-white" title="Подтвердить перевод (Ctrl+Enter)">
+          <i data-lucide="check" class="w-4 h-4"></i>
+        </button>
+        <button class="segment-retranslate action-btn p-1 rounded bg-gray-700 text-gray-400 hover:text-white" title="Перевести заново">
+          <i data-lucide="refresh-cw" class="w-4 h-4"></i>
+        </button>
+      </div>
+    `;
+
+    const source = row.querySelector(".segment-source");
+    const target = row.querySelector(".segment-target");
+
+    source.textContent = state.sources[index];
+    applyTextDirection(source, state.sources[index]);
+
+    if (state.failed.has(index)) {
+      target.placeholder = `❌ ${state.failed.get(index)}`;
+    } else {
+      target.value = state.translations[index] || "";
+      applyTextDirection(target, target.value);
+    }
+
+    // Несохраненная правка подсвечивается до подтверждения
+    target.addEventListener("input", () => row.classList.add("edited"));
+    target.addEventListener("change", () => confirmSegment(output, index, row));
+    target.addEventListener("keydown", (e) => {
+      if (e.ctrlKey && e.key === "Enter") {
+        e.preventDefault();
+        e.stopPropagation();
+        confirmSegment(output, index, row);
+      }
+    });
+    row.querySelector(".segment-confirm").addEventListener("click", () => confirmSegment(output, index, row));
+    row.querySelector(".segment-retranslate").addEventListener("click", () => retranslateSegment(output, index, row));
+
+    updateSegmentRow(row, state, index);
+    return row;
+  }
+
+  /**
+   * Updates status marks of a segment row
+   */
+  function updateSegmentRow(row, state, index) {
+    row.classList.remove("edited");
+    row.classList.toggle("confirmed", state.confirmed.has(index));
+    row.classList.toggle("failed", state.failed.has(index));
+  }
+
+  /**
+   * Saves segment text from the editor as a confirmed translation.
+   * Confirmed translation replaces machine translation in the translation memory
+   * @param {Object} output - Translation output
+   * @param {number} index - Segment index
+   * @param {HTMLElement} row - Row element
+   */
+  async function confirmSegment(output, index, row) {
+    const state = output.chunked;
+    const translation = row.querySelector(".segment-target").value.trim();
+
+    if (!translation) {
+      showStatus(`Перевод сегмента ${index + 1} пуст`, "error");
+      return;
+    }
+
+    const changed = translation !== state.translations[index] || state.failed.has(index);
+    if (!changed && state.confirmed.has(index)) {
+      updateSegmentRow(row, state, index);
+      return;
+    }
+
+    state.translations[index] = translation;
+    state.failed.delete(index);
+    state.confirmed.add(index);
+    updateSegmentRow(row, state, index);
+
+    if (!isCustomApiUrl(state.customApiUrl)) {
+      await storeMemory(state.sources[index], state.sourceLang, state.targetLang, translation);
+    }
+    applySegmentChanges(output);
+    console.log(`✏️ Сегмент ${index + 1} подтвержден${changed ? " с правкой" : ""}`);
+  }
+
+  /**
+   * Translates one segment again, bypassing the translation memory
+   * @param {Object} output - Translation output
+   * @param {number} index - Segment index
+   * @param {HTMLElement} row - Row element
+   */
+  async function retranslateSegment(output, index, row) {
+    if (!requireAuth()) return;
+
+    const state = output.chunked;
+    const buttons = row.querySelectorAll("button");
+    buttons.forEach(button => { button.disabled = true; });
+    row.classList.add("translating");
+
+    try {
+      const translation = await translateChunk(
+        state.sources[index], state.sourceLang, state.targetLang,
+        CONFIG.DEFAULT_API_URL, state.customApiUrl, 3, index, output, true
+      );
+
+      state.translations[index] = translation;
+      state.failed.delete(index);
+      state.confirmed.delete(index);
+
+      const target = row.querySelector(".segment-target");
+      target.value = translation;
+      applyTextDirection(target, translation);
+      updateSegmentRow(row, state, index);
+      applySegmentChanges(output);
+    } catch (error) {
+      if (error.code === 'UNAUTHORIZED') return;
+      showStatus(`Не удалось перевести сегмент ${index + 1}: ${error.message}`, "error");
+    } finally {
+      row.classList.remove("translating");
+      buttons.forEach(button => { button.disabled = false; });
+    }
+  }
+
+  /**
+   * Propagates segment changes to the output field and history
+   * @param {Object} output - Translation output
+   */
+  function applySegmentChanges(output) {
+    // Вывод мог смениться новым переводом, пока сегмент переводился заново
+    if (!translationOutputs.includes(output)) return;
+
+    updateOutput(output, { text: assembleChunkedTranslation(output.chunked) });
+    addOutputToHistory(output);
+    updateRetryButton();
+    updateSegmentEditorStats();
+  }
+
+  /**
+   * Shows confirmed segment count in the editor header
+   */
+  function updateSegmentEditorStats() {
+    if (!segmentEditorOutput) return;
+    const state = segmentEditorOutput.chunked;
+    const failed = state.failed.size ? `, с ошибкой: ${state.failed.size}` : "";
+    elements.segmentEditorStats.textContent =
+      `Сегментов: ${state.sources.length}, подтверждено: ${state.confirmed.size}${failed}`;
+  }
+
+  /**
+   * Exports edited translation as plain text, bilingual text or HTML table, or bilingual CSV table
+   * @param {string} format - "txt", "bilingual-txt", "bilingual-html" or "csv"
+   */
+  function exportSegments(format) {
+    const state = segmentEditorOutput.chunked;
+    const baseName = `translation-${state.sourceLang}-${state.targetLang}`;
+
+    if (format === "txt") {
+      downloadTextFile(assembleChunkedTranslation(state), `${baseName}.txt`, "text/plain");
+      return;
+    }
+
+    if (format === "bilingual-txt") {
+      downloadTextFile(formatBilingualText(state), `${baseName}-bilingual.txt`, "text/plain");
+      return;
+    }
+
+    if (format === "bilingual-html") {
+      downloadTextFile(formatBilingualHtml(state), `${baseName}-bilingual.html`, "text/html");
+      return;
+    }
+
+    const escapeField = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    const rows = [
+      ["#", "source", "target", "status"],
+      ...state.sources.map((source, index) => [
+        String(index + 1),
+        source,
+        state.failed.has(index) ? "" : state.translations[index] || "",
+        state.failed.has(index) ? "failed" : state.confirmed.has(index) ? "confirmed" : "machine",
+      ]),
+    ];
+    // BOM - чтобы Excel открыл файл в UTF-8
+    const content = "\uFEFF" + rows.map(cells => cells.map(escapeField).join(",")).join("\r\n") + "\r\n";
+    downloadTextFile(content, `${baseName}.csv`, "text/csv");
+  }
+
+  /**
+   * Pairs source and translated paragraphs of every segment.
+   * A segment whose paragraph count changed in translation stays one pair
+   * @param {Object} state - Chunked translation state
+   * @returns {Array<{source: string, target: string}>} Aligned paragraphs
+   */
+  function getBilingualPairs(state) {
+    const split = (text, separator) => text.split(separator).map(part => part.trim()).filter(Boolean);
+
+    return state.sources.flatMap((source, index) => {
+      const target = state.failed.has(index) ? "" : state.translations[index] || "";
+      // Сначала абзацы через пустую строку, затем отдельные строки
+      for (const separator of [/\n\s*\n/, /\n/]) {
+        const sources = split(source, separator);
+        const targets = split(target, separator);
+        if (sources.length > 0 && sources.length === targets.length) {
+          return sources.map((text, i) => ({ source: text, target: targets[i] }));
+        }
+      }
+      return [{ source: source.trim(), target: target.trim() }];
+    }).filter(pair => pair.source || pair.target);
+  }
+
+  /**
+   * Interleaves source and translated paragraphs, each marked with its language code
+   * @param {Object} state - Chunked translation state
+   * @returns {string} Bilingual text
+   */
+  function formatBilingualText(state) {
+    const sourceLabel = state.sourceLang === "AUTO" ? "[SRC]" : `[${state.sourceLang}]`;
+    return getBilingualPairs(state)
+      .map(pair => `${sourceLabel} ${pair.source}\n[${state.targetLang}] ${pair.target}`)
+      .join("\n\n") + "\n";
+  }
+
+  /**
+   * Builds HTML page with a two-column table of source and translated paragraphs
+   * @param {Object} state - Chunked translation state
+   * @returns {string} HTML document
+   */
+  function formatBilingualHtml(state) {
+    const escape = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    const cell = (text) => `<td${isArabicText(text) ? ' dir="rtl"' : ""}>${escape(text)}</td>`;
+    const sourceName = state.sourceLang === "AUTO" ? "Source" : languages[state.sourceLang] || state.sourceLang;
+    const targetName = languages[state.targetLang] || state.targetLang;
+    const rows = getBilingualPairs(state)
+      .map((pair, index) => `<tr><td class="number">${index + 1}</td>${cell(pair.source)}${cell(pair.target)}</tr>`)
+      .join("\n");
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escape(sourceName)} → ${escape(targetName)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; width: 100%; table-layout: fixed; }
+th, td { border: 1px solid #ccc; padding: 6px 8px; vertical-align: top; text-align: start; white-space: pre-wrap; }
+th { background: #f3f3f3; }
+.number { width: 3em; color: #888; }
+</style>
+</head>
+<body>
+<table>
+<thead><tr><th class="number">#</th><th>${escape(sourceName)}</th><th>${escape(targetName)}</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Saves text content as a downloaded file
+   * @param {string} content - File content
+   * @param {string} fileName - File name
+   * @param {string} type - MIME type
+   */
+  function downloadTextFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.style.display = "none";
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+
+    setTimeout(() => {
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    }, 100);
+  }
+
   /**
    * Applies appropriate text direction (RTL/LTR) based on text content
    * @param {HTMLElement} element - Element to apply direction to
@@ -369,11 +1553,34 @@ document.addEventListener("DOMContentLoaded", () => {
     const savedAutoTranslate =
       localStorage.getItem("autoTranslateEnabled") !== "false";
 
+    const savedProvider = localStorage.getItem("translationProvider");
+
+    elements.providerSelect.value = providers[savedProvider] ? savedProvider : CONFIG.DEFAULT_PROVIDER;
     elements.apiUrlInput.value = savedUrl || "";
+    elements.apiUrlInput.placeholder = providers[elements.providerSelect.value].urlPlaceholder;
+    elements.apiKeyInput.value = localStorage.getItem("translationApiKey") || "";
     elements.delayInput.value = savedDelay;
     elements.autoTranslateToggle.checked = savedAutoTranslate;
+    elements.inputFormatSelect.value = localStorage.getItem("inputFormat") || "plain";
+    elements.mergeCuesToggle.checked = localStorage.getItem("subtitleMergeCues") !== "false";
 
     // Set up event listeners for settings persistence
+    elements.providerSelect.addEventListener("change", () => {
+      const provider = elements.providerSelect.value;
+      localStorage.setItem("translationProvider", provider);
+      elements.apiUrlInput.placeholder = providers[provider].urlPlaceholder;
+      showStatus(`Провайдер перевода: ${providers[provider].name}.`, "success");
+    });
+
+    elements.apiKeyInput.addEventListener("input", () => {
+      const apiKey = elements.apiKeyInput.value.trim();
+      if (apiKey) {
+        localStorage.setItem("translationApiKey", apiKey);
+      } else {
+        localStorage.removeItem("translationApiKey");
+      }
+    });
+
     elements.apiUrlInput.addEventListener("input", () => {
       const urlToSave = elements.apiUrlInput.value.trim();
       if (urlToSave) {
@@ -469,6 +1676,22 @@ document.addEventListener("DOMContentLoaded", () => {
     updateHistoryDisplay();
   }
 
+  /**
+   * Adds translation output to history. Called again after segment edits:
+   * the record of the same source text is replaced
+   * @param {Object} output - Translation output with chunked state
+   */
+  function addOutputToHistory(output) {
+    const state = output.chunked;
+    const sourceText = state.prefix + state.sources.map((source, index) => source + state.separators[index]).join("");
+    const targetText = assembleChunkedTranslation(state);
+
+    // Для больших текстов сохраняем только первые 1000 символов
+    const historyText = sourceText.length > 1000 ? sourceText.substring(0, 1000) + '...' : sourceText;
+    const historyResult = targetText.length > 1000 ? targetText.substring(0, 1000) + '...' : targetText;
+    addToHistory(historyText, historyResult, state.sourceLang, state.targetLang);
+  }
+
   /**
    * Updates the history display panel
    */
@@ -502,6 +1725,11 @@ document.addEventListener("DOMContentLoaded", () => {
       `;
 
       historyItem.addEventListener("click", () => {
+        // Загруженная запись заменяет результаты последнего перевода
+        translationOutputs = [];
+        renderOutputTabs();
+        updateRetryButton();
+
         elements.inputText.value = item.sourceText;
         elements.outputText.value = item.targetText;
         elements.sourceLangSelect.value = item.sourceLang;
@@ -614,7 +1842,9 @@ document.addEventListener("DOMContentLoaded", () => {
 
   /**
    * Main translation function that handles API requests
-   * Supports large texts up to 1 million characters with chunking
+   * Supports large texts up to 1 million characters with chunking.
+   * Text is translated into every selected target language; languages run
+   * in parallel within CONFIG.PARALLEL_LANGUAGES and share the chunk request limit
    * @param {boolean} isAutoTranslate - Whether this is an automatic translation
    */
   async function translateText(isAutoTranslate = false) {
@@ -648,38 +1878,127 @@ document.addEventListener("DOMContentLoaded", () => {
     currentTranslationId++;
     const thisTranslationId = currentTranslationId;
 
+    // Новый набор результатов: очереди повтора и статистика относятся только к предыдущему тексту
+    translationOutputs = selectedTargetLanguages.map(createTranslationOutput);
+    if (!selectedTargetLanguages.includes(activeOutputLang)) {
+      activeOutputLang = selectedTargetLanguages[0];
+    }
+    renderOutputTabs();
+    elements.outputText.value = "";
+    updateRetryButton();
+
     setLoading(true);
     showStatus("", "success"); // Clear status
 
     try {
-      // ВСЕГДА используем нашу serverless API функцию
-      const apiUrl = CONFIG.DEFAULT_API_URL; // /api/translate
+      // ВСЕГДА используем нашу serverless API функцию (/api/translate)
       const customApiUrl = elements.apiUrlInput.value.trim();
-
       const sourceLang = elements.sourceLangSelect.value;
+
+      const queue = [...translationOutputs];
+      const parallelLanguages = Math.min(CONFIG.PARALLEL_LANGUAGES, queue.length);
+      // Лимит запросов к сервису делится между языками, а не умножается на их число
+      const chunkConcurrency = Math.max(1, Math.floor(CONFIG.MAX_PARALLEL_REQUESTS / parallelLanguages));
+
+      if (queue.length > 1) {
+        console.log(`🌍 Целевых языков: ${queue.length}, одновременно ${parallelLanguages}, частей на язык ${chunkConcurrency}`);
+      }
+
+      const worker = async () => {
+        while (queue.length > 0 && thisTranslationId === currentTranslationId) {
+          const output = queue.shift();
+          await translateIntoLanguage(text, sourceLang, output, customApiUrl, thisTranslationId, chunkConcurrency);
+        }
+      };
+
+      await Promise.all(Array.from({ length: parallelLanguages }, worker));
+
+      // Проверяем, что это всё ещё актуальный перевод
+      if (thisTranslationId !== currentTranslationId) return;
+
+      if (translationOutputs.length > 1) {
+        // Язык с непереведенными частями тоже требует внимания (повтор - на его вкладке)
+        const failedLanguages = translationOutputs.filter(
+          output => output.status === "error" || (output.chunked && output.chunked.failed.size > 0)
+        );
+        const summary = failedLanguages.length === 0
+          ? `🎉 Перевод готов для всех языков (${translationOutputs.length})`
+          : `⚠️ Переведено языков: ${translationOutputs.length - failedLanguages.length} из ${translationOutputs.length}, ошибки: ${failedLanguages.map(output => output.langCode).join(", ")}`;
+        console.log(summary);
+        showStaticStatus(summary, failedLanguages.length === 0 ? "success" : "warning");
+      }
+
+      // Неудачные части можно перевести повторно, не переводя весь текст заново
+      updateRetryButton();
+
+      // Скрываем прогресс через 3 секунды
+      setTimeout(() => {
+        updateProgress(0, false);
+      }, 3000);
+
+    } catch (error) {
+      // Проверяем актуальность перевода
+      if (thisTranslationId !== currentTranslationId) return;
       
-      // Для текстового режима используем первый выбранный язык или английский по умолчанию
-      const targetLang = selectedTargetLanguages.length > 0 ? selectedTargetLanguages[0] : 'EN';
+      console.error("🚫 КРИТИЧЕСКАЯ ОШИБКА ПЕРЕВОДА:", error);
+      showStatus(describeTranslationError(error), "error", true);
+      elements.outputText.value = "";
+      
+    } finally {
+      // Проверяем актуальность перед завершением
+      if (thisTranslationId === currentTranslationId) {
+        isTranslating = false;
+        setLoading(false);
+        console.log("🔄 Перевод завершен, ресурсы освобождены");
+      }
+    }
+  }
+
+  /**
+   * Translates text into one target language and fills its translation output.
+   * Errors are kept in the output so other languages continue; only
+   * authorization errors stop the whole translation
+   * @param {string} text - Text to translate (already trimmed)
+   * @param {string} sourceLang - Source language
+   * @param {Object} output - Translation output of the target language
+   * @param {string} customApiUrl - Custom API URL для проксирования
+   * @param {number} translationId - Translation id to detect outdated runs
+   * @param {number} chunkConcurrency - Parallel chunk requests for large texts
+   */
+  async function translateIntoLanguage(text, sourceLang, output, customApiUrl, translationId, chunkConcurrency) {
+    const targetLang = output.langCode;
+    updateOutput(output, { status: "translating" });
 
-      // Проверяем размер текста и разделяем на части если необходимо
+    try {
+      // Проверяем размер текста: большие тексты сервер делит на части
       if (text.length <= CONFIG.CHUNK_SIZE) {
         // Небольшой текст - обычный перевод
-        console.log(`📝 Начинаем перевод небольшого текста (${text.length} символов)`);
-        updateProgress(10);
-        showStaticStatus("Переводим текст...", "info");
-        
-        const translatedText = await translateChunk(text, sourceLang, targetLang, apiUrl, customApiUrl, 3, 0);
-        
+        console.log(`📝 Начинаем перевод небольшого текста на ${targetLang} (${text.length} символов)`);
+        updateOutput(output, { progress: 10, message: "Переводим текст...", messageType: "info" });
+
+        const translatedText = await translateChunk(
+          text, sourceLang, targetLang, CONFIG.DEFAULT_API_URL, customApiUrl, 3, 0, output
+        );
+
         // Проверяем, что это всё ещё актуальный перевод
-        if (thisTranslationId !== currentTranslationId) return;
-        
-        updateProgress(100);
-        elements.outputText.value = translatedText;
-        applyTextDirection(elements.outputText, translatedText);
-        
-        console.log(`🎉 Перевод завершен успешно!`);
-        showStaticStatus(`🎉 Перевод завершен! Переведено ${text.length.toLocaleString()} символов`, "success");
-        
+        if (translationId !== currentTranslationId) return;
+
+        // Небольшой текст - один сегмент для редактора сегментов
+        const state = createChunkedState(sourceLang, targetLang, customApiUrl);
+        state.sources.push(text);
+        state.separators.push("");
+        state.translations.push(translatedText);
+        output.chunked = state;
+
+        console.log(`🎉 Перевод на ${targetLang} завершен успешно!`);
+        updateOutput(output, {
+          text: translatedText,
+          progress: 100,
+          status: "done",
+          message: `🎉 Перевод завершен! Переведено ${text.length.toLocaleString()} символов${formatMemoryStats(output.memoryStats)}${formatGlossaryViolations(output.violations)}`,
+          messageType: "success",
+        });
+
         // Отслеживаем успешный перевод
         if (typeof window !== 'undefined' && window.va) {
           window.va('track', 'Translation Success', {
@@ -688,168 +2007,95 @@ document.addEventListener("DOMContentLoaded", () => {
             targetLang: targetLang
           });
         }
-        
-        // Скрываем прогресс через 2 секунды
-        setTimeout(() => {
-          updateProgress(0, false);
-        }, 2000);
 
-        // Add to history
-        addToHistory(text, translatedText, sourceLang, targetLang);
-        
-      } else {
-        // Большой текст - разделяем на части
-        const chunks = splitTextIntoChunks(text, CONFIG.CHUNK_SIZE);
-        const totalChunks = chunks.length;
-        
-        console.log(`📚 Начинаем перевод большого текста: ${text.length} символов, ${totalChunks} частей`);
-        updateProgress(5);
-        showStaticStatus(`Разделено на ${totalChunks} частей для перевода...`, "info");
-        
-        // Переводим части параллельно (по несколько одновременно)
-        const translatedChunks = [];
-        let completedChunks = 0;
-        let totalErrors = 0;
-        
-        for (let i = 0; i < chunks.length; i += CONFIG.PARALLEL_CHUNKS) {
-          // Проверяем, что это всё ещё актуальный перевод
-          if (thisTranslationId !== currentTranslationId) return;
-          
-          const batch = chunks.slice(i, i + CONFIG.PARALLEL_CHUNKS);
-          const batchStartIndex = i;
-          const batchPromises = batch.map((chunk, localIndex) => 
-            translateChunk(chunk, sourceLang, targetLang, apiUrl, customApiUrl, 3, batchStartIndex + localIndex)
-          );
-          
-          try {
-            console.log(`🔄 Обрабатываем пакет ${Math.floor(i / CONFIG.PARALLEL_CHUNKS) + 1} (части ${i + 1}-${Math.min(i + batch.length, totalChunks)})`);
-            
-            const batchResults = await Promise.all(batchPromises);
-            translatedChunks.push(...batchResults);
-            
-            completedChunks += batch.length;
-            const progress = Math.round((completedChunks / totalChunks) * 100);
-            console.log(`✅ Пакет завершен. Прогресс: ${completedChunks}/${totalChunks} (${progress}%)`);
-            updateProgress(progress);
-            showStaticStatus(`Переведено ${completedChunks}/${totalChunks} частей`, "info");
-            
-            // Обновляем результат по мере перевода
-            const currentResult = translatedChunks.join(' ');
-            elements.outputText.value = currentResult;
-            applyTextDirection(elements.outputText, currentResult);
-            
-          } catch (error) {
-            console.error('❌ Ошибка в пакете:', error);
-            totalErrors++;
-            
-            // Обрабатываем каждую часть в пакете индивидуально
-            showStaticStatus(`⚠️ Ошибка в пакете, обрабатываем части индивидуально...`, "warning");
-            
-            for (let j = 0; j < batch.length; j++) {
-              const chunkIndex = i + j;
-              try {
-                console.log(`🔄 Индивидуальная обработка части ${chunkIndex + 1}/${totalChunks}`);
-                const retryResult = await translateChunk(batch[j], sourceLang, targetLang, apiUrl, customApiUrl, 3, chunkIndex);
-                translatedChunks.push(retryResult);
-                completedChunks++;
-                
-                const progress = Math.round((completedChunks / totalChunks) * 100);
-                updateProgress(progress);
-                showStaticStatus(`Восстановлено: ${completedChunks}/${totalChunks} частей`, "info");
-                
-              } catch (retryError) {
-                console.error(`🚫 Критическая ошибка части ${chunkIndex + 1}:`, retryError);
-                totalErrors++;
-                const errorText = `[❌ Ошибка части ${chunkIndex + 1}: ${retryError.message}]`;
-                translatedChunks.push(errorText);
-                completedChunks++;
-                
-                const progress = Math.round((completedChunks / totalChunks) * 100);
-                updateProgress(progress);
-                showStaticStatus(`⚠️ Часть ${chunkIndex + 1} пропущена из-за ошибки`, "warning");
-              }
-              
-              // Обновляем результат после каждой части
-              const currentResult = translatedChunks.join(' ');
-              elements.outputText.value = currentResult;
-              applyTextDirection(elements.outputText, currentResult);
-            }
-          }
-        }
-        
-        // Финальная проверка актуальности
-        if (thisTranslationId !== currentTranslationId) return;
-        
-        const finalResult = translatedChunks.join(' ');
-        elements.outputText.value = finalResult;
-        applyTextDirection(elements.outputText, finalResult);
-        
-        // Подробная статистика завершения
-        const successfulChunks = totalChunks - totalErrors;
-        const originalLength = text.length;
-        const translatedLength = finalResult.length;
-        
-        console.log(`🎉 ПЕРЕВОД ЗАВЕРШЕН!`);
-        console.log(`📊 Статистика:`);
-        console.log(`   - Исходный текст: ${originalLength.toLocaleString()} символов`);
-        console.log(`   - Переведенный текст: ${translatedLength.toLocaleString()} символов`);
-        console.log(`   - Обработано частей: ${totalChunks}`);
-        console.log(`   - Успешно: ${successfulChunks}`);
-        console.log(`   - Ошибок: ${totalErrors}`);
-        
-        if (totalErrors === 0) {
-          updateProgress(100);
-          showStaticStatus(`🎉 Перевод завершен идеально! ${originalLength.toLocaleString()} символов, ${totalChunks} частей`, "success");
-        } else if (successfulChunks > totalErrors) {
-          updateProgress(100);
-          showStaticStatus(`✅ Завершено с частичными ошибками: ${successfulChunks}/${totalChunks} частей переведено`, "success");
-        } else {
-          updateProgress(100);
-          showStaticStatus(`⚠️ Завершено с ошибками: ${totalErrors} из ${totalChunks} частей`, "warning");
-        }
-        
-        // Скрываем прогресс через 3 секунды
-        setTimeout(() => {
-          updateProgress(0, false);
-        }, 3000);
+        addOutputToHistory(output);
+        return;
+      }
 
-        // Add to history (для больших текстов сохраняем только первые 1000 символов)
-        const historyText = text.length > 1000 ? text.substring(0, 1000) + '...' : text;
-        const historyResult = finalResult.length > 1000 ? finalResult.substring(0, 1000) + '...' : finalResult;
-        addToHistory(historyText, historyResult, sourceLang, targetLang);
+      // Большой текст - сервер делит его на части и возвращает переводы потоком
+      console.log(`📚 Начинаем потоковый перевод большого текста на ${targetLang}: ${text.length} символов`);
+      updateOutput(output, { progress: 5, message: "Отправляем текст на перевод...", messageType: "info" });
+
+      const state = await translateTextStream(text, sourceLang, output, customApiUrl, translationId, chunkConcurrency);
+      const totalChunks = state.sources.length;
+      const totalErrors = state.failed.size;
+
+      // Финальная проверка актуальности
+      if (translationId !== currentTranslationId) return;
+
+      const finalResult = assembleChunkedTranslation(state);
+
+      // Подробная статистика завершения
+      const successfulChunks = totalChunks - totalErrors;
+      const originalLength = text.length;
+      const translatedLength = finalResult.length;
+
+      console.log(`🎉 ПЕРЕВОД НА ${targetLang} ЗАВЕРШЕН!`);
+      console.log(`📊 Статистика:`);
+      console.log(`   - Исходный текст: ${originalLength.toLocaleString()} символов`);
+      console.log(`   - Переведенный текст: ${translatedLength.toLocaleString()} символов`);
+      console.log(`   - Обработано частей: ${totalChunks}`);
+      console.log(`   - Успешно: ${successfulChunks}`);
+      console.log(`   - Ошибок: ${totalErrors}`);
+      console.log(`   - Из памяти переводов: ${output.memoryStats.hits}/${output.memoryStats.lookups}`);
+
+      const summary = formatMemoryStats(output.memoryStats) + formatGlossaryViolations(output.violations);
+      let message;
+      let messageType = "success";
+
+      if (totalErrors === 0) {
+        message = `🎉 Перевод завершен идеально! ${originalLength.toLocaleString()} символов, ${totalChunks} частей${summary}`;
+      } else if (successfulChunks > totalErrors) {
+        message = `✅ Завершено с частичными ошибками: ${successfulChunks}/${totalChunks} частей переведено${summary}`;
+      } else {
+        message = `⚠️ Завершено с ошибками: ${totalErrors} из ${totalChunks} частей${summary}`;
+        messageType = "warning";
       }
 
+      updateOutput(output, { text: finalResult, progress: 100, status: "done", message, messageType });
+
+      addOutputToHistory(output);
+
     } catch (error) {
-      // Проверяем актуальность перевода
-      if (thisTranslationId !== currentTranslationId) return;
-      
-      console.error("🚫 КРИТИЧЕСКАЯ ОШИБКА ПЕРЕВОДА:", error);
-      let errorMessage = `❌ Критическая ошибка: ${error.message}`;
-      
-      if (error instanceof TypeError) {
-        errorMessage = "🌐 Ошибка сети: Не удалось выполнить запрос. Проверьте интернет-соединение.";
-        console.error("🌐 Проблема с сетевым подключением");
-      } else if (error.message.includes("AbortError")) {
-        errorMessage = "⏱️ Превышено время ожидания. Попробуйте разделить текст на меньшие части.";
-        console.error("⏱️ Таймаут операции");
+      // Повтор без авторизации бессмысленен - останавливаем все языки
+      if (error.code === 'UNAUTHORIZED') {
+        throw error;
       }
-      
-      showStatus(errorMessage, "error", true);
-      elements.outputText.value = "";
-      
+
+      // Проверяем актуальность перевода
+      if (translationId !== currentTranslationId) return;
+
+      console.error(`🚫 ОШИБКА ПЕРЕВОДА НА ${targetLang}:`, error);
       console.log("📋 Рекомендации:");
       console.log("   - Проверьте интернет-соединение");
       console.log("   - Попробуйте меньший объем текста");
       console.log("   - Проверьте настройки API");
-      
-    } finally {
-      // Проверяем актуальность перед завершением
-      if (thisTranslationId === currentTranslationId) {
-        isTranslating = false;
-        setLoading(false);
-        console.log("🔄 Перевод завершен, ресурсы освобождены");
-      }
+
+      updateOutput(output, {
+        text: "",
+        progress: 100,
+        status: "error",
+        message: describeTranslationError(error),
+        messageType: "error",
+      });
+    }
+  }
+
+  /**
+   * Builds user-facing message for a failed translation
+   * @param {Error} error - Translation error
+   * @returns {string} Error message
+   */
+  function describeTranslationError(error) {
+    if (error instanceof TypeError) {
+      console.error("🌐 Проблема с сетевым подключением");
+      return "🌐 Ошибка сети: Не удалось выполнить запрос. Проверьте интернет-соединение.";
+    }
+    if (error.message.includes("AbortError")) {
+      console.error("⏱️ Таймаут операции");
+      return "⏱️ Превышено время ожидания. Попробуйте разделить текст на меньшие части.";
     }
+    return `❌ Критическая ошибка: ${error.message}`;
   }
 
   // Auto-translate with debounce
@@ -1053,6 +2299,10 @@ document.addEventListener("DOMContentLoaded", () => {
    * Shows the settings panel
    */
   function showSettingsPanel() {
+    // Глоссарий открываем для текущей пары языков
+    elements.glossarySourceLang.value = elements.sourceLangSelect.value;
+    elements.glossaryTargetLang.value = selectedTargetLanguages[0] || "EN";
+    loadGlossaryEditor();
     elements.settingsPanel.classList.remove("hidden");
   }
 
@@ -1112,7 +2362,7 @@ document.addEventListener("DOMContentLoaded", () => {
     if (savedAuth) {
       try {
         const authData = JSON.parse(savedAuth);
-        if (authData.authenticated && authData.expiresAt > Date.now()) {
+        if (authData.authenticated && authData.token && authData.expiresAt > Date.now()) {
           isAuthenticated = true;
           hideAuthModal();
           return true;
@@ -1158,6 +2408,82 @@ document.addEventListener("DOMContentLoaded", () => {
     document.getElementById('authStep3').classList.add('hidden');
     document.getElementById('authStep4').classList.add('hidden');
     document.getElementById('authError').classList.add('hidden');
+    loadTelegramLoginWidget();
+  }
+
+  /**
+   * Подключает Telegram Login Widget - вход без кода.
+   * Виджет работает только на домене, привязанном к боту командой /setdomain в @BotFather
+   */
+  async function loadTelegramLoginWidget() {
+    if (telegramLoginWidgetLoaded) return;
+    telegramLoginWidgetLoaded = true;
+
+    try {
+      const response = await fetch('/api/auth?action=login');
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const config = await response.json();
+      if (!config.enabled) return;
+
+      // Виджет вызывает глобальную функцию, имя которой указано в data-onauth
+      window.onTelegramAuth = handleTelegramLogin;
+
+      const script = document.createElement('script');
+      script.async = true;
+      script.src = 'https://telegram.org/js/telegram-widget.js?22';
+      script.setAttribute('data-telegram-login', config.botUsername);
+      script.setAttribute('data-size', 'large');
+      script.setAttribute('data-radius', '8');
+      // Разрешение писать пользователю: бот сообщит об одобрении доступа
+      script.setAttribute('data-request-access', 'write');
+      script.setAttribute('data-onauth', 'onTelegramAuth(user)');
+
+      document.getElementById('telegramLoginWidget').appendChild(script);
+      document.getElementById('telegramLoginSection').classList.remove('hidden');
+    } catch (error) {
+      // Вход по коду остается доступным
+      telegramLoginWidgetLoaded = false;
+      console.error('Ошибка загрузки Telegram Login Widget:', error);
+    }
+  }
+
+  /**
+   * Отправляет данные Telegram Login Widget на проверку.
+   * Одобренный пользователь входит сразу, остальные ждут одобрения администратора
+   * @param {Object} user - данные виджета вместе с auth_date и hash
+   */
+  async function handleTelegramLogin(user) {
+    clearAuthCheckInterval();
+
+    try {
+      const response = await fetch('/api/auth?action=login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(user)
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        showAuthError(data.message || `Не удалось войти через Telegram (HTTP ${response.status})`);
+        return;
+      }
+
+      currentSessionId = data.sessionId;
+
+      if (data.status === 'approved') {
+        completeAuth(data);
+      } else {
+        // Запрос отправлен администратору: ждем решения так же, как при входе по коду
+        startAuthCheck();
+      }
+    } catch (error) {
+      console.error('Ошибка входа через Telegram:', error);
+      showAuthError('Не удалось войти через Telegram. Попробуйте позже или получите код авторизации.');
+    }
   }
 
   /**
@@ -1250,26 +2576,13 @@ document.addEventListener("DOMContentLoaded", () => {
 
       if (data.status === 'approved') {
         clearAuthCheckInterval();
-        
-        // Сохраняем авторизацию
-        const authData = {
-          authenticated: true,
-          expiresAt: Date.now() + (3 * 24 * 60 * 60 * 1000), // 3 дня
-          userInfo: data.userInfo
-        };
-        localStorage.setItem('translateai_auth', JSON.stringify(authData));
-        
-        isAuthenticated = true;
-        showAuthStep(4);
-        
-        // Отслеживаем успешную авторизацию
-        if (typeof window !== 'undefined' && window.va) {
-          window.va('track', 'Auth Success');
-        }
-        
+        completeAuth(data);
       } else if (data.status === 'rejected') {
         clearAuthCheckInterval();
         showAuthError('Доступ отклонен администратором. Обратитесь к администратору для получения доступа.');
+      } else if (data.status === 'banned' || data.status === 'revoked') {
+        clearAuthCheckInterval();
+        showAuthError(`${data.message}. Обратитесь к администратору для получения доступа.`);
       }
 
     } catch (error) {
@@ -1286,6 +2599,28 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  /**
+   * Сохраняет одобренную авторизацию вместе с токеном для запросов к API
+   * @param {Object} data - ответ /api/auth со статусом approved
+   */
+  function completeAuth(data) {
+    const authData = {
+      authenticated: true,
+      token: data.token,
+      expiresAt: data.expiresAt,
+      userInfo: data.userInfo
+    };
+    localStorage.setItem('translateai_auth', JSON.stringify(authData));
+
+    isAuthenticated = true;
+    showAuthStep(4);
+
+    // Отслеживаем успешную авторизацию
+    if (typeof window !== 'undefined' && window.va) {
+      window.va('track', 'Auth Success');
+    }
+  }
+
   /**
    * Показывает сообщение о таймауте авторизации
    */
@@ -1392,6 +2727,46 @@ document.addEventListener("DOMContentLoaded", () => {
     startAuth();
   }
 
+  /**
+   * Возвращает сохраненный токен сессии
+   */
+  function getAuthToken() {
+    try {
+      const authData = JSON.parse(localStorage.getItem('translateai_auth'));
+      return authData?.token || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Выполняет запрос к API с токеном авторизации.
+   * При ответе 401 сбрасывает авторизацию и показывает окно входа
+   */
+  async function authorizedFetch(url, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    const token = getAuthToken();
+
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const response = await fetch(url, { ...options, headers });
+
+    if (response.status === 401) {
+      localStorage.removeItem('translateai_auth');
+      isAuthenticated = false;
+      showAuthModal();
+
+      const result = await response.json().catch(() => ({}));
+      const error = new Error(result.message || 'Требуется авторизация');
+      error.code = 'UNAUTHORIZED';
+      throw error;
+    }
+
+    return response;
+  }
+
   /**
    * Проверяет, авторизован ли пользователь перед переводом
    */
@@ -1581,8 +2956,18 @@ document.addEventListener("DOMContentLoaded", () => {
     }
     
     // Проверяем тип
-    const allowedTypes = ['.pdf', '.doc', '.docx', '.txt', '.rtf'];
-    const extension = '.' + file.name.split('.').pop().toLowerCase();
+    const allowedTypes = [
+      '.pdf', '.doc', '.docx', '.txt', '.rtf',
+      // Электронные книги
+      '.epub',
+      // Файлы локализации
+      '.json', '.arb', '.yaml', '.yml', '.po', '.pot', '.xlf', '.xliff', '.xml', '.strings',
+      // Субтитры
+      '.srt', '.vtt',
+      // Таблицы
+      ...CONFIG.SPREADSHEET_EXTENSIONS
+    ];
+    const extension = getFileExtension(file.name);
     
     if (!allowedTypes.includes(extension)) {
       showStatus(`Неподдерживаемый тип файла: ${file.name}`, 'error');
@@ -1606,11 +2991,42 @@ document.addEventListener("DOMContentLoaded", () => {
       targetLangs: [...selectedTargetLanguages],
       addedAt: Date.now()
     };
+
+    // Таблицы: столбцы для перевода выбираются в очереди после загрузки файла
+    if (CONFIG.SPREADSHEET_EXTENSIONS.includes(getFileExtension(file.name))) {
+      queueItem.spreadsheet = { columns: null, selected: [], layout: 'columns', error: null };
+      loadSpreadsheetColumns(queueItem);
+    }
     
     documentQueue.push(queueItem);
     console.log(`📄 Добавлен файл в очередь: ${file.name}`);
   }
 
+  /**
+   * Загружает таблицу на сервер и получает список ее столбцов
+   * По умолчанию выбраны столбцы, которые сервер определил как текстовые
+   */
+  async function loadSpreadsheetColumns(queueItem) {
+    try {
+      const result = await uploadDocumentFile(queueItem);
+      queueItem.spreadsheet.columns = result.columns || [];
+      queueItem.spreadsheet.selected = queueItem.spreadsheet.columns
+        .filter(column => column.textual)
+        .map(column => column.id);
+    } catch (error) {
+      console.error(`Ошибка чтения таблицы ${queueItem.fileName}:`, error);
+      queueItem.spreadsheet.error = error.message;
+    }
+    updateQueueDisplay();
+  }
+
+  /**
+   * Расширение файла с точкой в нижнем регистре: ".xlsx"
+   */
+  function getFileExtension(fileName) {
+    return '.' + fileName.split('.').pop().toLowerCase();
+  }
+
   /**
    * Обновляет отображение очереди
    */
@@ -1661,10 +3077,70 @@ document.addEventListener("DOMContentLoaded", () => {
         <span>${item.targetLangs.length} языков</span>
       </div>
     `;
+
+    if (item.spreadsheet && item.status === 'pending') {
+      div.appendChild(createSpreadsheetOptionsElement(item));
+    }
     
     return div;
   }
 
+  /**
+   * Выбор столбцов таблицы и вида результата для элемента очереди
+   */
+  function createSpreadsheetOptionsElement(item) {
+    const options = item.spreadsheet;
+    const container = document.createElement('div');
+    container.className = 'queue-item-columns';
+
+    if (options.error) {
+      container.textContent = `Не удалось прочитать таблицу: ${options.error}`;
+      container.classList.add('status-error');
+      return container;
+    }
+    if (!options.columns) {
+      container.textContent = 'Чтение столбцов...';
+      return container;
+    }
+
+    // Имена столбцов берутся из файла - выводим только через textContent
+    options.columns.forEach(column => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = options.selected.includes(column.id);
+      checkbox.addEventListener('change', () => {
+        options.selected = checkbox.checked
+          ? [...options.selected, column.id]
+          : options.selected.filter(id => id !== column.id);
+      });
+      const name = document.createElement('span');
+      name.textContent = column.sheet ? `${column.sheet}: ${column.name}` : column.name;
+      name.title = column.id;
+      label.append(checkbox, name);
+      container.appendChild(label);
+    });
+
+    const layout = document.createElement('select');
+    layout.className = 'queue-item-layout';
+    const layouts = {
+      columns: 'Добавить столбцы с переводом',
+      file: 'Заменить текст в копии файла'
+    };
+    if (getFileExtension(item.fileName) === '.xlsx') {
+      layouts.sheets = 'Переведенная копия листа';
+    }
+    Object.entries(layouts).forEach(([value, text]) => {
+      layout.add(new Option(text, value, false, value === options.layout));
+    });
+    layout.addEventListener('change', () => {
+      options.layout = layout.value;
+    });
+    container.appendChild(layout);
+
+    return container;
+  }
+
   /**
    * Обновляет отображение завершенных документов
    */
@@ -1695,24 +3171,44 @@ document.addEventListener("DOMContentLoaded", () => {
    */
   function createCompletedItemElement(item) {
     const div = document.createElement('div');
+    // Текст ошибки приходит от сервиса перевода
+    const escape = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
     div.className = 'completed-item';
     
     div.innerHTML = `
       <div class="document-result-header">
         <div class="queue-item-title">${item.fileName}</div>
-        <div class="text-green-400 text-sm">${item.results.length} переводов</div>
+        <div class="text-green-400 text-sm">${item.results.filter(result => result.status === 'completed').length} переводов</div>
       </div>
       <div class="space-y-2">
-        ${item.results.map(result => `
+        ${item.results.map(result => result.status === 'failed' ? `
           <div class="flex justify-between items-center">
             <span class="text-sm text-gray-300">${languages[result.langCode]}</span>
-            <button 
-              class="download-button" 
-              onclick="downloadDocument('${item.taskId}', '${result.langCode}')"
-            >
-              <i data-lucide="download" class="w-3 h-3 mr-1"></i>
-              Скачать
-            </button>
+            <span class="text-xs text-red-400">${escape(result.error || 'Ошибка перевода')}</span>
+          </div>
+        ` : `
+          <div class="flex justify-between items-center">
+            <span class="text-sm text-gray-300">
+              ${languages[result.langCode]}
+              ${result.glossaryViolations?.length ? `<span class="text-xs text-yellow-400 ml-1">⚠️ глоссарий: ${result.glossaryViolations.length}</span>` : ''}
+            </span>
+            <div class="flex gap-2">
+              <button 
+                class="download-button" 
+                onclick="downloadDocument('${item.taskId}', '${result.langCode}')"
+              >
+                <i data-lucide="download" class="w-3 h-3 mr-1"></i>
+                Скачать
+              </button>
+              <button 
+                class="download-button secondary" 
+                title="Исходный текст и перевод рядом"
+                onclick="downloadDocument('${item.taskId}', '${result.langCode}', 'bilingual')"
+              >
+                <i data-lucide="columns-2" class="w-3 h-3 mr-1"></i>
+                Двуязычный
+              </button>
+            </div>
           </div>
         `).join('')}
       </div>
@@ -1743,12 +3239,24 @@ document.addEventListener("DOMContentLoaded", () => {
     updateBatchControls();
     
     console.log(`🚀 Начинаем пакетную обработку: ${documentQueue.length} документов`);
+
+    // Память переводов на сервере: сколько абзацев не пришлось переводить заново
+    const batchMemoryStats = { lookups: 0, hits: 0 };
+    const batchViolations = [];
     
     for (const queueItem of [...documentQueue]) {
       if (!isProcessingBatch) break;
       
       try {
         await processDocument(queueItem);
+
+        (queueItem.results || []).forEach(result => {
+          if (result.memory) {
+            batchMemoryStats.lookups += result.memory.segments;
+            batchMemoryStats.hits += result.memory.hits;
+          }
+          addGlossaryViolations(batchViolations, result.glossaryViolations);
+        });
       } catch (error) {
         console.error(`Ошибка обработки ${queueItem.fileName}:`, error);
         queueItem.status = 'error';
@@ -1763,7 +3271,7 @@ document.addEventListener("DOMContentLoaded", () => {
     
     isProcessingBatch = false;
     updateBatchControls();
-    showStatus('Пакетная обработка завершена', 'success');
+    showStatus(`Пакетная обработка завершена${formatMemoryStats(batchMemoryStats)}${formatGlossaryViolations(batchViolations)}`, 'success');
   }
 
   /**
@@ -1806,22 +3314,59 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  /**
+   * Загружает файл документа на сервер и запоминает его fileId
+   * @returns {Promise<Object>} ответ сервера: fileId, fileType, columns для таблиц
+   */
+  async function uploadDocumentFile(queueItem) {
+    const formData = new FormData();
+    formData.append('file', queueItem.file, queueItem.fileName);
+
+    const response = await authorizedFetch('/api/documents?action=upload', {
+      method: 'POST',
+      body: formData
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || result.error || `Ошибка загрузки файла (HTTP ${response.status})`);
+    }
+
+    queueItem.fileId = result.fileId;
+    return result;
+  }
+
   /**
    * Отправляет документ на обработку
    */
   async function uploadAndProcessDocument(queueItem) {
-    // В реальном приложении здесь была бы загрузка файла
-    // Пока используем mock данные
-    
-    const response = await fetch('/api/documents?action=process', {
+    const spreadsheet = queueItem.spreadsheet;
+    if (spreadsheet?.columns && spreadsheet.selected.length === 0) {
+      throw new Error('Выберите хотя бы один столбец таблицы для перевода');
+    }
+
+    // Таблица уже загружена при добавлении в очередь, чтобы получить список столбцов
+    const fileId = queueItem.fileId || (await uploadDocumentFile(queueItem)).fileId;
+
+    const response = await authorizedFetch('/api/documents?action=process', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        fileId: queueItem.id,
+        fileId,
         fileName: queueItem.fileName,
         fileSize: queueItem.fileSize,
         sourceLang: elements.sourceLangSelect.value,
-        targetLangs: queueItem.targetLangs
+        targetLangs: queueItem.targetLangs,
+        glossaries: Object.fromEntries(
+          queueItem.targetLangs
+            .map(langCode => [langCode, getGlossary(elements.sourceLangSelect.value, langCode)])
+            .filter(([, glossary]) => glossary)
+        ),
+        mergeCues: elements.mergeCuesToggle.checked,
+        ...(spreadsheet?.columns && {
+          spreadsheet: { columns: spreadsheet.selected, layout: spreadsheet.layout }
+        })
       })
     });
     
@@ -1840,7 +3385,7 @@ document.addEventListener("DOMContentLoaded", () => {
   async function trackDocumentProgress(queueItem) {
     const checkInterval = setInterval(async () => {
       try {
-        const response = await fetch(`/api/documents?action=status&taskId=${queueItem.taskId}`);
+        const response = await authorizedFetch(`/api/documents?action=status&taskId=${queueItem.taskId}`);
         const result = await response.json();
         
         if (result.success) {
@@ -1851,7 +3396,8 @@ document.addEventListener("DOMContentLoaded", () => {
           if (task.status === 'completed') {
             queueItem.results = task.results;
             clearInterval(checkInterval);
-          } else if (task.status === 'error') {
+          } else if (task.status === 'failed') {
+            queueItem.status = 'error';
             queueItem.error = task.error;
             clearInterval(checkInterval);
             throw new Error(task.error || 'Ошибка обработки');
@@ -1937,11 +3483,13 @@ document.addEventListener("DOMContentLoaded", () => {
   /**
    * Скачивает переведенный документ
    */
-  async function downloadDocument(taskId, langCode) {
+  async function downloadDocument(taskId, langCode, layout = 'translation') {
     try {
       showStatus(`Подготовка загрузки ${languages[langCode]} версии...`, 'info');
       
-      const response = await fetch(`/api/documents?action=download&taskId=${taskId}&langCode=${langCode}`);
+      // bilingual - исходный текст и перевод рядом (DOCX для документов Word, иначе TXT)
+      const layoutParam = layout === 'bilingual' ? '&layout=bilingual' : '';
+      const response = await authorizedFetch(`/api/documents?action=download&taskId=${taskId}&langCode=${langCode}${layoutParam}`);
       
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({ error: 'Неизвестная ошибка' }));
@@ -2027,6 +3575,7 @@ document.addEventListener("DOMContentLoaded", () => {
   // Initialize core app components
   populateLanguages();
   setupSettings();
+  setupGlossary();
   loadHistory();
   loadSelectedLanguages(); // Load saved target languages
   updateCharCount(); // Initialize character counter
@@ -2106,10 +3655,20 @@ document.addEventListener("DOMContentLoaded", () => {
     showStatus('Обработка приостановлена', 'info');
   });
   elements.clearQueueButton.addEventListener('click', clearDocumentQueue);
+  elements.mergeCuesToggle.addEventListener('change', () => {
+    localStorage.setItem('subtitleMergeCues', elements.mergeCuesToggle.checked);
+  });
 
   // Button event listeners
   elements.swapButton.addEventListener("click", swapLanguagesWithAnimation);
   elements.copyButton.addEventListener("click", copyToClipboard);
+  elements.retryFailedButton.addEventListener("click", retryFailedChunks);
+  elements.segmentEditorButton.addEventListener("click", showSegmentEditor);
+  elements.closeSegmentEditorButton.addEventListener("click", hideSegmentEditor);
+  elements.exportSegmentsTxtButton.addEventListener("click", () => exportSegments("txt"));
+  elements.exportSegmentsCsvButton.addEventListener("click", () => exportSegments("csv"));
+  elements.exportBilingualTxtButton.addEventListener("click", () => exportSegments("bilingual-txt"));
+  elements.exportBilingualHtmlButton.addEventListener("click", () => exportSegments("bilingual-html"));
 
   // Auth event listeners
   document.getElementById('startAuthButton').addEventListener('click', startAuth);
@@ -2125,6 +3684,7 @@ document.addEventListener("DOMContentLoaded", () => {
   elements.closeHistoryButton.addEventListener("click", hideHistoryPanel);
   elements.closeSettingsButton.addEventListener("click", hideSettingsPanel);
   elements.clearHistoryButton.addEventListener("click", clearHistory);
+  elements.purgeMemoryButton.addEventListener("click", purgeTranslationMemory);
 
   // Auto-translate triggers
   elements.inputText.addEventListener("input", () => {
@@ -2137,6 +3697,10 @@ document.addEventListener("DOMContentLoaded", () => {
     // Save source language selection
     localStorage.setItem("deeplxSourceLang", elements.sourceLangSelect.value);
   });
+  elements.inputFormatSelect.addEventListener("change", () => {
+    localStorage.setItem("inputFormat", elements.inputFormatSelect.value);
+    scheduleAutoTranslate();
+  });
   // Target language changes now handled by multi-language selection
 
   // Panel management - close when clicking outside
@@ -2152,14 +3716,22 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   });
 
+  elements.segmentEditorPanel.addEventListener("click", (e) => {
+    if (e.target === elements.segmentEditorPanel) {
+      hideSegmentEditor();
+    }
+  });
+
   // Keyboard shortcuts
   document.addEventListener("keydown", (e) => {
-    if (e.ctrlKey && e.key === "Enter") {
+    // В редакторе сегментов Ctrl+Enter подтверждает сегмент, а не запускает новый перевод
+    if (e.ctrlKey && e.key === "Enter" && !segmentEditorOutput) {
       translateText();
     }
     if (e.key === "Escape") {
       hideHistoryPanel();
       hideSettingsPanel();
+      hideSegmentEditor();
     }
   });
 });
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { translateAndroidStrings, extractAndroidStringsText } from '../api/_lib/formats/android-strings.js';
+
+const upperCase = async texts => texts.map(text => text.toUpperCase());
+
+test('<string-array> перед <string> не читается как <string>', async () => {
+  const xml = [
+    '<resources>',
+    '  <string-array name="planets">',
+    '    <item>Mercury</item>',
+    '    <item>Venus</item>',
+    '  </string-array>',
+    '  <string name="title">Solar system</string>',
+    '</resources>'
+  ].join('\n');
+
+  assert.equal(extractAndroidStringsText(Buffer.from(xml)), 'Mercury\nVenus\nSolar system');
+
+  const { buffer } = await translateAndroidStrings(Buffer.from(xml), upperCase, { targetLang: 'DE' });
+  assert.equal(buffer.toString(), xml
+    .replace('Mercury', 'MERCURY')
+    .replace('Venus', 'VENUS')
+    .replace('Solar system', 'SOLAR SYSTEM'));
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupEnv, call, mockFetch } from './helpers.js';
+
+setupEnv();
+const requests = mockFetch(() => ({ ok: true, result: {} }));
+const { default: auth } = await import('../api/auth.js');
+
+const webhookHeaders = { 'x-telegram-bot-api-secret-token': 'webhook-secret' };
+
+function webhook(body, headers = webhookHeaders) {
+  return call(auth, { method: 'POST', query: { action: 'webhook' }, headers, body });
+}
+
+function telegramCalls(method) {
+  return requests.filter(request => request.url.endsWith(`/${method}`));
+}
+
+async function startSession() {
+  const started = await call(auth, { method: 'POST', query: { action: 'start' } });
+  return started.body;
+}
+
+test('вебхук без секрета или с неверным секретом отклоняется', async () => {
+  requests.length = 0;
+  const update = { update_id: 100, message: { chat: { id: 111 }, from: { id: 111, first_name: 'Alice' }, text: '/start' } };
+
+  assert.equal((await webhook(update, {})).statusCode, 403);
+  assert.equal((await webhook(update, { 'x-telegram-bot-api-secret-token': 'wrong-secret' })).statusCode, 403);
+  assert.equal(requests.length, 0);
+
+  // Отклоненные обновления не отмечаются обработанными
+  assert.equal((await webhook(update)).statusCode, 200);
+  assert.equal(telegramCalls('sendMessage').length, 1);
+});
+
+test('callback одобрения не из чата администратора не меняет сессию', async () => {
+  const { sessionId, authCode } = await startSession();
+  await webhook({ update_id: 200, message: { chat: { id: 111 }, from: { id: 111, first_name: 'Alice' }, text: authCode } });
+
+  requests.length = 0;
+  await webhook({
+    update_id: 201,
+    callback_query: { id: 'q1', from: { id: 111 }, data: `approve_${sessionId}`, message: { chat: { id: 111 }, message_id: 1 } }
+  });
+
+  const answers = telegramCalls('answerCallbackQuery');
+  assert.equal(answers.length, 1);
+  assert.match(answers[0].body.text, /Только администратор/);
+
+  const checked = await call(auth, { query: { action: 'check', sessionId } });
+  assert.equal(checked.body.status, 'pending_approval');
+  assert.equal(checked.body.token, undefined);
+});
+
+test('повтор update_id не обрабатывается второй раз', async () => {
+  const { sessionId, authCode } = await startSession();
+  await webhook({ update_id: 300, message: { chat: { id: 222 }, from: { id: 222, first_name: 'Bob' }, text: authCode } });
+
+  const approve = {
+    update_id: 301,
+    callback_query: { id: 'q2', from: { id: 999 }, data: `approve_${sessionId}`, message: { chat: { id: 999 }, message_id: 2 } }
+  };
+  await webhook(approve);
+
+  requests.length = 0;
+  assert.equal((await webhook(approve)).statusCode, 200);
+  assert.equal(requests.length, 0);
+
+  const checked = await call(auth, { query: { action: 'check', sessionId } });
+  assert.equal(checked.body.status, 'approved');
+});
+
+test('одновременные доставки одного обновления обрабатываются один раз', async () => {
+  requests.length = 0;
+  const update = { update_id: 400, message: { chat: { id: 333 }, from: { id: 333, first_name: 'Carol' }, text: '/start' } };
+
+  const responses = await Promise.all(Array.from({ length: 5 }, () => webhook(update)));
+  assert.ok(responses.every(response => response.statusCode === 200));
+  assert.equal(telegramCalls('sendMessage').length, 1);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker } from '../api/_lib/circuit-breaker.js';
+
+console.log = () => {};
+
+const ENDPOINT = 'https://a.example/translate';
+
+function openBreaker() {
+  const breaker = new CircuitBreaker({ failureThreshold: 2, cooldown: 1000 });
+  breaker.recordFailure(ENDPOINT);
+  breaker.recordFailure(ENDPOINT);
+  // Пауза закончилась
+  breaker.getState(ENDPOINT).openedUntil = Date.now() - 1;
+  return breaker;
+}
+
+test('после паузы уходит только один пробный запрос', () => {
+  const breaker = openBreaker();
+
+  assert.equal(breaker.isAvailable(ENDPOINT), true);
+  assert.equal(breaker.acquire(ENDPOINT), true);
+
+  // Одновременные запросы не получают endpoint, пока проба не завершена
+  assert.equal(breaker.isAvailable(ENDPOINT), false);
+  assert.equal(breaker.acquire(ENDPOINT), false);
+
+  breaker.recordSuccess(ENDPOINT);
+  assert.equal(breaker.acquire(ENDPOINT), true);
+  assert.equal(breaker.acquire(ENDPOINT), true);
+});
+
+test('неудачная проба снова выключает endpoint', () => {
+  const breaker = openBreaker();
+  assert.equal(breaker.acquire(ENDPOINT), true);
+  breaker.recordFailure(ENDPOINT);
+  assert.equal(breaker.isAvailable(ENDPOINT), false);
+});
+
+test('зависшая проба освобождается через cooldown', () => {
+  const breaker = openBreaker();
+  assert.equal(breaker.acquire(ENDPOINT), true);
+  breaker.getState(ENDPOINT).probeUntil = Date.now() - 1;
+  assert.equal(breaker.acquire(ENDPOINT), true);
+});
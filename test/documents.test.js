@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupEnv, call, multipart, authHeader, mockFetch, deeplxResponse } from './helpers.js';
+
+setupEnv();
+mockFetch();
+const { default: documents } = await import('../api/documents.js');
+
+async function upload(uid, text = 'Hello world') {
+  const body = multipart('notes.txt', text);
+  const res = await call(documents, {
+    method: 'POST',
+    query: { action: 'upload' },
+    headers: { ...body.headers, ...(await authHeader(uid)) },
+    raw: body.raw
+  });
+  assert.equal(res.statusCode, 200);
+  return res.body.fileId;
+}
+
+async function waitForTask(taskId, headers) {
+  let task;
+  for (let attempt = 0; attempt < 100; attempt++) {
+    task = (await call(documents, { query: { action: 'status', taskId }, headers })).body.task;
+    if (task.status === 'completed' || task.status === 'failed') break;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return task;
+}
+
+test('идентификаторы файлов непредсказуемы', async () => {
+  const fileId = await upload(1);
+  assert.match(fileId, /^file_[0-9a-f]{32}$/);
+});
+
+test('чужой файл нельзя отправить на перевод', async () => {
+  const fileId = await upload(1);
+  const res = await call(documents, {
+    method: 'POST',
+    query: { action: 'process' },
+    headers: await authHeader(2),
+    body: { fileId, targetLangs: ['DE'] }
+  });
+  assert.equal(res.statusCode, 404);
+});
+
+test('статус и скачивание чужой задачи недоступны', async () => {
+  const fileId = await upload(1);
+  const started = await call(documents, {
+    method: 'POST',
+    query: { action: 'process' },
+    headers: await authHeader(1),
+    body: { fileId, targetLangs: ['DE'] }
+  });
+  assert.equal(started.statusCode, 200);
+  const { taskId } = started.body;
+  assert.match(taskId, /^task_[0-9a-f]{32}$/);
+
+  const own = await call(documents, { query: { action: 'status', taskId }, headers: await authHeader(1) });
+  assert.equal(own.statusCode, 200);
+
+  const foreignStatus = await call(documents, { query: { action: 'status', taskId }, headers: await authHeader(2) });
+  assert.equal(foreignStatus.statusCode, 404);
+
+  const foreignDownload = await call(documents, {
+    query: { action: 'download', taskId, langCode: 'DE' },
+    headers: await authHeader(2)
+  });
+  assert.equal(foreignDownload.statusCode, 404);
+});
+
+test('неудачный перевод завершает задачу ошибкой, а не текстом-заглушкой', async () => {
+  const headers = await authHeader(1);
+  // Текст, которого нет в памяти переводов
+  const fileId = await upload(1, 'Nobody translated this yet');
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async () => ({
+    ok: false,
+    status: 400,
+    statusText: 'Bad Request',
+    headers: new Map(),
+    json: async () => ({ message: 'bad request' })
+  });
+
+  try {
+    const started = await call(documents, { method: 'POST', query: { action: 'process' }, headers, body: { fileId, targetLangs: ['DE'] } });
+    const { taskId } = started.body;
+
+    const task = await waitForTask(taskId, headers);
+
+    assert.equal(task.status, 'failed');
+    assert.match(task.error, /Ошибка перевода/);
+    assert.equal(task.results[0].status, 'failed');
+    assert.equal(task.results[0].translatedText, undefined);
+
+    const download = await call(documents, { query: { action: 'download', taskId, langCode: 'DE' }, headers });
+    assert.equal(download.statusCode, 404);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+});
+
+test('документы переводятся через резервный endpoint из DEEPLX_API_URL', async () => {
+  const headers = await authHeader(1);
+  const fileId = await upload(1, 'Only the backup endpoint answers');
+  const originalFetch = globalThis.fetch;
+  process.env.DEEPLX_API_URL = 'https://primary.example/translate,https://backup.example/translate';
+  const calls = mockFetch((url, request) => {
+    if (url.startsWith('https://primary.example')) throw new Error('connect ECONNREFUSED');
+    return deeplxResponse(url, request);
+  });
+
+  try {
+    const started = await call(documents, { method: 'POST', query: { action: 'process' }, headers, body: { fileId, targetLangs: ['DE'] } });
+    const task = await waitForTask(started.body.taskId, headers);
+
+    assert.equal(task.status, 'completed');
+    assert.deepEqual(calls.map(({ url }) => url), ['https://primary.example/translate', 'https://backup.example/translate']);
+    assert.ok(calls.every(({ url }) => !url.includes('dplx.xi-xu.me')));
+  } finally {
+    delete process.env.DEEPLX_API_URL;
+    globalThis.fetch = originalFetch;
+  }
+});
+
+test('XML файлы направляются по корневому элементу, а не все в ресурсы Android', async () => {
+  const headers = await authHeader(1);
+  const fileTypes = [];
+
+  for (const xml of ['<resources><string name="a">Hi</string></resources>', '<xliff version="1.2"/>', '<note><body>Hi</body></note>']) {
+    const body = multipart('upload.xml', xml, 'application/xml');
+    const res = await call(documents, {
+      method: 'POST',
+      query: { action: 'upload' },
+      headers: { ...body.headers, ...headers },
+      raw: body.raw
+    });
+    fileTypes.push(res.body.fileType);
+  }
+
+  assert.deepEqual(fileTypes, ['android', 'xliff', 'xml']);
+});
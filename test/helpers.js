@@ -0,0 +1,113 @@
+/**
+ * Общие заготовки для тестов обработчиков api/*.js: запрос и ответ в стиле Vercel,
+ * multipart тело и токен сессии
+ */
+
+import { Readable } from 'stream';
+import { mkdtempSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Настраивает окружение до импорта обработчиков: CONFIG читается при загрузке модулей
+ */
+export function setupEnv(overrides = {}) {
+  const storageDir = mkdtempSync(path.join(os.tmpdir(), 'translateai-test-'));
+  Object.assign(process.env, {
+    STORAGE_DRIVER: 'file',
+    STORAGE_DIR: storageDir,
+    SESSION_TOKEN_SECRET: 'test-secret',
+    TELEGRAM_BOT_TOKEN: '123:abc',
+    TELEGRAM_ADMIN_CHAT_ID: '999',
+    TELEGRAM_WEBHOOK_SECRET: 'webhook-secret',
+    ...overrides
+  });
+
+  // Журнал обработчиков (эмодзи, прогресс) смешивается с выводом node --test; TEST_VERBOSE=1 включает его
+  if (!process.env.TEST_VERBOSE) {
+    console.log = console.warn = console.error = () => {};
+  }
+
+  return storageDir;
+}
+
+export function mockReq({ method = 'GET', query = {}, headers = {}, body, raw } = {}) {
+  const req = Readable.from(raw ? [raw] : []);
+  Object.assign(req, { method, query, headers });
+  if (body !== undefined) req.body = body;
+  return req;
+}
+
+export function mockRes() {
+  const res = { statusCode: 200, headers: {}, body: undefined };
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = body => { res.body = body; return res; };
+  res.send = body => { res.body = body; return res; };
+  res.end = body => { res.body = body; return res; };
+  return res;
+}
+
+/**
+ * Вызывает обработчик и возвращает ответ
+ */
+export async function call(handler, request) {
+  const res = mockRes();
+  await handler(mockReq(request), res);
+  return res;
+}
+
+export function multipart(fileName, data, contentType = 'text/plain') {
+  const boundary = '----test' + Date.now();
+  const raw = Buffer.concat([
+    Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${fileName}"\r\n` +
+      `Content-Type: ${contentType}\r\n\r\n`
+    ),
+    Buffer.from(data),
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ]);
+  return { raw, headers: { 'content-type': `multipart/form-data; boundary=${boundary}` } };
+}
+
+/**
+ * Заголовок Authorization с токеном пользователя Telegram
+ */
+export async function authHeader(uid) {
+  const { createSessionToken } = await import('../api/_lib/session-token.js');
+  const token = createSessionToken({
+    sid: `sess_test_${uid}`,
+    uid,
+    iat: Date.now(),
+    exp: Date.now() + 60 * 60 * 1000
+  });
+  return { authorization: `Bearer ${token}` };
+}
+
+/**
+ * Ответ DeepLX: перевод - исходный текст с префиксом целевого языка
+ */
+export function deeplxResponse(url, request) {
+  if (!request?.text) return { ok: true };
+  return { code: 200, data: `${request.target_lang}: ${request.text}` };
+}
+
+/**
+ * Подменяет fetch: запросы записываются, ответ строит respond(url, body, options)
+ */
+export function mockFetch(respond = deeplxResponse) {
+  const calls = [];
+  globalThis.fetch = async (url, options = {}) => {
+    const request = options.body ? JSON.parse(options.body) : undefined;
+    calls.push({ url: String(url), options, body: request });
+    const body = await respond(String(url), request, options);
+    return {
+      ok: true,
+      status: 200,
+      headers: new Map(),
+      json: async () => body,
+      text: async () => JSON.stringify(body)
+    };
+  };
+  return calls;
+}
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupEnv, call, authHeader, mockFetch } from './helpers.js';
+
+setupEnv();
+// Ответ подходит DeepLX и LibreTranslate
+const requests = mockFetch((url, request) => ({ code: 200, data: `DE: ${request.text}`, translatedText: `DE: ${request.q}` }));
+const { default: translate } = await import('../api/translate.js');
+const { default: memory } = await import('../api/memory.js');
+
+async function translateText(uid, body) {
+  return call(translate, { method: 'POST', headers: await authHeader(uid), body: { target_lang: 'DE', ...body } });
+}
+
+test('перевод с собственного api_url не сохраняется в общую память', async () => {
+  const custom = await translateText(1, { text: 'Custom endpoint', api_url: 'https://own.example/translate' });
+  assert.equal(custom.statusCode, 200);
+  assert.equal(custom.body.endpoint, 'https://own.example/translate');
+
+  requests.length = 0;
+  const again = await translateText(2, { text: 'Custom endpoint' });
+  assert.equal(again.body.cached, false);
+  assert.equal(requests.length, 1);
+});
+
+test('память переводов разделена по провайдерам', async () => {
+  await translateText(1, { text: 'Shared segment' });
+  const repeated = await translateText(1, { text: 'Shared segment' });
+  assert.equal(repeated.body.cached, true);
+
+  requests.length = 0;
+  const otherProvider = await translateText(1, { text: 'Shared segment', provider: 'libretranslate' });
+  assert.equal(otherProvider.statusCode, 200);
+  assert.equal(otherProvider.body.cached, false);
+  assert.equal(requests[0].url, 'https://libretranslate.com/translate');
+});
+
+test('очистить общую память может только администратор', async () => {
+  const stats = await call(memory, { method: 'GET', headers: await authHeader(1) });
+  assert.equal(stats.statusCode, 200);
+  assert.equal(stats.body.entries, 3);
+
+  const forbidden = await call(memory, { method: 'DELETE', headers: await authHeader(1) });
+  assert.equal(forbidden.statusCode, 403);
+  assert.equal((await call(memory, { method: 'GET', headers: await authHeader(1) })).body.entries, 3);
+
+  const purged = await call(memory, { method: 'DELETE', headers: await authHeader(999) });
+  assert.equal(purged.statusCode, 200);
+  assert.equal(purged.body.removed, 3);
+  assert.equal((await call(memory, { method: 'GET', headers: await authHeader(1) })).body.entries, 0);
+});
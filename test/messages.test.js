@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { translateMessages } from '../api/_lib/messages.js';
+
+// "Перевод" - верхний регистр: видно, какие ветви прошли через переводчик
+const upperCase = async texts => texts.map(text => text.toUpperCase());
+
+test('ветви ICU plural строятся по категориям целевого языка', async () => {
+  const [russian] = await translateMessages(['{count, plural, one {# file} other {# files}}'], upperCase, { targetLang: 'RU' });
+  assert.equal(russian, '{count, plural, one {# FILE} few {# FILES} many {# FILES} other {# FILES}}');
+
+  const [japanese] = await translateMessages(
+    ['{count, plural, one {# файл} few {# файла} many {# файлов} other {# файла}}'],
+    async texts => texts,
+    { targetLang: 'JA' }
+  );
+  assert.equal(japanese, '{count, plural, other {# файла}}');
+});
+
+test('=N, offset и вложенные аргументы сохраняются', async () => {
+  const [message] = await translateMessages(
+    ['{g, select, male {He has {n, plural, offset:1 =0 {no cats} one {# cat} other {# cats}}} other {They}}'],
+    upperCase,
+    { targetLang: 'PL' }
+  );
+  assert.equal(message, '{g, select, male {HE HAS {n, plural, offset:1 =0 {NO CATS} one {# CAT} few {# CATS} many {# CATS} other {# CATS}}} other {THEY}}');
+});
+
+test('совпадающий набор категорий и строки без targetLang не меняются', async () => {
+  const source = '{count, plural,\n  one {# file}\n  other {# files}\n}';
+  const [german] = await translateMessages([source], upperCase, { targetLang: 'DE' });
+  assert.equal(german, '{count, plural,\n  one {# FILE}\n  other {# FILES}\n}');
+
+  const [untouched] = await translateMessages(['{count, plural, one {# file} other {# files}}'], upperCase);
+  assert.equal(untouched, '{count, plural, one {# FILE} other {# FILES}}');
+});
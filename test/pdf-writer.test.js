@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PdfWriter } from '../api/_lib/pdf-writer.js';
+
+console.log = console.warn = () => {};
+
+function render(text, lang) {
+  const writer = new PdfWriter({ text, lang });
+  const page = writer.addPage(595, 842);
+  writer.drawText(page, text, 72, 770, 12);
+  return writer.finish().toString('latin1');
+}
+
+test('кириллица, греческий и арабский встраиваются шрифтом из fonts/', () => {
+  const pdf = render('Привет, мир. Γειά σου. مرحبا', 'ru');
+  assert.match(pdf, /\/FontFile2/);
+  assert.match(pdf, /DejaVuSans/);
+});
+
+test('буквы без шрифта - ошибка, а не "?"', () => {
+  // Тангутское письмо нет ни в DejaVu Sans, ни в стандартных шрифтах PDF
+  assert.throws(() => new PdfWriter({ text: 'Tangut 𗀀𗀁', lang: 'en' }), /Нет шрифта для 2 букв PDF/);
+});
+
+test('китайский, японский и корейский встраиваются шрифтами Noto Sans из fonts/', () => {
+  const chinese = render('你好，世界', 'zh');
+  assert.match(chinese, /\+NotoSansSC-Regular/);
+  assert.doesNotMatch(chinese, /STSong/);
+
+  assert.match(render('こんにちは、世界', 'ja'), /\+NotoSansSC-Regular/);
+
+  // Ханча в корейском тексте - из корейского шрифта
+  const korean = render('안녕하세요 世界', 'ko');
+  assert.match(korean, /\+NotoSansKR-Regular/);
+  assert.doesNotMatch(korean, /NotoSansSC/);
+});
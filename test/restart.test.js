@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupEnv, call, multipart, authHeader, mockFetch } from './helpers.js';
+
+setupEnv();
+mockFetch();
+
+// Повторный импорт с другим URL - новый экземпляр модуля со своими объектами хранилищ,
+// как после холодного старта функции
+async function startInstance(module, instance) {
+  return (await import(`../api/${module}.js?instance=${instance}`)).default;
+}
+
+const webhookHeaders = { 'x-telegram-bot-api-secret-token': 'webhook-secret' };
+
+test('сессия авторизации переживает перезапуск функции', async () => {
+  const first = await startInstance('auth', 'auth-1');
+  const started = await call(first, { method: 'POST', query: { action: 'start' } });
+  assert.equal(started.statusCode, 200);
+  const { sessionId, authCode } = started.body;
+
+  // Код и одобрение обрабатывает другой экземпляр
+  const second = await startInstance('auth', 'auth-2');
+  await call(second, {
+    method: 'POST',
+    query: { action: 'webhook' },
+    headers: webhookHeaders,
+    body: { update_id: 1, message: { chat: { id: 111 }, from: { id: 111, first_name: 'Alice' }, text: authCode } }
+  });
+  await call(second, {
+    method: 'POST',
+    query: { action: 'webhook' },
+    headers: webhookHeaders,
+    body: { update_id: 2, callback_query: { id: 'q', data: `approve_${sessionId}`, message: { chat: { id: 999 }, message_id: 1 } } }
+  });
+
+  const third = await startInstance('auth', 'auth-3');
+  const checked = await call(third, { query: { action: 'check', sessionId } });
+  assert.equal(checked.statusCode, 200);
+  assert.equal(checked.body.status, 'approved');
+  assert.equal(checked.body.userInfo.id, 111);
+  assert.ok(checked.body.token);
+});
+
+test('задача перевода документа переживает перезапуск функции', async () => {
+  const headers = await authHeader(111);
+  const first = await startInstance('documents', 'documents-1');
+
+  const body = multipart('notes.txt', 'Hello world');
+  const uploaded = await call(first, {
+    method: 'POST',
+    query: { action: 'upload' },
+    headers: { ...body.headers, ...headers },
+    raw: body.raw
+  });
+  const started = await call(first, {
+    method: 'POST',
+    query: { action: 'process' },
+    headers,
+    body: { fileId: uploaded.body.fileId, targetLangs: ['DE'] }
+  });
+  const { taskId } = started.body;
+
+  // Статус и скачивание - из нового экземпляра
+  const second = await startInstance('documents', 'documents-2');
+  let task;
+  for (let attempt = 0; attempt < 50; attempt++) {
+    task = (await call(second, { query: { action: 'status', taskId }, headers })).body.task;
+    if (task.status === 'completed') break;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.equal(task.status, 'completed');
+
+  const downloaded = await call(second, { query: { action: 'download', taskId, langCode: 'DE' }, headers });
+  assert.equal(downloaded.statusCode, 200);
+  assert.match(String(downloaded.body), /DE: Hello world/);
+});
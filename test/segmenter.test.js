@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitIntoSentences, findProtectedSpans } from '../api/_lib/segmenter.js';
+import { LANGUAGE_NAMES } from '../api/_lib/languages.js';
+
+// Текст -> ожидаемые предложения для каждого языка: сокращения, порядковые числа, знаки конца предложения
+const FIXTURES = {
+  AR: [
+    ['هل أنت بخير؟ نعم، شكرا. إلى اللقاء!',
+      ['هل أنت بخير؟', 'نعم، شكرا.', 'إلى اللقاء!']]
+  ],
+  BG: [
+    ['Срещата е на ул. Раковски 5, т.е. в центъра. Проф. Иванов ще дойде. Добре!',
+      ['Срещата е на ул. Раковски 5, т.е. в центъра.', 'Проф. Иванов ще дойде.', 'Добре!']]
+  ],
+  CS: [
+    ['Přijel 3. května do Prahy. Zavolejte např. Dr. Novákovi. Je to na str. 12. Děkuji.',
+      ['Přijel 3. května do Prahy.', 'Zavolejte např. Dr. Novákovi.', 'Je to na str. 12.', 'Děkuji.']]
+  ],
+  DA: [
+    ['Mødet er den 5. maj i København. Ring f.eks. til hr. Jensen, nr. 7. Tak!',
+      ['Mødet er den 5. maj i København.', 'Ring f.eks. til hr. Jensen, nr. 7.', 'Tak!']]
+  ],
+  DE: [
+    ['Das ist z.B. ein Test. Er kam am 3. Mai nach Hause. Es kostet 4,50 € bzw. 5 $. Gut!',
+      ['Das ist z.B. ein Test.', 'Er kam am 3. Mai nach Hause.', 'Es kostet 4,50 € bzw. 5 $.', 'Gut!']],
+    ['Die Version 1.5 ist da. Mehr unter https://example.de/info. Danke.',
+      ['Die Version 1.5 ist da.', 'Mehr unter https://example.de/info.', 'Danke.']],
+    ['Siehe S. 12 und vgl. Abschnitt 4 im Anhang. Das ist alles.',
+      ['Siehe S. 12 und vgl. Abschnitt 4 im Anhang.', 'Das ist alles.']],
+    ['Er wohnt in Nr. 5. Das ist gut.',
+      ['Er wohnt in Nr. 5.', 'Das ist gut.']]
+  ],
+  EL: [
+    ['Ο κ. Παπαδόπουλος ήρθε. Τι ώρα είναι; Βλ. σελ. 5 για π.χ. λεπτομέρειες. Ευχαριστώ!',
+      ['Ο κ. Παπαδόπουλος ήρθε.', 'Τι ώρα είναι;', 'Βλ. σελ. 5 για π.χ. λεπτομέρειες.', 'Ευχαριστώ!']]
+  ],
+  EN: [
+    ['Dr. Smith arrived at 10 a.m. on Monday. He met Mr. Jones, e.g. the new CTO. Then they left.',
+      ['Dr. Smith arrived at 10 a.m. on Monday.', 'He met Mr. Jones, e.g. the new CTO.', 'Then they left.']],
+    ['The price rose by 3.5% to $1,234.56 today. Version 2.0.1 ships next week.',
+      ['The price rose by 3.5% to $1,234.56 today.', 'Version 2.0.1 ships next week.']],
+    ['See https://example.com/docs/v1.2/index.html?a=1. Or mail support@example.co.uk. Thanks!',
+      ['See https://example.com/docs/v1.2/index.html?a=1.', 'Or mail support@example.co.uk.', 'Thanks!']],
+    ['J. K. Rowling wrote it. "Stop!" he said. Wait... what? Yes.',
+      ['J. K. Rowling wrote it.', '"Stop!" he said.', 'Wait... what?', 'Yes.']]
+  ],
+  ES: [
+    ['El Sr. García llegó ayer. ¿Vienes? Ver pág. 12, art. 3. Gracias.',
+      ['El Sr. García llegó ayer.', '¿Vienes?', 'Ver pág. 12, art. 3.', 'Gracias.']]
+  ],
+  ET: [
+    ['Koosolek on 5. mail Tallinnas. Vt. lk. 12, nr. 3. Aitäh!',
+      ['Koosolek on 5. mail Tallinnas.', 'Vt. lk. 12, nr. 3.', 'Aitäh!']]
+  ],
+  FI: [
+    ['Hän syntyi 3. toukokuuta Helsingissä. Esim. prof. Virtanen tietää sen. Sivu 5. Kiitos!',
+      ['Hän syntyi 3. toukokuuta Helsingissä.', 'Esim. prof. Virtanen tietää sen.', 'Sivu 5.', 'Kiitos!']]
+  ],
+  FR: [
+    ['M. Dupont est arrivé. Voir p. 5, art. 2. Merci !',
+      ['M. Dupont est arrivé.', 'Voir p. 5, art. 2.', 'Merci !']]
+  ],
+  HU: [
+    ['A találkozó 2024. május 3. napján lesz. Pl. Dr. Kovács is jön. Köszönöm!',
+      ['A találkozó 2024. május 3. napján lesz.', 'Pl. Dr. Kovács is jön.', 'Köszönöm!']]
+  ],
+  ID: [
+    ['Dr. Budi tinggal di Jl. Sudirman no. 5. Apa kabar? Baik.',
+      ['Dr. Budi tinggal di Jl. Sudirman no. 5.', 'Apa kabar?', 'Baik.']]
+  ],
+  IT: [
+    ['Il sig. Rossi è arrivato. Vedi pag. 4, art. 7. Grazie!',
+      ['Il sig. Rossi è arrivato.', 'Vedi pag. 4, art. 7.', 'Grazie!']]
+  ],
+  JA: [
+    ['今日は晴れです。公園に行きましょう！どう思いますか？',
+      ['今日は晴れです。', '公園に行きましょう！', 'どう思いますか？']],
+    ['価格は1.5ドルです。詳細はhttps://example.jp/a.htmlを参照。ありがとう！',
+      ['価格は1.5ドルです。', '詳細はhttps://example.jp/a.htmlを参照。', 'ありがとう！']],
+    ['「はい。」と彼は言った。（注：これは例です。）以上。',
+      ['「はい。」と彼は言った。', '（注：これは例です。）', '以上。']]
+  ],
+  KO: [
+    ['가격은 3.5달러입니다. 공원에 갈까요? 좋아요!',
+      ['가격은 3.5달러입니다.', '공원에 갈까요?', '좋아요!']]
+  ],
+  LT: [
+    ['Pvz. dr. Petraitis gyvena Vilniuje. Žr. psl. 12. Ačiū!',
+      ['Pvz. dr. Petraitis gyvena Vilniuje.', 'Žr. psl. 12.', 'Ačiū!']]
+  ],
+  LV: [
+    ['Sanāksme notiks 5. maijā Rīgā. Sk. lpp. 7, piem. Prof. Bērziņš. Dzīvoklis nr. 5. Paldies!',
+      ['Sanāksme notiks 5. maijā Rīgā.', 'Sk. lpp. 7, piem. Prof. Bērziņš.', 'Dzīvoklis nr. 5.', 'Paldies!']]
+  ],
+  NB: [
+    ['Møtet er 5. mai i Oslo. Ring f.eks. hr. Hansen, nr. 3. Takk!',
+      ['Møtet er 5. mai i Oslo.', 'Ring f.eks. hr. Hansen, nr. 3.', 'Takk!']]
+  ],
+  NL: [
+    ['Dhr. Jansen woont in Utrecht. Zie blz. 12, bijv. Dr. Bakker. Dank je!',
+      ['Dhr. Jansen woont in Utrecht.', 'Zie blz. 12, bijv. Dr. Bakker.', 'Dank je!']]
+  ],
+  PL: [
+    ['Spotkanie jest 3. maja o godz. 10. Prof. Nowak mieszka przy ul. Długiej. Dziękuję!',
+      ['Spotkanie jest 3. maja o godz. 10.', 'Prof. Nowak mieszka przy ul. Długiej.', 'Dziękuję!']]
+  ],
+  PT: [
+    ['O Sr. Silva chegou ontem. Veja pág. 8, art. 5. Obrigado!',
+      ['O Sr. Silva chegou ontem.', 'Veja pág. 8, art. 5.', 'Obrigado!']]
+  ],
+  RO: [
+    ['Dl. Popescu locuiește pe str. Victoriei nr. 5. Ce faci? Bine.',
+      ['Dl. Popescu locuiește pe str. Victoriei nr. 5.', 'Ce faci?', 'Bine.']]
+  ],
+  RU: [
+    ['Проф. Иванов живет на ул. Ленина, д. 5. См. рис. 3, т.е. схему. Спасибо!',
+      ['Проф. Иванов живет на ул. Ленина, д. 5.', 'См. рис. 3, т.е. схему.', 'Спасибо!']]
+  ],
+  SK: [
+    ['Prišiel 3. mája do Bratislavy. Napr. Ing. Novák býva na ul. Hlavnej, č. 4. Ďakujem!',
+      ['Prišiel 3. mája do Bratislavy.', 'Napr. Ing. Novák býva na ul. Hlavnej, č. 4.', 'Ďakujem!']]
+  ],
+  SL: [
+    ['Rojen je bil 3. maja v Ljubljani. Npr. dr. Novak živi na Prešernovi ul. 5. Hvala!',
+      ['Rojen je bil 3. maja v Ljubljani.', 'Npr. dr. Novak živi na Prešernovi ul. 5.', 'Hvala!']]
+  ],
+  SV: [
+    ['Det gäller t.ex. Anna och Erik. Se bl.a. avsnitt nr. 2. Tack!',
+      ['Det gäller t.ex. Anna och Erik.', 'Se bl.a. avsnitt nr. 2.', 'Tack!']]
+  ],
+  TR: [
+    ['Toplantı 5. Mayıs günü yapılacak. Dr. Yılmaz geldi mi? Örn. Prof. Demir de geldi. Madde 3. Teşekkürler!',
+      ['Toplantı 5. Mayıs günü yapılacak.', 'Dr. Yılmaz geldi mi?', 'Örn. Prof. Demir de geldi.', 'Madde 3.', 'Teşekkürler!']]
+  ],
+  UK: [
+    ['Див. рис. 2, напр. схему. Проф. Шевченко живе на вул. Хрещатик. Дякую!',
+      ['Див. рис. 2, напр. схему.', 'Проф. Шевченко живе на вул. Хрещатик.', 'Дякую!']]
+  ],
+  ZH: [
+    ['今天天气很好。我们去公园吧！你觉得怎么样？好的。',
+      ['今天天气很好。', '我们去公园吧！', '你觉得怎么样？', '好的。']],
+    ['价格是3.14元。请访问https://example.cn/a.html了解详情。谢谢！',
+      ['价格是3.14元。', '请访问https://example.cn/a.html了解详情。', '谢谢！']],
+    ['请联系support@example.com了解详情。他说：“好。”然后走了。',
+      ['请联系support@example.com了解详情。', '他说：“好。”', '然后走了。']]
+  ]
+};
+
+test('примеры есть для каждого поддерживаемого языка', () => {
+  assert.deepEqual(Object.keys(FIXTURES).sort(), Object.keys(LANGUAGE_NAMES).sort());
+});
+
+for (const [lang, fixtures] of Object.entries(FIXTURES)) {
+  test(`${lang}: разбиение на предложения`, () => {
+    for (const [text, expected] of fixtures) {
+      const sentences = splitIntoSentences(text, lang);
+      assert.deepEqual(sentences.map(sentence => sentence.text), expected, text);
+
+      // Позиции указывают на текст предложения в исходной строке
+      for (const sentence of sentences) {
+        assert.equal(text.slice(sentence.start, sentence.end), sentence.text);
+      }
+    }
+  });
+}
+
+test('URL и email в китайском и японском тексте заканчиваются перед иероглифами', () => {
+  const text = '请访问https://example.cn/a.html了解详情，或写信给support@example.com谢谢';
+  const spans = findProtectedSpans(text).map(([start, end]) => text.slice(start, end));
+  assert.deepEqual(spans, ['https://example.cn/a.html', 'support@example.com']);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileStore, RedisStore, createStore } from '../api/_lib/storage.js';
+
+function tempDir() {
+  return mkdtempSync(path.join(os.tmpdir(), 'translateai-storage-'));
+}
+
+test('FileStore: запись видна новому экземпляру (перезапуск функции)', async () => {
+  const directory = tempDir();
+  const first = new FileStore(directory);
+  await first.set('sess_1', { status: 'approved', data: Buffer.from('docx') });
+
+  const restarted = new FileStore(directory);
+  const value = await restarted.get('sess_1');
+  assert.equal(value.status, 'approved');
+  assert.ok(Buffer.isBuffer(value.data));
+  assert.equal(value.data.toString(), 'docx');
+  assert.deepEqual((await restarted.entries()).map(([key]) => key), ['sess_1']);
+
+  assert.equal(await restarted.delete('sess_1'), true);
+  assert.equal(await first.get('sess_1'), null);
+});
+
+test('FileStore: одновременные записи одного ключа не мешают друг другу', async () => {
+  const store = new FileStore(tempDir());
+  await Promise.all(Array.from({ length: 20 }, (_, index) => store.set('key', { index })));
+  assert.equal(typeof (await store.get('key')).index, 'number');
+});
+
+test('FileStore: setIfAbsent создает запись только один раз', async () => {
+  const store = new FileStore(tempDir());
+  const results = await Promise.all(Array.from({ length: 10 }, (_, index) => store.setIfAbsent('update_1', { index })));
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.equal(await store.setIfAbsent('update_1', {}), false);
+  assert.deepEqual((await store.entries()).map(([key]) => key), ['update_1']);
+});
+
+test('FileStore: одновременные increment не теряют приращений', async () => {
+  const store = new FileStore(tempDir());
+  await Promise.all(Array.from({ length: 20 }, () => store.increment('count')));
+  assert.equal(await store.get('count'), 20);
+  assert.equal(await store.increment('count', -5), 15);
+  assert.deepEqual((await store.entries()).map(([key]) => key), ['count']);
+});
+
+test('createStore требует явно настроенное хранилище', () => {
+  const saved = { driver: process.env.STORAGE_DRIVER, dir: process.env.STORAGE_DIR };
+  delete process.env.STORAGE_DRIVER;
+  delete process.env.STORAGE_DIR;
+
+  try {
+    assert.throws(() => createStore('sessions'), /STORAGE_DRIVER не настроен/);
+    assert.throws(() => createStore('sessions', { driver: 'file' }), /STORAGE_DIR/);
+    assert.throws(() => createStore('sessions', { driver: 'redis' }), /REDIS_REST_URL/);
+    assert.ok(createStore('sessions', { driver: 'file', directory: tempDir() }) instanceof FileStore);
+  } finally {
+    if (saved.driver !== undefined) process.env.STORAGE_DRIVER = saved.driver;
+    if (saved.dir !== undefined) process.env.STORAGE_DIR = saved.dir;
+  }
+});
+
+test('RedisStore: команды REST API', async () => {
+  // Минимальный Redis REST: GET, SET [NX], INCRBY, DEL, SCAN, MGET
+  const data = new Map();
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async (url, options) => {
+    assert.equal(options.headers.Authorization, 'Bearer token');
+    const [command, ...args] = JSON.parse(options.body);
+    let result;
+    switch (command) {
+      case 'GET': result = data.get(args[0]) ?? null; break;
+      case 'SET':
+        if (args[2] === 'NX' && data.has(args[0])) { result = null; break; }
+        data.set(args[0], args[1]); result = 'OK'; break;
+      case 'INCRBY':
+        result = Number(data.get(args[0]) ?? 0) + args[1];
+        data.set(args[0], String(result));
+        break;
+      case 'DEL': result = args.filter(key => data.delete(key)).length; break;
+      case 'SCAN': {
+        const prefix = args[2].slice(0, -1);
+        result = ['0', [...data.keys()].filter(key => key.startsWith(prefix))];
+        break;
+      }
+      case 'MGET': result = args.map(key => data.get(key) ?? null); break;
+    }
+    return { ok: true, status: 200, json: async () => ({ result }) };
+  };
+
+  try {
+    const store = new RedisStore('sessions', { url: 'https://redis.example/', token: 'token' });
+    await store.set('a', { value: 1, data: Buffer.from('x') });
+    assert.ok(data.has('translateai:sessions:a'));
+    assert.equal((await store.get('a')).data.toString(), 'x');
+    assert.equal(await store.setIfAbsent('a', {}), false);
+    assert.equal(await store.setIfAbsent('b', { value: 2 }), true);
+    assert.equal(await store.increment('count'), 1);
+    assert.equal(await store.increment('count', 2), 3);
+    assert.equal(await store.get('count'), 3);
+    await store.delete('count');
+
+    const restarted = new RedisStore('sessions', { url: 'https://redis.example', token: 'token' });
+    assert.deepEqual((await restarted.entries()).map(([key]) => key).sort(), ['a', 'b']);
+    assert.equal(await restarted.delete('a'), true);
+    await restarted.clear();
+    assert.equal(data.size, 0);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+});
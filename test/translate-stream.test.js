@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync, rmSync } from 'fs';
+import path from 'path';
+import { setupEnv, mockReq, mockRes, authHeader, mockFetch } from './helpers.js';
+
+const storageDir = setupEnv();
+mockFetch();
+const { default: translateStream } = await import('../api/translate-stream.js');
+
+/**
+ * Ответ с потоковой записью: строки NDJSON собираются в events
+ */
+async function callStream(request) {
+  const res = mockRes();
+  const lines = [];
+  Object.assign(res, { headersSent: false, writableEnded: false, on: () => res });
+  res.write = chunk => { res.headersSent = true; lines.push(chunk); return true; };
+  res.end = body => { res.writableEnded = true; res.body = res.body ?? body; return res; };
+  res.json = body => { res.headersSent = true; res.writableEnded = true; res.body = body; return res; };
+
+  await translateStream(mockReq({ method: 'POST', ...request }), res);
+  res.events = lines.join('').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  return res;
+}
+
+test('части приходят событиями NDJSON и поток завершается done', async () => {
+  const res = await callStream({ headers: await authHeader(1), body: { text: 'Hello world', target_lang: 'DE' } });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.events.map(event => event.type), ['start', 'chunk', 'done']);
+  assert.equal(res.events[1].translation, 'DE: Hello world');
+  assert.equal(res.writableEnded, true);
+});
+
+test('source_lang не строкой отклоняется', async () => {
+  const res = await callStream({ headers: await authHeader(1), body: { text: 'Hello', source_lang: 5, target_lang: 'DE' } });
+
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.message, /source_lang/);
+});
+
+test('ошибка хранилища до начала потока возвращает 500 JSON', async () => {
+  // Файл на месте каталога хранилища активности пользователей - запись в него падает
+  const activityDir = path.join(storageDir, 'user-activity');
+  rmSync(activityDir, { recursive: true, force: true });
+  writeFileSync(activityDir, '');
+
+  try {
+    const res = await callStream({ headers: await authHeader(2), body: { text: 'Hello', target_lang: 'DE' } });
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.error, 'Internal server error');
+    assert.equal(res.writableEnded, true);
+  } finally {
+    rmSync(activityDir, { force: true });
+  }
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupEnv, call, authHeader, mockFetch } from './helpers.js';
+
+setupEnv({ DEEPL_AUTH_KEY: 'server-deepl-key:fx' });
+const requests = mockFetch(() => ({ translations: [{ text: 'Hallo', detected_source_language: 'EN' }] }));
+const { default: translate } = await import('../api/translate.js');
+
+test('собственный api_url без своего api_key отклоняется', async () => {
+  const res = await call(translate, {
+    method: 'POST',
+    headers: await authHeader(1),
+    body: { text: 'Hello', target_lang: 'DE', provider: 'deepl', api_url: 'https://attacker.example/translate' }
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.message, /укажите свой api_key/);
+  assert.equal(requests.length, 0);
+});
+
+test('ключ сервера уходит только на настроенный endpoint', async () => {
+  const res = await call(translate, {
+    method: 'POST',
+    headers: await authHeader(1),
+    body: { text: 'Good morning', target_lang: 'DE', provider: 'deepl' }
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(requests.at(-1).url, 'https://api-free.deepl.com/v2/translate');
+  assert.equal(requests.at(-1).options.headers.Authorization, 'DeepL-Auth-Key server-deepl-key:fx');
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { translateWithFailover, checkApiKey, TranslationError } from '../api/_lib/translation-service.js';
+import { getProvider } from '../api/_lib/providers/index.js';
+
+const CUSTOM_URL = 'https://attacker.example/translate';
+
+process.env.DEEPL_AUTH_KEY = 'server-deepl-key:fx';
+process.env.OPENAI_API_KEY = 'server-openai-key';
+process.env.LIBRETRANSLATE_API_KEY = 'server-libre-key';
+console.log = console.error = () => {};
+
+/**
+ * Подменяет fetch и возвращает запросы; ответ подходит всем провайдерам
+ */
+function recordRequests() {
+  const requests = [];
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url: String(url), raw: JSON.stringify(options.headers) + options.body });
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({
+        code: 200,
+        data: 'Hallo',
+        translations: [{ text: 'Hallo', detected_source_language: 'EN' }],
+        translatedText: 'Hallo',
+        choices: [{ message: { content: 'Hallo' } }]
+      })
+    };
+  };
+  return requests;
+}
+
+for (const providerId of ['deepl', 'openai', 'libretranslate']) {
+  test(`${providerId}: ключ сервера не отправляется на api_url клиента`, async () => {
+    const requests = recordRequests();
+    const provider = getProvider(providerId);
+    const serverKey = process.env[provider.apiKeyEnv];
+
+    const result = await translateWithFailover({ provider, text: 'Hello', targetLang: 'DE', apiUrl: CUSTOM_URL });
+
+    for (const request of requests.filter(request => request.url === CUSTOM_URL)) {
+      assert.ok(!request.raw.includes(serverKey), `ключ сервера ушел на ${request.url}`);
+    }
+    assert.equal(result.text, 'Hallo');
+
+    if (provider.requiresKey) {
+      // Без ключа клиента api_url пропускается, перевод идет через настроенный endpoint с ключом сервера
+      assert.equal(result.custom, false);
+      assert.ok(requests.some(request => request.url !== CUSTOM_URL && request.raw.includes(serverKey)));
+    } else {
+      assert.equal(result.custom, true);
+    }
+  });
+}
+
+test('api_url клиента получает только ключ клиента', async () => {
+  const requests = recordRequests();
+  const result = await translateWithFailover({
+    provider: getProvider('deepl'),
+    text: 'Hello',
+    targetLang: 'DE',
+    apiUrl: CUSTOM_URL,
+    apiKey: 'client-key'
+  });
+
+  assert.equal(requests[0].url, CUSTOM_URL);
+  assert.ok(requests[0].raw.includes('client-key'));
+  assert.ok(!requests[0].raw.includes(process.env.DEEPL_AUTH_KEY));
+  assert.equal(result.custom, true);
+});
+
+test('checkApiKey требует ключ клиента для собственного api_url', () => {
+  const deepl = getProvider('deepl');
+  assert.match(checkApiKey(deepl, { apiUrl: CUSTOM_URL, apiKey: null }), /укажите свой api_key/);
+  assert.equal(checkApiKey(deepl, { apiUrl: CUSTOM_URL, apiKey: 'client-key' }), null);
+  assert.equal(checkApiKey(deepl, { apiUrl: 'https://api-free.deepl.com/v2/translate', apiKey: null }), null);
+  assert.equal(checkApiKey(deepl, { apiUrl: null, apiKey: null }), null);
+  assert.equal(checkApiKey(getProvider('deeplx'), { apiUrl: CUSTOM_URL, apiKey: null }), null);
+});
+
+test('сбои api_url клиента не выключают его и не учитываются в circuit breaker', async () => {
+  const requests = [];
+  globalThis.fetch = async (url) => {
+    requests.push(String(url));
+    if (String(url) === CUSTOM_URL) {
+      return { ok: false, status: 503, statusText: 'Service Unavailable' };
+    }
+    return { ok: true, status: 200, json: async () => ({ code: 200, data: 'Hallo' }) };
+  };
+
+  for (let i = 0; i < 5; i++) {
+    const result = await translateWithFailover({ provider: getProvider('deeplx'), text: 'Hello', targetLang: 'DE', apiUrl: CUSTOM_URL });
+    assert.equal(result.custom, false);
+  }
+
+  // Каждый запрос снова начинается с api_url клиента
+  assert.equal(requests.filter(url => url === CUSTOM_URL).length, 5);
+});
+
+test('ответ не в формате JSON переключает на следующий endpoint', async () => {
+  const requests = [];
+  globalThis.fetch = async (url) => {
+    requests.push(String(url));
+    if (String(url) === CUSTOM_URL) {
+      return { ok: true, status: 200, json: async () => JSON.parse('<html>Bad gateway</html>') };
+    }
+    return { ok: true, status: 200, json: async () => ({ code: 200, data: 'Hallo' }) };
+  };
+
+  const result = await translateWithFailover({ provider: getProvider('deeplx'), text: 'Hello', targetLang: 'DE', apiUrl: CUSTOM_URL });
+  assert.equal(requests[0], CUSTOM_URL);
+  assert.equal(result.text, 'Hallo');
+  assert.equal(result.custom, false);
+});
+
+test('ответ не в формате JSON со всех endpoints - TranslationError 502', async () => {
+  globalThis.fetch = async () => ({ ok: true, status: 200, json: async () => JSON.parse('<html></html>') });
+
+  await assert.rejects(
+    translateWithFailover({ provider: getProvider('deeplx'), text: 'Hello', targetLang: 'DE' }),
+    error => error instanceof TranslationError && error.status === 502
+  );
+});
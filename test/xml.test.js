@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { translateXml, extractXmlText } from '../api/_lib/formats/xml.js';
+import { detectDocumentType } from '../api/_lib/extract-text.js';
+
+const upperCase = async texts => texts.map(text => text.toUpperCase());
+const XML_TYPES = { 'application/xml': 'xml', 'text/xml': 'xml' };
+
+test('XML файл распознается по корневому элементу', () => {
+  const detect = (fileName, xml, mimeType = 'application/xml') =>
+    detectDocumentType(fileName, mimeType, XML_TYPES, Buffer.from(xml));
+
+  assert.equal(detect('strings.xml', '<?xml version="1.0"?>\n<resources><string name="a">A</string></resources>'), 'android');
+  assert.equal(detect('messages.xml', '<!-- export -->\n<xliff version="1.2"><file/></xliff>'), 'xliff');
+  assert.equal(detect('book.xml', '<?xml version="1.0"?>\n<!DOCTYPE book>\n<book><title>Hi</title></book>'), 'xml');
+  assert.equal(detect('upload', '<resources/>', 'text/xml'), 'android');
+  assert.equal(detect('messages.xlf', '<xliff version="2.0"/>'), 'xliff');
+});
+
+test('другой XML переводится как разметка: теги, атрибуты и комментарии не меняются', async () => {
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<book lang="en">',
+    '  <!-- Chapter one -->',
+    '  <title>Hello &amp; welcome</title>',
+    '  <para id="p1">Read this first.</para>',
+    '</book>'
+  ].join('\n');
+
+  assert.equal(extractXmlText(Buffer.from(xml)), 'Hello & welcome\nRead this first.');
+
+  const { buffer, translatedText } = await translateXml(Buffer.from(xml), upperCase);
+  assert.equal(buffer.toString(), xml
+    .replace('Hello &amp; welcome', 'HELLO &amp; WELCOME')
+    .replace('Read this first.', 'READ THIS FIRST.'));
+  assert.equal(translatedText, 'HELLO & WELCOME\nREAD THIS FIRST.');
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readZip, writeZip } from '../api/_lib/zip.js';
+
+test('readZip возвращает записи, записанные writeZip', () => {
+  const archive = writeZip([
+    { name: 'word/document.xml', data: '<w:document/>' },
+    { name: 'mimetype', data: 'application/epub+zip', method: 0 }
+  ]);
+
+  const entries = readZip(archive);
+  assert.deepEqual(entries.map(entry => entry.name), ['word/document.xml', 'mimetype']);
+  assert.equal(entries[0].data.toString(), '<w:document/>');
+  assert.equal(entries[1].data.toString(), 'application/epub+zip');
+});
+
+test('readZip отклоняет архив, который распаковывается больше предела', () => {
+  // 2 x 4 МБ нулей сжимаются в несколько килобайт
+  const archive = writeZip([
+    { name: 'a.xml', data: Buffer.alloc(4 * 1024 * 1024) },
+    { name: 'b.xml', data: Buffer.alloc(4 * 1024 * 1024) }
+  ]);
+  assert.ok(archive.length < 64 * 1024);
+
+  assert.throws(() => readZip(archive, 6 * 1024 * 1024), /после распаковки больше 6 МБ/);
+  assert.equal(readZip(archive, 8 * 1024 * 1024).length, 2);
+});
+
+test('readZip отклоняет несжатые записи больше предела', () => {
+  const archive = writeZip([{ name: 'a.bin', data: Buffer.alloc(2048), method: 0 }]);
+  assert.throws(() => readZip(archive, 1024), /после распаковки/);
+});